@@ -0,0 +1,94 @@
+import { execFile } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterAll, describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../../src/utils/analysisState';
+import { computeScenario } from '../../src/utils/computeScenario';
+
+// The CLI runs as users run it: a separate Node process on the full data files
+const CLI = new URL('../gems.js', import.meta.url).pathname;
+const dir = mkdtempSync(join(tmpdir(), 'gems-cli-'));
+afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+const file = (name, content) => {
+  const p = join(dir, name);
+  writeFileSync(p, typeof content === 'string' ? content : JSON.stringify(content));
+  return p;
+};
+const gems = (...args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+});
+
+const analysis = buildAnalysis({ state: 'Nevada', propertyType: '721120', inputMode: 'department', revenues: { gaming: 200, food: 40 }, casinoName: 'Test Casino' });
+const analysisFile = file('analysis.json', analysis);
+
+describe('gems compute', () => {
+  it('gives the same results as the engine', async () => {
+    const { code, stdout } = await gems('compute', analysisFile, '--format', 'json');
+    expect(code).toBe(0);
+    const out = JSON.parse(stdout);
+    const bundle = computeScenario(analysis);
+    expect(out.totals.output.total).toBeCloseTo(bundle.results.totals.output.total, 8);
+    expect(out.taxes.total).toBeCloseTo(bundle.totalTax, 8);
+    expect(out.vintage).toEqual(bundle.vintage);
+  }, 30000);
+
+  it('prints an impact and tax table by default', async () => {
+    const { code, stdout } = await gems('compute', analysisFile);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Test Casino — Nevada, 721120, revenue \$240\.00M/);
+    expect(stdout).toMatch(/Total tax/);
+  }, 30000);
+
+  it('runs a batch CSV and exits 1 when a row fails', async () => {
+    const csv = file('batch.csv', 'Name,State,Property Type,Gaming Revenue ($M)\nA,Nevada,721120,100\nB,Atlantis,721120,100\n');
+    const { code, stdout } = await gems('compute', csv, '--format', 'csv');
+    expect(code).toBe(1);
+    const [header, a, b] = stdout.trim().split('\n');
+    expect(header).toMatch(/^Row,Name,State,/);
+    expect(a).toMatch(/^2,A,Nevada,721120,100,/);
+    expect(b).toMatch(/^3,B,/);
+    expect(b).toMatch(/Atlantis/);
+  }, 30000);
+});
+
+describe('gems analysis commands', () => {
+  it('runs a tornado', async () => {
+    const { code, stdout } = await gems('sensitivity', analysisFile, '--driver', 'tornado', '--metric', 'output', '--format', 'json');
+    expect(code).toBe(0);
+    const { metric, bars } = JSON.parse(stdout);
+    expect(metric).toBe('output');
+    expect(bars[0].swing).toBeGreaterThanOrEqual(bars[bars.length - 1].swing);
+  }, 30000);
+
+  it('projects the requested number of years', async () => {
+    const { code, stdout } = await gems('projection', analysisFile, '--years', '3', '--format', 'json');
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).rows).toHaveLength(3);
+  }, 30000);
+
+  it('compares states, sorted by the chosen metric', async () => {
+    const { code, stdout } = await gems('compare-states', analysisFile, '--states', 'ohio, Indiana', '--sort', 'totalTax', '--format', 'json');
+    expect(code).toBe(0);
+    const out = JSON.parse(stdout);
+    expect(out.map((o) => o.analysis.state).sort()).toEqual(['Indiana', 'Ohio']);
+    expect(out[0].taxes.total).toBeGreaterThanOrEqual(out[1].taxes.total);
+  }, 30000);
+});
+
+describe('gems usage', () => {
+  it('exits 2 with the usage text on bad arguments', async () => {
+    for (const args of [['frobnicate', analysisFile], ['compute'], ['compute', analysisFile, '--format', 'xml'], ['compare-states', analysisFile, '--states', 'Atlantis']]) {
+      const { code, stderr } = await gems(...args);
+      expect(code).toBe(2);
+      expect(stderr).toMatch(/Usage: gems <command> <file>/);
+    }
+  }, 60000);
+
+  it('prints help', async () => {
+    const { code, stdout } = await gems('--help');
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Usage: gems/);
+  }, 30000);
+});
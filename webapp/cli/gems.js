@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * gems — command-line interface to the GEMS impact engine.
+ *
+ * Runs the same modules (src/utils) and bundled data files (src/data) as the
+ * web app, so CLI and dashboard results agree to the cent.
+ *
+ * Usage:
+ *   gems compute <analysis.json | batch.csv | batch.xlsx>
+ *   gems sensitivity <analysis.json> [--driver ggr|taxRate|tornado] [--metric employment] [--pct 10]
+ *   gems projection <analysis.json> [--years 10] [--inflation 2.5] [--discount-rate 5]
+ *   gems compare-states <analysis.json> [--states "Indiana,Ohio"] [--sort output]
+ *
+ * Options: --format table|json|csv (default table), --help
+ *
+ * An analysis JSON follows the buildAnalysis schema (as saved in projects or
+ * share links; older schema versions are migrated); a file may also hold an
+ * array of analyses. Batch files use
+ * the upload columns of the dashboard's batch mode.
+ */
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+register('./loader.js', import.meta.url);
+
+const USAGE = `Usage: gems <command> <file> [options]
+
+Commands:
+  compute <analysis.json|batch.csv|batch.xlsx>   Impact and tax results
+  sensitivity <analysis.json>                    GGR or tax-rate sweep, or tornado
+      --driver ggr|taxRate|tornado  (default ggr)
+      --metric output|gdp|employment|wages|totalTax  (tornado; default employment)
+      --pct <n>                     (tornado; default 10)
+      --steps <n> --spread <0-1>    (sweeps; defaults 9 and 0.4)
+  projection <analysis.json>                     Multi-year pro forma
+      --years <n> --inflation <pct> --discount-rate <pct> --start-year <yyyy>
+  compare-states <analysis.json>                 The same operation in each state
+      --states "A,B,..."  (default: every state with model data)
+      --sort <metric>     (default output)
+
+Options:
+  --format table|json|csv   Output format (default table)
+  --help                    Show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      const [key, inline] = a.slice(2).split('=', 2);
+      const next = argv[i + 1];
+      if (inline != null) opts[key] = inline;
+      else if (next != null && !next.startsWith('--')) { opts[key] = next; i++; }
+      else opts[key] = true;
+    } else {
+      positional.push(a);
+    }
+  }
+  return { positional, opts };
+}
+
+function numberOpt(opts, key) {
+  if (opts[key] == null) return undefined;
+  const n = Number(opts[key]);
+  if (!Number.isFinite(n)) throw new UsageError(`--${key} must be a number`);
+  return n;
+}
+
+// ---------------------------------------------------------------- output
+
+/** Columns are [key, header, decimals]; decimals null = text. */
+function formatValue(v, dp, forTable) {
+  if (v == null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+  if (dp == null || typeof v !== 'number') return String(v);
+  return forTable
+    ? v.toLocaleString('en-US', { minimumFractionDigits: dp, maximumFractionDigits: dp })
+    : String(Math.round(v * 1e8) / 1e8);
+}
+
+function csvCell(s) {
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function render(format, columns, rows, json) {
+  if (format === 'json') return JSON.stringify(json, null, 2);
+  if (format === 'csv') {
+    return [columns.map(([, h]) => csvCell(h)), ...rows.map((r) => columns.map(([k, , dp]) => csvCell(formatValue(r[k], dp, false))))]
+      .map((r) => r.join(',')).join('\n');
+  }
+  const cells = [columns.map(([, h]) => h), ...rows.map((r) => columns.map(([k, , dp]) => formatValue(r[k], dp, true)))];
+  const widths = columns.map((_, i) => Math.max(...cells.map((r) => r[i].length)));
+  const line = (r) => r.map((c, i) => (columns[i][2] == null ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ').trimEnd();
+  return [line(cells[0]), widths.map((w) => '-'.repeat(w)).join('  '), ...cells.slice(1).map(line)].join('\n');
+}
+
+// ---------------------------------------------------------------- input
+
+async function readAnalyses(file, { allowBatch = false } = {}) {
+  const { migrateAnalysis } = await import('../src/utils/analysisState.js');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv' || ext === '.xlsx' || ext === '.txt') {
+    if (!allowBatch) throw new UsageError('This command takes an analysis JSON file');
+    const { runBatch } = await import('../src/utils/batch.js');
+    const { parseCSV } = await import('../src/utils/csv.js');
+    const { readXLSX } = await import('../src/utils/xlsx.js');
+    const buf = await readFile(file);
+    return { batch: await runBatch(ext === '.xlsx' ? readXLSX(buf) : parseCSV(buf.toString('utf8'))) };
+  }
+  let data;
+  try {
+    data = JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : [data];
+  const analyses = list.map((raw, i) => {
+    const where = `${file}${list.length > 1 ? ` [${i}]` : ''}`;
+    const { analysis, report } = migrateAnalysis(raw);
+    if (!analysis) throw new UsageError(`${where}: ${report.errors.map((e) => `${e.field} ${e.message}`).join('; ')}`);
+    for (const e of report.dropped) console.error(`gems: ${where}: ignored ${e.field} (${e.message})`);
+    return analysis;
+  });
+  const { loadAnalysisData } = await import('../src/utils/dataService.js');
+  await Promise.all(analyses.map(loadAnalysisData));
+  return { analyses };
+}
+
+async function singleAnalysis(file) {
+  const { analyses } = await readAnalyses(file);
+  if (analyses.length !== 1) throw new UsageError('This command takes a single analysis');
+  return analyses[0];
+}
+
+// ---------------------------------------------------------------- commands
+
+const SUMMARY_COLUMNS = [
+  ['name', 'Name', null], ['state', 'State', null], ['propertyType', 'Type', null],
+  ['revenue', 'Revenue ($M)', 2], ['output', 'Output ($M)', 2], ['gdp', 'GDP ($M)', 2],
+  ['employment', 'Jobs (FTE)', 1], ['wages', 'Wages ($M)', 2], ['gamingTax', 'Gaming Tax ($M)', 2],
+  ['totalTax', 'Total Tax ($M)', 2], ['error', 'Error', null],
+];
+
+function revenueOf(a) {
+  if (a.inputMode === 'total') return a.revenues.total || 0;
+  return Object.entries(a.revenues).reduce((s, [k, v]) => (k === 'total' ? s : s + (v || 0)), 0);
+}
+
+/** Flat summary record plus the full JSON payload for one computed analysis. */
+function summarize(name, analysis, bundle, headlineMetrics) {
+  const m = headlineMetrics(bundle);
+  const g = bundle.gamingTaxResult;
+  const record = {
+    name: name || analysis.casinoName || '', state: analysis.state, propertyType: analysis.propertyType,
+    revenue: revenueOf(analysis),
+    ...(m || {}),
+    gamingTax: g ? g.amount + (g.fees?.total || 0) : 0,
+    error: m ? null : 'No model data for this state and property type',
+  };
+  const json = m ? {
+    name: record.name,
+    analysis,
+    vintage: bundle.vintage,
+    totals: bundle.results.totals,
+    multipliers: bundle.results.multipliers,
+    cpi: bundle.cpi,
+    multiplierType: bundle.multiplierType,
+    multiplierSource: bundle.multiplierSource,
+    typeI: bundle.typeI ? { totals: bundle.typeI.results.totals, multipliers: bundle.typeI.results.multipliers, totalTax: bundle.typeI.totalTax } : null,
+    taxes: {
+      gaming: g ? { amount: g.amount, effectiveRate: g.effectiveRate, fees: g.fees, compact: g.compact || null } : null,
+      local: bundle.localTaxResult,
+      topi: bundle.results.totals.tax,
+      payroll: bundle.payrollTaxResult,
+      household: bundle.householdTaxResult,
+      total: bundle.totalTax,
+    },
+    net: bundle.net ? { totals: bundle.net.results.totals, totalTax: bundle.net.totalTax } : null,
+    region: bundle.region?.host ? { name: bundle.region.name, kind: bundle.region.kind, employmentSharePct: bundle.region.employmentSharePct, supplierLQ: bundle.region.supplierLQ, factors: bundle.region.factors, host: bundle.region.host.totals, rest: bundle.region.rest.totals } : null,
+    spillover: bundle.spillover ? {
+      states: bundle.spillover.states.map((s) => ({
+        state: s.state, role: s.role, employeeShare: s.employee, supplierShare: s.supplier,
+        totals: s.results.totals, payrollTax: s.payrollTaxResult?.total || 0, householdTax: s.householdTaxResult.total,
+      })),
+      combined: bundle.spillover.combined,
+    } : null,
+  } : { name: record.name, analysis, error: record.error };
+  return { record, json };
+}
+
+async function compute(file, { format }) {
+  const { computeScenario, headlineMetrics } = await import('../src/utils/computeScenario.js');
+  const input = await readAnalyses(file, { allowBatch: true });
+
+  if (input.batch) {
+    // Rows that fail validation carry their errors instead of results
+    const out = input.batch.rows.map((r) => {
+      const o = r.analysis
+        ? summarize(r.name, r.analysis, computeScenario(r.analysis), headlineMetrics)
+        : { record: { name: r.name, error: r.errors.join('; ') }, json: { name: r.name, errors: r.errors } };
+      return { record: { row: r.row, ...o.record }, json: { row: r.row, ...o.json } };
+    });
+    const columns = [['row', 'Row', 0], ...SUMMARY_COLUMNS];
+    return { text: render(format, columns, out.map((o) => o.record), out.map((o) => o.json)), failed: input.batch.failed };
+  }
+
+  const out = input.analyses.map((a) => summarize(a.casinoName, a, computeScenario(a), headlineMetrics));
+  if (out.length === 1 && format === 'table' && !out[0].record.error) {
+    const { totals, multipliers } = out[0].json;
+    const rows = [
+      ['output', 'Output ($M)'], ['gdp', 'GDP ($M)'], ['employment', 'Employment (FTE)'], ['wages', 'Wages ($M)'], ['tax', 'TOPI ($M)'],
+    ].map(([k, label]) => ({ label, ...totals[k], multiplier: multipliers[k] }));
+    const taxes = out[0].json.taxes;
+    const taxRows = [
+      taxes.gaming && { label: taxes.gaming.compact ? 'Compact revenue sharing' : 'Gaming tax', total: taxes.gaming.amount },
+      taxes.gaming?.fees?.total && { label: 'Gaming fees', total: taxes.gaming.fees.total },
+      taxes.local?.additional && { label: 'Local levies (additional)', total: taxes.local.additional },
+      { label: 'TOPI', total: taxes.topi.total },
+      taxes.payroll && { label: 'Payroll taxes', total: taxes.payroll.total },
+      taxes.household && { label: 'Household taxes', total: taxes.household.total },
+      { label: 'Total tax', total: taxes.total },
+    ].filter(Boolean);
+    const r = out[0].record;
+    return {
+      text: [
+        `${r.name || 'Analysis'} — ${r.state}, ${r.propertyType}, revenue $${formatValue(r.revenue, 2, true)}M`,
+        '',
+        render('table', [['label', 'Impact', null], ['direct', 'Direct', 2], ['indirect', 'Indirect', 2], ['induced', 'Induced', 2], ['total', 'Total', 2], ['multiplier', 'Multiplier', 3]], rows),
+        '',
+        render('table', [['label', 'Tax ($M)', null], ['total', 'Amount', 2]], taxRows),
+      ].join('\n'),
+      failed: 0,
+    };
+  }
+  const json = out.length === 1 ? out[0].json : out.map((o) => o.json);
+  return { text: render(format, SUMMARY_COLUMNS, out.map((o) => o.record), json), failed: out.filter((o) => o.record.error).length };
+}
+
+const METRIC_COLUMNS = [
+  ['output', 'Output ($M)', 2], ['gdp', 'GDP ($M)', 2], ['employment', 'Jobs (FTE)', 1], ['wages', 'Wages ($M)', 2], ['totalTax', 'Total Tax ($M)', 2],
+];
+
+async function sensitivity(file, { format, opts }) {
+  const { runSensitivity, runTornado, METRIC_META } = await import('../src/utils/sensitivity.js');
+  const analysis = await singleAnalysis(file);
+  const driver = opts.driver || 'ggr';
+
+  if (driver === 'tornado') {
+    const metric = opts.metric || 'employment';
+    if (!METRIC_META.some((m) => m.key === metric)) throw new UsageError(`--metric must be one of ${METRIC_META.map((m) => m.key).join(', ')}`);
+    const tornado = runTornado(analysis, { metric, pct: numberOpt(opts, 'pct') ?? 10 });
+    if (!tornado) return { text: 'No model data for this state and property type', failed: 1 };
+    const dp = metric === 'employment' ? 1 : 2;
+    const columns = [['label', 'Input', null], ['group', 'Group', null], ['low', `Low`, dp], ['high', 'High', dp], ['swing', 'Swing', dp]];
+    const header = format === 'table' ? `${metric} ±${tornado.pct}% one at a time (point estimate ${formatValue(tornado.base, dp, true)})\n\n` : '';
+    return { text: header + render(format, columns, tornado.bars, tornado), failed: 0 };
+  }
+
+  if (driver !== 'ggr' && driver !== 'taxRate') throw new UsageError('--driver must be ggr, taxRate or tornado');
+  const result = runSensitivity(analysis, { driver, steps: numberOpt(opts, 'steps') ?? 9, spread: numberOpt(opts, 'spread') ?? 0.4 });
+  const columns = [['label', driver === 'ggr' ? 'GGR' : 'Tax Rate', null], ['x', driver === 'ggr' ? 'GGR ($M)' : 'Rate', driver === 'ggr' ? 2 : 4], ...METRIC_COLUMNS];
+  return { text: render(format, columns, result.series, result), failed: 0 };
+}
+
+async function projection(file, { format, opts }) {
+  const { runProForma, normalizeProForma } = await import('../src/utils/proForma.js');
+  const analysis = await singleAnalysis(file);
+  const overrides = {
+    years: numberOpt(opts, 'years'),
+    inflationPct: numberOpt(opts, 'inflation'),
+    discountRatePct: numberOpt(opts, 'discount-rate'),
+    startYear: numberOpt(opts, 'start-year'),
+  };
+  for (const k of Object.keys(overrides)) if (overrides[k] === undefined) delete overrides[k];
+  const pf = runProForma({ ...analysis, proForma: normalizeProForma({ ...analysis.proForma, ...overrides }) });
+  const columns = [
+    ['year', 'Year', null], ['revenue', 'Revenue ($M)', 2], ['ggr', 'GGR ($M)', 2], ...METRIC_COLUMNS.slice(0, 4),
+    ['gamingTax', 'Gaming Tax ($M)', 2], ['totalTax', 'Total Tax ($M)', 2],
+  ];
+  const rows = [
+    ...pf.rows,
+    { year: 'Cumulative', ...pf.totals, employment: null },
+    { year: `PV @ ${pf.settings.discountRatePct}%`, ...pf.npv, employment: null },
+  ];
+  return { text: render(format, columns, rows, pf), failed: 0 };
+}
+
+async function compareStates(file, { format, opts }) {
+  const { computeScenario, headlineMetrics } = await import('../src/utils/computeScenario.js');
+  const { loadAnalysisData, vintageIndex } = await import('../src/utils/dataService.js');
+  const analysis = await singleAnalysis(file);
+
+  let states = vintageIndex(analysis.vintage).states;
+  if (typeof opts.states === 'string') {
+    const byName = new Map(states.map((s) => [s.toLowerCase(), s]));
+    states = opts.states.split(',').map((s) => s.trim()).filter(Boolean).map((s) => {
+      const match = byName.get(s.toLowerCase());
+      if (!match) throw new UsageError(`Unknown state "${s}"`);
+      return match;
+    });
+  }
+  const sort = opts.sort || 'output';
+  if (!METRIC_COLUMNS.some(([k]) => k === sort) && sort !== 'gamingTax') throw new UsageError(`--sort must be one of ${[...METRIC_COLUMNS.map(([k]) => k), 'gamingTax'].join(', ')}`);
+
+  // Local jurisdictions are state-specific; each state uses its statewide terms
+  const perState = states.map((state) => ({ ...analysis, state, localTax: { ...analysis.localTax, jurisdiction: null } }));
+  await Promise.all(perState.map(loadAnalysisData));
+  const out = perState.map((a) => summarize(analysis.casinoName, a, computeScenario(a), headlineMetrics));
+  out.sort((x, y) => (y.record[sort] ?? -Infinity) - (x.record[sort] ?? -Infinity));
+  const columns = SUMMARY_COLUMNS.filter(([k]) => k !== 'name' && k !== 'propertyType');
+  return { text: render(format, columns, out.map((o) => o.record), out.map((o) => o.json)), failed: 0 };
+}
+
+const COMMANDS = { compute, sensitivity, projection, 'compare-states': compareStates };
+
+async function main(argv) {
+  const { positional, opts } = parseArgs(argv);
+  const [command, file] = positional;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return command || opts.help ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+  if (!file) throw new UsageError(`${command} needs an input file`);
+  const format = opts.format || 'table';
+  if (!['table', 'json', 'csv'].includes(format)) throw new UsageError('--format must be table, json or csv');
+
+  // The model data comes from the full files in src/data, not the web app's per-state fetches
+  const { setDataSource } = await import('../src/utils/dataService.js');
+  const { bundledSource } = await import('../src/data/bundledEditions.js');
+  setDataSource(bundledSource);
+
+  const { text, failed } = await run(file, { format, opts });
+  console.log(text);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    if (err instanceof UsageError) {
+      console.error(`gems: ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`gems: ${err.stack || err.message}`);
+      process.exitCode = 1;
+    }
+  },
+);
@@ -0,0 +1,31 @@
+/**
+ * Node module hooks that let the CLI import the web app's source unchanged:
+ * extensionless relative imports resolve to `.js`, and JSON data files load
+ * as modules with a default export and a named export per top-level key
+ * (Vite handles both in the browser build).
+ */
+import { readFile } from 'node:fs/promises';
+
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (err) {
+    if (err.code === 'ERR_MODULE_NOT_FOUND' && /^\.{1,2}\//.test(specifier) && !/\.(c|m)?js$|\.json$/.test(specifier)) {
+      return next(`${specifier}.js`, context);
+    }
+    throw err;
+  }
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith('file:') && url.endsWith('.json')) {
+    const source = await readFile(new URL(url), 'utf8');
+    const data = JSON.parse(source);
+    const keys = data && typeof data === 'object' && !Array.isArray(data)
+      ? Object.keys(data).filter((k) => /^[A-Za-z_][\w]*$/.test(k) && k !== 'default')
+      : [];
+    const named = keys.map((k) => `export const ${k} = $json[${JSON.stringify(k)}];`).join('\n');
+    return { format: 'module', source: `const $json = ${source};\nexport default $json;\n${named}`, shortCircuit: true };
+  }
+  return next(url, context);
+}
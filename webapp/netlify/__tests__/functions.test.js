@@ -0,0 +1,117 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { createRequire } from 'module';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { build } from 'esbuild';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+// The functions run as Netlify deploys them: bundled by esbuild into CommonJS
+const require = createRequire(import.meta.url);
+const FUNCTIONS = ['compute', 'validate-license', 'verify-session'];
+const outDir = mkdtempSync(join(tmpdir(), 'gems-functions-'));
+const handlers = {};
+
+const { generateChecksum } = require('../lib/license.cjs');
+const keyFor = (date) => `PRO-${date}-${generateChecksum(`PRO${date}`)}`;
+const PRO_KEY = keyFor('20991231');
+const EXPIRED_KEY = keyFor('20200101');
+
+const analysis = { state: 'Nevada', propertyType: '721120', inputMode: 'department', revenues: { gaming: 100, food: 20 } };
+
+beforeAll(async () => {
+  // Each test uses its own key, so only the rate-limit test reaches the limit
+  process.env.COMPUTE_API_KEYS = 'svc-body,svc-fields,svc-mode,svc-batch,svc-cap,svc-limit,svc-other';
+  process.env.COMPUTE_RATE_LIMIT = '4';
+  for (const name of FUNCTIONS) {
+    const outfile = join(outDir, `${name}.cjs`);
+    await build({
+      entryPoints: [new URL(`../functions/${name}.js`, import.meta.url).pathname],
+      bundle: true, platform: 'node', format: 'cjs', outfile, logLevel: 'error',
+    });
+    handlers[name] = require(outfile).handler;
+  }
+}, 120000);
+
+afterAll(() => rmSync(outDir, { recursive: true, force: true }));
+
+const compute = async (body, key, headers = {}) => {
+  const res = await handlers.compute({
+    httpMethod: 'POST',
+    headers: { ...(key && { Authorization: `Bearer ${key}` }), ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { ...res, json: JSON.parse(res.body) };
+};
+
+describe('bundled functions', () => {
+  it('each export a handler', () => {
+    for (const name of FUNCTIONS) expect(typeof handlers[name]).toBe('function');
+  });
+});
+
+describe('validate-license', () => {
+  const validate = async (key) => JSON.parse((await handlers['validate-license']({ httpMethod: 'GET', queryStringParameters: { key } })).body);
+
+  it('accepts a valid key in any case and with spaces', async () => {
+    expect(await validate(` ${PRO_KEY.toLowerCase()} `)).toEqual({ valid: true, expiresAt: '2099-12-31T23:59:59.000Z' });
+  });
+
+  it('rejects expired, tampered and malformed keys', async () => {
+    expect(await validate(EXPIRED_KEY)).toMatchObject({ valid: false, error: 'License has expired' });
+    expect(await validate(PRO_KEY.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A')))).toEqual({ valid: false, error: 'Invalid license key' });
+    expect(await validate('PRO-1')).toEqual({ valid: false, error: 'Invalid license format' });
+  });
+});
+
+describe('compute API', () => {
+  it('requires a valid license or service key', async () => {
+    expect((await compute({ analysis }, null)).statusCode).toBe(401);
+    expect((await compute({ analysis }, EXPIRED_KEY)).json.error).toBe('License has expired');
+    const ok = await compute({ analysis }, null, { 'X-License-Key': PRO_KEY });
+    expect(ok.statusCode).toBe(200);
+    expect(ok.headers['Access-Control-Allow-Origin']).toBe('*');
+  });
+
+  it('rejects bodies that are not JSON objects', async () => {
+    for (const body of ['null', '[1]', '"x"', '{']) {
+      const res = await compute(body, 'svc-body');
+      expect(res.statusCode).toBe(400);
+      expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    }
+  });
+
+  it('reports field errors with their paths', async () => {
+    const res = await compute({ analyses: [analysis, { ...analysis, state: 'Atlantis', revenues: { gaming: -1 } }] }, 'svc-fields');
+    expect(res.statusCode).toBe(422);
+    expect(res.json.errors.map((e) => e.field)).toEqual(['analyses[1].state', 'analyses[1].revenues.gaming', 'analyses[1].revenues']);
+  });
+
+  it('infers an omitted input mode', async () => {
+    const res = await compute({ analysis: { state: 'Nevada', revenues: { total: 150 } } }, 'svc-mode');
+    expect(res.statusCode).toBe(200);
+    expect(res.json.results[0].analysis.inputMode).toBe('total');
+  });
+
+  it('computes each analysis of a batch on its own state', async () => {
+    const res = await compute({ analyses: [analysis, { ...analysis, state: 'Ohio' }] }, 'svc-batch');
+    expect(res.statusCode).toBe(200);
+    const [nv, oh] = res.json.results;
+    expect([nv.index, nv.analysis.state, oh.index, oh.analysis.state]).toEqual([0, 'Nevada', 1, 'Ohio']);
+    expect(nv.results.totals.output.total).not.toBeCloseTo(oh.results.totals.output.total);
+    expect(nv).not.toHaveProperty('stateTaxConfig');
+  });
+
+  it('caps a batch at 50 analyses', async () => {
+    expect((await compute({ analyses: Array(51).fill(analysis) }, 'svc-cap')).statusCode).toBe(400);
+    expect((await compute({ analyses: [] }, 'svc-cap')).statusCode).toBe(400);
+  });
+
+  it('rate-limits each key', async () => {
+    const statuses = [];
+    for (let i = 0; i < 5; i++) statuses.push((await compute({ analysis }, 'svc-limit')).statusCode);
+    expect(statuses).toEqual([200, 200, 200, 200, 429]);
+    const limited = await compute({ analysis }, 'svc-limit');
+    expect(limited.headers['Retry-After']).toBeDefined();
+    expect((await compute({ analysis }, 'svc-other')).statusCode).toBe(200);
+  });
+});
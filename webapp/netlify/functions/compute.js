@@ -0,0 +1,178 @@
+/**
+ * Calculation API - Netlify Functions format
+ *
+ * POST /api/compute with a JSON body of { analysis } or { analyses: [...] }
+ * (each in the buildAnalysis shape) returns the full computeScenario bundle
+ * for every analysis, stamped with the API version, model version and data
+ * vintages. Each analysis runs on its own data edition (`vintage`, default
+ * the current one) and its result names the edition and its file vintages.
+ * The engine and data files are the web app's own, bundled in.
+ *
+ * Authentication: a Pro license key (or a service key listed in
+ * COMPUTE_API_KEYS) in `Authorization: Bearer <key>` or `X-License-Key`.
+ *
+ * Rate limiting is per key, in a fixed one-minute window held in memory —
+ * it is enforced per function instance, so treat it as a guard against
+ * runaway clients rather than a hard quota.
+ *
+ * Environment variables:
+ * - LICENSE_SALT: Secret salt for license key checksums (see netlify/lib/license.cjs)
+ * - COMPUTE_API_KEYS: Optional comma-separated service keys (no expiry)
+ * - COMPUTE_RATE_LIMIT: Requests per key per minute (default 60)
+ */
+
+const { computeScenario } = require('../../src/utils/computeScenario');
+const { buildAnalysis, inferInputMode, ANALYSIS_VERSION } = require('../../src/utils/analysisState');
+const { validateAnalysis } = require('../../src/utils/analysisSchema');
+const { MODEL_VERSION, DATA_VINTAGES } = require('../../src/utils/dataVintages');
+const { loadAnalysisData, setDataSource, vintageInfo } = require('../../src/utils/dataService');
+const { bundledSource } = require('../../src/data/bundledEditions');
+const { checkLicenseKey } = require('../lib/license.cjs');
+
+// The full data files are bundled with the function; slice them in memory
+setDataSource(bundledSource);
+
+const API_VERSION = 1;
+const MAX_ANALYSES = 50;
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT = Number(process.env.COMPUTE_RATE_LIMIT) || 60;
+const SERVICE_KEYS = (process.env.COMPUTE_API_KEYS || '').split(',').map((k) => k.trim()).filter(Boolean);
+
+/** A service key, or a Pro license key passing the same checks as validate-license. */
+function checkLicense(key) {
+  if (SERVICE_KEYS.includes(key)) return { valid: true };
+  return checkLicenseKey(key);
+}
+
+// key -> { windowStart, count }; lives as long as the function instance
+const usage = new Map();
+
+function takeToken(key, now = Date.now()) {
+  let u = usage.get(key);
+  if (!u || now - u.windowStart >= RATE_WINDOW_MS) {
+    u = { windowStart: now, count: 0 };
+    usage.set(key, u);
+  }
+  u.count += 1;
+  return {
+    allowed: u.count <= RATE_LIMIT,
+    remaining: Math.max(0, RATE_LIMIT - u.count),
+    resetSeconds: Math.ceil((u.windowStart + RATE_WINDOW_MS - now) / 1000),
+  };
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-License-Key',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GEMS-API-Version': String(API_VERSION),
+      ...CORS_HEADERS,
+      ...headers,
+    },
+    body: JSON.stringify({ apiVersion: API_VERSION, ...body }),
+  };
+}
+
+function readKey(headers = {}) {
+  const h = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const bearer = /^Bearer\s+(.+)$/i.exec(h.authorization || '');
+  return ((bearer && bearer[1]) || h['x-license-key'] || '').trim();
+}
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/** An omitted input mode is inferred from the revenues, as buildAnalysis does. */
+function withDefaults(input) {
+  return isPlainObject(input) && input.inputMode == null ? { ...input, inputMode: inferInputMode(input.revenues) } : input;
+}
+
+/** The engine bundle minus the state's raw tax configuration. */
+function serializeBundle(bundle) {
+  const { stateTaxConfig, ...rest } = bundle;
+  return rest;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+  }
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  const key = readKey(event.headers);
+  if (!key) {
+    return jsonResponse(401, { error: 'No license key provided' }, { 'WWW-Authenticate': 'Bearer' });
+  }
+  const license = checkLicense(key);
+  if (!license.valid) {
+    return jsonResponse(403, { error: license.error });
+  }
+
+  const rate = takeToken(key.toUpperCase());
+  const rateHeaders = {
+    'X-RateLimit-Limit': String(RATE_LIMIT),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(rate.resetSeconds),
+  };
+  if (!rate.allowed) {
+    return jsonResponse(429, { error: 'Rate limit exceeded' }, { ...rateHeaders, 'Retry-After': String(rate.resetSeconds) });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (e) {
+    return jsonResponse(400, { error: 'Invalid JSON body' }, rateHeaders);
+  }
+  if (!isPlainObject(body)) {
+    return jsonResponse(400, { error: 'Body must be a JSON object' }, rateHeaders);
+  }
+
+  if (body.apiVersion != null && body.apiVersion !== API_VERSION) {
+    return jsonResponse(400, { error: `Unsupported apiVersion ${body.apiVersion}; this endpoint serves version ${API_VERSION}` }, rateHeaders);
+  }
+
+  const batch = Array.isArray(body.analyses);
+  const inputs = batch ? body.analyses : body.analysis != null ? [body.analysis] : null;
+  if (!inputs) {
+    return jsonResponse(400, { error: 'Body must contain "analysis" or "analyses"' }, rateHeaders);
+  }
+  if (inputs.length === 0 || inputs.length > MAX_ANALYSES) {
+    return jsonResponse(400, { error: `"analyses" must hold 1 to ${MAX_ANALYSES} analyses` }, rateHeaders);
+  }
+
+  const complete = inputs.map(withDefaults);
+  const errors = complete.flatMap((a, i) => validateAnalysis(a, batch ? `analyses[${i}]` : 'analysis'));
+  if (errors.length) {
+    return jsonResponse(422, { error: 'Validation failed', errors }, rateHeaders);
+  }
+
+  const analyses = complete.map((input) => buildAnalysis(input));
+  try {
+    await Promise.all(analyses.map(loadAnalysisData));
+  } catch (e) {
+    return jsonResponse(500, { error: e.message }, rateHeaders);
+  }
+  let results;
+  try {
+    results = analyses.map((analysis, index) => ({
+      index, analysis, ...serializeBundle(computeScenario(analysis)), dataVintages: vintageInfo(analysis.vintage),
+    }));
+  } catch (e) {
+    return jsonResponse(500, { error: e.message }, rateHeaders);
+  }
+
+  return jsonResponse(200, {
+    model: { version: MODEL_VERSION, analysisVersion: ANALYSIS_VERSION },
+    dataVintages: DATA_VINTAGES,
+    results,
+  }, rateHeaders);
+};
@@ -3,27 +3,14 @@
  *
  * Validates a license key's checksum without exposing the salt in the
  * client bundle. The client performs only format/expiry parsing; the
- * checksum check happens here.
+ * checksum check happens here (netlify/lib/license.cjs, shared with the
+ * compute API).
  *
  * Required environment variables:
- * - LICENSE_SALT: Secret salt for license key checksums (falls back to the
- *   legacy value so keys issued before the env var was set remain valid)
+ * - LICENSE_SALT: Secret salt for license key checksums (see netlify/lib/license.cjs)
  */
 
-const LICENSE_SALT = process.env.LICENSE_SALT || 'casino-impact-pro-2024';
-
-function generateChecksum(input) {
-  let hash = 0;
-  const str = input + LICENSE_SALT;
-
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-
-  return Math.abs(hash).toString(36).toUpperCase().padStart(5, '0').slice(0, 5);
-}
+const { checkLicenseKey } = require('../lib/license.cjs');
 
 function jsonResponse(statusCode, body) {
   return {
@@ -55,35 +42,14 @@ exports.handler = async (event) => {
     return jsonResponse(400, { valid: false, error: 'No license key provided' });
   }
 
-  const trimmedKey = key.trim().toUpperCase();
-
-  const match = trimmedKey.match(/^(PRO)-(\d{8})-([A-Z0-9]{5})$/);
-  if (!match) {
-    return jsonResponse(200, { valid: false, error: 'Invalid license format' });
-  }
-
-  const [, prefix, dateStr, checksum] = match;
-
-  const expectedChecksum = generateChecksum(prefix + dateStr);
-  if (checksum !== expectedChecksum) {
-    return jsonResponse(200, { valid: false, error: 'Invalid license key' });
-  }
-
-  const year = parseInt(dateStr.slice(0, 4));
-  const month = parseInt(dateStr.slice(4, 6)) - 1;
-  const day = parseInt(dateStr.slice(6, 8));
-  const expiresAt = new Date(year, month, day, 23, 59, 59);
-
-  if (expiresAt < new Date()) {
-    return jsonResponse(200, {
-      valid: false,
-      error: 'License has expired',
-      expiresAt: expiresAt.toISOString(),
-    });
+  const license = checkLicenseKey(key);
+  if (!license.expiresAt) {
+    return jsonResponse(200, { valid: false, error: license.error });
   }
 
   return jsonResponse(200, {
-    valid: true,
-    expiresAt: expiresAt.toISOString(),
+    valid: license.valid,
+    ...(license.error && { error: license.error }),
+    expiresAt: license.expiresAt.toISOString(),
   });
 };
@@ -4,23 +4,7 @@
 
 const Stripe = require('stripe');
 
-const LICENSE_SALT = process.env.LICENSE_SALT || 'casino-impact-pro-2024';
-
-/**
- * Generate a checksum for license validation
- */
-function generateChecksum(input) {
-  let hash = 0;
-  const str = input + LICENSE_SALT;
-
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-
-  return Math.abs(hash).toString(36).toUpperCase().padStart(5, '0').slice(0, 5);
-}
+const { generateChecksum } = require('../lib/license.cjs');
 
 /**
  * Generate a license key expiring 1 year after the purchase date.
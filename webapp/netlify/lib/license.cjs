@@ -0,0 +1,50 @@
+/**
+ * License key checks shared by the Netlify functions
+ *
+ * A key reads PRO-YYYYMMDD-XXXXX: the expiry date and a checksum of the
+ * prefix and date, salted server-side. Kept outside netlify/functions so it
+ * is bundled into the functions that require it rather than deployed as one;
+ * `.cjs` because the package is an ES module package, and esbuild would
+ * otherwise read `module.exports` here as an empty ES module.
+ *
+ * Required environment variables:
+ * - LICENSE_SALT: Secret salt for license key checksums (falls back to the
+ *   legacy value so keys issued before the env var was set remain valid)
+ */
+
+const LICENSE_SALT = process.env.LICENSE_SALT || 'casino-impact-pro-2024';
+
+/**
+ * Generate a checksum for license validation
+ */
+function generateChecksum(input) {
+  let hash = 0;
+  const str = input + LICENSE_SALT;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+
+  return Math.abs(hash).toString(36).toUpperCase().padStart(5, '0').slice(0, 5);
+}
+
+/**
+ * Check a license key's format, checksum and expiry.
+ * @returns {{ valid: boolean, error?: string, expiresAt?: Date }}
+ */
+function checkLicenseKey(key) {
+  const match = key.trim().toUpperCase().match(/^(PRO)-(\d{8})-([A-Z0-9]{5})$/);
+  if (!match) return { valid: false, error: 'Invalid license format' };
+
+  const [, prefix, dateStr, checksum] = match;
+  if (checksum !== generateChecksum(prefix + dateStr)) return { valid: false, error: 'Invalid license key' };
+
+  const expiresAt = new Date(+dateStr.slice(0, 4), +dateStr.slice(4, 6) - 1, +dateStr.slice(6, 8), 23, 59, 59);
+  if (expiresAt < new Date()) return { valid: false, error: 'License has expired', expiresAt };
+
+  return { valid: true, expiresAt };
+}
+
+module.exports = { generateChecksum, checkLicenseKey };
@@ -1,8 +1,5 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Building2, DollarSign, Users, TrendingUp, ChevronDown, Calculator, MapPin, Loader2, Presentation, FileText, Lock, Lightbulb, X, Send, Bug, Key, Shield, Calendar, Trash2, Copy, Check, FileDown, SlidersHorizontal } from 'lucide-react';
-import multiplierData from './data/multipliers.json';
-import gamingTaxRatesData from './data/gamingTaxRates.json';
-import employmentTaxRatesData from './data/employmentTaxRates.json';
+import { Building2, DollarSign, Users, TrendingUp, Landmark, ChevronDown, Calculator, MapPin, Loader2, Presentation, FileText, Lock, Lightbulb, X, Send, Bug, Key, Shield, Calendar, Trash2, Copy, Check, FileDown, SlidersHorizontal, Layers, Database, ArrowLeftRight, History } from 'lucide-react';
 import { ARCHETYPES, ARCHETYPE_LIST, calculateArchetypeEmployment } from './data/archetypes';
 import { calculateCombinedImpact, calculateGamingTax, calculatePayrollTax, calculateHouseholdTax, formatNumber, formatCurrency, formatJobs, isOnlinePropertyType } from './utils/calculations';
 import {
@@ -29,15 +26,53 @@ import ImpactFlowChart from './components/dashboard/ImpactFlowChart';
 import SectionHeader from './components/dashboard/SectionHeader';
 import Toolbar from './components/dashboard/Toolbar';
 import ProjectsDrawer from './components/dashboard/ProjectsDrawer';
+import CalculationDrawer, { ShowCalculationButton } from './components/dashboard/CalculationDrawer';
 import ScenarioCompare from './components/dashboard/ScenarioCompare';
+import PortfolioPanel from './components/dashboard/PortfolioPanel';
+import BatchPanel from './components/dashboard/BatchPanel';
+import MigrationNotice from './components/dashboard/MigrationNotice';
+import SavedResultsPanel from './components/dashboard/SavedResultsPanel';
 import SensitivityPanel from './components/dashboard/SensitivityPanel';
 import HeroSummary from './components/dashboard/HeroSummary';
 import ControlBar from './components/dashboard/ControlBar';
+import NetImpactComparison from './components/dashboard/NetImpactComparison';
+import LocalTaxSplit from './components/dashboard/LocalTaxSplit';
+import PriceYearSettings from './components/dashboard/PriceYearSettings';
+import MultiplierTypeSettings from './components/dashboard/MultiplierTypeSettings';
+import MultiplierSetManager from './components/dashboard/MultiplierSetManager';
+import RegionSettings from './components/dashboard/RegionSettings';
+import RegionSplit from './components/dashboard/RegionSplit';
+import SpilloverSettings from './components/dashboard/SpilloverSettings';
+import SpilloverSplit from './components/dashboard/SpilloverSplit';
+import VintageSettings from './components/dashboard/VintageSettings';
+import VintageCompare from './components/dashboard/VintageCompare';
+import UncertaintyPanel from './components/dashboard/UncertaintyPanel';
 import {
-  buildAnalysis, applyAnalysis, buildShareURL, readAnalysisFromURL, clearURLParam,
-  loadProjects, saveProject as saveProjectStore, deleteProject as deleteProjectStore,
+  buildAnalysis, applyAnalysis, migrateAnalysis, hasMigrationNotes, buildShareURL, readAnalysisFromURL, clearURLParam,
+  loadProjects, saveProject as saveProjectStore, deleteProject as deleteProjectStore, updateProjectSnapshot,
+  DEFAULT_NET_IMPACT,
 } from './utils/analysisState';
-import { buildResultsCSV, downloadCSV, printReport, slugify } from './utils/exporters';
+import { computeScenario } from './utils/computeScenario';
+import { buildSnapshot, diffSnapshot, sameAnalysis } from './utils/resultsSnapshot';
+import { DEFAULT_PRO_FORMA, runProForma } from './utils/proForma';
+import { DEFAULT_GOAL_SEEK, runGoalSeek } from './utils/goalSeek';
+import { DEFAULT_CPI } from './utils/cpi';
+import { DEFAULT_REGION } from './utils/region';
+import { DEFAULT_SPILLOVER } from './utils/spillover';
+import { CURRENT_VINTAGE, MODEL_STATES, VINTAGES } from './utils/dataVintages';
+import { isAnalysisDataLoaded, loadAnalysisData, preloadNeighbors, stateSlice, vintageIndex } from './utils/dataService';
+import { DEFAULT_MULTIPLIER_TYPE, describeMultiplierType, isDefaultMultiplierType, normalizeMultiplierType } from './utils/multiplierType';
+import { DEFAULT_LOCAL_TAX, localJurisdictions, localTaxConfig } from './utils/localTax';
+import { DEFAULT_VOLUMES, feeVolumeFields } from './utils/gamingFees';
+import { DEFAULT_TRIBAL, isTribalOperation } from './utils/tribalCompact';
+import { DEFAULT_UNCERTAINTY } from './utils/monteCarlo';
+import { DEFAULT_TORNADO, runTornado } from './utils/sensitivity';
+import {
+  loadPortfolio, persistPortfolio, addProperty, removeProperty, computePortfolio,
+} from './utils/portfolio';
+import { buildResultsCSV, buildPortfolioCSV, downloadCSV, printReport, slugify } from './utils/exporters';
+import { buildResultsWorkbook } from './utils/workbookExport';
+import { buildXLSX, downloadXLSX } from './utils/xlsx';
 // Report generators are dynamically imported to reduce initial bundle size
 // import { generateReport } from './utils/reportGenerator';
 // import { downloadPPTX } from './utils/pptxGenerator';
@@ -87,6 +122,15 @@ function InputField({ label, value, onChange, placeholder, helpText, type = 'num
   );
 }
 
+// Operating volumes that drive non-GGR gaming fees (see utils/gamingFees)
+const VOLUME_FIELDS = {
+  annualVisits: { label: 'Annual Admissions', placeholder: 'e.g., 2500000', helpText: 'Patron admissions per year (per-admission taxes and fees)' },
+  sportsHandle: { label: 'Annual Sports Handle', placeholder: 'e.g., 500', prefix: '$', suffix: 'M', helpText: 'Total amount wagered per year' },
+  averageWager: { label: 'Average Wager', placeholder: 'e.g., 40', prefix: '$', helpText: 'Converts handle to a wager count for per-wager taxes' },
+  slotCount: { label: 'Slot Machines', placeholder: 'e.g., 1200', helpText: 'Devices subject to annual per-device fees' },
+  tableCount: { label: 'Table Games', placeholder: 'e.g., 60', helpText: 'Tables subject to annual per-table fees' },
+};
+
 // Select Field Component
 function SelectField({ label, value, onChange, options, helpText, id }) {
   const selectId = id || label.toLowerCase().replace(/\s+/g, '-');
@@ -272,17 +316,17 @@ function buildTaxConfig(taxInfo, customRate, slotRevenuePct, propertyType = null
   } else if (effectiveTaxInfo.rateStructure === 'split_tiered' && effectiveTaxInfo.slotTiers && effectiveTaxInfo.tableTiers) {
     config.slotTiers = effectiveTaxInfo.slotTiers;
     config.tableTiers = effectiveTaxInfo.tableTiers;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.rateStructure === 'tiered' && effectiveTaxInfo.tiers) {
     config.tiers = effectiveTaxInfo.tiers;
   } else if (effectiveTaxInfo.rateStructure === 'split_game_type' && effectiveTaxInfo.slotsRate != null && effectiveTaxInfo.tableRate != null) {
     config.slotsRate = effectiveTaxInfo.slotsRate;
     config.tableRate = effectiveTaxInfo.tableRate;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.slotTableSplit && effectiveTaxInfo.slotsRate != null && effectiveTaxInfo.tableRate != null) {
     config.slotsRate = effectiveTaxInfo.slotsRate;
     config.tableRate = effectiveTaxInfo.tableRate;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.flatRate != null) {
     config.flatRate = effectiveTaxInfo.flatRate;
   } else if (effectiveTaxInfo.effectiveRate != null) {
@@ -339,14 +383,49 @@ export default function App() {
 
   // Gaming tax state
   const [gamingTaxCustomRate, setGamingTaxCustomRate] = useState(null); // User override rate (0-1)
+  const [localTax, setLocalTax] = useState(DEFAULT_LOCAL_TAX); // Local levies and host-community payments
+  const [tribal, setTribal] = useState(DEFAULT_TRIBAL); // Tribal operation flag + compact options
+  const [volumes, setVolumes] = useState(DEFAULT_VOLUMES); // Admissions, handle, device counts for non-GGR fees
   const [slotRevenuePct, setSlotRevenuePct] = useState(70); // For split-rate states: % of GGR from slots
 
+  // Net-impact adjustment (gross vs. net of substitution/displacement)
+  const [netImpact, setNetImpact] = useState(DEFAULT_NET_IMPACT);
+
+  // Multi-year pro forma settings (ramp, growth, CPI, tax schedule, discounting)
+  const [proForma, setProForma] = useState(DEFAULT_PRO_FORMA);
+
+  // Goal-seek target (which input to solve for, and the metric value to hit)
+  const [goalSeek, setGoalSeek] = useState(DEFAULT_GOAL_SEEK);
+
+  // Price year and CPI series (deflator for the jobs coefficients)
+  const [cpi, setCpi] = useState(DEFAULT_CPI);
+
+  // Type I / Type II / both reporting and the share of the induced effect counted
+  const [multiplierType, setMultiplierType] = useState(DEFAULT_MULTIPLIER_TYPE);
+  const [multiplierSet, setMultiplierSet] = useState(null);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [spillover, setSpillover] = useState(DEFAULT_SPILLOVER);
+
+  // Data edition (vintage of the multipliers and tax data)
+  const [vintage, setVintage] = useState(CURRENT_VINTAGE);
+
+  // Monte Carlo settings, and the last simulation result (cleared when inputs change)
+  const [uncertainty, setUncertainty] = useState(DEFAULT_UNCERTAINTY);
+  const [uncertaintyResult, setUncertaintyResult] = useState(null);
+
+  // Tornado (one-at-a-time sensitivity) view settings, shared with the PPTX export
+  const [tornadoSettings, setTornadoSettings] = useState(DEFAULT_TORNADO);
+
   // Wizard helper state
   const [hasOtherRevenue, setHasOtherRevenue] = useState(false);
   const [hasKnownData, setHasKnownData] = useState(false);
 
   // Revenue Forecaster import state
   const [importedFromForecaster, setImportedFromForecaster] = useState(false);
+  // { label, report } from migrateAnalysis when a link, project or import needed changes
+  const [migrationNotice, setMigrationNotice] = useState(null);
+  // Reopened project with frozen results: { projectId, name, snapshot, analysis, diff, view: 'current' | 'saved' }
+  const [savedResults, setSavedResults] = useState(null);
   const [importedArchetype, setImportedArchetype] = useState(null);
 
   // Archetype comparison
@@ -359,7 +438,14 @@ export default function App() {
   const [shareCopied, setShareCopied] = useState(false);
   const [compareActive, setCompareActive] = useState(false);
   const [scenarios, setScenarios] = useState([]);
+  const [portfolioActive, setPortfolioActive] = useState(false);
+  const [batchActive, setBatchActive] = useState(false);
+  const [portfolio, setPortfolio] = useState(() => loadPortfolio());
   const [showSensitivity, setShowSensitivity] = useState(false);
+  // Calculation trace drawer (metric key) and whether the Word report appends the trace
+  const [traceMetric, setTraceMetric] = useState(null);
+  const [traceInReport, setTraceInReport] = useState(false);
+  const [showUncertainty, setShowUncertainty] = useState(false);
   const [inputsOpen, setInputsOpen] = useState(false);
 
   // Close the inputs slide-over on Escape
@@ -398,34 +484,38 @@ export default function App() {
     // Check for Revenue Forecaster import via URL params
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('from') === 'forecaster') {
-      const importedState = urlParams.get('state');
       const importedName = urlParams.get('name');
-      const importedPropertyType = urlParams.get('propertyType');
-      const importedGaming = parseFloat(urlParams.get('gaming')) || null;
-      const importedFood = parseFloat(urlParams.get('food')) || null;
-      const importedLodging = parseFloat(urlParams.get('lodging')) || null;
-      const importedOther = parseFloat(urlParams.get('other')) || null;
+      const importedNumber = (key) => parseFloat(urlParams.get(key)) || null;
       const importedArchetypeKey = urlParams.get('archetype');
 
-      // Pre-fill state
-      if (importedState && multiplierData.states.includes(importedState)) {
-        setState(importedState);
+      // The forecaster sends a partial analysis; validate it like any other import
+      const { analysis: imported, report } = migrateAnalysis({
+        state: urlParams.get('state'),
+        casinoName: importedName ? decodeURIComponent(importedName) : '',
+        propertyType: urlParams.get('propertyType') || undefined,
+        inputMode: 'department',
+        revenues: {
+          gaming: importedNumber('gaming'),
+          food: importedNumber('food'),
+          lodging: importedNumber('lodging'),
+          other: importedNumber('other'),
+          total: null
+        },
+      }, { reportDefaults: false });
+      if (report.errors.length || report.dropped.length) {
+        setMigrationNotice({ label: 'Revenue Forecaster import', report });
       }
-      if (importedName) setCasinoName(decodeURIComponent(importedName));
-      if (importedPropertyType) setPropertyType(importedPropertyType);
-      setInputMode('department');
-
-      // Pre-fill revenues
-      setRevenues({
-        gaming: importedGaming,
-        food: importedFood,
-        lodging: importedLodging,
-        other: importedOther,
-        total: null
+      window.history.replaceState({}, '', window.location.pathname);
+      if (!imported) return;
+
+      applyAnalysis(imported, {
+        setState, setCasinoName, setPropertyType, setTribal, setInputMode,
+        setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct, setVolumes, setLocalTax,
+        setNetImpact, setProForma, setUncertainty, setGoalSeek, setCpi, setMultiplierType, setMultiplierSet, setRegion, setSpillover, setVintage,
       });
 
       // Show non-gaming revenue sections
-      if (importedFood || importedLodging || importedOther) {
+      if (imported.revenues.food || imported.revenues.lodging || imported.revenues.other) {
         setHasOtherRevenue(true);
       }
 
@@ -440,9 +530,7 @@ export default function App() {
         setShowArchetypeComparison(true);
       }
 
-      // Clear URL params to avoid re-import on refresh
-      window.history.replaceState({}, '', window.location.pathname);
-      return; // Skip Stripe redirect handling
+      return; // Skip Stripe redirect handling (URL params already cleared to avoid re-import)
     }
 
     // Helper to restore wizard state from sessionStorage
@@ -535,93 +623,87 @@ export default function App() {
     setProjects(loadProjects());
     const shared = readAnalysisFromURL();
     if (shared) {
-      applyAnalysis(shared, {
-        setState, setCasinoName, setPropertyType, setInputMode,
-        setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct,
-      });
-      setWizardComplete(true);
+      if (hasMigrationNotes(shared.report)) setMigrationNotice({ label: 'The shared link', report: shared.report });
+      if (shared.analysis) {
+        applyAnalysis(shared.analysis, {
+          setState, setCasinoName, setPropertyType, setTribal, setInputMode,
+          setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct, setVolumes, setLocalTax,
+          setNetImpact, setProForma, setUncertainty, setGoalSeek, setCpi, setMultiplierType, setMultiplierSet, setRegion, setSpillover, setVintage,
+        });
+        setWizardComplete(true);
+      }
       clearURLParam();
     }
   }, []);
 
   // Calculate results using property-type-specific multipliers
   const isOnline = isOnlinePropertyType(propertyType);
-  const results = useMemo(() => {
-    return calculateCombinedImpact(
-      revenues,
-      multiplierData.multipliers,
-      multiplierData.gambling,
-      state,
-      true,  // Use gambling-specific (fallback if no property type)
-      knownData,  // Department-level known data object
-      null,       // Legacy parameter (not used with new format)
-      propertyType || null,
-      multiplierData.propertyTypes || null,
-      inputMode,
-      multiplierData.onlineGaming || null
-    );
-  }, [revenues, state, knownData, propertyType, inputMode]);
 
   // Stable serialized analysis for the sensitivity/projection panel so it
   // doesn't recompute its sweeps on every unrelated render.
   const liveAnalysis = useMemo(() => buildAnalysis({
-    state, casinoName, propertyType, inputMode, revenues, knownData,
-    gamingTaxCustomRate, slotRevenuePct,
-  }), [state, casinoName, propertyType, inputMode, revenues, knownData, gamingTaxCustomRate, slotRevenuePct]);
-
-  // Gaming tax calculation (separate from TOPI in IO model)
-  const stateTaxConfig = gamingTaxRatesData.rates[state];
-  const gamingTaxResult = useMemo(() => {
-    // For online types, check if the state has that specific online type legalized
-    if (isOnline) {
-      const hasOnlineType = propertyType === 'ONLINE_CASINO'
-        ? stateTaxConfig?.hasIGaming
-        : stateTaxConfig?.hasSportsBetting;
-      if (!hasOnlineType && (gamingTaxCustomRate == null || gamingTaxCustomRate === '')) return null;
-    } else {
-      const hasCommercial = stateTaxConfig && stateTaxConfig.hasCommercial;
-      // Allow calculation if state has commercial gaming OR user provided a custom rate
-      if (!hasCommercial && (gamingTaxCustomRate == null || gamingTaxCustomRate === '')) return null;
+    state, casinoName, propertyType, tribal, inputMode, revenues, knownData,
+    gamingTaxCustomRate, slotRevenuePct, volumes, localTax, netImpact, proForma, uncertainty, goalSeek, cpi, multiplierType, multiplierSet, region, spillover, vintage,
+  }), [state, casinoName, propertyType, tribal, inputMode, revenues, knownData, gamingTaxCustomRate, slotRevenuePct, volumes, localTax, netImpact, proForma, uncertainty, goalSeek, cpi, multiplierType, multiplierSet, region, spillover, vintage]);
+
+  useEffect(() => setUncertaintyResult(null), [liveAnalysis]);
+
+  // The model data is fetched per state: the analysis' own state and its
+  // spillover neighbors, on its edition. Results wait for it; once it is in,
+  // the neighboring states load in the background.
+  const [, setDataLoads] = useState(0);
+  const [dataError, setDataError] = useState(null);
+  const dataReady = isAnalysisDataLoaded(liveAnalysis);
+  useEffect(() => {
+    setDataError(null);
+    if (dataReady) {
+      preloadNeighbors(state, vintage);
+      return;
     }
-    const ggr = inputMode === 'total' ? (revenues.total || 0) : (revenues.gaming || 0);
-    if (ggr <= 0) return null;
-
-    // Build tax config for calculation (passes propertyType for online routing)
-    let taxConfig = buildTaxConfig(stateTaxConfig, gamingTaxCustomRate, slotRevenuePct, propertyType);
-
-    const gamingTax = calculateGamingTax(ggr, taxConfig);
-    const effectiveRate = ggr > 0 ? gamingTax / ggr : 0;
-    return { amount: gamingTax, effectiveRate, ggr };
-  }, [revenues, state, inputMode, gamingTaxCustomRate, slotRevenuePct, stateTaxConfig, propertyType, isOnline]);
-
-  // Payroll and household tax calculations
-  const stateEmploymentTaxRates = employmentTaxRatesData.states[state];
-  const payrollTaxResult = useMemo(() => {
-    if (!results || !stateEmploymentTaxRates) return null;
-    const federal = employmentTaxRatesData.federal;
-    const w = results.totals.wages;
-    const e = results.totals.employment;
-    return {
-      direct: calculatePayrollTax(w.direct, e.direct, stateEmploymentTaxRates, federal),
-      indirect: calculatePayrollTax(w.indirect, e.indirect, stateEmploymentTaxRates, federal),
-      induced: calculatePayrollTax(w.induced, e.induced, stateEmploymentTaxRates, federal),
-      get total() { return this.direct + this.indirect + this.induced; }
-    };
-  }, [results, state, stateEmploymentTaxRates]);
-
-  const householdTaxResult = useMemo(() => {
-    if (!results || !stateEmploymentTaxRates) return null;
-    const w = results.totals.wages;
-    return {
-      direct: calculateHouseholdTax(w.direct, stateEmploymentTaxRates),
-      indirect: calculateHouseholdTax(w.indirect, stateEmploymentTaxRates),
-      induced: calculateHouseholdTax(w.induced, stateEmploymentTaxRates),
-      get total() { return this.direct + this.indirect + this.induced; }
-    };
-  }, [results, state, stateEmploymentTaxRates]);
-
-  // State options
-  const stateOptions = multiplierData.states.map(s => ({ value: s, label: s }));
+    let current = true;
+    loadAnalysisData(liveAnalysis).then(
+      () => current && setDataLoads(n => n + 1),
+      (err) => current && setDataError(err.message),
+    );
+    return () => { current = false; };
+  }, [liveAnalysis, dataReady]);
+
+  // Impact, gaming tax (separate from TOPI in IO model), payroll and household
+  // taxes, and the optional gross-vs-net adjustment all come from the shared engine
+  // — unless a reopened project is being re-issued from its frozen snapshot
+  const frozenActive = savedResults?.view === 'saved' && sameAnalysis(liveAnalysis, savedResults.analysis);
+  const scenario = useMemo(
+    () => (frozenActive ? savedResults.snapshot.bundle
+      : dataReady ? computeScenario(liveAnalysis, { trace: true })
+      : { results: null, multiplierType: liveAnalysis.multiplierType }),
+    [liveAnalysis, frozenActive, savedResults, dataReady],
+  );
+  const {
+    results, gamingTaxResult, localTaxResult, payrollTaxResult, householdTaxResult,
+    net: netResult, typeI: typeIResult,
+  } = scenario;
+  // Frozen snapshots from before Type I reporting have no multiplierType: Type II
+  const reportedType = normalizeMultiplierType(scenario.multiplierType);
+  const showInduced = reportedType.report !== 'typeI';
+  const slice = stateSlice(state, vintage);
+  const dataIndex = vintageIndex(vintage);
+  const stateTaxConfig = (frozenActive && scenario.stateTaxConfig) || slice?.gamingTaxRates;
+  const localConfig = localTaxConfig(stateTaxConfig, localTax.jurisdiction);
+  const localJurisdictionOptions = localJurisdictions(stateTaxConfig).map(j => ({ value: j.id, label: j.name }));
+  const feeTerms = isOnline
+    ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.iGaming : stateTaxConfig?.sportsBetting)?.fees
+    : stateTaxConfig?.fees;
+  const volumeFields = feeVolumeFields(feeTerms);
+  const isTribal = isTribalOperation(liveAnalysis, stateTaxConfig);
+  const showSlotSlider = !gamingTaxCustomRate && (isTribal
+    ? (stateTaxConfig.compact?.payments || []).some(p => p.basis === 'slot' || p.basis === 'table')
+    : !isOnline && !!stateTaxConfig?.hasCommercial && (stateTaxConfig.rateStructure === 'split_game_type' || stateTaxConfig.rateStructure === 'split_tiered' || stateTaxConfig.slotTableSplit));
+  if (localTax.enabled && localConfig.admissionFee > 0 && !volumeFields.includes('annualVisits')) volumeFields.unshift('annualVisits');
+  const stateEmploymentTaxRates = slice?.employmentTaxRates;
+
+  // State options (the edition's states once its index is in)
+  const modelStates = dataIndex?.states || MODEL_STATES;
+  const stateOptions = modelStates.map(s => ({ value: s, label: s }));
 
   // Author info for reports
   const authorInfo = {
@@ -739,25 +821,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
     try {
       // Dynamic import for code splitting - PPTX generator loaded on demand
       const { downloadPPTX } = await import('./utils/pptxGenerator');
-      const propertyTypeLabel = PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label || null;
-      await downloadPPTX(
-        results,
-        {
-          state,
-          casinoName,
-          useGamblingSpecific: true,
-          revenues,
-          knownData,
-          propertyType,
-          propertyTypeLabel,
-          inputMode,
-          gamingTaxResult,
-          stateTaxConfig,
-          payrollTaxResult,
-          householdTaxResult
-        },
-        authorInfo
-      );
+      await downloadPPTX(results, buildReportInputs(), authorInfo);
     } catch (error) {
       console.error('Failed to generate PPTX:', error);
       console.error('Error message:', error.message);
@@ -779,9 +843,22 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
     propertyTypeLabel: PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label || null,
     inputMode,
     gamingTaxResult,
+    localTaxResult,
     stateTaxConfig,
     payrollTaxResult,
     householdTaxResult,
+    netResult,
+    proFormaResult: proForma.includeInExports ? runProForma(liveAnalysis) : null,
+    uncertaintyResult,
+    tornadoResult: tornadoSettings.includeInExports ? runTornado(liveAnalysis, tornadoSettings) : null,
+    cpiResult: scenario.cpi || null,
+    multiplierTypeResult: reportedType,
+    typeIResult,
+    multiplierSourceResult: scenario.multiplierSource || null,
+    regionResult: scenario.region || null,
+    spilloverResult: scenario.spillover || null,
+    vintageResult: scenario.vintage || null,
+    calculationTrace: traceInReport ? scenario.trace || null : null,
   });
 
   // Handle Word (.docx) report generation — same license gating as PPTX.
@@ -840,25 +917,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
 
     try {
       const { downloadPPTX } = await import('./utils/pptxGenerator');
-      const propertyTypeLabel = PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label || null;
-      await downloadPPTX(
-        results,
-        {
-          state,
-          casinoName,
-          useGamblingSpecific: true,
-          revenues,
-          knownData,
-          propertyType,
-          propertyTypeLabel,
-          inputMode,
-          gamingTaxResult,
-          stateTaxConfig,
-          payrollTaxResult,
-          householdTaxResult
-        },
-        authorInfo
-      );
+      await downloadPPTX(results, buildReportInputs(), authorInfo);
     } catch (error) {
       console.error('Failed to generate PPTX:', error);
       alert(`Failed to generate PPTX: ${error.message}`);
@@ -883,21 +942,22 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
         other: { emp: null, wages: null }
       };
 
+      const sampleData = await loadAnalysisData({ state: sampleState });
       const sampleResults = calculateCombinedImpact(
         sampleRevenues,
-        multiplierData.multipliers,
-        multiplierData.gambling,
+        sampleData.multipliers.multipliers,
+        sampleData.multipliers.gambling,
         sampleState,
         true,
         emptyKnownData,
         null,
         samplePropertyType,
-        multiplierData.propertyTypes || null,
+        sampleData.multipliers.propertyTypes || null,
         'department',
-        multiplierData.onlineGaming || null
+        sampleData.multipliers.onlineGaming || null
       );
 
-      const sampleStateTaxConfig = gamingTaxRatesData.rates[sampleState];
+      const sampleStateTaxConfig = sampleData.gamingTaxRates.rates[sampleState];
       const sampleTaxConfig = buildTaxConfig(sampleStateTaxConfig, null, 70, samplePropertyType);
       const sampleGamingTax = calculateGamingTax(sampleRevenues.gaming, sampleTaxConfig);
       const sampleGamingTaxResult = {
@@ -906,8 +966,8 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
         ggr: sampleRevenues.gaming
       };
 
-      const sampleStateEmpTaxRates = employmentTaxRatesData.states[sampleState];
-      const federal = employmentTaxRatesData.federal;
+      const sampleStateEmpTaxRates = sampleData.employmentTaxRates.states[sampleState];
+      const federal = sampleData.employmentTaxRates.federal;
       const w = sampleResults.totals.wages;
       const e = sampleResults.totals.employment;
       const samplePayrollTaxResult = {
@@ -954,6 +1014,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
   // Reset all inputs to defaults (stays on the report canvas)
   const handleStartOver = () => {
     setInputsOpen(false);
+    setSavedResults(null);
     setState('Nevada');
     setCasinoName('');
     setPropertyType('721120');
@@ -967,28 +1028,94 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
     });
     setHasOtherRevenue(false);
     setHasKnownData(false);
+    setTribal(DEFAULT_TRIBAL);
+    setVolumes(DEFAULT_VOLUMES);
+    setLocalTax(DEFAULT_LOCAL_TAX);
+    setNetImpact(DEFAULT_NET_IMPACT);
+    setProForma(DEFAULT_PRO_FORMA);
+    setUncertainty(DEFAULT_UNCERTAINTY);
+    setGoalSeek(DEFAULT_GOAL_SEEK);
+    setCpi(DEFAULT_CPI);
+    setMultiplierType(DEFAULT_MULTIPLIER_TYPE);
+    setMultiplierSet(null);
+    setRegion(DEFAULT_REGION);
+    setSpillover(DEFAULT_SPILLOVER);
+    setVintage(CURRENT_VINTAGE);
   };
 
   // ---- Save / share / projects / export / scenario comparison ----
   const currentAnalysis = () => buildAnalysis({
-    state, casinoName, propertyType, inputMode, revenues, knownData,
-    gamingTaxCustomRate, slotRevenuePct,
+    state, casinoName, propertyType, tribal, inputMode, revenues, knownData,
+    gamingTaxCustomRate, slotRevenuePct, volumes, localTax, netImpact, proForma, uncertainty, goalSeek, cpi, multiplierType, multiplierSet, region, spillover, vintage,
   });
 
-  const restoreAnalysis = (analysis) => applyAnalysis(analysis, {
-    setState, setCasinoName, setPropertyType, setInputMode,
-    setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct,
-  });
+  // Saved analyses may predate the current schema: migrate, validate, then apply
+  // Returns the applied analysis, or null when it could not be opened
+  const restoreAnalysis = (saved, label) => {
+    const { analysis, report } = migrateAnalysis(saved);
+    setMigrationNotice(hasMigrationNotes(report) ? { label, report } : null);
+    setSavedResults(null);
+    if (!analysis) return null;
+    applyAnalysis(analysis, {
+      setState, setCasinoName, setPropertyType, setTribal, setInputMode,
+      setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct, setVolumes, setLocalTax,
+      setNetImpact, setProForma, setUncertainty, setGoalSeek, setCpi, setMultiplierType, setMultiplierSet, setRegion, setSpillover, setVintage,
+    });
+    return analysis;
+  };
 
-  const handleSaveProject = (name) => {
-    saveProjectStore(name || casinoName || 'Untitled analysis', currentAnalysis());
+  const handleSaveProject = (name, { freeze = false } = {}) => {
+    const analysis = currentAnalysis();
+    saveProjectStore(name || casinoName || 'Untitled analysis', analysis, { snapshot: freeze ? buildSnapshot(analysis) : null });
     setProjects(loadProjects());
   };
 
-  const handleOpenProject = (project) => {
-    restoreAnalysis(project.analysis);
+  const handleOpenProject = async (project) => {
+    const analysis = restoreAnalysis(project.analysis, `Project "${project.name}"`);
     setProjectsOpen(false);
+    if (!analysis) return;
     setWizardComplete(true);
+    if (project.snapshot) {
+      // The comparison with the saved results runs on the project's own data
+      try {
+        await loadAnalysisData(analysis);
+      } catch {
+        return;
+      }
+      setSavedResults({
+        projectId: project.id, name: project.name, snapshot: project.snapshot, analysis,
+        diff: diffSnapshot(project.snapshot, analysis), view: 'current',
+      });
+    }
+  };
+
+  // Re-freeze a reopened project's saved inputs on current data
+  const handleUpdateSnapshot = () => {
+    const snapshot = buildSnapshot(savedResults.analysis);
+    updateProjectSnapshot(savedResults.projectId, snapshot);
+    setProjects(loadProjects());
+    setSavedResults(null);
+  };
+
+  // Batch rows chosen for saving; saved last-first so the drawer lists them in file order
+  const handleSaveBatchProjects = (entries) => {
+    for (const { name, analysis } of [...entries].reverse()) saveProjectStore(name, analysis);
+    setProjects(loadProjects());
+  };
+
+  // Analyses from a reviewed .gems file: projects join the saved list in file
+  // order, scenarios join the comparison (up to its four slots)
+  const handleImportProjectFile = (file) => {
+    for (const { name, analysis, snapshot } of [...file.projects].reverse()) saveProjectStore(name, analysis, { snapshot });
+    setProjects(loadProjects());
+    if (file.scenarios.length) {
+      setScenarios(prev => [...prev, ...file.scenarios.map((s, i) => ({
+        id: `s_${Date.now().toString(36)}_i${i}`,
+        name: s.name,
+        analysis: s.analysis,
+      }))].slice(0, 4));
+      setCompareActive(true);
+    }
   };
 
   const handleDeleteProject = (id) => {
@@ -1010,7 +1137,16 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
   const exportContext = () => ({
     state, casinoName,
     propertyTypeLabel: PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label || null,
-    gamingTaxResult, payrollTaxResult, householdTaxResult,
+    gamingTaxResult, localTaxResult, payrollTaxResult, householdTaxResult, netResult,
+    cpiResult: scenario.cpi || null,
+    multiplierTypeResult: reportedType,
+    typeIResult,
+    multiplierSourceResult: scenario.multiplierSource || null,
+    regionResult: scenario.region || null,
+    spilloverResult: scenario.spillover || null,
+    vintageResult: scenario.vintage || null,
+    proFormaResult: proForma.includeInExports ? runProForma(liveAnalysis) : null,
+    goalSeekResult: goalSeek.includeInExports ? runGoalSeek(liveAnalysis, goalSeek) : null,
   });
 
   const handleExportCSV = () => {
@@ -1018,6 +1154,17 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
     downloadCSV(`${slugify(casinoName, 'gems-analysis')}.csv`, buildResultsCSV(results, exportContext()));
   };
 
+  // Audit workbook: live formulas over inputs and coefficients, from the bundle on screen (live or frozen)
+  const handleExportXLSX = () => {
+    if (!results) return;
+    const sheets = buildResultsWorkbook(liveAnalysis, scenario, {
+      casinoName,
+      propertyTypeLabel: PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label || null,
+      includeSensitivity: showSensitivity,
+    });
+    downloadXLSX(`${slugify(casinoName, 'gems-analysis')}.xlsx`, buildXLSX(sheets));
+  };
+
   const handleAddScenario = () => {
     setScenarios(prev => (prev.length >= 4 ? prev : [...prev, {
       id: `s_${Date.now().toString(36)}_${prev.length}`,
@@ -1033,6 +1180,76 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
     setCompareActive(a => !a);
   };
 
+  // ---- Portfolio (multi-property workspace, persisted in localStorage) ----
+  // The rollup waits for every property's data (state, neighbors, edition) to load
+  const [portfolioDataLoads, setPortfolioDataLoads] = useState(0);
+  const portfolioPending = portfolio.properties.map(p => p.analysis).filter(a => !isAnalysisDataLoaded(a));
+  useEffect(() => {
+    if (!portfolioActive || !portfolioPending.length) return;
+    Promise.all(portfolioPending.map(loadAnalysisData)).then(
+      () => setPortfolioDataLoads(n => n + 1),
+      (err) => setDataError(err.message),
+    );
+  }, [portfolioActive, portfolioPending.map(a => `${a.vintage}/${a.state}`).join()]);
+  const portfolioRollup = useMemo(
+    () => (portfolioActive && !portfolioPending.length ? computePortfolio(portfolio) : null),
+    [portfolio, portfolioActive, portfolioDataLoads, portfolioPending.length],
+  );
+
+  const updatePortfolio = (fn) => setPortfolio(prev => {
+    const next = fn(prev);
+    persistPortfolio(next);
+    return next;
+  });
+
+  const handleAddToPortfolio = () => {
+    updatePortfolio(p => addProperty(p, casinoName?.trim() || `${state} · ${PROPERTY_TYPE_OPTIONS.find(o => o.value === propertyType)?.label || 'Property'}`, currentAnalysis()));
+  };
+
+  const handleOpenPortfolioProperty = (property) => {
+    restoreAnalysis(property.analysis, `Property "${property.name}"`);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleExportPortfolioCSV = () => {
+    downloadCSV(`${slugify(portfolio.name, 'gems-portfolio')}.csv`, buildPortfolioCSV(portfolioRollup, { name: portfolio.name }));
+  };
+
+  // Portfolio reports are Pro exports like the single-property ones
+  const handleExportPortfolioWord = async () => {
+    if (!FREE_LAUNCH && userTier !== 'pro') {
+      setShowPremiumModal(true);
+      return;
+    }
+    setIsGeneratingDocx(true);
+    try {
+      const { downloadPortfolioDocxReport } = await import('./utils/docxReportGenerator');
+      await downloadPortfolioDocxReport(portfolioRollup, { name: portfolio.name }, authorInfo);
+    } catch (error) {
+      console.error('Failed to generate portfolio report:', error);
+      alert(`Failed to generate portfolio report: ${error.message}`);
+    } finally {
+      setIsGeneratingDocx(false);
+    }
+  };
+
+  const handleExportPortfolioPPTX = async () => {
+    if (!FREE_LAUNCH && userTier !== 'pro') {
+      setShowPremiumModal(true);
+      return;
+    }
+    setIsGeneratingPPTX(true);
+    try {
+      const { downloadPortfolioPPTX } = await import('./utils/pptxGenerator');
+      await downloadPortfolioPPTX(portfolioRollup, { name: portfolio.name }, authorInfo);
+    } catch (error) {
+      console.error('Failed to generate portfolio deck:', error);
+      alert(`Failed to generate portfolio deck: ${error.message}`);
+    } finally {
+      setIsGeneratingPPTX(false);
+    }
+  };
+
 
   // ============================================================
   // DASHBOARD VIEW (after wizard completion)
@@ -1179,6 +1396,17 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
         onClose={() => setProjectsOpen(false)}
         onOpenProject={handleOpenProject}
         onDelete={handleDeleteProject}
+        scenarios={scenarios}
+        onImportFile={handleImportProjectFile}
+      />
+
+      {/* How a result was calculated */}
+      <CalculationDrawer
+        metric={traceMetric}
+        trace={scenario.trace}
+        onClose={() => setTraceMetric(null)}
+        includeInReport={traceInReport}
+        onIncludeInReportChange={setTraceInReport}
       />
 
       {/* Skip to main content link for accessibility */}
@@ -1210,6 +1438,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
           shareCopied={shareCopied}
           onOpenProjects={() => setProjectsOpen(true)}
           onExportCSV={handleExportCSV}
+          onExportXLSX={handleExportXLSX}
           onPrint={printReport}
           onExportWord={() => (userTier === 'pro' ? handleDownloadWord() : setShowPremiumModal(true))}
           onExportPPTX={() => (userTier === 'pro' ? handleDownloadPPTX() : setShowPremiumModal(true))}
@@ -1218,8 +1447,50 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
           compareActive={compareActive}
           onToggleCompare={toggleCompare}
           canCompare={!!results}
+          portfolioActive={portfolioActive}
+          onTogglePortfolio={() => setPortfolioActive(a => !a)}
+          portfolioCount={portfolio.properties.length}
+          batchActive={batchActive}
+          onToggleBatch={() => setBatchActive(a => !a)}
         />
 
+        {/* Batch analysis from a spreadsheet (full width) */}
+        {batchActive && (
+          <div className="dash-card p-6 mb-6 animate-fade-in-up">
+            <SectionHeader>Batch Analysis</SectionHeader>
+            <p className="text-xs text-text-muted -mt-2 mb-4">
+              Run the same methodology over many properties or sites from one CSV or Excel file. Download the template for the expected columns.
+            </p>
+            <BatchPanel onSaveProjects={handleSaveBatchProjects} />
+          </div>
+        )}
+
+        {/* Portfolio workspace (full width) */}
+        {portfolioActive && portfolioRollup && (
+          <div className="dash-card p-6 mb-6 animate-fade-in-up">
+            <SectionHeader>Portfolio</SectionHeader>
+            <p className="text-xs text-text-muted -mt-2 mb-4">
+              Roll up many properties, each modeled with its own state's multipliers and tax schedule, by state and company-wide.
+            </p>
+            <PortfolioPanel
+              portfolio={portfolio}
+              rollup={portfolioRollup}
+              onNameChange={(name) => updatePortfolio(p => ({ ...p, name }))}
+              onAddCurrent={handleAddToPortfolio}
+              canAddCurrent={!!results}
+              projects={projects}
+              onAddProject={(project) => updatePortfolio(p => addProperty(p, project.name, project.analysis))}
+              onRemove={(id) => updatePortfolio(p => removeProperty(p, id))}
+              onOpen={handleOpenPortfolioProperty}
+              onExportCSV={handleExportPortfolioCSV}
+              onExportWord={handleExportPortfolioWord}
+              onExportPPTX={handleExportPortfolioPPTX}
+              generatingWord={isGeneratingDocx}
+              generatingPPTX={isGeneratingPPTX}
+            />
+          </div>
+        )}
+
         {/* Scenario comparison (full width) */}
         {compareActive && (
           <div className="dash-card p-6 mb-6 animate-fade-in-up">
@@ -1236,6 +1507,23 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
           </div>
         )}
 
+        {/* Schema migration / import validation notice */}
+        {migrationNotice && (
+          <MigrationNotice notice={migrationNotice} onDismiss={() => setMigrationNotice(null)} />
+        )}
+
+        {/* Reopened project: frozen results vs current data */}
+        {savedResults && (savedResults.view === 'saved' || savedResults.diff.changed) && (
+          <SavedResultsPanel
+            saved={savedResults}
+            frozenActive={frozenActive}
+            onReissue={() => setSavedResults(s => ({ ...s, view: 'saved' }))}
+            onUseCurrent={() => setSavedResults(s => ({ ...s, view: 'current' }))}
+            onUpdate={handleUpdateSnapshot}
+            onDismiss={() => setSavedResults(null)}
+          />
+        )}
+
         {/* Revenue Forecaster import banner */}
         {importedFromForecaster && (
           <div className="bg-emerald-50 border border-emerald-200 rounded-xl p-4 mb-6 flex items-start justify-between">
@@ -1518,6 +1806,20 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                   options={PROPERTY_TYPE_OPTIONS.filter(p => p.value).map(p => ({ value: p.value, label: p.label }))}
                   helpText={PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.description}
                 />
+                {!isOnline && stateTaxConfig?.hasTribal && (
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={tribal.enabled}
+                      onChange={(e) => setTribal({ ...tribal, enabled: e.target.checked })}
+                      className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+                    />
+                    <span className="text-sm text-gray-700">
+                      Tribal operation
+                      <span className="block text-xs text-gray-500">Gaming payments follow the {state} tribal-state compact instead of the commercial tax</span>
+                    </span>
+                  </label>
+                )}
                 <InputField
                   label={isOnline ? "Platform/Brand Name" : "Casino/Project Name"}
                   value={casinoName}
@@ -1651,10 +1953,34 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
             <div className="dash-card p-6">
               <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
                 <DollarSign size={20} className="text-primary" />
-                {isOnline ? (propertyType === 'ONLINE_CASINO' ? 'iGaming Tax Rate' : 'Sports Betting Tax Rate') : 'Gaming Tax Rate'}
+                {isTribal ? 'Compact Revenue Sharing' : isOnline ? (propertyType === 'ONLINE_CASINO' ? 'iGaming Tax Rate' : 'Sports Betting Tax Rate') : 'Gaming Tax Rate'}
               </h2>
               <div className="space-y-3">
-                {(isOnline
+                {isTribal ? (
+                  <>
+                    <div className="text-sm text-gray-700">
+                      <span className="font-medium">{state} compact:</span>{' '}
+                      {stateTaxConfig.compact?.source || 'No compact terms are on file. Enter the revenue-sharing rate below.'}
+                    </div>
+                    {stateTaxConfig.compact?.minimumPayment > 0 && !gamingTaxCustomRate && (
+                      <label className="flex items-start gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={tribal.applyMinimum}
+                          onChange={(e) => setTribal({ ...tribal, applyMinimum: e.target.checked })}
+                          className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+                        />
+                        <span className="text-sm text-gray-700">
+                          Apply ${formatNumber(stateTaxConfig.compact.minimumPayment, 0)}M operator-wide minimum annual payment
+                          <span className="block text-xs text-gray-500">The minimum covers all of the tribe's gaming, not one property. Apply it only when this analysis covers the whole operation.</span>
+                        </span>
+                      </label>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      Compact payments are revenue sharing negotiated with the state, not a tax.
+                    </p>
+                  </>
+                ) : (isOnline
                   ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.hasIGaming : stateTaxConfig?.hasSportsBetting)
                   : stateTaxConfig && stateTaxConfig.hasCommercial) ? (
                   <>
@@ -1675,28 +2001,6 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                         <span>{formatNumber((stateTaxConfig.flatRate || stateTaxConfig.effectiveRate) * 100, 2)}% flat</span>
                       )}
                     </div>
-
-                    {/* Slot/table split slider for split-rate states (not for online types) */}
-                    {!isOnline && (stateTaxConfig.rateStructure === 'split_game_type' || stateTaxConfig.rateStructure === 'split_tiered' || stateTaxConfig.slotTableSplit) && !gamingTaxCustomRate && (
-                      <div>
-                        <label className="block text-xs font-medium text-gray-600 mb-1">
-                          Slot Revenue Share: {slotRevenuePct}%
-                        </label>
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={slotRevenuePct}
-                          onChange={(e) => setSlotRevenuePct(parseInt(e.target.value))}
-                          className="w-full accent-[#1a365d]"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                          <span>All Tables</span>
-                          <span>Effective: {gamingTaxResult ? formatNumber(gamingTaxResult.effectiveRate * 100, 1) : '-'}%</span>
-                          <span>All Slots</span>
-                        </div>
-                      </div>
-                    )}
                   </>
                 ) : (
                   <div className="text-sm text-gray-500 italic">
@@ -1706,10 +2010,32 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                   </div>
                 )}
 
+                {/* Slot/table split slider for split-rate states and compacts (not for online types) */}
+                {showSlotSlider && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Slot Revenue Share: {slotRevenuePct}%
+                    </label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={slotRevenuePct}
+                      onChange={(e) => setSlotRevenuePct(parseInt(e.target.value))}
+                      className="w-full accent-[#1a365d]"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>All Tables</span>
+                      <span>Effective: {gamingTaxResult ? formatNumber(gamingTaxResult.effectiveRate * 100, 1) : '-'}%</span>
+                      <span>All Slots</span>
+                    </div>
+                  </div>
+                )}
+
                 {/* Custom rate input */}
                 <div>
                   <InputField
-                    label={(() => {
+                    label={isTribal ? 'Custom Revenue-Sharing Rate (%)' : (() => {
                       const hasRate = isOnline
                         ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.hasIGaming : stateTaxConfig?.hasSportsBetting)
                         : stateTaxConfig?.hasCommercial;
@@ -1717,13 +2043,13 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                     })()}
                     value={gamingTaxCustomRate != null ? gamingTaxCustomRate * 100 : null}
                     onChange={(v) => setGamingTaxCustomRate(v != null ? v / 100 : null)}
-                    placeholder={(() => {
+                    placeholder={isTribal ? (stateTaxConfig.compact?.payments?.length ? 'Leave blank to use compact terms' : 'Enter compact rate (e.g., 10)') : (() => {
                       const hasRate = isOnline
                         ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.hasIGaming : stateTaxConfig?.hasSportsBetting)
                         : stateTaxConfig?.hasCommercial;
                       return hasRate ? "Leave blank to use state rate" : "Enter proposed rate (e.g., 25)";
                     })()}
-                    helpText={(() => {
+                    helpText={isTribal ? 'Flat share of net win in place of the compact schedule' : (() => {
                       const hasRate = isOnline
                         ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.hasIGaming : stateTaxConfig?.hasSportsBetting)
                         : stateTaxConfig?.hasCommercial;
@@ -1735,9 +2061,199 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                     id="custom-tax-rate"
                   />
                 </div>
+
+                {/* Volumes for admission, per-wager, device and license fees */}
+                {!isTribal && volumeFields.length > 0 && (
+                  <div className="pt-3 border-t border-gray-100 space-y-3">
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-900">Fees Beyond the GGR Tax</h3>
+                      {feeTerms?.source && <p className="text-xs text-gray-500 mt-0.5">{feeTerms.source}</p>}
+                    </div>
+                    {volumeFields.map(field => (
+                      <InputField
+                        key={field}
+                        {...VOLUME_FIELDS[field]}
+                        value={volumes[field]}
+                        onChange={(v) => setVolumes({ ...volumes, [field]: v })}
+                        id={`volume-${field}`}
+                      />
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
 
+            {/* Local & Host-Community Revenue (commercial land-based only) */}
+            {!isOnline && !isTribal && (
+              <div className="dash-card p-6">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                  <Landmark size={20} className="text-primary" />
+                  Local &amp; Host-Community Revenue
+                </h2>
+                <label className="flex items-start gap-3 cursor-pointer mb-4">
+                  <input
+                    type="checkbox"
+                    checked={localTax.enabled}
+                    onChange={(e) => setLocalTax({ ...localTax, enabled: e.target.checked })}
+                    className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+                  />
+                  <span className="text-sm text-gray-700">
+                    Split gaming revenue between state, local and host community
+                    <span className="block text-xs text-gray-500">Local GGR surcharges, admission-fee shares, distributions of state tax, and host-community payments</span>
+                  </span>
+                </label>
+                {localTax.enabled && (
+                  <div className="space-y-4">
+                    {localJurisdictionOptions.length > 0 && (
+                      <SelectField
+                        label="Host Jurisdiction"
+                        value={localJurisdictionOptions.some(o => o.value === localTax.jurisdiction) ? localTax.jurisdiction : ''}
+                        onChange={(v) => setLocalTax({ ...localTax, jurisdiction: v || null })}
+                        options={[{ value: '', label: `${state} (statewide terms)` }, ...localJurisdictionOptions]}
+                        id="local-jurisdiction"
+                      />
+                    )}
+                    <p className="text-xs text-gray-500">
+                      {localConfig.source || `No structured local levies are on file for ${state}. Enter any host-community terms below.`}
+                    </p>
+                    {localConfig.admissionFee > 0 && (
+                      <p className="text-xs text-gray-500">
+                        ${localConfig.admissionFee} per admission goes to {(localConfig.admissionRecipient || 'local government').toLowerCase()};
+                        enter Annual Admissions under Gaming Tax Rate.
+                      </p>
+                    )}
+                    <InputField
+                      label="Host-Community Payment (% of GGR)"
+                      value={localTax.hostPaymentPct}
+                      onChange={(v) => setLocalTax({ ...localTax, hostPaymentPct: v })}
+                      placeholder={localConfig.hostPaymentPct != null ? String(localConfig.hostPaymentPct) : '0'}
+                      suffix="%"
+                      helpText="Negotiated share of GGR paid under a host-community agreement"
+                      id="local-host-pct"
+                    />
+                    <InputField
+                      label="Fixed Host-Community Payment"
+                      value={localTax.hostPaymentFixed}
+                      onChange={(v) => setLocalTax({ ...localTax, hostPaymentFixed: v })}
+                      placeholder="0"
+                      prefix="$"
+                      suffix="M/yr"
+                      helpText="Flat annual payments (impact fees, PILOT, community funds)"
+                      id="local-host-fixed"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Net Impact Adjustments */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <TrendingUp size={20} className="text-primary" />
+                Net Impact Adjustments
+              </h2>
+              <label className="flex items-start gap-3 cursor-pointer mb-4">
+                <input
+                  type="checkbox"
+                  checked={netImpact.enabled}
+                  onChange={(e) => setNetImpact({ ...netImpact, enabled: e.target.checked })}
+                  className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+                />
+                <span className="text-sm text-gray-700">
+                  Report net impacts alongside gross
+                  <span className="block text-xs text-gray-500">Adjusts for spending that would have occurred in {state} anyway</span>
+                </span>
+              </label>
+              {netImpact.enabled && (
+                <div className="space-y-4">
+                  <InputField
+                    label="Out-of-State Visitor Share"
+                    value={netImpact.outOfStatePct}
+                    onChange={(v) => setNetImpact({ ...netImpact, outOfStatePct: v })}
+                    placeholder="0"
+                    suffix="%"
+                    helpText="Share of patron spending from visitors who live outside the state (new money)"
+                    id="net-out-of-state"
+                  />
+                  <InputField
+                    label="Local Substitution Share"
+                    value={netImpact.substitutionPct}
+                    onChange={(v) => setNetImpact({ ...netImpact, substitutionPct: v })}
+                    placeholder="0"
+                    suffix="%"
+                    helpText="Share of in-state spending that replaces spending residents would have made anyway rather than adding to it"
+                    id="net-substitution"
+                  />
+                  <InputField
+                    label="Recaptured Leakage Share"
+                    value={netImpact.recapturePct}
+                    onChange={(v) => setNetImpact({ ...netImpact, recapturePct: v })}
+                    placeholder="0"
+                    suffix="%"
+                    helpText="Share of that substituted spending that would otherwise have gone to casinos in other states (new money)"
+                    id="net-recapture"
+                  />
+                  <p className="text-xs text-gray-500">
+                    Substituted spending that is not recaptured is diverted from other recreation in {state}; the activity it displaces is subtracted.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Data edition (vintage of the multipliers and tax data) */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <History size={20} className="text-primary" />
+                Data Edition
+              </h2>
+              <VintageSettings vintage={vintage} loading={!dataReady && !dataError} error={dataError} onChange={setVintage} />
+            </div>
+
+            {/* Price Year & CPI */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <Calendar size={20} className="text-primary" />
+                Price Year &amp; CPI
+              </h2>
+              <PriceYearSettings cpi={cpi} state={state} resolved={scenario.cpi} onChange={setCpi} />
+            </div>
+
+            {/* Type I / Type II reporting */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <Layers size={20} className="text-primary" />
+                Multiplier Basis
+              </h2>
+              <MultiplierTypeSettings settings={multiplierType} onChange={setMultiplierType} />
+            </div>
+
+            {/* Bundled or imported multiplier set */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <Database size={20} className="text-primary" />
+                Multiplier Source
+              </h2>
+              <MultiplierSetManager set={multiplierSet} state={state} bundled={slice?.multipliers} source={scenario.multiplierSource} onChange={setMultiplierSet} />
+            </div>
+
+            {/* Host region (county / metro) vs. rest of state */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <MapPin size={20} className="text-primary" />
+                Host Region
+              </h2>
+              <RegionSettings region={region} onChange={setRegion} />
+            </div>
+
+            {/* Border properties: employees and suppliers in neighboring states */}
+            <div className="dash-card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+                <ArrowLeftRight size={20} className="text-primary" />
+                Neighboring States
+              </h2>
+              <SpilloverSettings spillover={spillover} state={state} states={modelStates} onChange={setSpillover} />
+            </div>
+
           </aside>
             </div>
           </div>
@@ -1777,6 +2293,8 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                 {/* Headline result band */}
                 <HeroSummary
                   results={results}
+                  typeI={typeIResult}
+                  multiplierType={reportedType}
                   state={state}
                   casinoName={casinoName}
                   propertyTypeLabel={PROPERTY_TYPE_OPTIONS.find(p => p.value === propertyType)?.label}
@@ -1786,19 +2304,38 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                 {/* Economic Impact Flow (Sankey) */}
                 <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '50ms' }}>
                   <SectionHeader>Economic Impact Flow</SectionHeader>
-                  <p className="text-xs text-gray-400 -mt-3 mb-3">How revenue ripples through the economy via direct, indirect, and induced effects</p>
-                  <ImpactFlowChart results={results} byRevenue={results.byRevenue} />
+                  <p className="text-xs text-gray-400 -mt-3 mb-3">How revenue ripples through the economy via direct, indirect{showInduced ? ', and induced' : ' (Type I)'} effects</p>
+                  <ImpactFlowChart results={results} byRevenue={results.byRevenue} showInduced={showInduced} />
                 </div>
 
                 {/* Economic Impact Summary (primary results table) */}
                 <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '75ms' }}>
                   <SectionHeader>Economic Impact Summary</SectionHeader>
-                  <DashboardResultsTable results={results} termDefs={getTermDefinitions(isOnline)} />
+                  <DashboardResultsTable results={results} typeI={typeIResult?.results} showInduced={showInduced} termDefs={getTermDefinitions(isOnline)} onShowCalculation={scenario.trace ? setTraceMetric : null} />
                   {results.hasUserData && (
                     <p className="text-xs text-gray-500 mt-3 italic">
                       Note: Direct employment and/or wages use user-provided values.
                     </p>
                   )}
+                  {!isDefaultMultiplierType(reportedType) && (
+                    <p className="text-xs text-gray-500 mt-3">{describeMultiplierType(reportedType)}</p>
+                  )}
+                  {scenario.vintage && scenario.vintage.id !== CURRENT_VINTAGE && (
+                    <p className="text-xs text-gray-500 mt-3">Data edition: {scenario.vintage.label}.</p>
+                  )}
+                  {scenario.multiplierSource?.custom && (
+                    <p className="text-xs text-gray-500 mt-3">
+                      Multipliers: {scenario.multiplierSource.label}
+                      {scenario.multiplierSource.fallback.length > 0 && ` (bundled multipliers for ${scenario.multiplierSource.fallback.join(', ')})`}.
+                    </p>
+                  )}
+                  {scenario.cpi && (
+                    <p className="text-xs text-gray-500 mt-3">
+                      Dollar figures are in {scenario.cpi.year} dollars. Employment deflates GDP to {scenario.cpi.baseYear} dollars
+                      with {scenario.cpi.label} (deflator {formatNumber(scenario.cpi.deflator, 4)}).
+                      {scenario.cpi.warnings.map(w => <span key={w} className="block text-amber-700 mt-1">{w}</span>)}
+                    </p>
+                  )}
                 </div>
 
                 {/* Tax Revenue Estimates */}
@@ -1816,14 +2353,33 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                             <th className="text-right py-3 px-4 text-sm font-semibold text-accent">
                               <DefTooltip text={TERM_DEFINITIONS.indirect}>Indirect</DefTooltip>
                             </th>
-                            <th className="text-right py-3 px-4 text-sm font-semibold text-effect-induced">
-                              <DefTooltip text={TERM_DEFINITIONS.induced}>Induced</DefTooltip>
-                            </th>
+                            {showInduced && (
+                              <th className="text-right py-3 px-4 text-sm font-semibold text-effect-induced">
+                                <DefTooltip text={TERM_DEFINITIONS.induced}>Induced</DefTooltip>
+                              </th>
+                            )}
                             <th className="text-right py-3 px-4 text-sm font-semibold text-gray-900">Total</th>
                           </tr>
                         </thead>
                         <tbody>
-                          {gamingTaxResult && (
+                          {gamingTaxResult?.compact?.lines.map((l, i) => (
+                            <tr key={l.key} className="border-b border-gray-100 hover:bg-gray-50">
+                              <th scope="row" className="py-3 px-4 text-sm font-medium text-gray-700 text-left">
+                                <DefTooltip text="Payments under the tribal-state gaming compact. These are revenue sharing negotiated with the state, not a tax.">
+                                  {l.label}
+                                </DefTooltip>
+                                {i === 0 && scenario.trace && <ShowCalculationButton label="compact payments" onClick={() => setTraceMetric('gamingTax')} />}
+                                <span className="block text-xs text-gray-500">
+                                  Compact revenue sharing · {l.detail}{l.recipient === 'local' ? ' · to local governments' : ''}
+                                </span>
+                              </th>
+                              <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(l.amount)}</td>
+                              <td className="py-3 px-4 text-sm text-right text-accent">-</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">-</td>}
+                              <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(l.amount)}</td>
+                            </tr>
+                          ))}
+                          {gamingTaxResult && !gamingTaxResult.compact && (
                             <tr className="border-b border-gray-100 hover:bg-gray-50">
                               <th scope="row" className="py-3 px-4 text-sm font-medium text-gray-700 text-left">
                                 <DefTooltip text={isOnline
@@ -1831,27 +2387,53 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                                   : "State and local taxes levied directly on gross gaming revenue at rates set by statute or compact."}>
                                   {isOnline ? (propertyType === 'ONLINE_SPORTSBOOK' ? 'Sports Betting Tax' : 'iGaming Tax') : 'Gaming Tax (GGR)'}
                                 </DefTooltip>
+                                {scenario.trace && <ShowCalculationButton label="gaming tax" onClick={() => setTraceMetric('gamingTax')} />}
                                 <span className="block text-xs text-gray-500">
                                   {formatNumber(gamingTaxResult.effectiveRate * 100, 1)}% effective rate
                                 </span>
                               </th>
                               <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(gamingTaxResult.amount)}</td>
                               <td className="py-3 px-4 text-sm text-right text-accent">-</td>
-                              <td className="py-3 px-4 text-sm text-right text-effect-induced">-</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">-</td>}
                               <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(gamingTaxResult.amount)}</td>
                             </tr>
                           )}
+                          {gamingTaxResult?.fees?.lines.map(l => (
+                            <tr key={l.key} className="border-b border-gray-100 hover:bg-gray-50">
+                              <th scope="row" className="py-3 px-4 text-sm font-medium text-gray-700 text-left">
+                                {l.label}
+                                <span className="block text-xs text-gray-500">{l.detail}</span>
+                              </th>
+                              <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(l.amount, 2)}</td>
+                              <td className="py-3 px-4 text-sm text-right text-accent">-</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">-</td>}
+                              <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(l.amount, 2)}</td>
+                            </tr>
+                          ))}
+                          {localTaxResult?.lines.filter(l => l.additional).map(l => (
+                            <tr key={l.key} className="border-b border-gray-100 hover:bg-gray-50">
+                              <th scope="row" className="py-3 px-4 text-sm font-medium text-gray-700 text-left">
+                                {l.label}
+                                <span className="block text-xs text-gray-500">{l.detail}</span>
+                              </th>
+                              <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(l.amount)}</td>
+                              <td className="py-3 px-4 text-sm text-right text-accent">-</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">-</td>}
+                              <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(l.amount)}</td>
+                            </tr>
+                          ))}
                           {results.totals.tax.total > 0 && (
                             <tr className="border-b border-gray-100 hover:bg-gray-50">
                               <th scope="row" className="py-3 px-4 text-sm font-medium text-gray-700 text-left">
                                 <DefTooltip text="Taxes on Production and Imports (TOPI) from the IO model — includes sales taxes, property taxes, excise taxes, and business fees paid across the supply chain.">
                                   Taxes on Production
                                 </DefTooltip>
+                                {scenario.trace && <ShowCalculationButton label="taxes on production" onClick={() => setTraceMetric('tax')} />}
                                 <span className="block text-xs text-gray-500">TOPI from IO model</span>
                               </th>
                               <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(results.totals.tax.direct)}</td>
                               <td className="py-3 px-4 text-sm text-right text-accent">{formatCurrency(results.totals.tax.indirect)}</td>
-                              <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(results.totals.tax.induced)}</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(results.totals.tax.induced)}</td>}
                               <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(results.totals.tax.total)}</td>
                             </tr>
                           )}
@@ -1861,11 +2443,12 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                                 <DefTooltip text="Employer-side payroll taxes: FICA (Social Security + Medicare), FUTA, SUTA, and state SDI/PFML where applicable. Applied to wages using per-employee caps and state-specific rates.">
                                   Payroll Taxes
                                 </DefTooltip>
+                                {scenario.trace && <ShowCalculationButton label="payroll taxes" onClick={() => setTraceMetric('payroll')} />}
                                 <span className="block text-xs text-gray-500">FICA, FUTA, SUTA{stateEmploymentTaxRates?.sdi_employer_rate > 0 ? ', SDI' : ''}{stateEmploymentTaxRates?.pfml_employer_rate > 0 ? ', PFML' : ''}</span>
                               </th>
                               <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(payrollTaxResult.direct)}</td>
                               <td className="py-3 px-4 text-sm text-right text-accent">{formatCurrency(payrollTaxResult.indirect)}</td>
-                              <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(payrollTaxResult.induced)}</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(payrollTaxResult.induced)}</td>}
                               <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(payrollTaxResult.total)}</td>
                             </tr>
                           )}
@@ -1875,42 +2458,99 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                                 <DefTooltip text="Federal, state, and local income taxes plus motor vehicle licenses and personal property taxes paid by employee households. Based on BEA personal current tax ratios by state. Does not include real estate or sales taxes (covered under TOPI).">
                                   Household Taxes
                                 </DefTooltip>
+                                {scenario.trace && <ShowCalculationButton label="household taxes" onClick={() => setTraceMetric('household')} />}
                                 <span className="block text-xs text-gray-500">{formatNumber((stateEmploymentTaxRates?.household_tax_ratio || 0) * 100, 1)}% of wages (BEA ratio)</span>
                               </th>
                               <td className="py-3 px-4 text-sm text-right text-primary">{formatCurrency(householdTaxResult.direct)}</td>
                               <td className="py-3 px-4 text-sm text-right text-accent">{formatCurrency(householdTaxResult.indirect)}</td>
-                              <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(householdTaxResult.induced)}</td>
+                              {showInduced && <td className="py-3 px-4 text-sm text-right text-effect-induced">{formatCurrency(householdTaxResult.induced)}</td>}
                               <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(householdTaxResult.total)}</td>
                             </tr>
                           )}
                           <tr className="bg-gray-50 border-t border-gray-200">
-                            <th scope="row" className="py-3 px-4 text-sm font-bold text-gray-900 text-left">Total Tax Revenue</th>
+                            <th scope="row" className="py-3 px-4 text-sm font-bold text-gray-900 text-left">Total Tax Revenue{typeIResult ? ' (Type II)' : ''}</th>
                             <td className="py-3 px-4 text-sm text-right font-bold text-primary">
-                              {formatCurrency((gamingTaxResult?.amount || 0) + results.totals.tax.direct + (payrollTaxResult?.direct || 0) + (householdTaxResult?.direct || 0))}
+                              {formatCurrency((gamingTaxResult?.amount || 0) + (gamingTaxResult?.fees?.total || 0) + (localTaxResult?.additional || 0) + results.totals.tax.direct + (payrollTaxResult?.direct || 0) + (householdTaxResult?.direct || 0))}
                             </td>
                             <td className="py-3 px-4 text-sm text-right font-bold text-accent">
                               {formatCurrency(results.totals.tax.indirect + (payrollTaxResult?.indirect || 0) + (householdTaxResult?.indirect || 0))}
                             </td>
-                            <td className="py-3 px-4 text-sm text-right font-bold text-effect-induced">
-                              {formatCurrency(results.totals.tax.induced + (payrollTaxResult?.induced || 0) + (householdTaxResult?.induced || 0))}
-                            </td>
+                            {showInduced && (
+                              <td className="py-3 px-4 text-sm text-right font-bold text-effect-induced">
+                                {formatCurrency(results.totals.tax.induced + (payrollTaxResult?.induced || 0) + (householdTaxResult?.induced || 0))}
+                              </td>
+                            )}
                             <td className="py-3 px-4 text-sm text-right font-bold text-gray-900">
-                              {formatCurrency((gamingTaxResult?.amount || 0) + results.totals.tax.total + (payrollTaxResult?.total || 0) + (householdTaxResult?.total || 0))}
+                              {formatCurrency(scenario.totalTax)}
                             </td>
                           </tr>
+                          {typeIResult && (
+                            <tr className="bg-gray-50">
+                              <th scope="row" className="py-3 px-4 text-sm font-bold text-gray-900 text-left">
+                                Total Tax Revenue (Type I)
+                                <span className="block text-xs font-normal text-gray-500">Without induced effects</span>
+                              </th>
+                              <td colSpan={4} className="py-3 px-4 text-sm text-right font-bold text-gray-900">{formatCurrency(typeIResult.totalTax)}</td>
+                            </tr>
+                          )}
                         </tbody>
                       </table>
                     </div>
                     <p className="text-xs text-gray-500 mt-3">
-                      {isOnline ? (propertyType === 'ONLINE_SPORTSBOOK' ? 'Sports betting tax' : 'iGaming tax') : 'Gaming tax'} is applied to GGR at state-mandated rates.
+                      {gamingTaxResult?.compact
+                        ? 'Compact revenue sharing is paid on net win under the tribal-state compact; it is a negotiated payment, not a tax.'
+                        : `${isOnline ? (propertyType === 'ONLINE_SPORTSBOOK' ? 'Sports betting tax' : 'iGaming tax') : 'Gaming tax'} is applied to GGR at state-mandated rates.`}
                       TOPI from the IO model covers sales, property, excise taxes, and business fees.
                       Payroll taxes are employer-side (FICA, FUTA, SUTA) using DOL average rates.
                       Household taxes use BEA personal current tax ratios (income taxes, vehicle licenses, personal property taxes).
                       These four categories are mutually exclusive — no double-counting.
+                      {gamingTaxResult?.fees?.missing.length > 0 && (
+                        <span className="block mt-1">
+                          Not included: fees that need {gamingTaxResult.fees.missing.map(f => VOLUME_FIELDS[f].label.toLowerCase()).join(', ')} (enter under Gaming Tax Rate).
+                        </span>
+                      )}
                       {stateTaxConfig?.localTaxNotes && (
                         <span className="block mt-1 italic">Note: {stateTaxConfig.localTaxNotes}</span>
                       )}
                     </p>
+                    {localTaxResult && (
+                      <div className="mt-6">
+                        <h3 className="text-sm font-semibold text-gray-900 mb-3">Gaming Revenue by Recipient</h3>
+                        <LocalTaxSplit local={localTaxResult} />
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Gross vs. Net Impact */}
+                {netResult && (
+                  <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '125ms' }}>
+                    <SectionHeader>Gross vs. Net Impact</SectionHeader>
+                    <NetImpactComparison bundle={scenario} />
+                  </div>
+                )}
+
+                {/* Host Region vs. Rest of State */}
+                {scenario.region && (
+                  <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '130ms' }}>
+                    <SectionHeader>Host Region vs. Rest of State</SectionHeader>
+                    <RegionSplit region={scenario.region} results={results} />
+                  </div>
+                )}
+
+                {/* Impacts by state (spillover to neighboring states) */}
+                {scenario.spillover && (
+                  <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '135ms' }}>
+                    <SectionHeader>Impacts by State</SectionHeader>
+                    <SpilloverSplit spillover={scenario.spillover} results={results} />
+                  </div>
+                )}
+
+                {/* The same inputs on each data edition */}
+                {VINTAGES.length > 1 && !frozenActive && (
+                  <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '138ms' }}>
+                    <SectionHeader>Compare Data Editions</SectionHeader>
+                    <VintageCompare analysis={liveAnalysis} />
                   </div>
                 )}
 
@@ -1936,23 +2576,59 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                   </div>
                   {showSensitivity ? (
                     <div className="mt-4">
-                      <SensitivityPanel analysis={liveAnalysis} />
+                      <SensitivityPanel
+                        analysis={liveAnalysis}
+                        onProFormaChange={setProForma}
+                        onGoalSeekChange={setGoalSeek}
+                        tornado={tornadoSettings}
+                        onTornadoChange={setTornadoSettings}
+                      />
                     </div>
                   ) : (
                     <p className="text-xs text-text-muted mt-1">
                       See how output, GDP, jobs, and tax revenue respond as revenue or the gaming tax rate
-                      varies — and project cumulative impact over 3–10 years.{' '}
+                      varies, rank every input in a tornado chart, solve for the revenue or tax rate that hits a target, and build a multi-year pro forma with ramp-up, growth, and present values.{' '}
                       <button onClick={() => setShowSensitivity(true)} className="text-accent font-medium hover:underline no-print">Open analysis →</button>
                     </p>
                   )}
                 </div>
 
+                {/* Monte Carlo uncertainty bands */}
+                <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '185ms' }}>
+                  <div className="flex items-center justify-between gap-4 mb-1">
+                    <SectionHeader className="mb-0">Uncertainty Range</SectionHeader>
+                    <button
+                      onClick={() => setShowUncertainty(s => !s)}
+                      className="flex items-center gap-1 text-xs font-medium text-accent hover:text-primary no-print"
+                    >
+                      {showUncertainty ? 'Hide' : 'Show'}
+                      <ChevronDown size={14} className={`transition-transform ${showUncertainty ? 'rotate-180' : ''}`} />
+                    </button>
+                  </div>
+                  {showUncertainty ? (
+                    <div className="mt-4">
+                      <UncertaintyPanel
+                        analysis={liveAnalysis}
+                        result={uncertaintyResult}
+                        onResult={setUncertaintyResult}
+                        onChange={setUncertainty}
+                      />
+                    </div>
+                  ) : (
+                    <p className="text-xs text-text-muted mt-1">
+                      Simulate uncertainty in revenue, slot mix, and the model coefficients to put P10–P90 bands
+                      around each headline figure.{' '}
+                      <button onClick={() => setShowUncertainty(true)} className="text-accent font-medium hover:underline no-print">Open analysis →</button>
+                    </p>
+                  )}
+                </div>
+
                 {/* Charts Row 1: Composition + Employment */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                   <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '200ms' }}>
                     <SectionHeader>Impact Composition</SectionHeader>
-                    <p className="text-xs text-gray-400 -mt-3 mb-3">Hover bars for Direct / Indirect / Induced breakdown</p>
-                    <DashboardImpactCompositionChart results={results} />
+                    <p className="text-xs text-gray-400 -mt-3 mb-3">Hover bars for Direct / Indirect{showInduced ? ' / Induced' : ''} breakdown</p>
+                    <DashboardImpactCompositionChart results={results} typeI={typeIResult?.results} showInduced={showInduced} />
                   </div>
 
                   <div className="dash-card p-6 animate-fade-in-up" style={{ animationDelay: '250ms' }}>
@@ -1968,7 +2644,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                     <p className="text-xs text-gray-400 -mt-3 mb-3">{state}'s multiplier strength across economic dimensions</p>
                     <DashboardMultiplierRadarChart
                       results={results}
-                      gamblingData={isOnline ? (multiplierData.onlineGaming || []) : multiplierData.gambling}
+                      gamblingData={(isOnline ? dataIndex?.comparison.onlineGaming : dataIndex?.comparison.gambling) || []}
                       state={state}
                     />
                   </div>
@@ -1978,7 +2654,7 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
                     <p className="text-xs text-gray-400 -mt-3 mb-3">Employment intensity (jobs per $1M GDP) — top states</p>
                     <DashboardStateComparisonChart
                       currentState={state}
-                      gamblingData={isOnline ? (multiplierData.onlineGaming || []) : multiplierData.gambling}
+                      gamblingData={(isOnline ? dataIndex?.comparison.onlineGaming : dataIndex?.comparison.gambling) || []}
                     />
                   </div>
                 </div>
@@ -1986,7 +2662,15 @@ More information about Dr. Simeon-Rose is available at kahlil.co.`,
             ) : (
               <div className="bg-white rounded-xl shadow-lg p-12 text-center">
                 <TrendingUp size={48} className="mx-auto text-gray-300 mb-4" />
-                <p className="text-gray-500">Enter revenue data to estimate economic impact</p>
+                {dataError ? (
+                  <p className="text-negative">{dataError}</p>
+                ) : frozenActive || dataReady ? (
+                  <p className="text-gray-500">Enter revenue data to estimate economic impact</p>
+                ) : (
+                  <p className="text-gray-500 flex items-center justify-center gap-2">
+                    <Loader2 size={16} className="animate-spin" /> Loading the {state} data…
+                  </p>
+                )}
               </div>
             )}
           </section>
@@ -0,0 +1,157 @@
+import React, { useRef, useState } from 'react';
+import { Upload, FileSpreadsheet, Download, Save, AlertCircle, Check } from 'lucide-react';
+import { readBatchFile, runBatch, batchResultRows, BATCH_MAX_ROWS } from '../../utils/batch';
+import { buildBatchCSV, buildBatchTemplateCSV, downloadCSV, slugify } from '../../utils/exporters';
+import { buildXLSX, downloadXLSX } from '../../utils/xlsx';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import Button from '../ui/Button';
+
+const TH = 'py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+/**
+ * Batch mode: upload a CSV/XLSX with one analysis per row, validate and run
+ * every row, then download the results or save chosen rows as projects.
+ * Rows that fail validation list their errors and are skipped.
+ */
+export default function BatchPanel({ onSaveProjects }) {
+  const inputRef = useRef(null);
+  const [batch, setBatch] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [savedCount, setSavedCount] = useState(0);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    setSavedCount(0);
+    try {
+      const result = await runBatch(await readBatchFile(file));
+      setBatch(result);
+      setFileName(file.name.replace(/\.[^.]+$/, ''));
+      setSelected(new Set(result.rows.filter((r) => r.metrics).map((r) => r.row)));
+    } catch (err) {
+      setBatch(null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (row) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(row)) next.delete(row); else next.add(row);
+    return next;
+  });
+
+  const validRows = batch ? batch.rows.filter((r) => r.metrics) : [];
+  const allSelected = validRows.length > 0 && validRows.every((r) => selected.has(r.row));
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(validRows.map((r) => r.row)));
+
+  const base = `${slugify(fileName, 'gems-batch')}-results`;
+  const downloadResultsCSV = () => downloadCSV(`${base}.csv`, buildBatchCSV(batch));
+  const downloadResultsXLSX = () => {
+    const rows = batchResultRows(batch).map((r, i) => (i === 0 ? r.map((v) => ({ v, bold: true })) : r));
+    downloadXLSX(`${base}.xlsx`, buildXLSX([{ name: 'Batch Results', rows, colWidths: [6, 28, 16, 16, 12, 13, 13, 13, 16, 13, 15, 14, 13, 60] }]));
+  };
+  const saveSelected = () => {
+    const rows = validRows.filter((r) => selected.has(r.row));
+    onSaveProjects(rows.map((r) => ({ name: r.name || `${r.analysis.state} (row ${r.row})`, analysis: r.analysis })));
+    setSavedCount(rows.length);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 flex-wrap no-print">
+        <input ref={inputRef} type="file" accept=".csv,.xlsx,.txt" className="hidden" onChange={handleFile} />
+        <Button variant="primary" size="sm" icon={Upload} onClick={() => inputRef.current?.click()} disabled={busy}>
+          {busy ? 'Running…' : 'Upload CSV / XLSX'}
+        </Button>
+        <Button variant="ghost" size="sm" icon={Download} onClick={() => downloadCSV('gems-batch-template.csv', buildBatchTemplateCSV())}>
+          Template
+        </Button>
+        <p className="text-xs text-text-muted">
+          One analysis per row, up to {BATCH_MAX_ROWS} rows. Revenues and wages in $M; tax rate and slot share in %.
+        </p>
+      </div>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-negative"><AlertCircle size={15} /> {error}</p>
+      )}
+
+      {batch && (
+        <>
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <span className="font-semibold text-ink">{fileName}</span>
+            <span className="text-text-muted">{batch.valid} computed</span>
+            {batch.failed > 0 && <span className="text-negative">{batch.failed} with errors</span>}
+            {batch.unknownColumns.length > 0 && (
+              <span className="text-xs text-text-faint">Ignored columns: {batch.unknownColumns.join(', ')}</span>
+            )}
+          </div>
+
+          <div className="overflow-x-auto max-h-[420px] overflow-y-auto border border-hairline rounded-xl">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="border-b border-hairline">
+                  <th className={`text-left ${TH}`}>
+                    <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all computed rows" />
+                  </th>
+                  <th className={`text-left ${TH}`}>Row</th>
+                  <th className={`text-left ${TH}`}>Name</th>
+                  <th className={`text-left ${TH}`}>State</th>
+                  <th className={`text-right ${TH}`}>Output</th>
+                  <th className={`text-right ${TH}`}>Jobs</th>
+                  <th className={`text-right ${TH}`}>Gaming Tax</th>
+                  <th className={`text-right ${TH}`}>Total Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.rows.map((r) => (
+                  <tr key={r.row} className="border-b border-hairline/60 hover:bg-paper transition-colors align-top">
+                    <td className="py-2 px-3">
+                      <input type="checkbox" checked={selected.has(r.row)} onChange={() => toggle(r.row)} disabled={!r.metrics} aria-label={`Select row ${r.row}`} />
+                    </td>
+                    <td className="py-2 px-3 tabular-nums text-text-faint">{r.row}</td>
+                    <td className="py-2 px-3 font-medium text-text-secondary">{r.name || '—'}</td>
+                    <td className="py-2 px-3 text-text-muted">{r.analysis?.state || '—'}</td>
+                    {r.metrics ? (
+                      <>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatCurrency(r.metrics.output)}</td>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatJobs(r.metrics.employment)}</td>
+                        <td className="text-right py-2 px-3 tabular-nums">
+                          {formatCurrency(r.gamingTax)}
+                          {r.effectiveRate > 0 && <span className="block text-[10.5px] text-text-muted">{formatNumber(r.effectiveRate * 100, 1)}%</span>}
+                        </td>
+                        <td className="text-right py-2 px-3 tabular-nums font-semibold text-ink">{formatCurrency(r.metrics.totalTax)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={4} className="py-2 px-3 text-xs text-negative">
+                        <ul className="space-y-0.5">{r.errors.map((e) => <li key={e}>{e}</li>)}</ul>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-end gap-2 flex-wrap no-print">
+            {savedCount > 0 && (
+              <span className="flex items-center gap-1 text-xs text-positive mr-auto"><Check size={13} /> Saved {savedCount} as projects</span>
+            )}
+            <Button variant="secondary" size="sm" icon={Save} onClick={saveSelected} disabled={selected.size === 0}>
+              Save {selected.size || ''} as projects
+            </Button>
+            <Button variant="secondary" size="sm" icon={FileSpreadsheet} onClick={downloadResultsCSV}>CSV</Button>
+            <Button variant="secondary" size="sm" icon={FileSpreadsheet} onClick={downloadResultsXLSX}>XLSX</Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
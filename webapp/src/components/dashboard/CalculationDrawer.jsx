@@ -0,0 +1,98 @@
+import React, { useEffect } from 'react';
+import { X, Calculator } from 'lucide-react';
+import { TRACE_METRICS, traceSections } from '../../utils/calculationTrace';
+
+const TH = 'py-1.5 px-2 text-[10px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+function TraceTable({ headers, rows, total }) {
+  const align = (i) => (i === 0 ? 'text-left' : 'text-right');
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs">
+        {headers.length > 0 && (
+          <thead>
+            <tr className="border-b border-hairline">
+              {headers.map((h, i) => <th key={h} className={`${align(i)} ${TH}`}>{h}</th>)}
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {rows.map((row, r) => (
+            <tr key={r} className="border-b border-hairline/60 align-top">
+              {row.map((c, i) => (
+                <td key={i} className={`py-1.5 px-2 ${align(i)} ${i === row.length - 1 ? 'tabular-nums text-ink' : 'text-text-secondary'}`}>{c}</td>
+              ))}
+            </tr>
+          ))}
+          {total && (
+            <tr>
+              {total.map((c, i) => <td key={i} className={`py-1.5 px-2 font-semibold text-ink tabular-nums ${align(i)}`}>{c}</td>)}
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/** Small inline button that opens the calculation drawer for one metric. */
+export function ShowCalculationButton({ label, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="ml-1.5 align-middle text-text-faint hover:text-accent no-print"
+      title="Show calculation"
+      aria-label={`Show calculation for ${label}`}
+    >
+      <Calculator size={12} />
+    </button>
+  );
+}
+
+/**
+ * Slide-over panel showing how one metric was calculated: the multiplier row
+ * chosen for each revenue stream (and the fallbacks tried), coefficients, the
+ * CPI deflator, known-data overrides, and the gaming, payroll and household
+ * tax math. The same trace can be appended to the Word report.
+ */
+export default function CalculationDrawer({ metric, trace, onClose, includeInReport, onIncludeInReportChange }) {
+  useEffect(() => {
+    if (!metric) return;
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [metric, onClose]);
+
+  if (!metric) return null;
+  const label = TRACE_METRICS.find((m) => m.key === metric)?.label || metric;
+  const sections = traceSections(trace, metric);
+  return (
+    <div className="fixed inset-0 z-[70] no-print" role="dialog" aria-label={`How ${label} is calculated`}>
+      <div className="absolute inset-0 modal-backdrop" onClick={onClose} />
+      <div className="absolute right-0 top-0 h-full w-full max-w-xl bg-white shadow-pop flex flex-col animate-fade-in">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-hairline">
+          <h2 className="font-display text-lg font-semibold text-ink flex items-center gap-2">
+            <Calculator size={18} className="text-accent" /> {label}
+          </h2>
+          <button onClick={onClose} className="text-text-muted hover:text-ink" aria-label="Close"><X size={20} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-5">
+          {sections.length === 0 && <p className="text-sm text-text-muted">No calculation trace for this result.</p>}
+          {sections.map((s, i) => (
+            <section key={i}>
+              <h3 className="text-sm font-semibold text-ink mb-1">{s.title}</h3>
+              {s.notes.map((n, j) => <p key={j} className="text-xs text-text-muted mb-1">{n}</p>)}
+              {(s.rows.length > 0 || s.total) && <TraceTable headers={s.headers} rows={s.rows} total={s.total} />}
+            </section>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-2 px-5 py-3 border-t border-hairline text-sm text-text-secondary cursor-pointer">
+          <input type="checkbox" checked={includeInReport} onChange={(e) => onIncludeInReportChange(e.target.checked)} />
+          Include calculation trace as an appendix in the Word report
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import {
+  runGoalSeek, normalizeGoalSeek, goalSeekInputsFor, goalSeekInputValue, describeGoalSeek,
+  formatGoalSeekInput, formatGoalSeekMetric, GOAL_SEEK_METRICS,
+} from '../../utils/goalSeek';
+import { computeScenario, headlineMetrics } from '../../utils/computeScenario';
+import { formatNumber } from '../../utils/calculations';
+
+const SELECT = 'field-input px-2.5 py-1.5 text-sm text-text bg-white';
+
+/**
+ * Goal seek: pick the input to solve for, the metric and its target, and
+ * the solver reports the input value that hits it, with a plain-language
+ * explanation. Settings live on the analysis so they save, share, and export
+ * with it.
+ */
+export default function GoalSeekPanel({ analysis, onChange }) {
+  const settings = normalizeGoalSeek(analysis.goalSeek);
+  const inputs = goalSeekInputsFor(analysis);
+  const input = inputs.some((i) => i.key === settings.input) ? settings.input : inputs[0].key;
+  const result = useMemo(
+    () => runGoalSeek(analysis, { ...normalizeGoalSeek(analysis.goalSeek), input }),
+    [analysis, input],
+  );
+  const set = (patch) => onChange?.({ ...settings, ...patch });
+
+  const bundle = useMemo(() => computeScenario(analysis), [analysis]);
+  const metricMeta = GOAL_SEEK_METRICS.find((m) => m.key === settings.metric);
+  const current = settings.metric === 'gamingTax'
+    ? (bundle.gamingTaxResult?.amount || 0)
+    : headlineMetrics(bundle)?.[settings.metric];
+  const currentInput = goalSeekInputValue(analysis, input);
+  const currentLabel = currentInput == null && bundle.gamingTaxResult
+    ? `Statutory (${formatNumber(bundle.gamingTaxResult.effectiveRate * 100, 2)}% eff.)`
+    : formatGoalSeekInput(input, currentInput);
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-3 no-print">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <label className="block space-y-1">
+            <span className="block text-[11px] font-medium text-text-muted">Solve for</span>
+            <select value={input} onChange={(e) => set({ input: e.target.value })} className={SELECT}>
+              {inputs.map((i) => <option key={i.key} value={i.key}>{i.label}</option>)}
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="block text-[11px] font-medium text-text-muted">So that</span>
+            <select value={settings.metric} onChange={(e) => set({ metric: e.target.value })} className={SELECT}>
+              {GOAL_SEEK_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="block text-[11px] font-medium text-text-muted">Equals</span>
+            <span className="relative block">
+              <input
+                type="number"
+                step="any"
+                value={settings.target ?? ''}
+                placeholder={current != null ? formatNumber(current, metricMeta.unit === 'FTE' ? 0 : 1).replace(/,/g, '') : ''}
+                onChange={(e) => set({ target: e.target.value === '' ? null : parseFloat(e.target.value) })}
+                className="field-input px-2.5 py-1.5 pr-10 text-sm text-text tabular-nums"
+              />
+              <span className="absolute right-2.5 top-1/2 -translate-y-1/2 text-text-muted text-xs" aria-hidden="true">
+                {metricMeta.unit}
+              </span>
+            </span>
+          </label>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-text-secondary cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.includeInExports}
+            onChange={(e) => set({ includeInExports: e.target.checked })}
+            className="accent-[#1a365d]"
+          />
+          Include in CSV export
+        </label>
+      </div>
+
+      {!result ? (
+        <p className="text-sm text-text-muted">
+          {current == null ? 'Enter revenue to run the solver.' : `Enter a target ${metricMeta.label.toLowerCase()} to solve for.`}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {[
+              {
+                label: 'Required value',
+                v: result.status === 'solved' ? formatGoalSeekInput(input, result.value) : 'Not reachable',
+                strong: true,
+              },
+              { label: 'Current value', v: currentLabel },
+              {
+                label: `${metricMeta.label} at solution`,
+                v: result.status === 'solved' ? formatGoalSeekMetric(result.metric, result.achieved) : '—',
+              },
+            ].map((c) => (
+              <div key={c.label} className="surface-sunken px-3 py-2.5">
+                <p className="text-[10px] text-text-faint font-semibold uppercase tracking-[0.06em]">{c.label}</p>
+                <p className={`font-display text-lg font-semibold tabular-nums mt-0.5 ${c.strong ? 'text-ink' : 'text-text-secondary'}`}>{c.v}</p>
+              </div>
+            ))}
+          </div>
+          <p className={`text-sm ${result.status === 'solved' ? 'text-text-secondary' : 'text-negative'}`}>
+            {describeGoalSeek(result)}
+          </p>
+          <p className="text-xs text-text-faint">
+            Each trial recomputes the full model, so tiered and split-tiered gaming tax schedules, payroll-tax caps and
+            any operator-supplied employment are applied exactly. {result.iterations} model runs.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -6,17 +6,26 @@ import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculatio
  * signature edge that leads with the project, a plain-language summary, and the
  * four headline figures rendered large in serif. This is the "what does it all
  * mean" moment that the prior card-row lacked.
+ *
+ * With "both" reporting (`typeI` set) the figures are Type II and each carries
+ * its Type I value beneath, so the induced effect reads as a range.
  */
-export default function HeroSummary({ results, state, casinoName, propertyTypeLabel, isOnline }) {
+export default function HeroSummary({ results, typeI = null, multiplierType = null, state, casinoName, propertyTypeLabel, isOnline }) {
   const t = results.totals;
   const name = casinoName?.trim() || (isOnline ? 'This operation' : 'This property');
   const subject = isOnline ? 'operation' : 'property';
+  const report = multiplierType?.report || 'typeII';
+  const inducedPct = multiplierType?.inducedPct ?? 100;
+  const scaled = report !== 'typeI' && inducedPct < 100 ? ` (induced effects at ${inducedPct}%)` : '';
+  const counting = report === 'typeI'
+    ? 'counting direct and indirect (Type I) effects.'
+    : `counting direct, indirect, and induced effects${scaled}.`;
 
   const metrics = [
-    { label: 'Total Output', value: formatCurrency(t.output.total), mult: results.multipliers.output },
-    { label: 'Gross State Product', value: formatCurrency(t.gdp.total), mult: results.multipliers.gdp },
-    { label: 'Jobs Supported', value: formatJobs(t.employment.total), mult: results.multipliers.employment, unit: 'FTE' },
-    { label: 'Employee Wages', value: formatCurrency(t.wages.total), mult: results.multipliers.wages },
+    { label: 'Total Output', value: formatCurrency(t.output.total), mult: results.multipliers.output, typeI: typeI && formatCurrency(typeI.totals.output.total) },
+    { label: 'Gross State Product', value: formatCurrency(t.gdp.total), mult: results.multipliers.gdp, typeI: typeI && formatCurrency(typeI.totals.gdp.total) },
+    { label: 'Jobs Supported', value: formatJobs(t.employment.total), mult: results.multipliers.employment, unit: 'FTE', typeI: typeI && formatJobs(typeI.totals.employment.total) },
+    { label: 'Employee Wages', value: formatCurrency(t.wages.total), mult: results.multipliers.wages, typeI: typeI && formatCurrency(typeI.totals.wages.total) },
   ];
 
   return (
@@ -36,7 +45,14 @@ export default function HeroSummary({ results, state, casinoName, propertyTypeLa
             <span className="text-white font-medium">{formatCurrency(t.gdp.total)}</span> to gross state product
             and supporting <span className="text-white font-medium">{formatJobs(t.employment.total)}</span> jobs
             and <span className="text-white font-medium">{formatCurrency(t.wages.total)}</span> in wages,
-            counting direct, indirect, and induced effects.
+            {' '}{counting}
+            {typeI && (
+              <>
+                {' '}Without induced effects (Type I), the figures are{' '}
+                <span className="text-white font-medium">{formatCurrency(typeI.totals.output.total)}</span> in output and{' '}
+                <span className="text-white font-medium">{formatJobs(typeI.totals.employment.total)}</span> jobs.
+              </>
+            )}
           </p>
         </div>
 
@@ -46,8 +62,9 @@ export default function HeroSummary({ results, state, casinoName, propertyTypeLa
               <p className="text-[10.5px] font-semibold uppercase tracking-[0.1em] text-white/55">{m.label}</p>
               <p className="hero-figure text-3xl sm:text-[2.1rem] text-white mt-1.5">{m.value}</p>
               <p className="text-xs text-brass-light mt-1.5 font-medium tabular-nums">
-                {formatNumber(m.mult, 2)}× multiplier{m.unit ? ` · ${m.unit}` : ''}
+                {formatNumber(m.mult, 2)}× {report === 'typeI' ? 'Type I ' : typeI ? 'Type II ' : ''}multiplier{m.unit ? ` · ${m.unit}` : ''}
               </p>
+              {m.typeI && <p className="text-xs text-white/55 mt-0.5 tabular-nums">Type I: {m.typeI}</p>}
             </div>
           ))}
         </div>
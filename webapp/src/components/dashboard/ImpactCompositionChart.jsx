@@ -2,11 +2,20 @@ import React from 'react';
 import { formatNumber, formatCurrency } from '../../utils/calculations';
 import { EFFECT as COLORS } from '../../theme';
 
-function ImpactBar({ label, direct, indirect, induced, total, multiplier, formatter }) {
+const EFFECTS = [
+  { label: 'Direct', color: COLORS.direct },
+  { label: 'Indirect', color: COLORS.indirect },
+  { label: 'Induced', color: COLORS.induced }
+];
+
+const taxMultiplier = (t) => (t.direct > 0 ? t.total / t.direct : null);
+
+function ImpactBar({ label, direct, indirect, induced, total, multiplier, typeITotal, typeIMultiplier, showInduced, formatter }) {
   const max = total;
   const pDirect = max > 0 ? (direct / max) * 100 : 0;
   const pIndirect = max > 0 ? (indirect / max) * 100 : 0;
   const pInduced = max > 0 ? (induced / max) * 100 : 0;
+  const pTypeI = typeITotal != null && max > 0 ? (typeITotal / max) * 100 : null;
 
   return (
     <div className="group">
@@ -15,12 +24,14 @@ function ImpactBar({ label, direct, indirect, induced, total, multiplier, format
         <div className="flex items-baseline gap-2">
           <span className="text-base font-bold text-gray-900 tabular-nums">{formatter(total)}</span>
           {multiplier && (
-            <span className="text-xs font-semibold text-highlight tabular-nums">{formatNumber(multiplier, 2)}x</span>
+            <span className="text-xs font-semibold text-highlight tabular-nums">
+              {typeIMultiplier ? `${formatNumber(typeIMultiplier, 2)}x / ` : ''}{formatNumber(multiplier, 2)}x
+            </span>
           )}
         </div>
       </div>
-      {/* Stacked bar */}
-      <div className="flex h-5 rounded-full overflow-hidden bg-gray-100">
+      {/* Stacked bar; with Type I and II both reported, a tick marks the Type I total */}
+      <div className="relative flex h-5 rounded-full overflow-hidden bg-gray-100">
         <div
           className="transition-all duration-500 ease-out"
           style={{ width: `${pDirect}%`, background: COLORS.direct }}
@@ -36,28 +47,41 @@ function ImpactBar({ label, direct, indirect, induced, total, multiplier, format
           style={{ width: `${pInduced}%`, background: COLORS.induced }}
           title={`Induced: ${formatter(induced)}`}
         />
+        {pTypeI != null && (
+          <div
+            className="absolute top-0 bottom-0 w-0.5 bg-white"
+            style={{ left: `${pTypeI}%` }}
+            title={`Type I total: ${formatter(typeITotal)}`}
+          />
+        )}
       </div>
       {/* Hover detail */}
       <div className="flex justify-between mt-1 text-[10px] text-gray-400 opacity-0 group-hover:opacity-100 transition-opacity">
         <span>Direct: {formatter(direct)}</span>
         <span>Indirect: {formatter(indirect)}</span>
-        <span>Induced: {formatter(induced)}</span>
+        {showInduced && <span>Induced: {formatter(induced)}</span>}
+        {typeITotal != null && <span>Type I: {formatter(typeITotal)}</span>}
       </div>
     </div>
   );
 }
 
-export default function ImpactCompositionChart({ results }) {
+/**
+ * Direct / indirect / induced composition of each headline measure. `typeI`
+ * (for "both" reporting) marks the Type I total on each bar; `showInduced`
+ * false (Type I reporting) drops induced from the legend and detail.
+ */
+export default function ImpactCompositionChart({ results, typeI = null, showInduced = true }) {
   const metrics = [
-    { label: 'Output', key: 'output', multiplier: results.multipliers.output },
-    { label: 'GDP', key: 'gdp', multiplier: results.multipliers.gdp },
-    { label: 'Wages', key: 'wages', multiplier: results.multipliers.wages },
-    { label: 'Tax Revenue', key: 'tax', multiplier: results.totals.tax.direct > 0 ? results.totals.tax.total / results.totals.tax.direct : null },
+    { label: 'Output', key: 'output', multiplier: results.multipliers.output, typeIMultiplier: typeI?.multipliers.output },
+    { label: 'GDP', key: 'gdp', multiplier: results.multipliers.gdp, typeIMultiplier: typeI?.multipliers.gdp },
+    { label: 'Wages', key: 'wages', multiplier: results.multipliers.wages, typeIMultiplier: typeI?.multipliers.wages },
+    { label: 'Tax Revenue', key: 'tax', multiplier: taxMultiplier(results.totals.tax), typeIMultiplier: typeI && taxMultiplier(typeI.totals.tax) },
   ];
 
   return (
     <div className="space-y-5">
-      {metrics.map(({ label, key, multiplier }) => (
+      {metrics.map(({ label, key, multiplier, typeIMultiplier }) => (
         <ImpactBar
           key={key}
           label={label}
@@ -66,21 +90,26 @@ export default function ImpactCompositionChart({ results }) {
           induced={results.totals[key].induced}
           total={results.totals[key].total}
           multiplier={multiplier}
+          typeITotal={typeI ? typeI.totals[key].total : null}
+          typeIMultiplier={typeIMultiplier}
+          showInduced={showInduced}
           formatter={formatCurrency}
         />
       ))}
       {/* Legend */}
       <div className="flex justify-center gap-5 pt-2 border-t border-gray-100">
-        {[
-          { label: 'Direct', color: COLORS.direct },
-          { label: 'Indirect', color: COLORS.indirect },
-          { label: 'Induced', color: COLORS.induced }
-        ].map(({ label, color }) => (
+        {EFFECTS.filter(e => showInduced || e.label !== 'Induced').map(({ label, color }) => (
           <span key={label} className="flex items-center gap-1.5 text-xs text-gray-500">
             <span className="w-2.5 h-2.5 rounded-full" style={{ background: color }} />
             {label}
           </span>
         ))}
+        {typeI && (
+          <span className="flex items-center gap-1.5 text-xs text-gray-500">
+            <span className="w-0.5 h-3 bg-gray-400" />
+            Type I total
+          </span>
+        )}
       </div>
     </div>
   );
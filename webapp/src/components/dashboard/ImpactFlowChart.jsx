@@ -3,34 +3,26 @@ import { Sankey, Tooltip, ResponsiveContainer } from 'recharts';
 import { formatCurrency } from '../../utils/calculations';
 import { EFFECT } from '../../theme';
 
+// Keyed by node name: the Induced node is left out under Type I reporting
 const NODE_COLORS = {
-  0: '#1a365d',          // Revenue
-  1: EFFECT.direct,      // Direct
-  2: EFFECT.indirect,    // Indirect
-  3: EFFECT.induced,     // Induced
-  4: '#2c5282',          // Output
-  5: EFFECT.indirect,    // GDP
-  6: EFFECT.induced,     // Jobs
-  7: '#7e9cbb',          // Wages
+  Revenue: '#1a365d',
+  Direct: EFFECT.direct,
+  Indirect: EFFECT.indirect,
+  Induced: EFFECT.induced,
+  Output: '#2c5282',
+  GDP: EFFECT.indirect,
+  Employment: EFFECT.induced,
+  Wages: '#7e9cbb',
 };
 
-const NODE_LABELS = {
-  0: 'Revenue',
-  1: 'Direct',
-  2: 'Indirect',
-  3: 'Induced',
-  4: 'Output',
-  5: 'GDP',
-  6: 'Employment',
-  7: 'Wages',
-};
+const EFFECT_NODES = ['Direct', 'Indirect', 'Induced'];
+const RESULT_NODES = ['Output', 'GDP', 'Employment', 'Wages'];
 
-function SankeyNode({ x, y, width, height, index }) {
-  const color = NODE_COLORS[index] || '#94a3b8';
-  const label = NODE_LABELS[index] || '';
-  const isLeft = index === 0;
-  const isMiddle = index >= 1 && index <= 3;
-  const isRight = index >= 4;
+function SankeyNode({ x, y, width, height, payload }) {
+  const label = payload?.name || '';
+  const color = NODE_COLORS[label] || '#94a3b8';
+  const isLeft = label === 'Revenue';
+  const isMiddle = EFFECT_NODES.includes(label);
 
   // Position labels: left of left nodes, above middle nodes, right of right nodes
   let textX, textY, anchor;
@@ -93,42 +85,25 @@ function SankeyLink({ sourceX, targetX, sourceY, targetY, sourceControlX, target
   );
 }
 
-export default function ImpactFlowChart({ results }) {
+export default function ImpactFlowChart({ results, showInduced = true }) {
   const d = results.totals;
+  const effects = showInduced ? EFFECT_NODES : EFFECT_NODES.filter(e => e !== 'Induced');
 
-  const nodes = [
-    { name: 'Revenue' },
-    { name: 'Direct' },
-    { name: 'Indirect' },
-    { name: 'Induced' },
-    { name: 'Output' },
-    { name: 'GDP' },
-    { name: 'Employment' },
-    { name: 'Wages' },
-  ];
+  const nodes = ['Revenue', ...effects, ...RESULT_NODES].map(name => ({ name }));
+  const at = (name) => nodes.findIndex(n => n.name === name);
 
   const empScale = d.wages.total > 0 ? d.output.direct * 0.15 / Math.max(d.wages.total, 1) : 1;
 
-  const links = [
-    { source: 0, target: 1, value: Math.max(d.output.direct, 0.1) },
-    { source: 0, target: 2, value: Math.max(d.output.indirect, 0.1) },
-    { source: 0, target: 3, value: Math.max(d.output.induced, 0.1) },
-
-    { source: 1, target: 4, value: Math.max(d.output.direct * 0.4, 0.1) },
-    { source: 1, target: 5, value: Math.max(d.gdp.direct * 0.4, 0.1) },
-    { source: 1, target: 6, value: Math.max(d.wages.direct * 0.3 * empScale, 0.1) },
-    { source: 1, target: 7, value: Math.max(d.wages.direct * 0.3, 0.1) },
-
-    { source: 2, target: 4, value: Math.max(d.output.indirect * 0.4, 0.1) },
-    { source: 2, target: 5, value: Math.max(d.gdp.indirect * 0.4, 0.1) },
-    { source: 2, target: 6, value: Math.max(d.wages.indirect * 0.3 * empScale, 0.1) },
-    { source: 2, target: 7, value: Math.max(d.wages.indirect * 0.3, 0.1) },
-
-    { source: 3, target: 4, value: Math.max(d.output.induced * 0.4, 0.1) },
-    { source: 3, target: 5, value: Math.max(d.gdp.induced * 0.4, 0.1) },
-    { source: 3, target: 6, value: Math.max(d.wages.induced * 0.3 * empScale, 0.1) },
-    { source: 3, target: 7, value: Math.max(d.wages.induced * 0.3, 0.1) },
-  ];
+  const links = effects.flatMap((name) => {
+    const effect = name.toLowerCase();
+    return [
+      { source: at('Revenue'), target: at(name), value: Math.max(d.output[effect], 0.1) },
+      { source: at(name), target: at('Output'), value: Math.max(d.output[effect] * 0.4, 0.1) },
+      { source: at(name), target: at('GDP'), value: Math.max(d.gdp[effect] * 0.4, 0.1) },
+      { source: at(name), target: at('Employment'), value: Math.max(d.wages[effect] * 0.3 * empScale, 0.1) },
+      { source: at(name), target: at('Wages'), value: Math.max(d.wages[effect] * 0.3, 0.1) },
+    ];
+  });
 
   return (
     <div>
@@ -154,13 +129,9 @@ export default function ImpactFlowChart({ results }) {
         </Sankey>
       </ResponsiveContainer>
       <div className="flex justify-center gap-6 mt-1">
-        {[
-          { label: 'Direct', color: EFFECT.direct },
-          { label: 'Indirect', color: EFFECT.indirect },
-          { label: 'Induced', color: EFFECT.induced }
-        ].map(({ label, color }) => (
+        {effects.map(label => (
           <span key={label} className="flex items-center gap-1.5 text-xs text-text-muted">
-            <span className="w-2.5 h-2.5 rounded-full" style={{ background: color }} />
+            <span className="w-2.5 h-2.5 rounded-full" style={{ background: NODE_COLORS[label] }} />
             {label}
           </span>
         ))}
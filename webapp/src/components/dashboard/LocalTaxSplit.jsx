@@ -0,0 +1,70 @@
+import React from 'react';
+import { formatCurrency } from '../../utils/calculations';
+
+const TH = 'py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+const RECIPIENTS = [
+  { key: 'state', label: 'State' },
+  { key: 'local', label: 'Local government' },
+  { key: 'host', label: 'Host community' },
+];
+
+/**
+ * Gaming-related public revenue by recipient: what the state keeps (gaming
+ * tax and fees), what reaches local governments (distributions, admission
+ * shares, surcharges), and host-community payments. Distributions and
+ * admission shares come out of state levies; surcharges are additional; host
+ * payments are contractual and sit outside the tax total.
+ */
+export default function LocalTaxSplit({ local }) {
+  if (!local) return null;
+  const total = local.state + local.local + local.host;
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`text-left ${TH}`}>Recipient</th>
+              <th className={`text-left ${TH}`}>Basis</th>
+              <th className={`text-right ${TH}`}>Amount</th>
+              <th className={`text-right ${TH}`}>Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {RECIPIENTS.map(({ key, label }) => {
+              const lines = local.lines.filter((l) => l.recipient === key);
+              if (!lines.length) return null;
+              return (
+                <React.Fragment key={key}>
+                  {lines.map((l) => (
+                    <tr key={l.key} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                      <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">{l.label}</th>
+                      <td className="py-2.5 px-3 text-xs text-text-muted">{l.detail || '—'}</td>
+                      <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(l.amount, 2)}</td>
+                      <td className="text-right py-2.5 px-3 tabular-nums text-text-muted" />
+                    </tr>
+                  ))}
+                  <tr className="border-b border-hairline bg-paper">
+                    <th scope="row" colSpan={2} className="text-left py-2.5 px-3 font-semibold text-ink">{label}</th>
+                    <td className="text-right py-2.5 px-3 tabular-nums font-semibold text-ink">{formatCurrency(local[key], 2)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums text-text-muted">
+                      {total ? `${Math.round((local[key] / total) * 100)}%` : '—'}
+                    </td>
+                  </tr>
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-text-muted">
+        {local.jurisdiction ? `${local.jurisdiction} terms. ` : ''}
+        Distributions are paid out of the state gaming tax, and local admission shares out of the state admission tax.
+        Local surcharges are added to total tax revenue. Host-community payments are contractual, so they are shown here
+        but left out of the tax total.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { AlertCircle, Info, X } from 'lucide-react';
+
+const MAX_LISTED = 8;
+
+function fieldList(fields) {
+  const shown = fields.slice(0, MAX_LISTED).join(', ');
+  return fields.length > MAX_LISTED ? `${shown} and ${fields.length - MAX_LISTED} more` : shown;
+}
+
+/**
+ * What happened when an analysis from outside the session (share link, saved
+ * project, forecaster import) was loaded: the schema upgrade, fields filled
+ * with defaults, invalid fields dropped, or why it could not be opened.
+ */
+export default function MigrationNotice({ notice, onDismiss }) {
+  const { label, report } = notice;
+  const failed = report.errors.length > 0;
+  const upgraded = report.fromVersion != null && report.fromVersion < report.toVersion;
+  const tone = failed || report.dropped.length
+    ? 'bg-amber-50 border-amber-200 text-amber-900'
+    : 'bg-accent-soft border-accent-100 text-ink';
+  const Icon = failed || report.dropped.length ? AlertCircle : Info;
+
+  return (
+    <div className={`border rounded-xl p-4 mb-6 flex items-start justify-between gap-3 no-print ${tone}`} role="status">
+      <div className="flex items-start gap-3 min-w-0">
+        <Icon size={18} className="mt-0.5 flex-shrink-0" />
+        <div className="text-xs space-y-1 min-w-0">
+          <p className="text-sm font-semibold">
+            {failed ? `${label} could not be opened` : upgraded ? `${label} was updated to the current format` : `${label} was opened with adjustments`}
+          </p>
+          {upgraded && !failed && (
+            <p>Saved with analysis schema v{report.fromVersion}; converted to v{report.toVersion}.</p>
+          )}
+          {report.errors.map((e) => (
+            <p key={`e-${e.field}`}><span className="font-mono">{e.field}</span> {e.message}</p>
+          ))}
+          {report.dropped.length > 0 && (
+            <div>
+              <p>Ignored (invalid), defaults used instead:</p>
+              <ul className="list-disc pl-4">
+                {report.dropped.map((e) => <li key={`d-${e.field}`}><span className="font-mono">{e.field}</span> {e.message}</li>)}
+              </ul>
+            </div>
+          )}
+          {report.defaulted.length > 0 && (
+            <p>Not in the saved analysis, set to defaults: <span className="font-mono">{fieldList(report.defaulted)}</span>.</p>
+          )}
+          {!failed && <p className="text-text-muted">Review these inputs before relying on the results.</p>}
+        </div>
+      </div>
+      <button onClick={onDismiss} className="opacity-60 hover:opacity-100 p-1 flex-shrink-0" aria-label="Dismiss notice">
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Download, Trash2, AlertTriangle } from 'lucide-react';
+import { InputField, SelectField } from '../ui/Field';
+import Button from '../ui/Button';
+import { downloadCSV, slugify } from '../../utils/exporters';
+import {
+  BUNDLED_SOURCE_LABEL, bundledMultiplierCsv, loadMultiplierSets, multiplierSetLabel,
+  parseMultiplierSet, persistMultiplierSets,
+} from '../../utils/multiplierSets';
+
+const BUNDLED = 'bundled';
+
+/**
+ * Multiplier source for the analysis: the bundled state multipliers or an
+ * imported set (IMPLAN, RIMS II, a regional authority's own). Imported sets
+ * are kept in this browser's library to reuse; the selected set is copied
+ * into the analysis so it is saved with the project. `source` is the run's
+ * multiplierSource, listing the source each revenue stream used. The template
+ * holds `bundled`, the state's rows from the analysis' data edition (unset
+ * until they are loaded).
+ */
+export default function MultiplierSetManager({ set, state, bundled, source, onChange }) {
+  const inputRef = useRef(null);
+  const [library, setLibrary] = useState(loadMultiplierSets);
+  const [name, setName] = useState('');
+  const [vendor, setVendor] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+
+  const updateLibrary = (next) => {
+    setLibrary(next);
+    persistMultiplierSets(next);
+  };
+
+  // A project opened from elsewhere can carry a set this browser has not imported
+  const options = [
+    { value: BUNDLED, label: BUNDLED_SOURCE_LABEL },
+    ...library.map((s) => ({ value: s.id, label: multiplierSetLabel(s) })),
+    ...(set && !library.some((s) => s.id === set.id) ? [{ value: set.id, label: `${multiplierSetLabel(set)} — from this project` }] : []),
+  ];
+  const select = (id) => onChange(id === BUNDLED ? null : library.find((s) => s.id === id) || set);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const parsed = parseMultiplierSet(await file.text(), {
+      name: name || file.name.replace(/\.[^.]+$/, ''),
+      source: vendor,
+    });
+    setErrors(parsed.errors);
+    setWarnings(parsed.warnings);
+    if (!parsed.set) return;
+    // Re-importing the same rows replaces the earlier copy (the id is a hash of the rows)
+    updateLibrary([...library.filter((s) => s.id !== parsed.set.id), parsed.set]);
+    onChange(parsed.set);
+    setName('');
+    setVendor('');
+  };
+
+  const removeSelected = () => {
+    updateLibrary(library.filter((s) => s.id !== set.id));
+    onChange(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <SelectField
+        label="Multiplier Source"
+        value={set?.id || BUNDLED}
+        onChange={select}
+        options={options}
+        id="multiplier-source"
+      />
+
+      {source?.custom && (
+        <div className="text-xs text-gray-600 bg-gray-50 rounded-lg p-3 space-y-1">
+          {source.streams.map((s) => (
+            <p key={s.label}>
+              {s.label} (sector {s.sector}): <span className={s.custom ? 'font-semibold' : ''}>{s.source}</span>
+            </p>
+          ))}
+          {source.fallback.length > 0 && (
+            <p className="flex items-start gap-1.5 text-amber-700">
+              <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" />
+              The set has no row for {source.fallback.join(', ')}, so the bundled multipliers are used there.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-3 pt-3 border-t border-gray-100">
+        <p className="text-sm font-medium text-text-secondary">Import a Multiplier Set</p>
+        <InputField label="Set Name" type="text" value={name} onChange={setName} placeholder="From the file name" id="multiplier-set-name" />
+        <InputField label="Source" type="text" value={vendor} onChange={setVendor} placeholder="e.g. IMPLAN 2022, RIMS II" id="multiplier-set-source" />
+        <input ref={inputRef} type="file" accept=".csv,.txt" className="hidden" onChange={handleFile} />
+        <div className="flex items-center gap-2 flex-wrap">
+          <Button variant="primary" size="sm" icon={Upload} onClick={() => inputRef.current?.click()}>Import CSV</Button>
+          <Button variant="ghost" size="sm" icon={Download} disabled={!bundled} onClick={() => downloadCSV(`${slugify(state, 'state')}-multipliers.csv`, bundledMultiplierCsv(state, bundled))}>
+            Template
+          </Button>
+          {set && library.some((s) => s.id === set.id) && (
+            <Button variant="ghost" size="sm" icon={Trash2} onClick={removeSelected}>Remove</Button>
+          )}
+        </div>
+        <p className="text-xs text-text-muted">
+          Same columns as the bundled multipliers: Sector, Direct_VA_Coef, Type_I_Output, Type_II_Output, Emp_Coef and the rest. The
+          template holds the bundled {state} rows. Type II must be at least Type I, and Type I at least 1 (or the direct coefficient).
+        </p>
+        {errors.map((e) => <p key={e} className="text-xs text-negative">{e}</p>)}
+        {warnings.map((w) => <p key={w} className="text-xs text-amber-700">{w}</p>)}
+      </div>
+    </div>
+  );
+}
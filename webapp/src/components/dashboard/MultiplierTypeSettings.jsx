@@ -0,0 +1,38 @@
+import React from 'react';
+import { InputField, SegmentedToggle } from '../ui/Field';
+import { MULTIPLIER_TYPES } from '../../utils/multiplierType';
+
+const REPORT_NOTES = {
+  typeII: 'Totals count direct, indirect and induced (household-spending) effects.',
+  typeI: 'Totals count direct and indirect (supply-chain) effects only; induced effects are excluded.',
+  both: 'Type II totals are shown with the Type I totals beside them, so the induced effect reads as a range.',
+};
+
+/**
+ * Multiplier basis: report Type I, Type II or both, and the share of the
+ * induced effect counted on the Type II side (for a conservative estimate).
+ */
+export default function MultiplierTypeSettings({ settings, onChange }) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <SegmentedToggle
+          options={MULTIPLIER_TYPES.map(({ value, label }) => ({ value, label }))}
+          value={settings.report}
+          onChange={(report) => onChange({ ...settings, report })}
+        />
+        <p className="text-xs text-text-muted mt-2">{REPORT_NOTES[settings.report]}</p>
+      </div>
+      {settings.report !== 'typeI' && (
+        <InputField
+          label="Induced Effects Counted"
+          value={settings.inducedPct}
+          onChange={(v) => onChange({ ...settings, inducedPct: v == null ? 100 : Math.min(Math.max(v, 0), 100) })}
+          suffix="%"
+          helpText="Share of the induced effect implied by the Type II multipliers. Below 100% gives a conservative Type II estimate."
+          id="induced-pct"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from 'react';
+import { headlineMetrics } from '../../utils/computeScenario';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { NEGATIVE } from '../../theme';
+
+const METRICS = [
+  { key: 'output', label: 'Output', fmt: formatCurrency },
+  { key: 'gdp', label: 'GDP', fmt: formatCurrency },
+  { key: 'employment', label: 'Employment', fmt: (v) => formatJobs(v) },
+  { key: 'wages', label: 'Wages', fmt: formatCurrency },
+  { key: 'totalTax', label: 'Total Tax', fmt: formatCurrency },
+];
+
+const pct = (v) => `${formatNumber(v * 100, 0)}%`;
+
+/**
+ * Gross vs. net side by side. Gross counts all patron spending; net subtracts
+ * the local activity the casino displaces. The share breakdown underneath
+ * explains the gap.
+ */
+export default function NetImpactComparison({ bundle }) {
+  const gross = headlineMetrics(bundle);
+  const net = headlineMetrics(bundle, 'net');
+  if (!gross || !net) return null;
+  const { shares, displacedRevenue } = bundle.net;
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className="text-left py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]">Metric</th>
+              <th className="text-right py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]">Gross</th>
+              <th className="text-right py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]">Net</th>
+              <th className="text-right py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]">Net / Gross</th>
+            </tr>
+          </thead>
+          <tbody>
+            {METRICS.map(({ key, label, fmt }) => (
+              <tr key={key} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">{label}</th>
+                <td className="text-right py-2.5 px-3 tabular-nums text-text-secondary">{fmt(gross[key])}</td>
+                <td className="text-right py-2.5 px-3 tabular-nums font-semibold" style={net[key] < 0 ? { color: NEGATIVE } : undefined}>
+                  {fmt(net[key])}
+                </td>
+                <td className="text-right py-2.5 px-3 tabular-nums text-text-muted">
+                  {gross[key] ? pct(net[key] / gross[key]) : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-text-muted">
+        New money to the state: {pct(shares.newMoney)} of spending
+        ({pct(shares.outOfState)} out-of-state visitors, {pct(shares.recaptured)} recaptured leakage,
+        {' '}{pct(shares.incremental)} added resident spending). Diverted local spending: {pct(shares.displaced)}; the
+        {' '}{formatCurrency(displacedRevenue)} of activity it displaces in arts, entertainment &amp; recreation is
+        subtracted. Gaming tax is levied on all GGR and is the same in both columns.
+      </p>
+    </div>
+  );
+}
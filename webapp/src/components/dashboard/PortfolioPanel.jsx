@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend,
+} from 'recharts';
+import { X, Plus, FolderOpen, Pencil, FileSpreadsheet, FileText, Presentation } from 'lucide-react';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { EFFECT, GRID_STROKE, AXIS_TICK } from '../../theme';
+import { SegmentedToggle } from '../ui/Field';
+import Button from '../ui/Button';
+
+const CHART_METRICS = [
+  { value: 'output', label: 'Output' },
+  { value: 'gdp', label: 'GDP' },
+  { value: 'employment', label: 'Jobs' },
+  { value: 'wages', label: 'Wages' },
+];
+
+const TH = 'py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+function fmtMetric(key, v) {
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+/** A state levy cell: blank when the state levies none. */
+function levy(v) {
+  return v ? formatCurrency(v) : <span className="text-text-faint">—</span>;
+}
+
+/**
+ * Multi-property portfolio: properties (each a full analysis) are added from
+ * the current inputs or saved projects, computed with their own state's model,
+ * and rolled up by state and company-wide. Gaming taxes and other state levies
+ * stay in the state rows; the company row carries total public revenue only.
+ */
+export default function PortfolioPanel({
+  portfolio, rollup, onNameChange, onAddCurrent, canAddCurrent, projects, onAddProject, onRemove, onOpen,
+  onExportCSV, onExportWord, onExportPPTX, generatingWord, generatingPPTX,
+}) {
+  const [metric, setMetric] = useState('output');
+  const [projectId, setProjectId] = useState('');
+
+  const ok = rollup.properties.filter((p) => !p.error);
+  const c = rollup.total;
+
+  const chartData = ok.map((p) => ({
+    name: p.name,
+    direct: p.effects[metric].direct,
+    indirect: p.effects[metric].indirect,
+    induced: p.effects[metric].induced,
+  }));
+
+  const addProject = () => {
+    const project = projects.find((p) => p.id === projectId);
+    if (project) onAddProject(project);
+    setProjectId('');
+  };
+
+  return (
+    <div className="space-y-5">
+      {/* Name + add properties */}
+      <div className="flex items-center gap-2 flex-wrap no-print">
+        <div className="relative flex-1 min-w-[200px]">
+          <Pencil size={13} className="absolute left-3 top-1/2 -translate-y-1/2 text-text-faint" aria-hidden="true" />
+          <input
+            value={portfolio.name} onChange={(e) => onNameChange(e.target.value)}
+            placeholder="Name this portfolio…" aria-label="Portfolio name"
+            className="field-input pl-8 pr-3 py-1.5 text-sm w-full"
+          />
+        </div>
+        <Button variant="secondary" size="sm" icon={Plus} onClick={onAddCurrent} disabled={!canAddCurrent}>
+          Add current
+        </Button>
+        {projects.length > 0 && (
+          <div className="flex items-center gap-1.5">
+            <select
+              value={projectId} onChange={(e) => setProjectId(e.target.value)} aria-label="Saved project"
+              className="field-input px-2.5 py-1.5 text-sm bg-white max-w-[180px]"
+            >
+              <option value="">Saved project…</option>
+              {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <Button variant="secondary" size="sm" icon={FolderOpen} onClick={addProject} disabled={!projectId}>Add</Button>
+          </div>
+        )}
+      </div>
+
+      {portfolio.properties.length === 0 ? (
+        <p className="text-sm text-text-muted text-center py-8">
+          Add the current analysis or a saved project for each property. Every property is computed with its own
+          state's multipliers and tax schedule, then rolled up by state and company-wide.
+        </p>
+      ) : (
+        <>
+          {/* Rollup by state */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-hairline">
+                  <th className={`text-left ${TH}`}>State</th>
+                  <th className={`text-right ${TH}`}>Properties</th>
+                  <th className={`text-right ${TH}`}>Output</th>
+                  <th className={`text-right ${TH}`}>GDP</th>
+                  <th className={`text-right ${TH}`}>Jobs</th>
+                  <th className={`text-right ${TH}`}>Wages</th>
+                  <th className={`text-right ${TH}`}>Gaming Tax / Compact</th>
+                  <th className={`text-right ${TH}`}>Fees &amp; Local</th>
+                  <th className={`text-right ${TH}`}>Total Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rollup.byState.map((s) => (
+                  <tr key={s.state} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                    <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">
+                      {s.state}
+                      {s.effectiveRate > 0 && (
+                        <span className="block text-[10.5px] font-normal text-text-muted">{formatNumber(s.effectiveRate * 100, 1)}% effective</span>
+                      )}
+                    </th>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{s.count}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(s.output)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(s.gdp)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{formatJobs(s.employment)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(s.wages)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{levy(s.taxes.gamingTax + s.taxes.compact)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums">{levy(s.taxes.fees + s.taxes.local)}</td>
+                    <td className="text-right py-2.5 px-3 tabular-nums font-semibold text-ink">{formatCurrency(s.totalTax)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-paper font-semibold text-ink">
+                  <th scope="row" className="text-left py-2.5 px-3">Company-wide</th>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{c.count}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(c.output)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(c.gdp)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{formatJobs(c.employment)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(c.wages)}</td>
+                  <td className="text-right py-2.5 px-3 text-xs font-normal text-text-muted" colSpan={2}>by state</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums">{formatCurrency(c.totalTax)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <p className="text-xs text-text-faint mt-2 px-3">
+              Impacts add across states (each state model counts in-state activity only). Gaming taxes, fees, compact
+              payments and local levies follow each state's schedule, applied property by property, and are not combined company-wide.
+            </p>
+          </div>
+
+          {/* Per-property breakdown */}
+          <div>
+            <div className="flex items-center gap-2 mb-3 flex-wrap no-print">
+              <span className="text-xs text-text-muted">By property:</span>
+              <SegmentedToggle options={CHART_METRICS} value={metric} onChange={setMetric} />
+            </div>
+            <ResponsiveContainer width="100%" height={Math.max(180, chartData.length * 46 + 40)}>
+              <BarChart data={chartData} layout="vertical" margin={{ top: 4, right: 24, left: 8, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} horizontal={false} />
+                <XAxis type="number" tick={AXIS_TICK} axisLine={false} tickLine={false}
+                  tickFormatter={(v) => (metric === 'employment' ? formatJobs(v) : `$${formatNumber(v, 0)}`)} />
+                <YAxis type="category" dataKey="name" width={130} tick={{ ...AXIS_TICK, fontSize: 12 }} axisLine={false} tickLine={false} />
+                <Tooltip
+                  cursor={{ fill: 'rgba(19,36,59,0.04)' }}
+                  formatter={(v, key) => [fmtMetric(metric, v), key]}
+                  contentStyle={{ borderRadius: 10, border: '1px solid #e5e8ed', fontSize: 12 }}
+                />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="direct" name="Direct" stackId="e" fill={EFFECT.direct} barSize={24} />
+                <Bar dataKey="indirect" name="Indirect" stackId="e" fill={EFFECT.indirect} barSize={24} />
+                <Bar dataKey="induced" name="Induced" stackId="e" fill={EFFECT.induced} barSize={24} radius={[0, 5, 5, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Property list */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-hairline">
+                  <th className={`text-left ${TH}`}>Property</th>
+                  <th className={`text-left ${TH}`}>State</th>
+                  <th className={`text-right ${TH}`}>Revenue</th>
+                  <th className={`text-right ${TH}`}>Output</th>
+                  <th className={`text-right ${TH}`}>Jobs</th>
+                  <th className={`text-right ${TH}`}>Total Tax</th>
+                  <th className="no-print" />
+                </tr>
+              </thead>
+              <tbody>
+                {rollup.properties.map((p) => (
+                  <tr key={p.id} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                    <th scope="row" className="text-left py-2 px-3 font-medium text-text-secondary">{p.name}</th>
+                    <td className="py-2 px-3 text-text-muted">{p.state}</td>
+                    {p.error ? (
+                      <td colSpan={4} className="text-right py-2 px-3 text-xs text-negative">{p.error}</td>
+                    ) : (
+                      <>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatCurrency(p.revenue)}</td>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatCurrency(p.output)}</td>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatJobs(p.employment)}</td>
+                        <td className="text-right py-2 px-3 tabular-nums">{formatCurrency(p.totalTax)}</td>
+                      </>
+                    )}
+                    <td className="py-2 px-3 text-right whitespace-nowrap no-print">
+                      <button onClick={() => onOpen(p)} className="text-xs text-accent hover:underline mr-3">Open</button>
+                      <button onClick={() => onRemove(p.id)} className="text-text-faint hover:text-negative align-middle" aria-label={`Remove ${p.name}`}>
+                        <X size={13} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Portfolio exports */}
+          <div className="flex items-center justify-end gap-2 flex-wrap pt-1 no-print">
+            <span className="text-xs text-text-muted mr-1">Export portfolio:</span>
+            <Button variant="secondary" size="sm" icon={FileSpreadsheet} onClick={onExportCSV} disabled={ok.length === 0}>CSV</Button>
+            <Button variant="secondary" size="sm" icon={FileText} onClick={onExportWord} disabled={ok.length === 0 || generatingWord}>
+              {generatingWord ? 'Building…' : 'Word'}
+            </Button>
+            <Button variant="secondary" size="sm" icon={Presentation} onClick={onExportPPTX} disabled={ok.length === 0 || generatingPPTX}>
+              {generatingPPTX ? 'Building…' : 'PowerPoint'}
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { InputField, SegmentedToggle } from '../ui/Field';
+import { CPI_BASE_YEAR, CURRENT_YEAR, formatNumber } from '../../utils/calculations';
+import { NATIONAL_CPI_LABEL, cpiRegionFor, formatCpiValues, parseCpiValues } from '../../utils/cpi';
+
+const sameValues = (a, b) => formatCpiValues(a) === formatCpiValues(b);
+
+/**
+ * Price-year inputs: the year whose dollars the revenues are in, and an
+ * optional user CPI series that extends or replaces the national CPI-U (for
+ * instance the BLS regional CPI-U for the state). Shows the resolved deflator
+ * and any warning about the year falling outside the series.
+ */
+export default function PriceYearSettings({ cpi, state, resolved, onChange }) {
+  const series = cpi.series;
+  const region = cpiRegionFor(state);
+  const [draft, setDraft] = useState(() => formatCpiValues(series?.values));
+  const [errors, setErrors] = useState([]);
+
+  // A project opened or reset elsewhere replaces the values being edited
+  useEffect(() => {
+    if (!sameValues(parseCpiValues(draft).values, series?.values || {})) {
+      setDraft(formatCpiValues(series?.values));
+      setErrors([]);
+    }
+  }, [series?.values]);
+
+  const setSeries = (patch) => onChange({ ...cpi, series: { ...series, ...patch } });
+  const editValues = (text) => {
+    setDraft(text);
+    const parsed = parseCpiValues(text);
+    setErrors(parsed.errors);
+    setSeries({ values: parsed.values });
+  };
+
+  return (
+    <div className="space-y-4">
+      <InputField
+        label="Price Year"
+        value={cpi.year}
+        onChange={(v) => onChange({ ...cpi, year: v ? Math.round(v) : null })}
+        placeholder={String(CURRENT_YEAR)}
+        helpText={`The year whose dollars the revenue inputs are in. Blank uses the current year (${CURRENT_YEAR}).`}
+        id="cpi-year"
+      />
+
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={!!series}
+          onChange={(e) => onChange({ ...cpi, series: e.target.checked ? { label: '', mode: 'extend', values: {} } : null })}
+          className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+        />
+        <span className="text-sm text-gray-700">
+          Enter CPI values manually
+          <span className="block text-xs text-gray-500">Add years the bundled {NATIONAL_CPI_LABEL} does not have yet, or type in a regional CPI (no regional values are bundled)</span>
+        </span>
+      </label>
+
+      {series && (
+        <div className="space-y-3">
+          <SegmentedToggle
+            options={[{ value: 'extend', label: 'Extend CPI-U' }, { value: 'replace', label: 'Replace CPI-U' }]}
+            value={series.mode}
+            onChange={(mode) => setSeries({ mode })}
+          />
+          <InputField
+            label="Series Name"
+            type="text"
+            value={series.label}
+            onChange={(label) => setSeries({ label })}
+            placeholder={series.mode === 'replace' && region ? `CPI-U, ${region.region} region` : `${NATIONAL_CPI_LABEL}, extended`}
+            id="cpi-series-label"
+          />
+          {series.mode === 'replace' && region && (
+            <p className="text-xs text-gray-500">
+              {state} is in the {region.region} census region. Regional CPI values are not bundled: for a regional deflator, enter the annual averages of BLS series{' '}
+              <a href={`https://data.bls.gov/timeseries/${region.seriesId}`} target="_blank" rel="noopener noreferrer" className="text-accent underline">
+                {region.seriesId}
+              </a>{' '}
+              (CPI-U, {region.region}), including {CPI_BASE_YEAR}.
+            </p>
+          )}
+          <div className="space-y-1.5">
+            <label htmlFor="cpi-values" className="block text-sm font-medium text-text-secondary">Annual CPI Values</label>
+            <textarea
+              id="cpi-values"
+              rows={5}
+              value={draft}
+              onChange={(e) => editValues(e.target.value)}
+              placeholder={`${CPI_BASE_YEAR}, 254.412\n${CURRENT_YEAR}, …`}
+              className="field-input px-3.5 py-2.5 text-text font-mono text-xs"
+            />
+            <p className="text-xs text-text-muted">One “year, index” pair per line.{series.mode === 'extend' ? ' Years already in the CPI-U are overridden.' : ''}</p>
+            {errors.map((e) => <p key={e} className="text-xs text-negative">{e}</p>)}
+          </div>
+        </div>
+      )}
+
+      {resolved && (
+        <div className="text-xs text-gray-600 bg-gray-50 rounded-lg p-3 space-y-1">
+          <p>
+            Deflator to {resolved.baseYear} dollars: <span className="font-semibold tabular-nums">{formatNumber(resolved.deflator, 4)}</span>
+            {' '}({resolved.label}: {formatNumber(resolved.baseIndex, 3)} ÷ {formatNumber(resolved.index, 3)})
+          </p>
+          {resolved.warnings.map((w) => (
+            <p key={w} className="flex items-start gap-1.5 text-amber-700">
+              <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" /> {w}
+            </p>
+          ))}
+          {resolved.coverage === 'after' && (
+            <p className="text-gray-500">Add a {resolved.year} value under “Enter CPI values manually” for an exact deflator.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { Plus, X } from 'lucide-react';
+import { runProForma, normalizeProForma, PRO_FORMA_DEPARTMENTS } from '../../utils/proForma';
+import { METRIC_META } from '../../utils/sensitivity';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { ACCENT, GRID_STROKE, AXIS_TICK, HIGHLIGHT } from '../../theme';
+import { SegmentedToggle } from '../ui/Field';
+
+const TH = 'py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+const TD = 'text-right py-2 px-3 tabular-nums';
+
+function fmtMetric(key, v) {
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+/** Compact numeric input used in the assumption grid. */
+function NumberInput({ label, value, onChange, suffix, step = 'any', id }) {
+  return (
+    <label htmlFor={id} className="block space-y-1">
+      <span className="block text-[11px] font-medium text-text-muted">{label}</span>
+      <span className="relative block">
+        <input
+          id={id}
+          type="number"
+          step={step}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : parseFloat(e.target.value))}
+          className={`field-input px-2.5 py-1.5 text-sm text-text tabular-nums ${suffix ? 'pr-8' : ''}`}
+        />
+        {suffix && <span className="absolute right-2.5 top-1/2 -translate-y-1/2 text-text-muted text-xs" aria-hidden="true">{suffix}</span>}
+      </span>
+    </label>
+  );
+}
+
+/**
+ * Year-by-year operating pro forma: assumptions (ramp, departmental growth,
+ * CPI, scheduled tax changes, discount rate) on top, then the chart, the
+ * annual table, and cumulative vs. present-value totals. Settings live on
+ * the analysis so they save, share, and export with it.
+ */
+export default function ProFormaPanel({ analysis, metric, onChange }) {
+  const settings = normalizeProForma(analysis.proForma);
+  const pf = useMemo(() => runProForma(analysis), [analysis]);
+  const metricMeta = METRIC_META.find((m) => m.key === metric);
+  const set = (patch) => onChange?.({ ...settings, ...patch });
+  const departments = analysis.inputMode === 'total'
+    ? [{ key: 'gaming', label: 'Revenue' }]
+    : PRO_FORMA_DEPARTMENTS.filter(({ key }) => (analysis.revenues?.[key] || 0) > 0);
+  const stabilizedYear = pf.settings.startYear + pf.settings.stabilizationYear - 1;
+
+  const setTaxChange = (i, patch) => set({
+    taxChanges: settings.taxChanges.map((c, j) => (j === i ? { ...c, ...patch } : c)),
+  });
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-4 no-print">
+        <div className="flex items-center gap-5 flex-wrap">
+          <div className="flex items-center gap-2">
+            <span className="text-xs text-text-muted">Horizon:</span>
+            <SegmentedToggle value={pf.settings.years} onChange={(years) => set({ years })}
+              options={[{ value: 5, label: '5 yr' }, { value: 10, label: '10 yr' }, { value: 15, label: '15 yr' }]} />
+          </div>
+          <label className="flex items-center gap-2 text-xs text-text-secondary cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.includeInExports}
+              onChange={(e) => set({ includeInExports: e.target.checked })}
+              className="accent-[#1a365d]"
+            />
+            Include in CSV and Word exports
+          </label>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+          <NumberInput id="pf-start" label="Opening year" value={pf.settings.startYear} step="1"
+            onChange={(v) => set({ startYear: v ? Math.round(v) : null })} />
+          <NumberInput id="pf-opening" label="Year-1 revenue" suffix="%" value={settings.openingPct}
+            onChange={(v) => set({ openingPct: v })} />
+          <NumberInput id="pf-stab" label="Stabilizes in year" value={settings.stabilizationYear} step="1"
+            onChange={(v) => set({ stabilizationYear: v })} />
+          <NumberInput id="pf-inflation" label={`CPI after ${pf.cpi.lastYear}`} suffix="%" value={settings.inflationPct}
+            onChange={(v) => set({ inflationPct: v })} />
+          <NumberInput id="pf-discount" label="Discount rate" suffix="%" value={settings.discountRatePct}
+            onChange={(v) => set({ discountRatePct: v })} />
+        </div>
+
+        {departments.length > 0 && (
+          <div>
+            <p className="text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em] mb-2">
+              Nominal growth after stabilization
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {departments.map(({ key, label }) => (
+                <NumberInput key={key} id={`pf-growth-${key}`} label={label} suffix="%" value={settings.growthPct[key]}
+                  onChange={(v) => set({ growthPct: { ...settings.growthPct, [key]: v } })} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div>
+          <p className="text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em] mb-2">
+            Scheduled gaming tax changes
+          </p>
+          <div className="space-y-2">
+            {settings.taxChanges.map((c, i) => (
+              <div key={i} className="flex items-end gap-3">
+                <div className="w-32">
+                  <NumberInput id={`pf-tax-year-${i}`} label="Effective year" value={c.year} step="1"
+                    onChange={(v) => setTaxChange(i, { year: v ? Math.round(v) : null })} />
+                </div>
+                <div className="w-32">
+                  <NumberInput id={`pf-tax-rate-${i}`} label="Effective rate" suffix="%" value={c.ratePct}
+                    onChange={(v) => setTaxChange(i, { ratePct: v })} />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => set({ taxChanges: settings.taxChanges.filter((_, j) => j !== i) })}
+                  className="mb-1.5 p-1 text-text-muted hover:text-ink"
+                  aria-label="Remove tax change"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => set({ taxChanges: [...settings.taxChanges, { year: pf.settings.startYear + 1, ratePct: null }] })}
+              className="flex items-center gap-1 text-xs font-medium text-accent hover:text-primary"
+            >
+              <Plus size={13} /> Add rate change
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {pf.rows.length === 0 ? (
+        <p className="text-sm text-text-muted">Enter revenue to build the pro forma.</p>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={pf.rows} margin={{ top: 10, right: 20, left: 6, bottom: 4 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} />
+              <XAxis dataKey="year" tick={AXIS_TICK} axisLine={false} tickLine={false} />
+              <YAxis tick={AXIS_TICK} axisLine={false} tickLine={false}
+                tickFormatter={(v) => metric === 'employment' ? formatJobs(v) : `$${formatNumber(v, 0)}`} width={56} />
+              <Tooltip
+                formatter={(v) => [fmtMetric(metric, v), metricMeta.label]}
+                contentStyle={{ borderRadius: 10, border: '1px solid #e5e8ed', fontSize: 12 }}
+              />
+              {pf.settings.stabilizationYear > 1 && pf.settings.stabilizationYear <= pf.rows.length && (
+                <ReferenceLine x={stabilizedYear} stroke={HIGHLIGHT} strokeDasharray="4 3"
+                  label={{ value: 'Stabilized', position: 'top', fill: HIGHLIGHT, fontSize: 10, fontWeight: 600 }} />
+              )}
+              <Line type="monotone" dataKey={metric} stroke={ACCENT} strokeWidth={2.5}
+                dot={{ r: 3.5, fill: ACCENT, stroke: '#fff', strokeWidth: 1.5 }} activeDot={{ r: 5 }} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-hairline">
+                  <th className={`text-left ${TH}`}>Year</th>
+                  <th className={`text-right ${TH}`}>Ramp</th>
+                  <th className={`text-right ${TH}`}>Revenue</th>
+                  <th className={`text-right ${TH}`}>Output</th>
+                  <th className={`text-right ${TH}`}>GDP</th>
+                  <th className={`text-right ${TH}`}>Jobs</th>
+                  <th className={`text-right ${TH}`}>Wages</th>
+                  <th className={`text-right ${TH}`}>Gaming Tax</th>
+                  <th className={`text-right ${TH}`}>Total Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pf.rows.map((r) => (
+                  <tr key={r.year} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                    <th scope="row" className="text-left py-2 px-3 font-medium text-text-secondary">{r.year}</th>
+                    <td className={`${TD} text-text-muted`}>{formatNumber(r.rampPct, 0)}%</td>
+                    <td className={TD}>{formatCurrency(r.revenue)}</td>
+                    <td className={TD}>{formatCurrency(r.output)}</td>
+                    <td className={TD}>{formatCurrency(r.gdp)}</td>
+                    <td className={TD}>{formatJobs(r.employment)}</td>
+                    <td className={TD}>{formatCurrency(r.wages)}</td>
+                    <td className={TD} title={r.ggr ? `Effective rate ${formatNumber(r.gamingTaxRate * 100, 1)}%` : undefined}>
+                      {formatCurrency(r.gamingTax)}
+                    </td>
+                    <td className={`${TD} font-semibold text-ink`}>{formatCurrency(r.totalTax)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {[
+              { label: `${pf.rows.length}-yr GDP`, v: formatCurrency(pf.totals.gdp) },
+              { label: 'NPV of GDP', v: formatCurrency(pf.npv.gdp) },
+              { label: `${pf.rows.length}-yr Total Tax`, v: formatCurrency(pf.totals.totalTax) },
+              { label: 'NPV of Total Tax', v: formatCurrency(pf.npv.totalTax) },
+            ].map((c) => (
+              <div key={c.label} className="surface-sunken px-3 py-2.5">
+                <p className="text-[10px] text-text-faint font-semibold uppercase tracking-[0.06em]">{c.label}</p>
+                <p className="font-display text-lg font-semibold text-ink tabular-nums mt-0.5">{c.v}</p>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-text-faint">
+            Revenue opens at {formatNumber(settings.openingPct ?? 0, 0)}% of the current inputs and ramps linearly to
+            100% in {stabilizedYear}, then grows at each department&apos;s nominal rate. Jobs use each year&apos;s CPI
+            deflator ({pf.cpi.lastYear} CPI projected at {formatNumber(settings.inflationPct ?? 0, 1)}% thereafter).
+            Present values discount each year-end at {formatNumber(settings.discountRatePct ?? 0, 1)}%.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
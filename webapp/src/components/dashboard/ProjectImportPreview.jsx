@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { AlertCircle, ShieldCheck, Check } from 'lucide-react';
+import { BRAND } from '../../brand';
+import { formatCurrency, formatJobs } from '../../utils/calculations';
+import { SegmentedToggle } from '../ui/Field';
+import Button from '../ui/Button';
+
+const TH = 'py-2 px-2 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+const BASIS_OPTIONS = [
+  { value: 'current', label: 'Recompute' },
+  { value: 'stored', label: 'As stored' },
+];
+
+function vintageValue(v) {
+  if (v == null) return 'none';
+  return typeof v === 'object' ? 'changed' : String(v);
+}
+
+/**
+ * Review step for an imported .gems file: provenance warnings (hash, model
+ * version, data vintages), the file's notes, and each analysis's results —
+ * recomputed with this app's data or as stored in the file — before the
+ * analyses are added to saved projects and scenarios.
+ */
+export default function ProjectImportPreview({ fileName, file, onImport, onCancel }) {
+  const changed = file.vintageChanges.length > 0 || file.modelChanged;
+  const [basis, setBasis] = useState('current');
+  const items = [
+    ...file.projects.map((p) => ({ ...p, kind: 'Project' })),
+    ...file.scenarios.map((s) => ({ ...s, kind: 'Scenario' })),
+  ];
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  return (
+    <div className="space-y-3.5">
+      <div>
+        <p className="font-semibold text-ink text-sm truncate">{fileName}</p>
+        <p className="text-[11px] text-text-muted mt-0.5">
+          {file.model ? `${file.model.product || BRAND.productName} ${file.model.version}` : 'Unknown model version'}
+          {file.exportedAt && ` · exported ${new Date(file.exportedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`}
+        </p>
+      </div>
+
+      {file.integrity === 'ok' ? (
+        <p className="flex items-center gap-1.5 text-xs text-positive"><ShieldCheck size={14} /> Content hash verified</p>
+      ) : (
+        <p className="flex items-start gap-1.5 text-xs text-negative">
+          <AlertCircle size={14} className="mt-px flex-shrink-0" />
+          {file.integrity === 'mismatch'
+            ? 'The file was modified after export (its SHA-256 content hash does not match).'
+            : 'The file carries no content hash, so its provenance cannot be verified.'}
+        </p>
+      )}
+
+      {changed && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-900 space-y-1.5">
+          <p className="font-semibold flex items-center gap-1.5"><AlertCircle size={14} /> Built with different data</p>
+          {file.modelChanged && <p>Exported from {BRAND.productName} {file.model.version}; this is {BRAND.productName} {BRAND.modelVersion}.</p>}
+          {file.vintageChanges.length > 0 && (
+            <ul className="space-y-0.5">
+              {file.vintageChanges.map((c) => (
+                <li key={c.field}><span className="font-mono">{c.field}</span>: {vintageValue(c.file)} in the file, {vintageValue(c.current)} here</li>
+              ))}
+            </ul>
+          )}
+          <p>Results recomputed now may differ from those stored in the file.</p>
+          <div className="pt-1">
+            <SegmentedToggle options={BASIS_OPTIONS} value={basis} onChange={setBasis} />
+          </div>
+        </div>
+      )}
+
+      {file.notes && (
+        <div>
+          <p className="text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em] mb-1">Notes</p>
+          <p className="text-xs text-text-secondary whitespace-pre-wrap">{file.notes}</p>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`text-left ${TH}`}>Analysis</th>
+              <th className={`text-right ${TH}`}>Output</th>
+              <th className={`text-right ${TH}`}>Jobs</th>
+              <th className={`text-right ${TH}`}>Total Tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((it, i) => {
+              const r = basis === 'stored' ? it.stored : it.current;
+              return (
+                <tr key={`${it.kind}-${i}`} className="border-b border-hairline/60 align-top">
+                  <td className="py-1.5 px-2">
+                    <span className="font-medium text-text-secondary">{it.name}</span>
+                    <span className="block text-[10.5px] text-text-muted">{it.kind} · {it.analysis.state}</span>
+                  </td>
+                  {r ? (
+                    <>
+                      <td className="text-right py-1.5 px-2 tabular-nums">{formatCurrency(r.output)}</td>
+                      <td className="text-right py-1.5 px-2 tabular-nums">{formatJobs(r.employment)}</td>
+                      <td className="text-right py-1.5 px-2 tabular-nums">{formatCurrency(r.totalTax)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={3} className="text-right py-1.5 px-2 text-text-faint">{basis === 'stored' ? 'Not stored' : 'No results'}</td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {file.skipped.length > 0 && (
+        <div className="text-xs text-negative space-y-0.5">
+          <p className="font-semibold">Cannot be opened, will be skipped:</p>
+          {file.skipped.map((s, i) => (
+            <p key={i}>{s.name}: {s.errors.map((e) => `${e.field} ${e.message}`).join('; ')}</p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-2 pt-1">
+        <Button variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+        <Button variant="primary" size="sm" icon={Check} onClick={onImport} disabled={items.length === 0}>
+          Import {[file.projects.length && count(file.projects.length, 'project'), file.scenarios.length && count(file.scenarios.length, 'scenario')].filter(Boolean).join(' and ')}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
-import React, { useEffect } from 'react';
-import { X, FolderOpen, Trash2, Clock, MapPin } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import { X, FolderOpen, Trash2, Clock, MapPin, Download, Upload, AlertCircle, Lock } from 'lucide-react';
+import { buildProjectFile, downloadProjectFile, readProjectFile, PROJECT_FILE_EXTENSION } from '../../utils/projectFile';
+import ProjectImportPreview from './ProjectImportPreview';
+import Button from '../ui/Button';
 
 const PROPERTY_LABELS = {
   '721120': 'Resort + Casino',
@@ -22,9 +25,41 @@ function timeAgo(iso) {
 
 /**
  * Slide-over panel listing locally-saved analyses. Open restores all inputs;
- * delete removes the saved project.
+ * delete removes the saved project. Projects (and comparison scenarios) can be
+ * exported to a portable .gems file and imported from one after review.
  */
-export default function ProjectsDrawer({ open, projects, onClose, onOpenProject, onDelete }) {
+export default function ProjectsDrawer({ open, projects, scenarios = [], onClose, onOpenProject, onDelete, onImportFile }) {
+  const inputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [includeScenarios, setIncludeScenarios] = useState(true);
+  const [imported, setImported] = useState(null);
+  const [fileError, setFileError] = useState(null);
+
+  const handleExport = async () => {
+    const file = await buildProjectFile({ projects, scenarios: includeScenarios ? scenarios : [], notes });
+    downloadProjectFile(`gems-projects-${file.exportedAt.slice(0, 10)}`, file);
+    setExporting(false);
+  };
+
+  const handleFile = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (!f) return;
+    setFileError(null);
+    try {
+      setImported({ name: f.name, file: await readProjectFile(await f.text()) });
+      setExporting(false);
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const confirmImport = () => {
+    onImportFile(imported.file);
+    setImported(null);
+  };
+
   useEffect(() => {
     if (!open) return;
     const onKey = (e) => { if (e.key === 'Escape') onClose(); };
@@ -45,7 +80,9 @@ export default function ProjectsDrawer({ open, projects, onClose, onOpenProject,
         </div>
 
         <div className="flex-1 overflow-y-auto p-4 space-y-2.5">
-          {projects.length === 0 ? (
+          {imported ? (
+            <ProjectImportPreview fileName={imported.name} file={imported.file} onImport={confirmImport} onCancel={() => setImported(null)} />
+          ) : projects.length === 0 ? (
             <div className="text-center py-16 px-6">
               <FolderOpen size={36} className="mx-auto text-text-faint mb-3" strokeWidth={1.5} />
               <p className="text-sm text-text-muted">No saved analyses yet.</p>
@@ -61,6 +98,7 @@ export default function ProjectsDrawer({ open, projects, onClose, onOpenProject,
                       <span className="flex items-center gap-1"><MapPin size={11} />{p.analysis.state}</span>
                       <span>{PROPERTY_LABELS[p.analysis.propertyType] || 'Custom'}</span>
                       <span className="flex items-center gap-1"><Clock size={11} />{timeAgo(p.savedAt)}</span>
+                      {p.snapshot && <span className="flex items-center gap-1" title="Results frozen when saved"><Lock size={11} />Frozen</span>}
                     </div>
                   </button>
                   <div className="flex items-center gap-1 flex-shrink-0">
@@ -78,8 +116,39 @@ export default function ProjectsDrawer({ open, projects, onClose, onOpenProject,
             ))
           )}
         </div>
-        <div className="px-5 py-3 border-t border-hairline">
-          <p className="text-[11px] text-text-faint">Saved in this browser only — share a link to send an analysis to someone else.</p>
+        <div className="px-5 py-3 border-t border-hairline space-y-2.5">
+          {exporting && (
+            <div className="space-y-2">
+              <textarea
+                value={notes} onChange={(e) => setNotes(e.target.value)} rows={3}
+                placeholder="Notes for whoever opens this file (optional)" aria-label="Project file notes"
+                className="field-input px-3 py-2 text-sm w-full resize-none"
+              />
+              {scenarios.length > 0 && (
+                <label className="flex items-center gap-2 text-xs text-text-secondary">
+                  <input type="checkbox" checked={includeScenarios} onChange={(e) => setIncludeScenarios(e.target.checked)} />
+                  Include {scenarios.length} comparison scenario{scenarios.length === 1 ? '' : 's'}
+                </label>
+              )}
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" size="sm" onClick={() => setExporting(false)}>Cancel</Button>
+                <Button variant="primary" size="sm" icon={Download} onClick={handleExport}>Download {PROJECT_FILE_EXTENSION}</Button>
+              </div>
+            </div>
+          )}
+          {fileError && <p className="flex items-center gap-1.5 text-xs text-negative"><AlertCircle size={13} /> {fileError}</p>}
+          {!exporting && !imported && (
+            <div className="flex items-center gap-2">
+              <Button variant="secondary" size="sm" icon={Download} onClick={() => setExporting(true)} disabled={projects.length === 0 && scenarios.length === 0}>
+                Export file
+              </Button>
+              <Button variant="secondary" size="sm" icon={Upload} onClick={() => inputRef.current?.click()}>Import file</Button>
+              <input ref={inputRef} type="file" accept={`${PROJECT_FILE_EXTENSION},application/json`} className="hidden" onChange={handleFile} />
+            </div>
+          )}
+          <p className="text-[11px] text-text-faint">
+            Saved in this browser only — export a {PROJECT_FILE_EXTENSION} file to back up or share projects, or share a link for a single analysis.
+          </p>
         </div>
       </div>
     </div>
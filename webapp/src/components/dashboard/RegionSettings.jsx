@@ -0,0 +1,78 @@
+import React from 'react';
+import { InputField, SegmentedToggle } from '../ui/Field';
+import { formatNumber } from '../../utils/calculations';
+import { REGION_KINDS, regionalFactors } from '../../utils/region';
+
+const NAME_PLACEHOLDERS = { county: 'e.g. Clark County', msa: 'e.g. Las Vegas–Henderson MSA', custom: 'e.g. Tri-county area' };
+
+/**
+ * Host region inputs: which county, metro area or custom region the
+ * operation sits in, its share of state employment and the location quotient
+ * of its supplier industries (both typed in from QCEW; no county data is
+ * bundled), and the FLQ factors they give.
+ */
+export default function RegionSettings({ region, onChange }) {
+  const set = (patch) => onChange({ ...region, ...patch });
+  const factors = regionalFactors(region);
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={region.enabled}
+          onChange={(e) => set({ enabled: e.target.checked })}
+          className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+        />
+        <span className="text-sm text-gray-700">
+          Report the host region separately
+          <span className="block text-xs text-gray-500">Splits impacts into the host county or metro area and the rest of the state</span>
+        </span>
+      </label>
+
+      {region.enabled && (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-500">
+            Manual entry: no county or metro-area data is bundled. Look up the region's figures in the{' '}
+            <a href="https://data.bls.gov/cew/apps/data_views/data_views.htm" target="_blank" rel="noopener noreferrer" className="text-accent underline">
+              BLS QCEW
+            </a>{' '}
+            data and enter them below; the name is a label only.
+          </p>
+          <SegmentedToggle options={REGION_KINDS} value={region.kind} onChange={(kind) => set({ kind })} />
+          <InputField
+            label="Region Name"
+            type="text"
+            value={region.name}
+            onChange={(name) => set({ name })}
+            placeholder={NAME_PLACEHOLDERS[region.kind]}
+            id="region-name"
+          />
+          <InputField
+            label="Share of State Employment"
+            value={region.employmentSharePct}
+            onChange={(v) => set({ employmentSharePct: v == null ? null : Math.min(Math.max(v, 0), 100) })}
+            suffix="%"
+            helpText="Entered by hand: region's covered employment ÷ state covered employment, all industries (BLS QCEW)."
+            id="region-employment-share"
+          />
+          <InputField
+            label="Supplier Industry Location Quotient"
+            value={region.supplierLQ}
+            onChange={(v) => set({ supplierLQ: v == null ? 1 : Math.max(v, 0) })}
+            helpText="Entered by hand: how concentrated the casino's supplier industries are in the region relative to the state (QCEW). 1 = the state's average mix."
+            id="region-supplier-lq"
+          />
+          {factors ? (
+            <p className="text-xs text-gray-600 bg-gray-50 rounded-lg p-3">
+              Retained in region: {formatNumber(factors.indirect * 100, 1)}% of indirect and {formatNumber(factors.induced * 100, 1)}% of
+              induced effects (FLQ λ = {formatNumber(factors.lambda, 3)}).
+            </p>
+          ) : (
+            <p className="text-xs text-amber-700">Enter the region's share of state employment to split the results.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { regionLabel } from '../../utils/region';
+
+const METRICS = [
+  { key: 'output', label: 'Output', fmt: formatCurrency },
+  { key: 'gdp', label: 'GDP', fmt: formatCurrency },
+  { key: 'employment', label: 'Employment', fmt: (v) => formatJobs(v) },
+  { key: 'wages', label: 'Wages', fmt: formatCurrency },
+  { key: 'tax', label: 'Taxes on Production', fmt: formatCurrency },
+];
+
+const TH = 'text-right py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+const pct = (v) => `${formatNumber(v * 100, 1)}%`;
+
+/**
+ * Host region vs. rest of state. Direct effects stay in the host region; the
+ * FLQ factors set how much of the state ripple effect the region keeps.
+ */
+export default function RegionSplit({ region, results }) {
+  if (!region || !results) return null;
+  const name = regionLabel(region);
+  const { host, rest, factors } = region;
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`${TH} text-left`}>Metric</th>
+              <th className={TH}>{name}</th>
+              <th className={TH}>Rest of State</th>
+              <th className={TH}>State Total</th>
+              <th className={TH}>Host Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {METRICS.map(({ key, label, fmt }) => {
+              const total = results.totals[key].total;
+              return (
+                <tr key={key} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                  <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">{label}</th>
+                  <td className="text-right py-2.5 px-3 tabular-nums font-semibold">{fmt(host.totals[key].total)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums text-text-secondary">{fmt(rest.totals[key].total)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums text-text-secondary">{fmt(total)}</td>
+                  <td className="text-right py-2.5 px-3 tabular-nums text-text-muted">{total ? pct(host.totals[key].total / total) : '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-text-muted">
+        Direct effects are counted in {name}, where the operation is. {name} keeps {pct(factors.indirect)} of the
+        statewide indirect (supply-chain) effect and {pct(factors.induced)} of the induced (household-spending)
+        effect (FLQ λ = {formatNumber(factors.lambda, 3)}); the rest leaks to other parts of the state. Output
+        multiplier in {name}: {formatNumber(host.multipliers.output, 2)}x, against {formatNumber(results.multipliers.output, 2)}x statewide.
+      </p>
+    </div>
+  );
+}
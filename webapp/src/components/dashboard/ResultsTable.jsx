@@ -1,5 +1,6 @@
 import React from 'react';
 import { formatNumber, formatJobs } from '../../utils/calculations';
+import { ShowCalculationButton } from './CalculationDrawer';
 
 function DefTooltip({ text, children }) {
   return (
@@ -14,7 +15,16 @@ function DefTooltip({ text, children }) {
   );
 }
 
-export default function ResultsTable({ results, termDefs }) {
+const taxMultiplier = (t) => (t.direct > 0 ? t.total / t.direct : '-');
+const times = (m) => (typeof m === 'number' ? `${formatNumber(m, 2)}x` : m);
+
+/**
+ * Direct / indirect / induced results with totals and multipliers. `typeI`
+ * (the Type I results, for "both" reporting) adds a Type I total column and
+ * Type I multipliers; `showInduced` false (Type I reporting) drops the
+ * induced column.
+ */
+export default function ResultsTable({ results, typeI = null, showInduced = true, termDefs, onShowCalculation }) {
   const rows = [
     { label: 'Output ($M)', key: 'output', format: (v) => formatNumber(v, 1) },
     { label: 'GDP ($M)', key: 'gdp', format: (v) => formatNumber(v, 1) },
@@ -35,31 +45,39 @@ export default function ResultsTable({ results, termDefs }) {
             <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-effectink-indirect uppercase tracking-[0.06em]">
               <DefTooltip text={termDefs?.indirect}>Indirect</DefTooltip>
             </th>
-            <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-effectink-induced uppercase tracking-[0.06em]">
-              <DefTooltip text={termDefs?.induced}>Induced</DefTooltip>
+            {showInduced && (
+              <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-effectink-induced uppercase tracking-[0.06em]">
+                <DefTooltip text={termDefs?.induced}>Induced</DefTooltip>
+              </th>
+            )}
+            {typeI && (
+              <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-ink uppercase tracking-[0.06em]">Type I Total</th>
+            )}
+            <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-ink uppercase tracking-[0.06em]">
+              {typeI ? 'Type II Total' : showInduced ? 'Total' : 'Type I Total'}
             </th>
-            <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-ink uppercase tracking-[0.06em]">Total</th>
             <th className="text-right py-2.5 px-4 text-[11px] font-semibold text-highlight uppercase tracking-[0.06em]">
-              <DefTooltip text={termDefs?.multiplier}>Mult.</DefTooltip>
+              <DefTooltip text={termDefs?.multiplier}>{typeI ? 'Mult. (I / II)' : 'Mult.'}</DefTooltip>
             </th>
           </tr>
         </thead>
         <tbody>
           {rows.map(({ label, key, format }) => {
-            const mult = key === 'tax'
-              ? (results.totals[key].direct > 0 ? results.totals[key].total / results.totals[key].direct : '-')
-              : results.multipliers[key];
+            const mult = key === 'tax' ? taxMultiplier(results.totals[key]) : results.multipliers[key];
+            const multI = typeI && (key === 'tax' ? taxMultiplier(typeI.totals[key]) : typeI.multipliers[key]);
             return (
               <tr key={key} className="border-b border-hairline/60 hover:bg-paper transition-colors">
                 <th scope="row" className="py-2.5 px-4 text-sm font-medium text-text-secondary text-left">
                   <DefTooltip text={termDefs?.[key]}>{label}</DefTooltip>
+                  {onShowCalculation && <ShowCalculationButton label={label} onClick={() => onShowCalculation(key)} />}
                 </th>
                 <td className="py-2.5 px-4 text-sm text-right text-effectink-direct font-medium tabular-nums">{format(results.totals[key].direct)}</td>
                 <td className="py-2.5 px-4 text-sm text-right text-effectink-indirect tabular-nums">{format(results.totals[key].indirect)}</td>
-                <td className="py-2.5 px-4 text-sm text-right text-effectink-induced tabular-nums">{format(results.totals[key].induced)}</td>
+                {showInduced && <td className="py-2.5 px-4 text-sm text-right text-effectink-induced tabular-nums">{format(results.totals[key].induced)}</td>}
+                {typeI && <td className="py-2.5 px-4 text-sm text-right font-bold text-ink tabular-nums">{format(typeI.totals[key].total)}</td>}
                 <td className="py-2.5 px-4 text-sm text-right font-bold text-ink tabular-nums">{format(results.totals[key].total)}</td>
                 <td className="py-2.5 px-4 text-sm text-right font-semibold text-highlight tabular-nums">
-                  {typeof mult === 'number' ? `${formatNumber(mult, 2)}x` : mult}
+                  {typeI ? `${times(multI)} / ${times(mult)}` : times(mult)}
                 </td>
               </tr>
             );
@@ -0,0 +1,109 @@
+import React from 'react';
+import { History, Lock, RefreshCw, X } from 'lucide-react';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import Button from '../ui/Button';
+
+const TH = 'py-2 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+function fmt(key, v) {
+  if (v == null) return '—';
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+function fmtChange(key, r) {
+  if (r.change == null) return '—';
+  const sign = r.change > 0 ? '+' : r.change < 0 ? '−' : '';
+  const abs = Math.abs(r.change);
+  const value = key === 'employment' ? formatJobs(abs) : formatCurrency(abs);
+  return `${sign}${value}${r.pct != null ? ` (${sign}${formatNumber(Math.abs(r.pct), 1)}%)` : ''}`;
+}
+
+function savedOn(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * A reopened project's frozen results against the same inputs on current
+ * data: a by-metric diff when they differ, with the choice to re-issue the
+ * report from the frozen results or update the snapshot to current data.
+ * While re-issuing, the dashboard and every export use the frozen bundle.
+ */
+export default function SavedResultsPanel({ saved, frozenActive, onReissue, onUseCurrent, onUpdate, onDismiss }) {
+  const { name, snapshot, diff, view } = saved;
+  const provenance = `${savedOn(snapshot.takenAt)} with GEMS ${snapshot.modelVersion}`;
+
+  if (view === 'saved') {
+    return (
+      <div className="bg-accent-soft border border-accent-100 rounded-xl p-4 mb-6 flex items-start justify-between gap-3 no-print">
+        <div className="flex items-start gap-3">
+          <Lock size={18} className="text-accent mt-0.5 flex-shrink-0" />
+          <div className="text-xs text-text-secondary">
+            <p className="text-sm font-semibold text-ink">
+              {frozenActive ? `Showing “${name}” as delivered` : 'Inputs edited — showing current results'}
+            </p>
+            <p className="mt-0.5">
+              {frozenActive
+                ? `Results frozen on ${provenance}. The dashboard and all exports use these numbers; editing any input switches back to current data.`
+                : `Restore the saved inputs to return to the frozen results from ${provenance}.`}
+            </p>
+          </div>
+        </div>
+        <Button variant="secondary" size="sm" icon={RefreshCw} onClick={onUseCurrent}>Use current data</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dash-card p-5 mb-6 animate-fade-in-up no-print">
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div className="flex items-start gap-3">
+          <History size={18} className="text-accent mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-ink">Results changed since saved</p>
+            <p className="text-xs text-text-muted mt-0.5">
+              “{name}” was saved {provenance}. The same inputs give different results on this edition's data.
+            </p>
+          </div>
+        </div>
+        <button onClick={onDismiss} className="text-text-faint hover:text-ink p-1" aria-label="Dismiss"><X size={16} /></button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`text-left ${TH}`}>Metric</th>
+              <th className={`text-right ${TH}`}>As saved</th>
+              <th className={`text-right ${TH}`}>Current data</th>
+              <th className={`text-right ${TH}`}>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.rows.map((r) => (
+              <tr key={r.key} className="border-b border-hairline/60">
+                <th scope="row" className="text-left py-2 px-3 font-medium text-text-secondary">{r.label}</th>
+                <td className="text-right py-2 px-3 tabular-nums">{fmt(r.key, r.saved)}</td>
+                <td className="text-right py-2 px-3 tabular-nums">{fmt(r.key, r.current)}</td>
+                <td className={`text-right py-2 px-3 tabular-nums ${r.change > 0 ? 'text-positive' : r.change < 0 ? 'text-negative' : 'text-text-muted'}`}>
+                  {fmtChange(r.key, r)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {(diff.modelChanged || diff.vintageChanges.length > 0) && (
+        <p className="text-xs text-text-muted mt-3">
+          {diff.modelChanged && `Model edition: ${snapshot.modelVersion} when saved. `}
+          {diff.vintageChanges.length > 0 && `Data updated since: ${diff.vintageChanges.map((c) => c.field).join(', ')}.`}
+        </p>
+      )}
+
+      <div className="flex items-center justify-end gap-2 flex-wrap mt-4">
+        <Button variant="secondary" size="sm" icon={Lock} onClick={onReissue}>Re-issue as delivered</Button>
+        <Button variant="primary" size="sm" icon={RefreshCw} onClick={onUpdate}>Update to current data</Button>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell,
 } from 'recharts';
 import { X, Plus, ArrowRight } from 'lucide-react';
 import { computeScenario, headlineMetrics } from '../../utils/computeScenario';
+import { isAnalysisDataLoaded, loadAnalysisData } from '../../utils/dataService';
 import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
 import { SERIES, GRID_STROKE, AXIS_TICK, MUTED, POSITIVE, NEGATIVE } from '../../theme';
 import Button from '../ui/Button';
@@ -32,14 +33,30 @@ function Delta({ value, base, fmt }) {
 /**
  * Side-by-side comparison of saved scenarios. The first scenario is the
  * baseline; others show deltas against it. A metric selector drives a grouped
- * bar chart for a quick visual read.
+ * bar chart for a quick visual read. Scenarios can be on states whose data
+ * is not loaded yet (e.g. from an imported project file); they are fetched here
+ * and the comparison waits for them.
  */
 export default function ScenarioCompare({ scenarios, onRemove, onAddCurrent, canAddCurrent }) {
   const [metric, setMetric] = useState('output');
+  const [dataLoads, setDataLoads] = useState(0);
+  const [dataError, setDataError] = useState(null);
+  const pending = scenarios.map((s) => s.analysis).filter((a) => !isAnalysisDataLoaded(a));
+
+  useEffect(() => {
+    setDataError(null);
+    if (!pending.length) return;
+    let current = true;
+    Promise.all(pending.map(loadAnalysisData)).then(
+      () => current && setDataLoads((n) => n + 1),
+      (err) => current && setDataError(err.message),
+    );
+    return () => { current = false; };
+  }, [pending.map((a) => `${a.vintage}/${a.state}`).join()]);
 
   const computed = useMemo(
-    () => scenarios.map((s) => ({ ...s, m: headlineMetrics(computeScenario(s.analysis)) })),
-    [scenarios],
+    () => (pending.length ? [] : scenarios.map((s) => ({ ...s, m: headlineMetrics(computeScenario(s.analysis)) }))),
+    [scenarios, dataLoads, pending.length],
   );
 
   const activeMetric = METRICS.find((m) => m.key === metric);
@@ -65,6 +82,14 @@ export default function ScenarioCompare({ scenarios, onRemove, onAddCurrent, can
     );
   }
 
+  if (pending.length) {
+    return (
+      <p className={`text-sm py-10 text-center ${dataError ? 'text-negative' : 'text-text-muted'}`}>
+        {dataError ? `The model data for these scenarios could not be loaded: ${dataError}` : 'Loading model data for the scenarios…'}
+      </p>
+    );
+  }
+
   return (
     <div className="space-y-5">
       {/* Comparison table */}
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { InputField, SelectField } from '../ui/Field';
+import Button from '../ui/Button';
+
+/**
+ * Spillover inputs for a border property: the neighboring states where some
+ * employees live and some supplier purchases are made, with each one's share.
+ * `states` are the states with model data.
+ */
+export default function SpilloverSettings({ spillover, state, states, onChange }) {
+  const set = (patch) => onChange({ ...spillover, ...patch });
+  const setNeighbor = (i, patch) => set({ neighbors: spillover.neighbors.map((n, j) => (j === i ? { ...n, ...patch } : n)) });
+  const taken = new Set([state, ...spillover.neighbors.map((n) => n.state)]);
+  const withNeighbor = () => [...spillover.neighbors, { state: states.find((s) => !taken.has(s)) || '', employeePct: 0, supplierPct: 0 }];
+  const employeeSum = spillover.neighbors.reduce((sum, n) => sum + (n.employeePct || 0), 0);
+  const supplierSum = spillover.neighbors.reduce((sum, n) => sum + (n.supplierPct || 0), 0);
+  const clamp = (v) => (v == null ? 0 : Math.min(Math.max(v, 0), 100));
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={spillover.enabled}
+          onChange={(e) => set({ enabled: e.target.checked, neighbors: e.target.checked && !spillover.neighbors.length ? withNeighbor() : spillover.neighbors })}
+          className="mt-0.5 w-4 h-4 accent-[#1a365d]"
+        />
+        <span className="text-sm text-gray-700">
+          Model spillover to neighboring states
+          <span className="block text-xs text-gray-500">For border properties that draw employees and suppliers from across the state line</span>
+        </span>
+      </label>
+
+      {spillover.enabled && (
+        <div className="space-y-3">
+          {spillover.neighbors.map((n, i) => (
+            <div key={i} className="space-y-3 p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <SelectField
+                    label="Neighboring State"
+                    value={n.state}
+                    onChange={(v) => setNeighbor(i, { state: v })}
+                    options={states.filter((s) => s === n.state || !taken.has(s)).map((s) => ({ value: s, label: s }))}
+                    id={`spillover-state-${i}`}
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => set({ neighbors: spillover.neighbors.filter((_, j) => j !== i) })}
+                  className="p-2.5 text-gray-400 hover:text-negative"
+                  aria-label={`Remove ${n.state}`}
+                >
+                  <X size={16} />
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <InputField
+                  label="Employees Living There"
+                  value={n.employeePct}
+                  onChange={(v) => setNeighbor(i, { employeePct: clamp(v) })}
+                  suffix="%"
+                  id={`spillover-employees-${i}`}
+                />
+                <InputField
+                  label="Supplier Purchases"
+                  value={n.supplierPct}
+                  onChange={(v) => setNeighbor(i, { supplierPct: clamp(v) })}
+                  suffix="%"
+                  id={`spillover-suppliers-${i}`}
+                />
+              </div>
+            </div>
+          ))}
+          <Button variant="secondary" size="sm" icon={Plus} onClick={() => set({ neighbors: withNeighbor() })} disabled={states.every((s) => taken.has(s))}>
+            Add Neighboring State
+          </Button>
+          <p className="text-xs text-text-muted">
+            Share of the workforce that lives in each state (e.g. from LEHD commuting flows or payroll addresses) and share of supplier
+            purchases made there. The leaked effects are valued with that state's multipliers.
+          </p>
+          {(employeeSum > 100 || supplierSum > 100) && (
+            <p className="text-xs text-amber-700">
+              The {employeeSum > 100 ? 'employee' : 'supplier'} shares add up to more than 100%, so they are scaled back to 100%.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
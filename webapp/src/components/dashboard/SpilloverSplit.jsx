@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+
+const ROWS = [
+  { label: 'Output', fmt: formatCurrency, get: (r) => r.results.totals.output.total, combined: (c) => c.totals.output.total },
+  { label: 'GDP', fmt: formatCurrency, get: (r) => r.results.totals.gdp.total, combined: (c) => c.totals.gdp.total },
+  { label: 'Employment', fmt: (v) => formatJobs(v), get: (r) => r.results.totals.employment.total, combined: (c) => c.totals.employment.total },
+  { label: 'Wages', fmt: formatCurrency, get: (r) => r.results.totals.wages.total, combined: (c) => c.totals.wages.total },
+  { label: 'Taxes on Production', fmt: formatCurrency, get: (r) => r.results.totals.tax.total, combined: (c) => c.totals.tax.total },
+  { label: 'Payroll Taxes', fmt: formatCurrency, get: (r) => r.payrollTaxResult?.total || 0, combined: (c) => c.payrollTax },
+  { label: 'Household Taxes', fmt: formatCurrency, get: (r) => r.householdTaxResult.total, combined: (c) => c.householdTax },
+];
+
+const TH = 'text-right py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+const pct = (v) => `${formatNumber(v * 100, 1)}%`;
+
+/**
+ * Impacts by state for a border property: the host state, each neighbor the
+ * spillover reaches, and the combined total, with each state's payroll and
+ * household tax take.
+ */
+export default function SpilloverSplit({ spillover, results }) {
+  if (!spillover || !results) return null;
+  const { states, combined } = spillover;
+  const host = states[0];
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`${TH} text-left`}>Metric</th>
+              {states.map((s) => <th key={s.state} className={TH}>{s.state}</th>)}
+              <th className={TH}>Combined</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(({ label, fmt, get, combined: pick }) => (
+              <tr key={label} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">{label}</th>
+                {states.map((s, i) => (
+                  <td key={s.state} className={`text-right py-2.5 px-3 tabular-nums ${i === 0 ? 'font-semibold' : 'text-text-secondary'}`}>{fmt(get(s))}</td>
+                ))}
+                <td className="text-right py-2.5 px-3 tabular-nums font-semibold">{fmt(pick(combined))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-text-muted">
+        {host.state} keeps the direct effects, {pct(host.supplier)} of supplier purchases and the household spending of the{' '}
+        {pct(host.employee)} of employees who live there. Purchases and household spending across the state line are valued with the
+        neighbor's multipliers. Payroll taxes are counted where the jobs are, household taxes where employees live. The headline
+        results above are the single-state model ({formatCurrency(results.totals.output.total)} output in {host.state}).
+      </p>
+    </div>
+  );
+}
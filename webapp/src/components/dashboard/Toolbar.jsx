@@ -1,26 +1,30 @@
 import React, { useState } from 'react';
-import { Save, FolderOpen, Share2, Download, Printer, FileSpreadsheet, FileText, Presentation, GitCompare, Check, X } from 'lucide-react';
+import { Save, FolderOpen, Share2, Download, Printer, FileSpreadsheet, FileText, Presentation, GitCompare, Briefcase, Table, Sheet, Check, X } from 'lucide-react';
 import Button from '../ui/Button';
 
 /**
- * Dashboard action bar: save/open named projects, copy a shareable link,
- * export (Word report / PPTX deck / CSV / print-to-PDF), and toggle scenario
- * comparison. The Word and PPTX reports are license-gated (Pro) — the parent
+ * Dashboard action bar: save/open named projects (optionally freezing their
+ * results), copy a shareable link, export (Word report / PPTX deck / Excel
+ * workbook with live formulas / CSV / print-to-PDF), and toggle scenario
+ * comparison, the multi-property portfolio and batch mode. The Word and PPTX reports are license-gated (Pro) — the parent
  * handles the paywall when those callbacks fire.
  */
 export default function Toolbar({
   disabled, defaultName, projectCount,
   onSaveProject, onCopyShare, shareCopied,
-  onOpenProjects, onExportCSV, onPrint, onExportWord, onExportPPTX,
+  onOpenProjects, onExportCSV, onExportXLSX, onPrint, onExportWord, onExportPPTX,
   generatingWord, generatingPPTX,
   compareActive, onToggleCompare, canCompare,
+  portfolioActive, onTogglePortfolio, portfolioCount,
+  batchActive, onToggleBatch,
 }) {
   const [saving, setSaving] = useState(false);
   const [name, setName] = useState('');
+  const [freeze, setFreeze] = useState(true);
   const [exportOpen, setExportOpen] = useState(false);
 
   const startSave = () => { setName(defaultName || ''); setSaving(true); };
-  const confirmSave = () => { onSaveProject(name); setSaving(false); };
+  const confirmSave = () => { onSaveProject(name, { freeze }); setSaving(false); };
 
   return (
     <div className="surface px-3 py-2.5 mb-6 flex items-center gap-2 flex-wrap no-print relative">
@@ -32,6 +36,10 @@ export default function Toolbar({
             placeholder="Name this analysis…"
             className="field-input px-3 py-1.5 text-sm flex-1"
           />
+          <label className="flex items-center gap-1.5 text-xs text-text-secondary whitespace-nowrap" title="Store the results as computed now, to compare or re-issue after data updates">
+            <input type="checkbox" checked={freeze} onChange={(e) => setFreeze(e.target.checked)} />
+            Freeze results
+          </label>
           <Button size="sm" variant="primary" icon={Check} onClick={confirmSave}>Save</Button>
           <Button size="sm" variant="ghost" icon={X} onClick={() => setSaving(false)} aria-label="Cancel" />
         </div>
@@ -67,6 +75,12 @@ export default function Toolbar({
                     </button>
                   )}
                   <p className="px-3 pt-2 pb-1 mt-1 border-t border-hairline text-[10px] font-semibold uppercase tracking-wide text-text-faint">Data</p>
+                  {onExportXLSX && (
+                    <button onClick={() => { onExportXLSX(); setExportOpen(false); }}
+                      className="w-full flex items-center gap-2.5 px-3 py-2 text-sm text-text-secondary hover:bg-paper">
+                      <Sheet size={16} className="text-text-muted" /> Excel workbook (.xlsx)
+                    </button>
+                  )}
                   <button onClick={() => { onExportCSV(); setExportOpen(false); }}
                     className="w-full flex items-center gap-2.5 px-3 py-2 text-sm text-text-secondary hover:bg-paper">
                     <FileSpreadsheet size={16} className="text-text-muted" /> CSV (Excel)
@@ -91,6 +105,26 @@ export default function Toolbar({
           >
             Compare scenarios
           </Button>
+          {onTogglePortfolio && (
+            <Button
+              size="sm"
+              variant={portfolioActive ? 'accent' : 'secondary'}
+              icon={Briefcase}
+              onClick={onTogglePortfolio}
+            >
+              Portfolio{portfolioCount > 0 ? ` (${portfolioCount})` : ''}
+            </Button>
+          )}
+          {onToggleBatch && (
+            <Button
+              size="sm"
+              variant={batchActive ? 'accent' : 'secondary'}
+              icon={Table}
+              onClick={onToggleBatch}
+            >
+              Batch
+            </Button>
+          )}
         </>
       )}
     </div>
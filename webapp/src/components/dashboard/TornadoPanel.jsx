@@ -0,0 +1,82 @@
+import React, { useMemo } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { runTornado, METRIC_META } from '../../utils/sensitivity';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { NAVY, BRASS, GRID_STROKE, AXIS_TICK } from '../../theme';
+import { SegmentedToggle } from '../ui/Field';
+
+const MAX_BARS = 12;
+
+function fmtMetric(key, v) {
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+/**
+ * Tornado chart: each input is moved down and up by the chosen percentage
+ * on its own, and the resulting change in the selected metric is drawn
+ * either side of the point estimate, largest swing first.
+ */
+export default function TornadoPanel({ analysis, settings, onChange }) {
+  const { metric, pct } = settings;
+  const tornado = useMemo(() => runTornado(analysis, { metric, pct }), [analysis, metric, pct]);
+  const metricMeta = METRIC_META.find((m) => m.key === metric);
+
+  if (!tornado) return <p className="text-sm text-text-muted">Enter revenue to run the tornado analysis.</p>;
+
+  const data = tornado.bars.slice(0, MAX_BARS).map((b) => ({
+    label: b.label,
+    down: b.low - tornado.base,
+    up: b.high - tornado.base,
+    low: b.low,
+    high: b.high,
+  }));
+  const fmtDelta = (v) => `${v >= 0 ? '+' : '−'}${fmtMetric(metric, Math.abs(v))}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-5 flex-wrap no-print">
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-text-muted">Move each input:</span>
+          <SegmentedToggle value={pct} onChange={(v) => onChange({ ...settings, pct: v })}
+            options={[5, 10, 20, 30].map((v) => ({ value: v, label: `±${v}%` }))} />
+        </div>
+        <label className="flex items-center gap-2 text-xs text-text-secondary cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.includeInExports}
+            onChange={(e) => onChange({ ...settings, includeInExports: e.target.checked })}
+            className="accent-[#1a365d]"
+          />
+          Include in PowerPoint export
+        </label>
+      </div>
+
+      <ResponsiveContainer width="100%" height={Math.max(200, data.length * 30 + 40)}>
+        <BarChart data={data} layout="vertical" stackOffset="sign" margin={{ top: 6, right: 20, left: 6, bottom: 4 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} horizontal={false} />
+          <XAxis type="number" tick={AXIS_TICK} axisLine={false} tickLine={false}
+            tickFormatter={(v) => (metric === 'employment' ? formatNumber(v, 0) : `$${formatNumber(v, 1)}`)} />
+          <YAxis type="category" dataKey="label" tick={AXIS_TICK} axisLine={false} tickLine={false} width={200} />
+          <Tooltip
+            formatter={(v, name, { payload }) => [
+              `${fmtMetric(metric, name === 'down' ? payload.low : payload.high)} (${fmtDelta(v)})`,
+              name === 'down' ? `Input −${pct}%` : `Input +${pct}%`,
+            ]}
+            contentStyle={{ borderRadius: 10, border: '1px solid #e5e8ed', fontSize: 12 }}
+          />
+          <ReferenceLine x={0} stroke={NAVY} />
+          <Bar dataKey="down" stackId="t" fill={NAVY} barSize={16} isAnimationActive={false} />
+          <Bar dataKey="up" stackId="t" fill={BRASS} barSize={16} isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-text-faint">
+        Change in {metricMeta.label.toLowerCase()} from the point estimate of {fmtMetric(metric, tornado.base)} when
+        each input is moved {pct}% down (navy) or up (brass) with all others held fixed.
+        {tornado.bars.length > MAX_BARS && ` Showing the ${MAX_BARS} most influential of ${tornado.bars.length} inputs.`}
+        {' '}Multiplier coefficients are scaled for every sector in the state.
+      </p>
+    </div>
+  );
+}
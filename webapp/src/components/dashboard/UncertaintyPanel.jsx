@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  BarChart, Bar, ErrorBar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { Loader2, Play } from 'lucide-react';
+import { normalizeUncertainty, UNCERTAIN_INPUTS, DISTRIBUTIONS, MAX_DRAWS } from '../../utils/monteCarlo';
+import { METRIC_META } from '../../utils/sensitivity';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { analysisData } from '../../utils/dataService';
+import { NAVY, GRID_STROKE, AXIS_TICK, HIGHLIGHT } from '../../theme';
+
+const TH = 'py-2.5 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+const TD = 'text-right py-2.5 px-3 tabular-nums';
+const SMALL_INPUT = 'field-input px-2 py-1 text-sm text-text tabular-nums';
+
+function fmtMetric(key, v) {
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+/**
+ * Monte Carlo uncertainty bands. The analyst sets a range and distribution
+ * for each uncertain input, then runs the simulation in a Web Worker; the
+ * P10–P90 band of each headline metric is charted relative to the point
+ * estimate and tabulated. Results go stale (and are cleared upstream)
+ * whenever the inputs change.
+ */
+export default function UncertaintyPanel({ analysis, result, onResult, onChange }) {
+  const settings = normalizeUncertainty(analysis.uncertainty);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  const stop = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setProgress(null);
+  };
+  // a run in flight is for inputs that no longer apply
+  useEffect(() => stop, [analysis]);
+
+  const run = () => {
+    stop();
+    setError(null);
+    setProgress(0);
+    const worker = new Worker(new URL('../../utils/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        setProgress(msg.fraction);
+        return;
+      }
+      stop();
+      if (msg.type === 'done') onResult(msg.result);
+      else setError(msg.message);
+    };
+    worker.onerror = (e) => {
+      stop();
+      setError(e.message || 'Simulation failed');
+    };
+    // The worker has its own module state, so it is handed the resolved data
+    worker.postMessage({ analysis, data: analysisData(analysis) });
+  };
+
+  const set = (patch) => onChange?.({ ...settings, ...patch });
+  const setInput = (key, patch) => set({ inputs: { ...settings.inputs, [key]: { ...settings.inputs[key], ...patch } } });
+  const num = (v) => (v === '' ? null : parseFloat(v));
+
+  const chartData = result
+    ? METRIC_META.map(({ key, label }) => {
+      const s = result.stats[key];
+      const base = result.base[key] || 1;
+      const p50 = (s.p50 / base) * 100;
+      return { label, p50, band: [p50 - (s.p10 / base) * 100, (s.p90 / base) * 100 - p50] };
+    })
+    : [];
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-3 no-print">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-hairline">
+                <th className={`text-left ${TH}`}>Uncertain input</th>
+                <th className={`text-left ${TH}`}>Distribution</th>
+                <th className={`text-right ${TH}`}>Low</th>
+                <th className={`text-right ${TH}`}>High</th>
+              </tr>
+            </thead>
+            <tbody>
+              {UNCERTAIN_INPUTS.map(({ key, label, unit }) => {
+                const spec = settings.inputs[key];
+                return (
+                  <tr key={key} className="border-b border-hairline/60">
+                    <th scope="row" className="text-left py-2 px-3 font-medium text-text-secondary">{label}</th>
+                    <td className="py-2 px-3">
+                      <select
+                        value={spec.dist}
+                        onChange={(e) => setInput(key, { dist: e.target.value })}
+                        aria-label={`${label} distribution`}
+                        className={`${SMALL_INPUT} bg-white`}
+                      >
+                        {DISTRIBUTIONS.map((d) => <option key={d.value} value={d.value}>{d.label}</option>)}
+                      </select>
+                    </td>
+                    {['low', 'high'].map((bound) => (
+                      <td key={bound} className="py-2 px-3">
+                        <span className="flex items-center justify-end gap-1.5">
+                          <input
+                            type="number"
+                            value={spec[bound] ?? ''}
+                            onChange={(e) => setInput(key, { [bound]: num(e.target.value) })}
+                            aria-label={`${label} ${bound}`}
+                            className={`${SMALL_INPUT} w-20 text-right`}
+                          />
+                          <span className="text-xs text-text-muted w-6">{unit}</span>
+                        </span>
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex items-center gap-4 flex-wrap">
+          <label className="flex items-center gap-2 text-xs text-text-muted">
+            Draws
+            <select
+              value={settings.draws}
+              onChange={(e) => set({ draws: parseInt(e.target.value) })}
+              className={`${SMALL_INPUT} bg-white`}
+            >
+              {[1000, 5000, 10000, MAX_DRAWS].map((d) => <option key={d} value={d}>{d.toLocaleString()}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-xs text-text-muted">
+            Seed
+            <input
+              type="number"
+              value={settings.seed ?? ''}
+              onChange={(e) => set({ seed: num(e.target.value) })}
+              className={`${SMALL_INPUT} w-24`}
+            />
+          </label>
+          <button
+            type="button"
+            onClick={progress != null ? stop : run}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-hairline text-accent hover:bg-accent-soft transition-colors"
+          >
+            {progress != null
+              ? <><Loader2 size={13} className="animate-spin" /> {Math.round(progress * 100)}% — Cancel</>
+              : <><Play size={13} /> Run simulation</>}
+          </button>
+        </div>
+        <p className="text-xs text-text-faint">
+          Ranges are deviations from the entered values (percentage points for slot share). Triangular peaks at the
+          entered value; for normal, low and high are the 10th and 90th percentiles. The same seed reproduces the same bands.
+        </p>
+        {error && <p className="text-xs text-negative">{error}</p>}
+      </div>
+
+      {result && (
+        <>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={chartData} margin={{ top: 10, right: 20, left: 6, bottom: 4 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} vertical={false} />
+              <XAxis dataKey="label" tick={AXIS_TICK} axisLine={false} tickLine={false} />
+              <YAxis tick={AXIS_TICK} axisLine={false} tickLine={false} width={48}
+                domain={[0, 'auto']} tickFormatter={(v) => `${formatNumber(v, 0)}%`} />
+              <Tooltip
+                formatter={(v, _n, { payload }) => [
+                  `P50 ${formatNumber(v, 1)}% (P10 ${formatNumber(v - payload.band[0], 1)}% – P90 ${formatNumber(v + payload.band[1], 1)}%)`,
+                  'Of point estimate',
+                ]}
+                contentStyle={{ borderRadius: 10, border: '1px solid #e5e8ed', fontSize: 12 }}
+              />
+              <ReferenceLine y={100} stroke={HIGHLIGHT} strokeDasharray="4 3" />
+              <Bar dataKey="p50" fill={NAVY} fillOpacity={0.18} stroke={NAVY} barSize={34} isAnimationActive={false}>
+                <ErrorBar dataKey="band" width={10} strokeWidth={2} stroke={NAVY} />
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-hairline">
+                  <th className={`text-left ${TH}`}>Metric</th>
+                  <th className={`text-right ${TH}`}>Point Estimate</th>
+                  <th className={`text-right ${TH}`}>P10</th>
+                  <th className={`text-right ${TH}`}>P50</th>
+                  <th className={`text-right ${TH}`}>P90</th>
+                </tr>
+              </thead>
+              <tbody>
+                {METRIC_META.map(({ key, label }) => (
+                  <tr key={key} className="border-b border-hairline/60 hover:bg-paper transition-colors">
+                    <th scope="row" className="text-left py-2.5 px-3 font-medium text-text-secondary">{label}</th>
+                    <td className={`${TD} font-semibold text-ink`}>{fmtMetric(key, result.base[key])}</td>
+                    <td className={TD}>{fmtMetric(key, result.stats[key].p10)}</td>
+                    <td className={TD}>{fmtMetric(key, result.stats[key].p50)}</td>
+                    <td className={TD}>{fmtMetric(key, result.stats[key].p90)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-text-faint">
+            {result.draws.toLocaleString()} draws, seed {result.seed}. Bars show the median as a share of the point
+            estimate; whiskers span P10 to P90 — an 80% range.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { GitCompare } from 'lucide-react';
+import { formatCurrency, formatJobs, formatNumber } from '../../utils/calculations';
+import { VINTAGES } from '../../utils/dataVintages';
+import { isAnalysisDataLoaded, loadAnalysisData } from '../../utils/dataService';
+import { compareEditions } from '../../utils/resultsSnapshot';
+import Button from '../ui/Button';
+
+const TH = 'py-2 px-3 text-[11px] font-semibold text-text-faint uppercase tracking-[0.06em]';
+
+function fmt(key, v) {
+  if (v == null) return '—';
+  return key === 'employment' ? formatJobs(v) : formatCurrency(v);
+}
+
+function fmtPct(c) {
+  if (!c || c.pct == null) return null;
+  const sign = c.pct > 0 ? '+' : c.pct < 0 ? '−' : '';
+  return `${sign}${formatNumber(Math.abs(c.pct), 1)}%`;
+}
+
+/**
+ * The current inputs on every data edition: how the results moved between
+ * editions, against the analysis' own edition, and which data-file vintages
+ * differ. The other editions' data for the analysis' states is fetched on
+ * request. Renders nothing while only one edition is bundled.
+ */
+export default function VintageCompare({ analysis }) {
+  const [, setLoads] = useState(0);
+  const loaded = VINTAGES.every((v) => isAnalysisDataLoaded({ ...analysis, vintage: v.id }));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const comparison = useMemo(() => (loaded ? compareEditions(analysis) : null), [analysis, loaded]);
+
+  const loadAll = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await Promise.all(VINTAGES.map((v) => loadAnalysisData({ ...analysis, vintage: v.id })));
+      setLoads((n) => n + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (VINTAGES.length < 2) return null;
+
+  if (!comparison) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-text-secondary">
+          Run these inputs on each of the {VINTAGES.length} data editions ({VINTAGES.map((v) => v.label).join(', ')}) to see how the
+          results moved between them.
+        </p>
+        <Button variant="secondary" size="sm" icon={GitCompare} loading={loading} onClick={loadAll}>Compare editions</Button>
+        {error && <p className="text-xs text-negative">{error}</p>}
+      </div>
+    );
+  }
+
+  const { base, editions, rows } = comparison;
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-hairline">
+              <th className={`text-left ${TH}`}>Metric</th>
+              {editions.map((e) => (
+                <th key={e.id} className={`text-right ${TH}`}>{e.label}{e.id === base ? ' (selected)' : ''}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key} className="border-b border-hairline/60">
+                <th scope="row" className="text-left py-2 px-3 font-medium text-text-secondary">{r.label}</th>
+                {editions.map((e) => {
+                  const c = r.changes[e.id];
+                  const pct = fmtPct(c);
+                  return (
+                    <td key={e.id} className={`text-right py-2 px-3 tabular-nums ${e.id === base ? 'font-semibold' : ''}`}>
+                      {fmt(r.key, r.values[e.id])}
+                      {pct && (
+                        <span className={`block text-[11px] ${c.change > 0 ? 'text-positive' : c.change < 0 ? 'text-negative' : 'text-text-muted'}`}>{pct}</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {editions.filter((e) => e.vintageChanges.length > 0).map((e) => (
+        <p key={e.id} className="text-xs text-text-muted">
+          {e.label} data differs in: {e.vintageChanges.map((c) => c.field).join(', ')}.
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import { SelectField } from '../ui/Field';
+import { VINTAGES } from '../../utils/dataVintages';
+import { vintageInfo } from '../../utils/dataService';
+
+/**
+ * Data edition for the analysis, with the vintage of each of its data files.
+ * Saved projects and share links keep the edition, so their results can be
+ * reproduced after a newer one is published. `loading` is set while the
+ * edition's data for the analysis is being fetched. With a single bundled
+ * edition there is nothing to choose, so it is shown rather than offered.
+ */
+export default function VintageSettings({ vintage, loading, error, onChange }) {
+  const info = vintageInfo(vintage);
+  const mv = info?.multipliers || {};
+  const sources = info?.employmentTaxRates.sources || {};
+
+  return (
+    <div className="space-y-4">
+      {VINTAGES.length > 1 && (
+        <SelectField
+          label="Data Edition"
+          value={vintage}
+          onChange={onChange}
+          options={VINTAGES.map((v, i) => ({ value: v.id, label: i === 0 ? `${v.label} (latest)` : v.label }))}
+          id="data-vintage"
+        />
+      )}
+      {loading && (
+        <p className="flex items-center gap-1.5 text-xs text-text-muted">
+          <Loader2 size={12} className="animate-spin" /> Loading the data…
+        </p>
+      )}
+      {error && <p className="text-xs text-negative">{error}</p>}
+      {info && (
+        <dl className="text-xs text-gray-600 bg-gray-50 rounded-lg p-3 grid grid-cols-[auto,1fr] gap-x-3 gap-y-1">
+          {VINTAGES.length === 1 && (
+            <>
+              <dt className="font-medium">Edition</dt>
+              <dd>{VINTAGES[0].label}</dd>
+            </>
+          )}
+          <dt className="font-medium">Multipliers</dt>
+          <dd>{[mv.ioTableYear && `${mv.ioTableYear} IO tables`, mv.qcewYear && `${mv.qcewYear} QCEW`].filter(Boolean).join(', ') || '—'}</dd>
+          <dt className="font-medium">Gaming taxes</dt>
+          <dd>{info.gamingTaxRates.sourceYear || '—'}</dd>
+          <dt className="font-medium">Household taxes</dt>
+          <dd>{sources.household || '—'}</dd>
+        </dl>
+      )}
+      {VINTAGES.length === 1 && (
+        <p className="text-xs text-text-muted">Earlier editions are listed here once bundled, to reproduce past results or compare editions.</p>
+      )}
+    </div>
+  );
+}
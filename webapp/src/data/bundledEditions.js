@@ -0,0 +1,38 @@
+/**
+ * The data editions as full files, for the CLI and the compute API, which run
+ * in Node and have no use for per-state fetches. The web app never imports
+ * this module: it fetches the slices the build writes (see dataService.js).
+ *
+ * Earlier editions are listed with their files in ./vintages/<id>/ and loaded
+ * when first used:
+ *
+ *   '2025': async () => ({
+ *     multipliers: (await import('./vintages/2025/multipliers.json')).default,
+ *     gamingTaxRates: (await import('./vintages/2025/gamingTaxRates.json')).default,
+ *     employmentTaxRates: (await import('./vintages/2025/employmentTaxRates.json')).default,
+ *   }),
+ */
+import multipliers from './multipliers.json';
+import gamingTaxRates from './gamingTaxRates.json';
+import employmentTaxRates from './employmentTaxRates.json';
+import { CURRENT_VINTAGE } from '../utils/dataVintages';
+import { editionIndex, sliceEdition } from '../utils/dataSlices';
+
+const EDITIONS = {
+  [CURRENT_VINTAGE]: async () => ({ multipliers, gamingTaxRates, employmentTaxRates }),
+};
+
+const editions = new Map();
+
+function edition(vintage) {
+  if (!EDITIONS[vintage]) return Promise.reject(new Error(`no data files for edition ${vintage}`));
+  if (!editions.has(vintage)) editions.set(vintage, EDITIONS[vintage]());
+  return editions.get(vintage);
+}
+
+/** Data source (see dataService.setDataSource) slicing the full files in memory. */
+export const bundledSource = {
+  persistent: false,
+  index: async (vintage) => editionIndex(await edition(vintage)),
+  state: async (vintage, state) => sliceEdition(await edition(vintage), state),
+};
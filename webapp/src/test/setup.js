@@ -0,0 +1,16 @@
+/**
+ * Vitest setup: the engine reads its data through the data service, so tests
+ * install the in-memory source the CLI uses and load every state of the
+ * current edition before any test runs.
+ */
+import { beforeAll } from 'vitest';
+import { bundledSource } from '../data/bundledEditions';
+import { loadStateData, loadVintage, setDataSource } from '../utils/dataService';
+import { MODEL_STATES } from '../utils/dataVintages';
+
+setDataSource(bundledSource);
+
+beforeAll(async () => {
+  await loadVintage();
+  await Promise.all(MODEL_STATES.map((state) => loadStateData(state)));
+});
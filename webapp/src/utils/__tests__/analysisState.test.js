@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ANALYSIS_VERSION, buildAnalysis, decodeAnalysis, encodeAnalysis, hasMigrationNotes, migrateAnalysis,
+} from '../analysisState';
+import { LEGACY_VINTAGE } from '../dataVintages';
+
+const v0 = { state: 'Nevada', propertyType: '721120', inputMode: 'department', revenues: { gaming: 100, food: 20 } };
+
+describe('migrateAnalysis', () => {
+  it('brings an unversioned analysis to the current schema on the legacy edition', () => {
+    const { analysis, report } = migrateAnalysis(v0);
+    expect(report.fromVersion).toBe(0);
+    expect(report.toVersion).toBe(ANALYSIS_VERSION);
+    expect(analysis.v).toBe(ANALYSIS_VERSION);
+    expect(analysis.vintage).toBe(LEGACY_VINTAGE);
+    expect(analysis.revenues).toEqual(v0.revenues);
+    expect(report.defaulted).toContain('slotRevenuePct');
+    expect(hasMigrationNotes(report)).toBe(true);
+  });
+
+  it('passes a current analysis through unchanged', () => {
+    const current = buildAnalysis(v0);
+    const { analysis, report } = migrateAnalysis(current);
+    expect(analysis).toEqual(current);
+    expect(hasMigrationNotes(report)).toBe(false);
+  });
+
+  it('drops the construction phase from v2 analyses without reporting it', () => {
+    const v2 = { ...buildAnalysis(v0), v: 2, construction: { enabled: true, durationYears: 2 } };
+    const { analysis, report } = migrateAnalysis(v2);
+    expect(analysis).not.toHaveProperty('construction');
+    expect(report.dropped).toEqual([]);
+  });
+
+  it('drops invalid optional fields back to their defaults', () => {
+    const { analysis, report } = migrateAnalysis({ ...buildAnalysis(v0), slotRevenuePct: 140, bogus: 1 });
+    expect(report.dropped.map((e) => e.field).sort()).toEqual(['bogus', 'slotRevenuePct']);
+    expect(analysis.slotRevenuePct).toBe(70);
+    expect(analysis).not.toHaveProperty('bogus');
+  });
+
+  it('removes an invalid array element, not just the field it names', () => {
+    const spillover = {
+      enabled: true,
+      neighbors: [
+        { state: 'Atlantis', employeePct: 10, supplierPct: 5 },
+        { state: 'Ohio', employeePct: 20, supplierPct: 10 },
+        { state: 'Utah', employeePct: -5, supplierPct: 0 },
+      ],
+    };
+    const { analysis, report } = migrateAnalysis({ ...v0, spillover });
+    expect(report.dropped.map((e) => e.field)).toEqual(['spillover.neighbors[0].state', 'spillover.neighbors[2].employeePct']);
+    expect(analysis.spillover).toEqual({ enabled: true, neighbors: [{ state: 'Ohio', employeePct: 20, supplierPct: 10 }] });
+  });
+
+  it('rejects analyses it cannot repair', () => {
+    expect(migrateAnalysis(null).analysis).toBeNull();
+    expect(migrateAnalysis({ ...v0, state: 'Atlantis' }).report.errors[0].field).toBe('state');
+    expect(migrateAnalysis({ ...v0, inputMode: 'x' }).analysis).toBeNull();
+    const newer = migrateAnalysis({ ...v0, v: ANALYSIS_VERSION + 1 });
+    expect(newer.analysis).toBeNull();
+    expect(newer.report.errors[0].field).toBe('v');
+  });
+
+  it('skips the defaulted list when asked', () => {
+    expect(migrateAnalysis(v0, { reportDefaults: false }).report.defaulted).toEqual([]);
+  });
+});
+
+describe('share encoding', () => {
+  it('round-trips an analysis, including non-ASCII names', () => {
+    const a = buildAnalysis({ ...v0, casinoName: 'Café Ünïcode' });
+    const token = encodeAnalysis(a);
+    expect(token).not.toMatch(/[+/=]/);
+    expect(decodeAnalysis(token)).toEqual(a);
+  });
+
+  it('returns null for a damaged token', () => {
+    expect(decodeAnalysis('%%%')).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { BATCH_MAX_ROWS, batchResultRows, batchTemplateRows, rowsToAnalyses, runBatch } from '../batch';
+import { computeScenario, headlineMetrics } from '../computeScenario';
+
+const HEADER = ['Name', 'State', 'Property Type', 'Gaming Revenue ($M)', 'Food & Beverage Revenue ($M)'];
+
+describe('rowsToAnalyses', () => {
+  it('matches headers by name or alias and reads number formats', () => {
+    const { rows, unknownColumns } = rowsToAnalyses([
+      ['casino', 'state', 'NAICS', 'gaming', 'Slot Share (%)', 'Notes'],
+      ['A', 'nevada', '721120', '$1,200', '65%', 'x'],
+    ]);
+    expect(unknownColumns).toEqual(['Notes']);
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[0].analysis).toMatchObject({ state: 'Nevada', casinoName: 'A', inputMode: 'department', slotRevenuePct: 65 });
+    expect(rows[0].analysis.revenues.gaming).toBe(1200);
+  });
+
+  it('collects every problem on a row and numbers rows as in the sheet', () => {
+    const { rows } = rowsToAnalyses([HEADER, [], ['B', 'Atlantis', 'bingo', 'lots', null]]);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].row).toBe(3);
+    expect(rows[0].analysis).toBeNull();
+    expect(rows[0].errors).toHaveLength(4);
+  });
+
+  it('rejects land-based departments on online operators', () => {
+    const { rows } = rowsToAnalyses([HEADER, ['C', 'New Jersey', 'ONLINE_CASINO', 50, 10]]);
+    expect(rows[0].errors).toEqual(['Food & Beverage does not apply to online operations']);
+  });
+
+  it('requires a State column and caps the row count', () => {
+    expect(() => rowsToAnalyses([['Name']])).toThrow(/State/);
+    const many = Array.from({ length: BATCH_MAX_ROWS + 1 }, () => ['Nevada', '721120', 10]);
+    expect(() => rowsToAnalyses([['State', 'Type', 'Gaming'], ...many])).toThrow(/limit/);
+  });
+});
+
+describe('runBatch', () => {
+  it('computes valid rows as a single analysis would and keeps failed rows', async () => {
+    const batch = await runBatch([HEADER, ['A', 'Nevada', '721120', 100, 20], ['B', 'Nevada', 'bingo', 100, 0]]);
+    expect(batch.valid).toBe(1);
+    expect(batch.failed).toBe(1);
+    const [ok, bad] = batch.rows;
+    expect(ok.metrics.employment).toBeCloseTo(headlineMetrics(computeScenario(ok.analysis)).employment);
+    expect(bad.metrics).toBeNull();
+
+    const out = batchResultRows(batch);
+    expect(out).toHaveLength(3);
+    expect(out[1][5]).toBe(120);
+    expect(out[2].at(-1)).toMatch(/Unknown property type/);
+  });
+
+  it('runs its own template', async () => {
+    const batch = await runBatch(batchTemplateRows());
+    expect(batch.failed).toBe(0);
+  });
+});
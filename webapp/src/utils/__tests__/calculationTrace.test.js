@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { formatNumber } from '../calculations';
+import { TRACE_METRICS, traceSections } from '../calculationTrace';
+
+const IMPACT_METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+const EFFECTS = ['direct', 'indirect', 'induced'];
+
+const analysis = (state, patch = {}) => buildAnalysis({
+  state,
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 300, food: 40, lodging: 60 },
+  ...patch,
+});
+const traced = (a) => computeScenario(a, { trace: true });
+
+describe('calculation trace', () => {
+  it('is recorded only when asked for', () => {
+    expect(computeScenario(analysis('Nevada')).trace).toBeUndefined();
+    expect(traceSections(undefined, 'output')).toEqual([]);
+  });
+
+  it('adds up, step by step, to each stream\'s results', () => {
+    const { trace, results } = traced(analysis('Nevada', { knownData: { gaming: { emp: 900, wages: 45 } } }));
+    const streams = results.byRevenue.filter((r) => r.type !== 'displaced');
+    expect(trace.streams.map((s) => s.label)).toEqual(streams.map((r) => r.label));
+    trace.streams.forEach((s, i) => {
+      for (const metric of IMPACT_METRICS) {
+        for (const effect of EFFECTS) {
+          const sum = s.steps.filter((st) => st.metric === metric && st.effect === effect).reduce((a, st) => a + st.value, 0);
+          expect(sum).toBeCloseTo(streams[i][metric][effect], 9);
+        }
+      }
+    });
+  });
+
+  it('records the gaming tax tier by tier', () => {
+    const bundle = traced(analysis('Illinois'));
+    const g = bundle.trace.gamingTax;
+    expect(g.method).toBe('split_tiered');
+    expect(g.amount).toBeCloseTo(bundle.gamingTaxResult.amount);
+    expect(g.schedules.map((s) => s.label)).toEqual(['Slots', 'Table games']);
+    const tiers = g.schedules.flatMap((s) => s.tiers);
+    expect(tiers.reduce((a, t) => a + t.tax, 0)).toBeCloseTo(g.amount);
+    for (const t of tiers) expect(t.tax).toBeCloseTo(t.taxable * t.rate);
+  });
+
+  it('records payroll and household taxes per effect', () => {
+    const bundle = traced(analysis('Nevada'));
+    for (const e of EFFECTS) {
+      expect(bundle.trace.payroll[e].total).toBeCloseTo(bundle.payrollTaxResult[e]);
+      expect(bundle.trace.household[e].amount).toBeCloseTo(bundle.householdTaxResult[e]);
+    }
+  });
+});
+
+describe('traceSections', () => {
+  it('explains every metric', () => {
+    const { trace } = traced(analysis('Indiana'));
+    for (const { key } of TRACE_METRICS) expect(traceSections(trace, key).length).toBeGreaterThan(0);
+    expect(traceSections(trace, 'unknown')).toEqual([]);
+  });
+
+  it('shows one table per revenue stream and an all-streams total matching the results', () => {
+    const { trace, results } = traced(analysis('Nevada'));
+    const sections = traceSections(trace, 'output');
+    expect(sections).toHaveLength(trace.streams.length + 1);
+    expect(sections[0].headers).toEqual(['Effect', 'Formula', 'Inputs', 'Value']);
+    const all = sections.at(-1);
+    expect(all.title).toBe('All revenue streams');
+    expect(all.total).toEqual(['Total', ...EFFECTS.map((e) => formatNumber(results.totals.output[e], 3)), formatNumber(results.totals.output.total, 3)]);
+  });
+
+  it('notes direct figures entered by the user', () => {
+    const { trace } = traced(analysis('Nevada', { knownData: { gaming: { emp: 900, wages: 45 } } }));
+    expect(traceSections(trace, 'employment').find((s) => s.title.startsWith('Gaming')).notes)
+      .toContain('Direct employment entered by the user (900.0 FTEs) replaces the coefficient estimate.');
+    expect(traceSections(trace, 'wages').find((s) => s.title.startsWith('Gaming')).notes)
+      .toContain('Direct wages entered by the user ($45.000M) replace the coefficient estimate.');
+  });
+
+  it('explains the CPI deflator with the jobs and the multiplier basis when it is not plain Type II', () => {
+    const plain = traced(analysis('Nevada')).trace;
+    expect(traceSections(plain, 'employment')[0].title).toBe('CPI deflator');
+    expect(traceSections(plain, 'output').some((s) => s.title === 'Multiplier basis')).toBe(false);
+
+    const typeI = traced(analysis('Nevada', { multiplierType: { report: 'typeI' } })).trace;
+    expect(traceSections(typeI, 'output')[0].notes[0]).toMatch(/^Type I reporting/);
+    const scaled = traced(analysis('Nevada', { multiplierType: { inducedPct: 50 } })).trace;
+    expect(traceSections(scaled, 'output')[0].notes[0]).toMatch(/^Induced effects at 50%/);
+  });
+
+  it('lays out graduated gaming tax schedules with a combined total', () => {
+    const bundle = traced(analysis('Illinois'));
+    const sections = traceSections(bundle.trace, 'gamingTax');
+    expect(sections[0].notes[0]).toMatch(/separate graduated schedules/);
+    expect(sections.filter((s) => s.headers[0] === 'Tier').map((s) => s.title))
+      .toEqual(['Slots schedule on $210.000M', 'Table games schedule on $90.000M']);
+    expect(sections.find((s) => s.title === 'Gaming tax').total).toEqual(['Gaming tax ($M)', formatNumber(bundle.gamingTaxResult.amount, 3)]);
+  });
+
+  it('shows a flat rate as GGR times the rate', () => {
+    const bundle = traced(analysis('Nevada'));
+    const [head] = traceSections(bundle.trace, 'gamingTax');
+    expect(head.rows).toEqual([['GGR ($M)', '300.000'], ['Rate', '6.75%']]);
+    expect(head.total).toEqual(['Gaming tax ($M)', formatNumber(bundle.gamingTaxResult.amount, 3)]);
+  });
+});
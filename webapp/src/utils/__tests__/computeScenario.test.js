@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario, headlineMetrics } from '../computeScenario';
+import { netImpactShares } from '../calculations';
+
+const nevada = (netImpact = {}, extra = {}) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60, other: 10 },
+  netImpact: { enabled: true, ...netImpact },
+  ...extra,
+});
+
+const netJobs = (netImpact) => headlineMetrics(computeScenario(nevada(netImpact)), 'net').employment;
+
+describe('netImpactShares', () => {
+  it('treats all spending as new money when no shares are entered', () => {
+    const sh = netImpactShares({});
+    expect(sh.displaced).toBe(0);
+    expect(sh.newMoney).toBe(1);
+  });
+
+  it('splits in-state substitution into recaptured and diverted spending', () => {
+    const sh = netImpactShares({ outOfStatePct: 40, substitutionPct: 50, recapturePct: 20 });
+    expect(sh.recaptured).toBeCloseTo(0.6 * 0.5 * 0.2);
+    expect(sh.displaced).toBeCloseTo(0.6 * 0.5 * 0.8);
+    expect(sh.outOfState + sh.incremental + sh.recaptured + sh.displaced).toBeCloseTo(1);
+    expect(sh.newMoney).toBeCloseTo(1 - sh.displaced);
+  });
+
+  it('clamps percents to 0-100', () => {
+    const sh = netImpactShares({ outOfStatePct: 150, substitutionPct: -10, recapturePct: 'x' });
+    expect(sh.outOfState).toBe(1);
+    expect(sh.substitution).toBe(0);
+    expect(sh.recapture).toBe(0);
+  });
+});
+
+describe('net impact', () => {
+  it('equals gross when no shares are entered', () => {
+    const bundle = computeScenario(nevada());
+    const net = headlineMetrics(bundle, 'net');
+    expect(net).not.toBeNull();
+    expect(net.employment).toBeCloseTo(headlineMetrics(bundle).employment);
+    expect(bundle.net.displacedRevenue).toBe(0);
+  });
+
+  it('falls as substitution rises', () => {
+    const none = netJobs({ outOfStatePct: 50, substitutionPct: 0 });
+    const half = netJobs({ outOfStatePct: 50, substitutionPct: 50 });
+    const all = netJobs({ outOfStatePct: 50, substitutionPct: 100 });
+    expect(half).toBeLessThan(none);
+    expect(all).toBeLessThan(half);
+  });
+
+  it('rises as recapture rises', () => {
+    expect(netJobs({ substitutionPct: 80, recapturePct: 50 })).toBeGreaterThan(netJobs({ substitutionPct: 80, recapturePct: 0 }));
+  });
+
+  it('subtracts the diverted spending valued in the displaced sector', () => {
+    const bundle = computeScenario(nevada({ outOfStatePct: 50, substitutionPct: 50 }));
+    const { results, displacedRevenue } = bundle.net;
+    expect(displacedRevenue).toBeCloseTo(310 * 0.25);
+    const displacedRow = results.byRevenue.find((r) => r.type === 'displaced');
+    expect(displacedRow.revenue).toBeCloseTo(-displacedRevenue);
+    const netRevenue = results.byRevenue.reduce((sum, r) => sum + r.revenue, 0);
+    expect(netRevenue).toBeCloseTo(310 - displacedRevenue);
+  });
+
+  it('keeps gaming tax unchanged and taxes the net wages', () => {
+    const bundle = computeScenario(nevada({ substitutionPct: 100 }));
+    expect(bundle.net.totalTax).toBeLessThan(bundle.totalTax);
+    expect(bundle.net.payrollTaxResult.total).toBeLessThan(bundle.payrollTaxResult.total);
+  });
+
+  it('diverts only the revenue the engine models for online operators', () => {
+    const bundle = computeScenario(buildAnalysis({
+      state: 'New Jersey',
+      propertyType: 'ONLINE_CASINO',
+      inputMode: 'department',
+      revenues: { gaming: 100, marketing: 30, tech: 20 },
+      netImpact: { enabled: true, substitutionPct: 100 },
+    }));
+    expect(bundle.net.displacedRevenue).toBeCloseTo(100);
+  });
+
+  it('is not computed unless enabled', () => {
+    expect(computeScenario(nevada({ enabled: false })).net).toBeNull();
+  });
+});
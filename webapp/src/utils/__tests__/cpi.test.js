@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { CPI_ANNUAL_AVG, CPI_BASE_YEAR, CPI_LATEST_YEAR } from '../calculations';
+import { NATIONAL_CPI_LABEL, cpiRegionFor, parseCpiValues, resolveCpi } from '../cpi';
+
+const next = CPI_LATEST_YEAR + 1;
+
+describe('resolveCpi', () => {
+  it('uses the national CPI-U for a year it covers', () => {
+    const r = resolveCpi({ year: 2022 });
+    expect(r).toMatchObject({ label: NATIONAL_CPI_LABEL, custom: false, coverage: 'series', warnings: [] });
+    expect(r.deflator).toBeCloseTo(CPI_ANNUAL_AVG[CPI_BASE_YEAR] / CPI_ANNUAL_AVG[2022]);
+  });
+
+  it('extends the national series with user years, overriding years it has', () => {
+    const r = resolveCpi({ year: next, series: { label: '', mode: 'extend', values: { [next]: 330, 2022: 290 } } });
+    expect(r).toMatchObject({ label: `${NATIONAL_CPI_LABEL}, extended`, custom: true, coverage: 'series', lastYear: next });
+    expect(r.deflator).toBeCloseTo(CPI_ANNUAL_AVG[CPI_BASE_YEAR] / 330);
+    expect(resolveCpi({ year: 2022, series: { mode: 'extend', values: { 2022: 290 } } }).index).toBe(290);
+  });
+
+  it('replaces the national series with one that has the base year', () => {
+    const values = { [CPI_BASE_YEAR]: 260, 2022: 300, 2023: 310 };
+    const r = resolveCpi({ year: 2023, series: { label: 'CPI-U, West region', mode: 'replace', values } });
+    expect(r).toMatchObject({ label: 'CPI-U, West region', custom: true, firstYear: CPI_BASE_YEAR, lastYear: 2023, warnings: [] });
+    expect(r.deflator).toBeCloseTo(260 / 310);
+  });
+
+  it('keeps the national series when a replacement lacks the base year', () => {
+    const r = resolveCpi({ year: 2023, series: { label: 'Regional', mode: 'replace', values: { 2023: 310 } } });
+    expect(r.custom).toBe(false);
+    expect(r.label).toBe(NATIONAL_CPI_LABEL);
+    expect(r.warnings).toEqual([`Regional has no ${CPI_BASE_YEAR} value, the base year of the jobs coefficients; the national CPI-U is used instead.`]);
+  });
+
+  it('warns when the year falls after, before or in a gap of the series', () => {
+    const after = resolveCpi({ year: next + 2 });
+    expect(after.coverage).toBe('after');
+    expect(after.index).toBe(CPI_ANNUAL_AVG[CPI_LATEST_YEAR]);
+    expect(after.warnings[0]).toMatch(`ends in ${CPI_LATEST_YEAR}`);
+
+    const before = resolveCpi({ year: 2015 });
+    expect(before.coverage).toBe('before');
+    expect(before.warnings[0]).toMatch(`starts in ${CPI_BASE_YEAR}`);
+
+    const values = { [CPI_BASE_YEAR]: 260, 2021: 280, 2024: 320 };
+    const gap = resolveCpi({ year: 2022, series: { label: 'Regional', mode: 'replace', values } });
+    expect(gap.coverage).toBe('gap');
+    expect(gap.index).toBe(280);
+    expect(gap.warnings).toEqual(['Regional has no 2022 value; the nearest earlier year is used.']);
+  });
+
+  it('projects past the series without a warning when given an inflation rate', () => {
+    const r = resolveCpi({}, { year: CPI_LATEST_YEAR + 2, projectedInflation: 0.03 });
+    expect(r.coverage).toBe('projected');
+    expect(r.warnings).toEqual([]);
+    expect(r.index).toBeCloseTo(CPI_ANNUAL_AVG[CPI_LATEST_YEAR] * 1.03 ** 2);
+  });
+});
+
+describe('parseCpiValues', () => {
+  it('reads year, index pairs and skips header lines', () => {
+    expect(parseCpiValues('Year\tIndex\n2019\t254.4\n2020, 257.6\n')).toEqual({ values: { 2019: 254.4, 2020: 257.6 }, errors: [] });
+    expect(parseCpiValues('2019, x').errors).toEqual(['Line 1: 2019 needs a positive index value']);
+  });
+});
+
+describe('cpiRegionFor', () => {
+  it('names the census region and its BLS series', () => {
+    expect(cpiRegionFor('Nevada')).toEqual({ region: 'West', seriesId: 'CUUR0400SA0' });
+    expect(cpiRegionFor('Atlantis')).toBeNull();
+  });
+});
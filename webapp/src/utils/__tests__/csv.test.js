@@ -0,0 +1,12 @@
+import { describe, expect, it } from 'vitest';
+import { parseCSV } from '../csv';
+
+describe('parseCSV', () => {
+  it('handles quoting, escaped quotes and CRLF', () => {
+    expect(parseCSV('a,b\r\n"x, y","say ""hi"""\r\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+  });
+
+  it('detects semicolon delimiters and blanks empty cells', () => {
+    expect(parseCSV('a;b;c\n1;;3')).toEqual([['a', 'b', 'c'], ['1', null, '3']]);
+  });
+});
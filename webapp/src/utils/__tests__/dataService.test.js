@@ -0,0 +1,91 @@
+import { afterAll, beforeEach, describe, expect, it } from 'vitest';
+import { bundledSource } from '../../data/bundledEditions';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import {
+  analysisData, analysisStates, isAnalysisDataLoaded, isStateLoaded, loadAnalysisData, loadStateData,
+  loadVintage, setDataSource, stateSlice, vintageInfo,
+} from '../dataService';
+import { CURRENT_VINTAGE, DATA_VINTAGES, vintageLabel } from '../dataVintages';
+
+const LABEL = vintageLabel(CURRENT_VINTAGE);
+
+// The bundled source, counting requests and failing for the listed states
+let requests;
+let failing;
+const countingSource = {
+  persistent: false,
+  index: (vintage) => { requests.push('index'); return bundledSource.index(vintage); },
+  state: (vintage, state, index) => {
+    requests.push(state);
+    return failing.has(state) ? Promise.reject(new Error('HTTP 503')) : bundledSource.state(vintage, state, index);
+  },
+};
+
+const nevada = (patch = {}) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40 },
+  ...patch,
+});
+const withNeighbors = nevada({ spillover: { enabled: true, neighbors: [{ state: 'Arizona', employeePct: 20 }, { state: 'Atlantis', employeePct: 5 }] } });
+
+beforeEach(() => {
+  requests = [];
+  failing = new Set();
+  setDataSource(countingSource);
+});
+afterAll(() => setDataSource(bundledSource));
+
+describe('before loading', () => {
+  it('analysisData throws until the edition and the states are loaded', async () => {
+    expect(() => analysisData(nevada())).toThrow(`The ${LABEL} data is not loaded`);
+    expect(() => computeScenario(nevada())).toThrow(`The ${LABEL} data is not loaded`);
+    await loadVintage();
+    expect(() => analysisData(withNeighbors)).toThrow(`The ${LABEL} data for Nevada, Arizona is not loaded`);
+    await loadStateData('Nevada');
+    expect(() => analysisData(withNeighbors)).toThrow(`The ${LABEL} data for Arizona is not loaded`);
+  });
+
+  it('has no slices, and the bundled vintages for the current edition', () => {
+    expect(stateSlice('Nevada')).toBeNull();
+    expect(isStateLoaded('Nevada')).toBe(false);
+    expect(isAnalysisDataLoaded(nevada())).toBe(false);
+    expect(vintageInfo(CURRENT_VINTAGE)).toBe(DATA_VINTAGES);
+  });
+});
+
+describe('loadAnalysisData', () => {
+  it('loads the analysis\' state and spillover neighbors with model data, once', async () => {
+    const data = await loadAnalysisData(withNeighbors);
+    expect(analysisStates(withNeighbors)).toEqual(['Nevada', 'Arizona']);
+    expect(requests.sort()).toEqual(['Arizona', 'Nevada', 'index']);
+    expect(isAnalysisDataLoaded(withNeighbors)).toBe(true);
+    expect(Object.keys(data.gamingTaxRates.rates).sort()).toEqual(['Arizona', 'Nevada']);
+    expect(analysisData(withNeighbors)).toBe(data);
+
+    await loadAnalysisData(withNeighbors);
+    expect(requests).toHaveLength(3);
+    expect(computeScenario(nevada()).results.totals.output.total).toBeGreaterThan(0);
+  });
+
+  it('shares concurrent requests', async () => {
+    await Promise.all([loadStateData('Ohio'), loadStateData('Ohio'), loadAnalysisData(nevada({ state: 'Ohio' }))]);
+    expect(requests).toEqual(['index', 'Ohio']);
+    expect(stateSlice('Ohio')).toBe(await loadStateData('Ohio'));
+  });
+
+  it('names the edition and state when a slice fails, and tries again next time', async () => {
+    failing.add('Nevada');
+    await expect(loadAnalysisData(nevada())).rejects.toThrow(`Could not load the ${LABEL} data for Nevada (HTTP 503)`);
+    expect(isStateLoaded('Nevada')).toBe(false);
+    failing.clear();
+    await loadAnalysisData(nevada());
+    expect(requests).toEqual(['index', 'Nevada', 'Nevada']);
+  });
+
+  it('rejects states without model data', async () => {
+    await expect(loadStateData('Atlantis')).rejects.toThrow(`Could not load the ${LABEL} data for Atlantis (no model data)`);
+  });
+});
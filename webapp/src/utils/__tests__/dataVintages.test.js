@@ -0,0 +1,111 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import multipliers from '../../data/multipliers.json';
+import gamingTaxRates from '../../data/gamingTaxRates.json';
+import employmentTaxRates from '../../data/employmentTaxRates.json';
+import { bundledSource } from '../../data/bundledEditions';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { editionIndex, sliceEdition } from '../dataSlices';
+import { isAnalysisDataLoaded, loadAnalysisData, loadVintage, setDataSource, vintageInfo } from '../dataService';
+import { CURRENT_VINTAGE, VINTAGES, normalizeVintage, vintageLabel } from '../dataVintages';
+import { compareEditions, headlineResults } from '../resultsSnapshot';
+
+// This build bundles one edition, so a second one is made up here: the current
+// files with 10% higher output multipliers and an older data year.
+const FIXTURE = 'fixture';
+const scaleRow = (r) => ({ ...r, Type_I_Output: r.Type_I_Output * 1.1, Type_II_Output: r.Type_II_Output * 1.1 });
+const fixtureEdition = {
+  multipliers: {
+    ...multipliers,
+    metadata: { ...multipliers.metadata, dataYear: multipliers.metadata.dataYear - 1 },
+    multipliers: multipliers.multipliers.map(scaleRow),
+    gambling: multipliers.gambling.map(scaleRow),
+    onlineGaming: multipliers.onlineGaming.map(scaleRow),
+    propertyTypes: Object.fromEntries(Object.entries(multipliers.propertyTypes).map(([code, rows]) => [code, rows.map(scaleRow)])),
+  },
+  gamingTaxRates,
+  employmentTaxRates,
+};
+const fixtureSource = {
+  persistent: false,
+  index: async (vintage) => (vintage === FIXTURE ? editionIndex(fixtureEdition) : bundledSource.index(vintage)),
+  state: async (vintage, state, index) => (vintage === FIXTURE ? sliceEdition(fixtureEdition, state) : bundledSource.state(vintage, state, index)),
+};
+
+const nevada = (vintage) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60 },
+  vintage,
+});
+
+beforeAll(() => { VINTAGES.push({ id: FIXTURE, label: 'GEMS fixture' }); });
+afterAll(() => {
+  VINTAGES.splice(VINTAGES.findIndex((v) => v.id === FIXTURE), 1);
+  setDataSource(bundledSource);
+});
+
+describe('edition ids', () => {
+  it('fall back to the current edition when unknown', () => {
+    expect(normalizeVintage(FIXTURE)).toBe(FIXTURE);
+    expect(normalizeVintage('1999')).toBe(CURRENT_VINTAGE);
+    expect(normalizeVintage(null)).toBe(CURRENT_VINTAGE);
+    expect(vintageLabel(FIXTURE)).toBe('GEMS fixture');
+  });
+
+  it('fail to load when the edition has no data files', async () => {
+    await expect(loadVintage(FIXTURE)).rejects.toThrow('Could not load the GEMS fixture data (no data files for edition fixture)');
+  });
+});
+
+describe('with a second edition', () => {
+  beforeAll(() => setDataSource(fixtureSource));
+
+  it('loads the edition an analysis names, and only that one', async () => {
+    await loadAnalysisData(nevada(FIXTURE));
+    expect(isAnalysisDataLoaded(nevada(FIXTURE))).toBe(true);
+    expect(isAnalysisDataLoaded(nevada(CURRENT_VINTAGE))).toBe(false);
+    expect(vintageInfo(FIXTURE).multipliers.dataYear).toBe(multipliers.metadata.dataYear - 1);
+    expect(() => computeScenario(nevada(CURRENT_VINTAGE))).toThrow('is not loaded');
+  });
+
+  it('has nothing to compare until both editions are loaded', () => {
+    expect(compareEditions(nevada(FIXTURE))).toBeNull();
+  });
+
+  it('computes the same inputs on whichever edition is selected', async () => {
+    await loadAnalysisData(nevada(CURRENT_VINTAGE));
+    const current = computeScenario(nevada(CURRENT_VINTAGE));
+    const fixture = computeScenario(nevada(FIXTURE));
+    expect(current.vintage).toEqual({ id: CURRENT_VINTAGE, label: vintageLabel(CURRENT_VINTAGE) });
+    expect(fixture.vintage).toEqual({ id: FIXTURE, label: 'GEMS fixture' });
+    expect(fixture.results.totals.output.total).toBeGreaterThan(current.results.totals.output.total);
+    expect(fixture.gamingTaxResult.amount).toBeCloseTo(current.gamingTaxResult.amount);
+    // Switching back gives the first edition's results again
+    expect(computeScenario(nevada(CURRENT_VINTAGE)).results.totals).toEqual(current.results.totals);
+  });
+
+  it('diffs each headline metric against the analysis edition', () => {
+    const diff = compareEditions(nevada(FIXTURE));
+    expect(diff.base).toBe(FIXTURE);
+    expect(diff.editions.map((e) => e.id)).toEqual([CURRENT_VINTAGE, FIXTURE]);
+
+    const base = headlineResults(nevada(FIXTURE));
+    const other = headlineResults(nevada(CURRENT_VINTAGE));
+    for (const row of diff.rows) {
+      expect(row.values[FIXTURE]).toBe(base[row.key]);
+      expect(row.values[CURRENT_VINTAGE]).toBe(other[row.key]);
+      expect(row.changes[FIXTURE]).toBeNull();
+      expect(row.changes[CURRENT_VINTAGE].change).toBeCloseTo(other[row.key] - base[row.key]);
+    }
+    const byKey = Object.fromEntries(diff.rows.map((r) => [r.key, r.changes[CURRENT_VINTAGE]]));
+    expect(byKey.output.pct).toBeLessThan(0);
+    expect(byKey.gamingTax.change).toBeCloseTo(0);
+
+    const current = diff.editions.find((e) => e.id === CURRENT_VINTAGE);
+    expect(current.vintageChanges).toEqual([
+      { field: 'multipliers.dataYear', file: multipliers.metadata.dataYear, current: multipliers.metadata.dataYear - 1 },
+    ]);
+  });
+});
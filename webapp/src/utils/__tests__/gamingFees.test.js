@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { calculateGamingTax } from '../calculations';
+import { calculateGamingFees, feeVolumeFields } from '../gamingFees';
+import { buildTaxConfig } from '../taxConfig';
+
+describe('calculateGamingTax', () => {
+  it('applies graduated tiers marginally', () => {
+    const tiers = [{ threshold: 0, rate: 0.1 }, { threshold: 50, rate: 0.2 }, { threshold: 100, rate: 0.3 }];
+    expect(calculateGamingTax(40, { tiers })).toBeCloseTo(4);
+    expect(calculateGamingTax(120, { tiers })).toBeCloseTo(50 * 0.1 + 50 * 0.2 + 20 * 0.3);
+  });
+
+  it('splits GGR between slot and table rates', () => {
+    const config = buildTaxConfig({ rateStructure: 'split_game_type', slotsRate: 0.3, tableRate: 0.1 }, null, 60);
+    expect(calculateGamingTax(100, config)).toBeCloseTo(60 * 0.3 + 40 * 0.1);
+  });
+
+  it('uses a custom rate over the schedule and carries fee terms through', () => {
+    const config = buildTaxConfig({ rateStructure: 'flat', flatRate: 0.2, fees: { license: { annual: 1e6 } } }, 0.35, 70);
+    expect(calculateGamingTax(100, config)).toBeCloseTo(35);
+    expect(config.fees.license.annual).toBe(1e6);
+  });
+
+  it('is zero with no GGR', () => {
+    expect(calculateGamingTax(0, { flatRate: 0.2 })).toBe(0);
+  });
+});
+
+describe('calculateGamingFees', () => {
+  it('returns null when the state has no fee terms', () => {
+    expect(calculateGamingFees(undefined, {})).toBeNull();
+  });
+
+  it('prices admissions by annual-volume bracket', () => {
+    const fees = { admission: { brackets: [{ minAdmissions: 0, perPatron: 2 }, { minAdmissions: 1e6, perPatron: 3 }] } };
+    expect(calculateGamingFees(fees, { annualVisits: 500000 }).total).toBeCloseTo(1);
+    expect(calculateGamingFees(fees, { annualVisits: 2e6 }).total).toBeCloseTo(6);
+  });
+
+  it('taxes handle at a flat rate or per wager on a graduated schedule', () => {
+    expect(calculateGamingFees({ perWager: { handleRate: 0.0025 } }, { sportsHandle: 400 }).total).toBeCloseTo(1);
+    const tiered = { perWager: { tiers: [{ threshold: 0, rate: 0.25 }, { threshold: 1e6, rate: 0.1 }] } };
+    // $100M handle at $50 average = 2M wagers
+    expect(calculateGamingFees(tiered, { sportsHandle: 100, averageWager: 50 }).total).toBeCloseTo(0.35);
+  });
+
+  it('lists fees whose volume is missing instead of estimating them', () => {
+    const fees = { admission: { perPatron: 2 }, perDevice: { slot: 100, table: 500 }, license: { annual: 250000 } };
+    const r = calculateGamingFees(fees, { slotCount: 1000 });
+    expect(r.missing).toEqual(['annualVisits', 'tableCount']);
+    expect(r.total).toBeCloseTo(0.1 + 0.25);
+  });
+
+  it('names the volume fields a fee schedule needs', () => {
+    expect(feeVolumeFields({ admission: {}, perWager: { tiers: [] }, perDevice: { slot: 1 } }))
+      .toEqual(['annualVisits', 'sportsHandle', 'averageWager', 'slotCount']);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario, headlineMetrics } from '../computeScenario';
+import { goalSeekInputValue, goalSeekInputsFor, runGoalSeek } from '../goalSeek';
+
+const analysis = (extra = {}) => buildAnalysis({
+  state: 'Illinois',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 100, food: 20, lodging: 30, other: 5 },
+  ...extra,
+});
+
+describe('runGoalSeek', () => {
+  it('finds the GGR that yields a gaming tax target through the tiered schedule', () => {
+    const a = analysis();
+    const r = runGoalSeek(a, { input: 'ggr', metric: 'gamingTax', target: 50 });
+    expect(r.status).toBe('solved');
+    const check = computeScenario({ ...a, revenues: { ...a.revenues, gaming: r.value } });
+    expect(check.gamingTaxResult.amount).toBeCloseTo(50, 4);
+  });
+
+  it('solves for jobs with a department revenue', () => {
+    const a = analysis();
+    const current = headlineMetrics(computeScenario(a)).employment;
+    const r = runGoalSeek(a, { input: 'revenue.food', metric: 'employment', target: current + 100 });
+    expect(r.status).toBe('solved');
+    expect(r.value).toBeGreaterThan(20);
+    expect(r.achieved).toBeCloseTo(current + 100, 3);
+  });
+
+  it('solves for a flat tax rate', () => {
+    const r = runGoalSeek(analysis(), { input: 'taxRate', metric: 'gamingTax', target: 25 });
+    expect(r.status).toBe('solved');
+    expect(r.value).toBeCloseTo(0.25, 6);
+  });
+
+  it('reports a target outside the input range as unreachable', () => {
+    const r = runGoalSeek(analysis(), { input: 'taxRate', metric: 'gamingTax', target: 500 });
+    expect(r.status).toBe('unreachable');
+    expect(r.range[1]).toBeCloseTo(100);
+  });
+
+  it('reports an input that does not move the metric as unaffected', () => {
+    const r = runGoalSeek(analysis({ gamingTaxCustomRate: 0.2 }), { input: 'slotShare', metric: 'gamingTax', target: 10 });
+    expect(r.status).toBe('unaffected');
+  });
+
+  it('returns null without a numeric target', () => {
+    expect(runGoalSeek(analysis(), { target: '' })).toBeNull();
+    expect(runGoalSeek(analysis(), { input: 'nope', target: 10 })).toBeNull();
+  });
+});
+
+describe('goal seek inputs', () => {
+  it('offers department revenues only in department mode', () => {
+    expect(goalSeekInputsFor(analysis()).map((i) => i.key)).toContain('revenue.food');
+    expect(goalSeekInputsFor(analysis({ inputMode: 'total', revenues: { total: 150 } })).map((i) => i.key)).not.toContain('revenue.food');
+  });
+
+  it('reads the current GGR from the total in total mode', () => {
+    expect(goalSeekInputValue(analysis({ inputMode: 'total', revenues: { total: 150 } }), 'ggr')).toBe(150);
+    expect(goalSeekInputValue(analysis(), 'taxRate')).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLocalTax, localTaxConfig } from '../localTax';
+
+const settings = { hostPaymentPct: null, hostPaymentFixed: null };
+
+describe('calculateLocalTax', () => {
+  it('moves statutory distributions from the state line without changing the total', () => {
+    const r = calculateLocalTax({ ggr: 100, gamingTax: 20 }, { distribution: { shareOfStateTax: 0.25 } }, settings);
+    expect(r.state).toBeCloseTo(15);
+    expect(r.local).toBeCloseTo(5);
+    expect(r.additional).toBe(0);
+  });
+
+  it('caps distributions at the state tax', () => {
+    const r = calculateLocalTax({ ggr: 100, gamingTax: 2 }, { distribution: { shareOfGGR: 0.05 } }, settings);
+    expect(r.local).toBeCloseTo(2);
+    expect(r.state).toBeCloseTo(0);
+  });
+
+  it('counts a local surcharge as additional tax', () => {
+    const r = calculateLocalTax({ ggr: 100, gamingTax: 20 }, { surcharge: { rate: 0.04 } }, settings);
+    expect(r.local).toBeCloseTo(4);
+    expect(r.additional).toBeCloseTo(4);
+  });
+
+  it('takes local admissions out of a state admission tax, or levies them on top', () => {
+    const fees = { lines: [{ key: 'admission', amount: 3 }], total: 3 };
+    const within = calculateLocalTax({ ggr: 100, gamingTax: 20, fees, annualVisits: 1e6 }, { admissionFee: 1 }, settings);
+    expect(within.local).toBeCloseTo(1);
+    expect(within.additional).toBe(0);
+    const onTop = calculateLocalTax({ ggr: 100, gamingTax: 20, annualVisits: 1e6 }, { admissionFee: 1 }, settings);
+    expect(onTop.additional).toBeCloseTo(1);
+  });
+
+  it('reports host-community payments outside the tax total', () => {
+    const r = calculateLocalTax({ ggr: 100, gamingTax: 20 }, { hostPaymentPct: 2 }, { hostPaymentPct: null, hostPaymentFixed: 1.5 });
+    expect(r.host).toBeCloseTo(3.5);
+    expect(r.additional).toBe(0);
+  });
+});
+
+describe('localTaxConfig', () => {
+  it('overlays a jurisdiction on the statewide terms', () => {
+    const state = { local: { admissionFee: 1, jurisdictions: [{ id: 'x', name: 'X City', hostPaymentPct: 3 }] } };
+    expect(localTaxConfig(state, 'x')).toMatchObject({ admissionFee: 1, hostPaymentPct: 3, name: 'X City' });
+    expect(localTaxConfig(state)).toEqual({ admissionFee: 1 });
+  });
+});
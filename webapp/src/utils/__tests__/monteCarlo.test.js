@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { UNCERTAIN_INPUTS, createRng, runMonteCarlo, sample } from '../monteCarlo';
+
+const N = 5000;
+const draws = (spec, seed = 7) => {
+  const rng = createRng(seed);
+  return Array.from({ length: N }, () => sample(spec, rng));
+};
+const share = (xs, test) => xs.filter(test).length / xs.length;
+
+const nevada = (uncertainty) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60 },
+  uncertainty: { draws: 200, ...uncertainty },
+});
+
+describe('sample', () => {
+  it('keeps uniform draws within [low, high)', () => {
+    const xs = draws({ dist: 'uniform', low: -10, high: 20 });
+    expect(Math.min(...xs)).toBeGreaterThanOrEqual(-10);
+    expect(Math.max(...xs)).toBeLessThan(20);
+    expect(share(xs, (x) => x < 5)).toBeCloseTo(0.5, 1);
+  });
+
+  it('keeps triangular draws within [low, high], peaking at the entered value', () => {
+    const xs = draws({ dist: 'triangular', low: -15, high: 10 });
+    expect(Math.min(...xs)).toBeGreaterThanOrEqual(-15);
+    expect(Math.max(...xs)).toBeLessThanOrEqual(10);
+    // P(x < mode) = (mode − low) / (high − low)
+    expect(share(xs, (x) => x < 0)).toBeCloseTo(15 / 25, 1);
+    // A range that excludes the entered value peaks at its nearer end
+    const above = draws({ dist: 'triangular', low: 5, high: 20 });
+    expect(Math.min(...above)).toBeGreaterThanOrEqual(5);
+    expect(Math.max(...above)).toBeLessThanOrEqual(20);
+  });
+
+  it('puts 10% of normal draws below low and 10% above high', () => {
+    const xs = draws({ dist: 'normal', low: -15, high: 15 });
+    expect(share(xs, (x) => x < -15)).toBeCloseTo(0.1, 1);
+    expect(share(xs, (x) => x > 15)).toBeCloseTo(0.1, 1);
+    expect(xs.every(Number.isFinite)).toBe(true);
+  });
+
+  it('draws nothing for an empty range', () => {
+    expect(sample({ dist: 'normal', low: 0, high: 0 }, createRng(1))).toBe(0);
+  });
+});
+
+describe('runMonteCarlo', () => {
+  it('gives the same bands for the same seed', () => {
+    const a = runMonteCarlo(nevada({ seed: 42 }));
+    const b = runMonteCarlo(nevada({ seed: 42 }));
+    expect(b.stats).toEqual(a.stats);
+    expect(runMonteCarlo(nevada({ seed: 43 })).stats.output.p50).not.toBe(a.stats.output.p50);
+  });
+
+  it('orders the percentiles around the base case', () => {
+    const { stats, base } = runMonteCarlo(nevada({ seed: 1 }));
+    for (const s of Object.values(stats)) {
+      expect(s.p10).toBeLessThanOrEqual(s.p50);
+      expect(s.p50).toBeLessThanOrEqual(s.p90);
+    }
+    expect(stats.output.p10).toBeLessThan(base.output);
+    expect(stats.output.p90).toBeGreaterThan(base.output);
+  });
+
+  it('collapses the bands onto the base case when nothing is uncertain', () => {
+    const inputs = Object.fromEntries(UNCERTAIN_INPUTS.map(({ key }) => [key, { low: 0, high: 0 }]));
+    const { stats, base } = runMonteCarlo(nevada({ draws: 20, inputs }));
+    expect(stats.output.p10).toBeCloseTo(base.output);
+    expect(stats.output.p90).toBeCloseTo(base.output);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { MULTIPLIER_SET_COLUMNS, parseMultiplierSet, validateMultiplierRows } from '../multiplierSets';
+
+const COEFS = {
+  Direct_VA_Coef: 0.5, Direct_Wage_Coef: 0.3, Direct_Tax_Coef: 0.05,
+  Type_I_Output: 1.4, Type_II_Output: 1.8,
+  Type_I_VA: 0.7, Type_II_VA: 0.9,
+  Type_I_Wage: 0.4, Type_II_Wage: 0.5,
+  Type_I_Tax: 0.07, Type_II_Tax: 0.09,
+  Emp_Coef: 8, Indirect_Emp_Coef: 2, Induced_Emp_Coef: 3,
+};
+const row = (patch = {}) => ({ Sector: '7132', State: 'Nevada', ...COEFS, ...patch });
+
+const toCsv = (rows, cols = ['State', 'Sector', ...MULTIPLIER_SET_COLUMNS]) =>
+  [cols, ...rows.map((r) => cols.map((c) => r[c] ?? ''))].map((r) => r.join(',')).join('\n');
+
+describe('validateMultiplierRows', () => {
+  it('accepts a consistent row', () => {
+    expect(validateMultiplierRows([row()])).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('requires every coefficient column and a sector', () => {
+    const { Emp_Coef, ...missing } = row();
+    expect(validateMultiplierRows([missing]).errors).toEqual(['Row 1 (sector 7132, Nevada): Emp_Coef is missing']);
+    expect(validateMultiplierRows([row({ Sector: null })]).errors).toEqual(['Row 1: Sector is missing']);
+    expect(validateMultiplierRows([]).errors).toEqual(['The set has no multiplier rows']);
+  });
+
+  it('rejects negative values', () => {
+    expect(validateMultiplierRows([row({ Induced_Emp_Coef: -1 })]).errors)
+      .toEqual(['Row 1 (sector 7132, Nevada): Induced_Emp_Coef is negative']);
+  });
+
+  it('requires Type II ≥ Type I ≥ 1 for output and ≥ the direct coefficient otherwise', () => {
+    const errors = (patch) => validateMultiplierRows([row(patch)]).errors;
+    expect(errors({ Type_I_Output: 0.9 })).toEqual(['Row 1 (sector 7132, Nevada): Type_I_Output (0.9) is below 1']);
+    expect(errors({ Type_II_Output: 1.2 })).toEqual(['Row 1 (sector 7132, Nevada): Type_II_Output (1.2) is below Type_I_Output (1.4)']);
+    expect(errors({ Type_I_VA: 0.4 })).toEqual(['Row 1 (sector 7132, Nevada): Type_I_VA (0.4) is below Direct_VA_Coef (0.5)']);
+  });
+
+  it('rejects unknown states and duplicate sector rows', () => {
+    expect(validateMultiplierRows([row({ State: 'Atlantis' })]).errors).toEqual(['Row 1 (sector 7132, Atlantis): unknown state "Atlantis"']);
+    expect(validateMultiplierRows([row(), row()]).errors).toEqual(['Row 2 (sector 7132, Nevada): duplicate row for this sector and state']);
+    // A state-less row and a state row for the same sector are not duplicates
+    expect(validateMultiplierRows([row(), row({ State: undefined })]).errors).toEqual([]);
+  });
+
+  it('warns about sectors the model does not read', () => {
+    expect(validateMultiplierRows([row({ Sector: '999' })]).warnings).toEqual(['Sector 999 is not used by the model and will be ignored']);
+  });
+});
+
+describe('parseMultiplierSet', () => {
+  it('reads a CSV into a named set', () => {
+    const { set, errors } = parseMultiplierSet(toCsv([row()]), { name: 'IMPLAN 2022', source: 'IMPLAN' });
+    expect(errors).toEqual([]);
+    expect(set).toMatchObject({ name: 'IMPLAN 2022', source: 'IMPLAN', rows: [row()] });
+  });
+
+  it('reports missing columns before reading rows', () => {
+    const { set, errors } = parseMultiplierSet(toCsv([row()], ['State', 'Sector', 'Type_I_Output']));
+    expect(set).toBeNull();
+    expect(errors[0]).toMatch(/^Missing columns: Direct_VA_Coef, /);
+  });
+
+  it('derives the set id from its rows', () => {
+    const a = parseMultiplierSet(toCsv([row()]), { name: 'First' }).set;
+    const b = parseMultiplierSet(toCsv([row()]), { name: 'Second' }).set;
+    const c = parseMultiplierSet(toCsv([row({ Emp_Coef: 9 })]), { name: 'First' }).set;
+    expect(a.id).toMatch(/^ms_[0-9a-f]{8}$/);
+    expect(b.id).toBe(a.id);
+    expect(c.id).not.toBe(a.id);
+  });
+});
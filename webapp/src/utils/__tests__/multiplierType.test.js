@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { validateAnalysis } from '../analysisSchema';
+import { computeScenario } from '../computeScenario';
+import {
+  inducedFactor, isDefaultMultiplierType, multiplierTypeLabel, normalizeMultiplierType,
+} from '../multiplierType';
+
+const METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+
+const nevada = (multiplierType, patch = {}) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60 },
+  multiplierType,
+  ...patch,
+});
+
+describe('multiplier type settings', () => {
+  it('default to Type II with the full induced effect', () => {
+    expect(normalizeMultiplierType(undefined)).toEqual({ report: 'typeII', inducedPct: 100 });
+    expect(normalizeMultiplierType({ report: 'typeIII', inducedPct: 'x' })).toEqual({ report: 'typeII', inducedPct: 100 });
+    expect(normalizeMultiplierType({ report: 'both', inducedPct: 140 })).toEqual({ report: 'both', inducedPct: 100 });
+    expect(normalizeMultiplierType({ inducedPct: -5 }).inducedPct).toBe(0);
+    expect(isDefaultMultiplierType({})).toBe(true);
+    expect(isDefaultMultiplierType({ inducedPct: 99 })).toBe(false);
+  });
+
+  it('count none of the induced effect on Type I and the chosen share otherwise', () => {
+    expect(inducedFactor({ report: 'typeI', inducedPct: 60 })).toBe(0);
+    expect(inducedFactor({ report: 'typeII', inducedPct: 60 })).toBe(0.6);
+    expect(inducedFactor({ report: 'both', inducedPct: 60 })).toBe(0.6);
+    expect(inducedFactor(undefined)).toBe(1);
+  });
+
+  it('are checked in saved analyses', () => {
+    const fields = (multiplierType) => validateAnalysis({ ...nevada(), multiplierType }).map((e) => e.field);
+    expect(fields({ report: 'both', inducedPct: 40 })).toEqual([]);
+    expect(fields({ report: 'typeIII', inducedPct: 140 })).toEqual(['multiplierType.report', 'multiplierType.inducedPct']);
+  });
+
+  it('label the basis', () => {
+    expect(multiplierTypeLabel({ report: 'typeI', inducedPct: 50 })).toBe('Type I (direct and indirect)');
+    expect(multiplierTypeLabel({ report: 'typeII', inducedPct: 75 })).toBe('Type II, induced effects at 75%');
+    expect(multiplierTypeLabel({ report: 'both' })).toBe('Type I and Type II');
+  });
+});
+
+describe('computing on each basis', () => {
+  it('drops the induced effect on Type I and keeps direct and indirect as on Type II', () => {
+    const typeII = computeScenario(nevada());
+    const typeI = computeScenario(nevada({ report: 'typeI' }));
+    for (const k of METRICS) {
+      expect(typeI.results.totals[k].induced).toBeCloseTo(0, 9);
+      expect(typeI.results.totals[k].direct).toBeCloseTo(typeII.results.totals[k].direct, 9);
+      expect(typeI.results.totals[k].indirect).toBeCloseTo(typeII.results.totals[k].indirect, 9);
+    }
+    expect(typeI.householdTaxResult.induced).toBeCloseTo(0, 9);
+    expect(typeI.totalTax).toBeLessThan(typeII.totalTax);
+    expect(typeI.gamingTaxResult.amount).toBeCloseTo(typeII.gamingTaxResult.amount);
+  });
+
+  it('scales every induced effect by the induced share', () => {
+    const full = computeScenario(nevada());
+    const half = computeScenario(nevada({ inducedPct: 50 }));
+    for (const k of METRICS) {
+      expect(half.results.totals[k].induced).toBeCloseTo(full.results.totals[k].induced * 0.5, 6);
+      expect(half.results.totals[k].indirect).toBeCloseTo(full.results.totals[k].indirect, 9);
+    }
+  });
+
+  it('keeps direct figures entered by the user on Type I', () => {
+    const known = { knownData: { gaming: { emp: 900, wages: 45 } } };
+    const typeI = computeScenario(nevada({ report: 'typeI' }, known));
+    const gaming = typeI.results.byRevenue.find((r) => r.type === 'gaming');
+    expect(gaming.employment.direct).toBe(900);
+    expect(gaming.wages.direct).toBe(45);
+  });
+
+  it('reports Type I beside Type II when both are asked for', () => {
+    const both = computeScenario(nevada({ report: 'both' }));
+    const typeII = computeScenario(nevada());
+    const typeI = computeScenario(nevada({ report: 'typeI' }));
+    expect(computeScenario(nevada()).typeI).toBeNull();
+    for (const k of METRICS) {
+      expect(both.results.totals[k].total).toBeCloseTo(typeII.results.totals[k].total, 9);
+      expect(both.typeI.results.totals[k].total).toBeCloseTo(typeI.results.totals[k].total, 9);
+    }
+    expect(both.typeI.payrollTaxResult.total).toBeCloseTo(typeI.payrollTaxResult.total, 9);
+    expect(both.typeI.householdTaxResult.total).toBeCloseTo(typeI.householdTaxResult.total, 9);
+    expect(both.typeI.totalTax).toBeCloseTo(typeI.totalTax, 9);
+    expect(both.totalTax).toBeCloseTo(typeII.totalTax, 9);
+  });
+});
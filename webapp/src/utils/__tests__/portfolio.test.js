@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { STATE_LEVIES, computePortfolio, normalizePortfolio } from '../portfolio';
+
+const property = (id, state, gaming) => ({
+  id, name: id,
+  analysis: buildAnalysis({ state, propertyType: '721120', inputMode: 'department', revenues: { gaming, food: 20 } }),
+});
+
+// Indiana's graduated gaming tax: two $100M casinos owe less than one $200M casino
+const portfolio = {
+  name: 'Test',
+  properties: [property('in-a', 'Indiana', 100), property('in-b', 'Indiana', 100), property('nv', 'Nevada', 300)],
+};
+
+describe('computePortfolio', () => {
+  it('computes each property on its own state and rolls the effects up', () => {
+    const { properties, byState, total } = computePortfolio(portfolio);
+    expect(properties.map((p) => p.state)).toEqual(['Indiana', 'Indiana', 'Nevada']);
+    expect(byState.map((s) => [s.state, s.count])).toEqual([['Nevada', 1], ['Indiana', 2]]);
+    for (const k of ['revenue', 'ggr', 'output', 'employment', 'totalTax']) {
+      expect(total[k]).toBeCloseTo(properties.reduce((sum, p) => sum + p[k], 0));
+      expect(byState.reduce((sum, s) => sum + s[k], 0)).toBeCloseTo(total[k]);
+    }
+    expect(total.states).toBe(2);
+  });
+
+  it('applies graduated rates to each property, not to the state total', () => {
+    const { properties, byState } = computePortfolio(portfolio);
+    const indiana = byState.find((s) => s.state === 'Indiana');
+    const one = properties[0].taxes.gamingTax;
+    expect(indiana.taxes.gamingTax).toBeCloseTo(2 * one);
+    const combined = computeScenario(property('in', 'Indiana', 200).analysis).gamingTaxResult.amount;
+    expect(indiana.taxes.gamingTax).toBeLessThan(combined);
+    expect(indiana.effectiveRate).toBeCloseTo(indiana.taxes.gamingTax / 200);
+    expect(indiana.stateLevies).toBeCloseTo(STATE_LEVIES.reduce((sum, k) => sum + indiana.taxes[k], 0));
+  });
+
+  it('does not sum state levies company-wide', () => {
+    const { total } = computePortfolio(portfolio);
+    expect(Object.keys(total.taxes).sort()).toEqual(['household', 'payroll', 'topi']);
+    expect(total).not.toHaveProperty('stateLevies');
+    expect(total).not.toHaveProperty('effectiveRate');
+  });
+
+  it('leaves a property without model data out of the rollups', () => {
+    const { properties, total } = computePortfolio({ properties: [...portfolio.properties, property('x', 'Atlantis', 50)] });
+    expect(properties[3].error).toMatch(/No model data/);
+    expect(total.count).toBe(3);
+  });
+});
+
+describe('normalizePortfolio', () => {
+  it('drops properties without an analysis state', () => {
+    expect(normalizePortfolio({ name: 'P', properties: [{ id: 'a' }, property('b', 'Ohio', 10)] }).properties.map((p) => p.id)).toEqual(['b']);
+    expect(normalizePortfolio(null)).toEqual({ name: '', properties: [] });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario, headlineMetrics } from '../computeScenario';
+import { rampFactor, runProForma } from '../proForma';
+
+const analysis = (proForma = {}) => buildAnalysis({
+  state: 'Illinois',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 100, food: 20, lodging: 30, other: 5 },
+  proForma,
+});
+
+describe('rampFactor', () => {
+  it('opens at the opening share and reaches 100% in the stabilization year', () => {
+    expect(rampFactor(1, 60, 3)).toBeCloseTo(0.6);
+    expect(rampFactor(2, 60, 3)).toBeCloseTo(0.8);
+    expect(rampFactor(3, 60, 3)).toBe(1);
+    expect(rampFactor(7, 60, 3)).toBe(1);
+  });
+
+  it('is fully ramped from year 1 when stabilization is year 1', () => {
+    expect(rampFactor(1, 50, 1)).toBe(1);
+  });
+});
+
+describe('runProForma', () => {
+  it('returns one row per year from the start year', () => {
+    const pf = runProForma(analysis({ startYear: 2026, years: 5 }));
+    expect(pf.rows.map((r) => r.year)).toEqual([2026, 2027, 2028, 2029, 2030]);
+    expect(pf.settings.years).toBe(5);
+  });
+
+  it('ramps revenue, then grows it at the department rates', () => {
+    const pf = runProForma(analysis({
+      startYear: 2026, years: 4, openingPct: 50, stabilizationYear: 2,
+      growthPct: { gaming: 10, food: 0, lodging: 0, other: 0 },
+    }));
+    const [y1, y2, y3] = pf.rows;
+    expect(y1.revenue).toBeCloseTo(155 * 0.5);
+    expect(y2.revenue).toBeCloseTo(155);
+    expect(y3.revenue).toBeCloseTo(155 + 100 * 0.1);
+  });
+
+  it('matches a single-year run once stabilized with no growth', () => {
+    const a = analysis({ startYear: 2026, years: 3, openingPct: 100, stabilizationYear: 1, growthPct: { gaming: 0, food: 0, lodging: 0, other: 0 } });
+    const pf = runProForma(a);
+    const single = headlineMetrics(computeScenario(a, { year: 2026, projectedInflation: 0.025 }));
+    expect(pf.rows[0].output).toBeCloseTo(single.output);
+    expect(pf.rows[0].totalTax).toBeCloseTo(single.totalTax);
+  });
+
+  it('applies scheduled gaming tax rates from their effective year', () => {
+    const pf = runProForma(analysis({ startYear: 2026, years: 3, taxChanges: [{ year: 2027, ratePct: 40 }] }));
+    expect(pf.rows[0].scheduledRate).toBeNull();
+    expect(pf.rows[1].scheduledRate).toBeCloseTo(0.4);
+    expect(pf.rows[2].gamingTaxRate).toBeCloseTo(0.4);
+  });
+
+  it('discounts present values at year-end', () => {
+    const pf = runProForma(analysis({ startYear: 2026, years: 2, discountRatePct: 10 }));
+    expect(pf.rows[0].discountFactor).toBeCloseTo(1 / 1.1);
+    expect(pf.npv.gdp).toBeCloseTo(pf.rows[0].gdp / 1.1 + pf.rows[1].gdp / 1.21);
+    expect(pf.totals.gdp).toBeCloseTo(pf.rows[0].gdp + pf.rows[1].gdp);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION, buildProjectFile, readProjectFile } from '../projectFile';
+import { headlineResults } from '../resultsSnapshot';
+
+const nevada = buildAnalysis({ state: 'Nevada', propertyType: '721120', inputMode: 'department', revenues: { gaming: 200, food: 40 } });
+const ohio = buildAnalysis({ state: 'Ohio', propertyType: '721120', inputMode: 'total', revenues: { total: 150 } });
+
+const build = () => buildProjectFile({
+  projects: [{ name: 'Strip resort', savedAt: '2026-01-05T00:00:00.000Z', analysis: nevada }],
+  scenarios: [{ name: 'Ohio option', analysis: ohio }],
+  notes: '  Board draft  ',
+});
+
+describe('project files', () => {
+  it('round-trip analyses, notes and results with a verified hash', async () => {
+    const file = await build();
+    expect(file).toMatchObject({ format: PROJECT_FILE_FORMAT, formatVersion: PROJECT_FILE_VERSION, notes: 'Board draft' });
+    expect(file.hash).toMatchObject({ algorithm: 'SHA-256', value: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    const read = await readProjectFile(JSON.stringify(file, null, 2));
+    expect(read).toMatchObject({ notes: 'Board draft', integrity: 'ok', skipped: [], vintageChanges: [], modelChanged: false });
+    expect(read.projects).toHaveLength(1);
+    expect(read.projects[0]).toMatchObject({ name: 'Strip resort', savedAt: '2026-01-05T00:00:00.000Z', analysis: nevada, snapshot: null });
+    expect(read.projects[0].stored).toEqual(headlineResults(nevada));
+    expect(read.projects[0].current).toEqual(read.projects[0].stored);
+    expect(read.scenarios[0].analysis).toEqual(ohio);
+  });
+
+  it('flag edited content and missing hashes', async () => {
+    const file = await build();
+    const edited = { ...file, projects: [{ ...file.projects[0], analysis: { ...nevada, revenues: { ...nevada.revenues, gaming: 250 } } }] };
+    expect((await readProjectFile(JSON.stringify(edited))).integrity).toBe('mismatch');
+    const { hash, ...unsigned } = file;
+    expect((await readProjectFile(JSON.stringify(unsigned))).integrity).toBe('missing');
+  });
+
+  it('carry a frozen snapshot whole', async () => {
+    const snapshot = { metrics: { output: 1, totalTax: 2 }, bundle: { frozen: true }, modelVersion: '2026' };
+    const file = await buildProjectFile({ projects: [{ name: 'Frozen', analysis: nevada, snapshot }] });
+    expect(file.projects[0].results).toEqual(snapshot.metrics);
+    const read = await readProjectFile(JSON.stringify(file));
+    expect(read.projects[0].snapshot).toEqual(snapshot);
+    expect(read.projects[0].stored).toEqual(snapshot.metrics);
+  });
+
+  it('migrate old analyses and skip ones that cannot be opened', async () => {
+    const file = await buildProjectFile({
+      projects: [
+        { name: 'Old', analysis: { state: 'Nevada', inputMode: 'total', revenues: { total: 90 } } },
+        { name: 'Broken', analysis: { state: 'Atlantis', inputMode: 'total', revenues: { total: 90 } } },
+      ],
+    });
+    const read = await readProjectFile(JSON.stringify(file));
+    expect(read.projects.map((p) => p.name)).toEqual(['Old']);
+    expect(read.projects[0].report.fromVersion).toBe(0);
+    expect(read.skipped).toEqual([{ name: 'Broken', errors: [expect.objectContaining({ field: 'state' })] }]);
+  });
+
+  it('compare the recorded data vintages and model version with the running app', async () => {
+    const file = await build();
+    const older = { ...file, model: { ...file.model, version: '2025' }, dataVintages: { ...file.dataVintages, gamingTaxRates: { sourceYear: 1999 } } };
+    const read = await readProjectFile(JSON.stringify(older));
+    expect(read.modelChanged).toBe(true);
+    expect(read.vintageChanges.map((c) => c.field)).toEqual(['gamingTaxRates.sourceYear']);
+  });
+
+  it('reject files that are not project files', async () => {
+    await expect(readProjectFile('{')).rejects.toThrow('not valid JSON');
+    await expect(readProjectFile('{"format":"other"}')).rejects.toThrow('Not a GEMS project file');
+    await expect(readProjectFile(JSON.stringify({ format: PROJECT_FILE_FORMAT, formatVersion: PROJECT_FILE_VERSION + 1 })))
+      .rejects.toThrow('written by a newer version');
+  });
+});
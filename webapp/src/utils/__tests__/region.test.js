@@ -0,0 +1,80 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { normalizeRegion, regionalFactors, splitRegion } from '../region';
+
+const METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+const EFFECTS = ['direct', 'indirect', 'induced', 'total'];
+
+const nevada = (region) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60, other: 10 },
+  region: { enabled: true, kind: 'county', name: 'Clark County', ...region },
+});
+
+describe('regionalFactors', () => {
+  it('never retains more than the state effect', () => {
+    for (const share of [0.1, 1, 5, 25, 50, 75, 99, 100]) {
+      for (const lq of [0, 0.5, 1, 2, 10]) {
+        const f = regionalFactors({ employmentSharePct: share, supplierLQ: lq });
+        expect(f.lambda).toBeGreaterThan(0);
+        expect(f.lambda).toBeLessThanOrEqual(1);
+        expect(f.indirect).toBeLessThanOrEqual(1);
+        expect(f.induced).toBeLessThanOrEqual(1);
+        expect(f.indirect).toBeGreaterThanOrEqual(0);
+      }
+    }
+  });
+
+  it('grows with the region share', () => {
+    const small = regionalFactors({ employmentSharePct: 10 });
+    const large = regionalFactors({ employmentSharePct: 60 });
+    expect(small.induced).toBeLessThan(large.induced);
+    expect(regionalFactors({ employmentSharePct: 100 }).induced).toBe(1);
+  });
+
+  it('waits for the employment share', () => {
+    expect(regionalFactors({ employmentSharePct: null })).toBeNull();
+    expect(regionalFactors({ employmentSharePct: 0 })).toBeNull();
+  });
+
+  it('clamps hand-entered values', () => {
+    expect(normalizeRegion({ employmentSharePct: 140, supplierLQ: -2 })).toMatchObject({ employmentSharePct: 100, supplierLQ: 1 });
+  });
+});
+
+describe('splitRegion', () => {
+  let results;
+  beforeAll(() => { ({ results } = computeScenario(nevada({ enabled: false }))); });
+
+  it('keeps the host region within the state totals and the two parts adding up to them', () => {
+    for (const employmentSharePct of [3, 40, 90]) {
+      const { host, rest } = splitRegion(results, regionalFactors({ employmentSharePct, supplierLQ: 1.5 }));
+      for (const k of METRICS) {
+        for (const e of EFFECTS) {
+          expect(host.totals[k][e]).toBeLessThanOrEqual(results.totals[k][e] + 1e-9);
+          expect(rest.totals[k][e]).toBeGreaterThanOrEqual(-1e-9);
+          expect(host.totals[k][e] + rest.totals[k][e]).toBeCloseTo(results.totals[k][e], 6);
+        }
+        expect(host.totals[k].direct).toBeCloseTo(results.totals[k].direct);
+      }
+    }
+  });
+
+  it('reproduces the state results for a region covering the whole state', () => {
+    const { host, rest } = splitRegion(results, regionalFactors({ employmentSharePct: 100, supplierLQ: 1 }));
+    for (const k of METRICS) {
+      expect(host.totals[k].total).toBeCloseTo(results.totals[k].total);
+      expect(rest.totals[k].total).toBeCloseTo(0);
+    }
+  });
+
+  it('is reported by computeScenario once the share is entered', () => {
+    expect(computeScenario(nevada({ employmentSharePct: null })).region).toBeNull();
+    const { region } = computeScenario(nevada({ employmentSharePct: 70 }));
+    expect(region.name).toBe('Clark County');
+    expect(region.host.totals.output.total).toBeLessThan(results.totals.output.total);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { BRAND } from '../../brand';
+import { buildAnalysis } from '../analysisState';
+import { SNAPSHOT_METRICS, buildSnapshot, canonicalJSON, diffSnapshot, headlineResults, sameAnalysis } from '../resultsSnapshot';
+
+const nevada = (gaming = 200) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming, food: 40, lodging: 60 },
+});
+
+describe('canonicalJSON', () => {
+  it('sorts keys at every level and can drop blank members', () => {
+    expect(canonicalJSON({ b: [{ d: 1, c: null }], a: undefined })).toBe('{"b":[{"c":null,"d":1}]}');
+    expect(canonicalJSON({ b: [{ d: 1, c: null }] }, { dropEmpty: true })).toBe('{"b":[{"d":1}]}');
+    expect(sameAnalysis({ state: 'Nevada', notes: null }, { state: 'Nevada' })).toBe(true);
+    expect(sameAnalysis({ state: 'Nevada' }, { state: 'Ohio' })).toBe(false);
+  });
+});
+
+describe('snapshots', () => {
+  it('freeze the headline metrics, the bundle and where they came from', () => {
+    const snapshot = buildSnapshot(nevada());
+    expect(snapshot.modelVersion).toBe(BRAND.modelVersion);
+    expect(snapshot.metrics).toEqual(headlineResults(nevada()));
+    expect(Object.keys(snapshot.metrics)).toEqual(expect.arrayContaining(SNAPSHOT_METRICS.map((m) => m.key)));
+    expect(snapshot.bundle.trace).toBeDefined();
+    // Plain data, as it is stored
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  it('show no change against the same inputs on the same data', () => {
+    const diff = diffSnapshot(buildSnapshot(nevada()), nevada());
+    expect(diff).toMatchObject({ changed: false, vintageChanges: [], modelChanged: false });
+    expect(diff.rows.map((r) => r.key)).toEqual(SNAPSHOT_METRICS.map((m) => m.key));
+    for (const row of diff.rows) {
+      expect(row.current).toBeCloseTo(row.saved);
+      expect(row.change).toBeCloseTo(0);
+    }
+  });
+
+  it('diff each metric against the current computation', () => {
+    const snapshot = buildSnapshot(nevada());
+    const diff = diffSnapshot(snapshot, nevada(300));
+    const current = headlineResults(nevada(300));
+    expect(diff.changed).toBe(true);
+    const output = diff.rows.find((r) => r.key === 'output');
+    expect(output.saved).toBe(snapshot.metrics.output);
+    expect(output.current).toBe(current.output);
+    expect(output.change).toBeCloseTo(current.output - snapshot.metrics.output);
+    expect(output.pct).toBeCloseTo((output.change / snapshot.metrics.output) * 100);
+  });
+
+  it('report data vintage and model version changes', () => {
+    const snapshot = buildSnapshot(nevada());
+    const older = {
+      ...snapshot,
+      modelVersion: 'older',
+      dataVintages: { ...snapshot.dataVintages, multipliers: { ...snapshot.dataVintages.multipliers, dataYear: 1999 } },
+    };
+    const diff = diffSnapshot(older, nevada());
+    expect(diff.modelChanged).toBe(true);
+    expect(diff.vintageChanges).toEqual([
+      { field: 'multipliers.dataYear', file: 1999, current: snapshot.dataVintages.multipliers.dataYear },
+    ]);
+    // Same numbers: only the provenance moved
+    expect(diff.changed).toBe(false);
+  });
+
+  it('treat a metric missing on one side as a change without a difference', () => {
+    const snapshot = buildSnapshot(nevada());
+    const { gamingTax, ...metrics } = snapshot.metrics;
+    const diff = diffSnapshot({ ...snapshot, metrics }, nevada());
+    const row = diff.rows.find((r) => r.key === 'gamingTax');
+    expect(row).toMatchObject({ saved: null, change: null, pct: null });
+    expect(diff.changed).toBe(true);
+  });
+});
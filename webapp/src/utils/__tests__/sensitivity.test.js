@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario, headlineMetrics } from '../computeScenario';
+import { runTornado } from '../sensitivity';
+
+const nevada = (extra = {}) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60, other: 10 },
+  ...extra,
+});
+
+describe('runTornado', () => {
+  it('ranks inputs by the swing they cause, largest first', () => {
+    const { bars, base, metric, pct } = runTornado(nevada());
+    expect([metric, pct]).toEqual(['employment', 10]);
+    expect(base).toBeCloseTo(headlineMetrics(computeScenario(nevada())).employment);
+    expect(bars.length).toBeGreaterThan(3);
+    for (let i = 1; i < bars.length; i++) expect(bars[i - 1].swing).toBeGreaterThanOrEqual(bars[i].swing);
+    for (const b of bars) expect(b.swing).toBeCloseTo(Math.abs(b.high - b.low));
+    // Gaming is by far the largest revenue stream
+    const revenue = bars.filter((b) => b.group === 'Revenue' && b.key.startsWith('revenue.'));
+    expect(revenue[0].key).toBe('revenue.gaming');
+  });
+
+  it('moves one input at a time by the given percent', () => {
+    const { bars } = runTornado(nevada(), { metric: 'output', pct: 20 });
+    const food = bars.find((b) => b.key === 'revenue.food');
+    const at = (food) => headlineMetrics(computeScenario(nevada({ revenues: { gaming: 200, food, lodging: 60, other: 10 } }))).output;
+    expect(food.low).toBeCloseTo(at(32));
+    expect(food.high).toBeCloseTo(at(48));
+  });
+
+  it('drops inputs that do not move the metric', () => {
+    const output = runTornado(nevada(), { metric: 'output' }).bars.map((b) => b.key);
+    expect(output).not.toContain('tax.suta');
+    expect(output).not.toContain('tax.household');
+    expect(output).not.toContain('coef.Emp_Coef');
+    const tax = runTornado(nevada(), { metric: 'totalTax' }).bars.map((b) => b.key);
+    expect(tax).toContain('tax.household');
+  });
+
+  it('perturbs entered operator data and, in total mode, only the total', () => {
+    const known = runTornado(nevada({ knownData: { gaming: { emp: 1200, wages: 60 } } })).bars.map((b) => b.key);
+    expect(known).toContain('known.gaming.emp');
+    const total = runTornado(nevada({ inputMode: 'total', revenues: { total: 300 } })).bars.map((b) => b.key);
+    expect(total.filter((k) => k.startsWith('revenue.'))).toEqual(['revenue.total']);
+  });
+});
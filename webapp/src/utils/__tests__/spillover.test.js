@@ -0,0 +1,101 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { combineTotals, spilloverShares, splitSpillover } from '../spillover';
+import employmentTaxRates from '../../data/employmentTaxRates.json';
+
+const METRICS = ['output', 'employment', 'wages'];
+const EFFECTS = ['direct', 'indirect', 'induced', 'total'];
+
+const nevada = (neighbors) => buildAnalysis({
+  state: 'Nevada',
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 200, food: 40, lodging: 60, other: 10 },
+  spillover: { enabled: true, neighbors },
+});
+
+describe('spilloverShares', () => {
+  it('skips the host and empty neighbors and scales shares back to 100%', () => {
+    const shares = spilloverShares({
+      enabled: true,
+      neighbors: [
+        { state: 'Arizona', employeePct: 80, supplierPct: 10 },
+        { state: 'California', employeePct: 40, supplierPct: 10 },
+        { state: 'Nevada', employeePct: 10, supplierPct: 10 },
+        { state: 'Utah', employeePct: 0, supplierPct: 0 },
+      ],
+    }, 'Nevada');
+    expect(shares.map((s) => s.state)).toEqual(['Arizona', 'California']);
+    expect(shares[0].employee + shares[1].employee).toBeCloseTo(1);
+    expect(shares[0].supplier).toBeCloseTo(0.1);
+    expect(spilloverShares({ enabled: false, neighbors: [{ state: 'Arizona', employeePct: 50 }] }, 'Nevada')).toEqual([]);
+  });
+});
+
+describe('splitSpillover', () => {
+  let results;
+  beforeAll(() => { ({ results } = computeScenario(nevada([]))); });
+  const shares = [
+    { state: 'Arizona', employee: 0.2, supplier: 0.1 },
+    { state: 'California', employee: 0.05, supplier: 0.15 },
+  ];
+
+  it('splits the state totals without losing or adding any (neighbors on the host multipliers)', () => {
+    const split = splitSpillover(results, shares, {});
+    const combined = combineTotals([split.host, ...split.neighbors].map((s) => s.results.totals));
+    for (const k of METRICS) {
+      for (const e of EFFECTS) expect(combined[k][e]).toBeCloseTo(results.totals[k][e], 6);
+    }
+  });
+
+  it('keeps direct effects in the host state', () => {
+    const { host, neighbors } = splitSpillover(results, shares, {});
+    for (const k of METRICS) {
+      expect(host.results.totals[k].direct).toBeCloseTo(results.totals[k].direct);
+      for (const n of neighbors) expect(n.results.totals[k].direct).toBe(0);
+    }
+  });
+
+  it('gives residents the direct wages of the employees living in each state', () => {
+    const { host, neighbors } = splitSpillover(results, shares, {});
+    expect(host.residentWages.direct).toBeCloseTo(results.totals.wages.direct * 0.75);
+    expect(neighbors[0].residentWages.direct).toBeCloseTo(results.totals.wages.direct * 0.2);
+    expect(neighbors[1].residentWages.direct).toBeCloseTo(results.totals.wages.direct * 0.05);
+  });
+
+  it('returns null without neighbors', () => {
+    expect(splitSpillover(results, [], {})).toBeNull();
+  });
+});
+
+describe('spillover taxes', () => {
+  // Employees living in Arizona; every supplier purchase stays in Nevada
+  let base, bundle, host, arizona;
+  beforeAll(() => {
+    base = computeScenario(nevada([]));
+    bundle = computeScenario(nevada([{ state: 'Arizona', employeePct: 30, supplierPct: 0 }]));
+    [host, arizona] = bundle.spillover.states;
+  });
+
+  it('counts payroll tax where the jobs are', () => {
+    expect(host.payrollTaxResult.direct).toBeCloseTo(base.payrollTaxResult.direct);
+    expect(host.payrollTaxResult.indirect).toBeCloseTo(base.payrollTaxResult.indirect);
+    expect(arizona.payrollTaxResult.direct).toBe(0);
+    expect(arizona.payrollTaxResult.indirect).toBe(0);
+  });
+
+  it('counts household tax where the employees live', () => {
+    const wages = base.results.totals.wages.direct;
+    const ratio = (state) => employmentTaxRates.states[state].household_tax_ratio;
+    expect(host.householdTaxResult.direct).toBeCloseTo(wages * 0.7 * ratio('Nevada'));
+    expect(arizona.householdTaxResult.direct).toBeCloseTo(wages * 0.3 * ratio('Arizona'));
+    expect(bundle.spillover.combined.householdTax)
+      .toBeCloseTo(host.householdTaxResult.total + arizona.householdTaxResult.total);
+  });
+
+  it('leaves the headline single-state results as they were', () => {
+    expect(bundle.results.totals.output.total).toBeCloseTo(base.results.totals.output.total);
+    expect(bundle.totalTax).toBeCloseTo(base.totalTax);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_TRIBAL, calculateCompactPayment, isTribalOperation, normalizeTribal } from '../tribalCompact';
+
+const compact = {
+  payments: [
+    { key: 'share', label: 'Revenue share', basis: 'slot', tiers: [{ threshold: 0, rate: 0.1 }, { threshold: 50, rate: 0.2 }] },
+    { key: 'mitigation', label: 'Local mitigation', basis: 'table', rate: 0.02, recipient: 'local' },
+  ],
+  minimumPayment: 80,
+};
+
+describe('calculateCompactPayment', () => {
+  it('levies each payment on its share of net win', () => {
+    const r = calculateCompactPayment(100, compact, { slotRevenuePct: 80 });
+    // slots 80: 50 × 10% + 30 × 20%; tables 20 × 2%
+    expect(r.state).toBeCloseTo(11);
+    expect(r.local).toBeCloseTo(0.4);
+    expect(r.amount).toBeCloseTo(11.4);
+    expect(r.effectiveRate).toBeCloseTo(0.114);
+  });
+
+  it('leaves the operator-wide minimum off by default', () => {
+    const r = calculateCompactPayment(100, compact, { slotRevenuePct: 80 });
+    expect(r.minimumApplied).toBe(false);
+    expect(r.lines.map((l) => l.key)).not.toContain('minimum');
+  });
+
+  it('tops up to the minimum when applied', () => {
+    const r = calculateCompactPayment(100, compact, { slotRevenuePct: 80, applyMinimum: true });
+    expect(r.minimumApplied).toBe(true);
+    expect(r.amount).toBeCloseTo(80);
+  });
+
+  it('uses a custom rate in place of the compact schedule and minimum', () => {
+    const r = calculateCompactPayment(100, compact, { customRate: 0.15, applyMinimum: true });
+    expect(r.amount).toBeCloseTo(15);
+    expect(r.minimumApplied).toBe(false);
+  });
+
+  it('pays nothing without compact terms', () => {
+    expect(calculateCompactPayment(100, undefined, {}).amount).toBe(0);
+  });
+});
+
+describe('tribal settings', () => {
+  it('default to a commercial operation without the minimum', () => {
+    expect(DEFAULT_TRIBAL).toEqual({ enabled: false, applyMinimum: false });
+    expect(normalizeTribal({ enabled: true })).toEqual({ enabled: true, applyMinimum: false });
+  });
+
+  it('apply only to land-based operations in tribal states', () => {
+    const tribal = { enabled: true };
+    expect(isTribalOperation({ tribal, propertyType: '721120' }, { hasTribal: true })).toBe(true);
+    expect(isTribalOperation({ tribal, propertyType: '721120' }, { hasTribal: false })).toBe(false);
+    expect(isTribalOperation({ tribal, propertyType: 'ONLINE_CASINO' }, { hasTribal: true })).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { buildAnalysis } from '../analysisState';
+import { computeScenario } from '../computeScenario';
+import { buildResultsWorkbook } from '../workbookExport';
+import { buildXLSX, readXLSX } from '../xlsx';
+
+const analysis = (state, patch = {}) => buildAnalysis({
+  state,
+  propertyType: '721120',
+  inputMode: 'department',
+  revenues: { gaming: 300, food: 40, lodging: 60, other: 10 },
+  ...patch,
+});
+
+const workbook = (a, context) => buildResultsWorkbook(a, computeScenario(a), context);
+
+// Recalculate a workbook the way Excel would, for the functions the export
+// writes: every formula is translated to JS over the sheets' cells.
+const FUNCTIONS = {
+  SUM: (...args) => args.flat().reduce((t, v) => t + (typeof v === 'number' ? v : 0), 0),
+  SUMPRODUCT: (a, b) => a.reduce((t, v, i) => t + (v || 0) * (b[i] || 0), 0),
+  MIN: (...args) => Math.min(...args.flat()),
+  MAX: (...args) => Math.max(...args.flat()),
+  IF: (c, a, b) => (c ? a : b),
+  AND: (...args) => args.every(Boolean),
+};
+const REF = /(?:'([^']+)'!)?(?<![A-Za-z])([A-Z]{1,2})(\d+)(?::([A-Z]{1,2})(\d+))?/g;
+const colIndex = (letters) => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+function recalculate(sheets) {
+  const byName = Object.fromEntries(sheets.map((s) => [s.name, s]));
+  const memo = new Map();
+  const value = (sheet, col, row) => {
+    const key = `${sheet}!${col},${row}`;
+    if (!memo.has(key)) {
+      const c = byName[sheet].rows[row]?.[col];
+      const raw = c !== null && typeof c === 'object' ? c : { v: c };
+      memo.set(key, raw.f ? evaluate(sheet, raw.f) : (raw.v ?? 0));
+    }
+    return memo.get(key);
+  };
+  const range = (sheet, c1, r1, c2, r2) => {
+    const out = [];
+    for (let r = r1; r <= r2; r++) for (let c = c1; c <= c2; c++) out.push(value(sheet, c, r));
+    return out;
+  };
+  function evaluate(sheet, formula) {
+    const js = formula
+      .replace(REF, (_, s, c1, r1, c2, r2) => {
+        const name = JSON.stringify(s || sheet);
+        return c2
+          ? `range(${name},${colIndex(c1)},${r1 - 1},${colIndex(c2)},${r2 - 1})`
+          : `value(${name},${colIndex(c1)},${r1 - 1})`;
+      })
+      .replace(/(?<![<>!=])=(?!=)/g, '===');
+    return new Function('value', 'range', ...Object.keys(FUNCTIONS), `return ${js};`)(value, range, ...Object.values(FUNCTIONS));
+  }
+  const mismatches = [];
+  for (const s of sheets) {
+    s.rows.forEach((row, r) => (row || []).forEach((c, col) => {
+      if (!c?.f) return;
+      const got = value(s.name, col, r);
+      if (!(Math.abs(got - c.v) <= 1e-9 * Math.max(1, Math.abs(c.v)))) mismatches.push({ sheet: s.name, row: r + 1, col, f: c.f, got, cached: c.v });
+    }));
+  }
+  return mismatches;
+}
+
+describe('buildResultsWorkbook', () => {
+  it('lays out the audit sheets', () => {
+    expect(workbook(analysis('Nevada')).map((s) => s.name))
+      .toEqual(['Inputs', 'Multipliers', 'Results', 'Gaming Tax', 'TOPI', 'Payroll Tax', 'Household Tax']);
+    expect(workbook(analysis('Nevada'), { includeSensitivity: true }).at(-1).name).toBe('Sensitivity & Projection');
+  });
+
+  it('returns null without results', () => {
+    expect(buildResultsWorkbook(analysis('Nevada'), {})).toBeNull();
+  });
+
+  it.each([
+    ['a flat rate', 'Nevada', {}],
+    ['slot and table rates', 'Pennsylvania', {}],
+    ['a graduated schedule', 'Indiana', {}],
+    ['graduated slot and table schedules', 'Illinois', {}],
+    ['a rate override', 'Ohio', { gamingTaxCustomRate: 0.25 }],
+    ['direct jobs and wages as entered', 'Nevada', { knownData: { gaming: { emp: 900, wages: 45 } } }],
+    ['total revenue only', 'Indiana', { inputMode: 'total', revenues: { total: 250 } }],
+  ])('recalculates to the engine results with %s', (_, state, patch) => {
+    const a = analysis(state, patch);
+    const sheets = workbook(a, { includeSensitivity: true });
+    expect(recalculate(sheets)).toEqual([]);
+  });
+
+  it('shows an edited input as a difference from the cached results', () => {
+    const sheets = workbook(analysis('Indiana'));
+    const inputs = sheets.find((s) => s.name === 'Inputs');
+    inputs.rows.find((r) => r[0] === 'Gaming (GGR)').splice(1, 1, 400);
+    const changed = new Set(recalculate(sheets).map((m) => m.sheet));
+    expect([...changed]).toEqual(expect.arrayContaining(['Results', 'Gaming Tax', 'TOPI', 'Payroll Tax', 'Household Tax']));
+  });
+
+  it('totals the taxes on the Results sheet to the bundle total', () => {
+    const a = analysis('Illinois');
+    const bundle = computeScenario(a);
+    const results = buildResultsWorkbook(a, bundle).find((s) => s.name === 'Results');
+    const total = results.rows.find((r) => r?.[0]?.v === 'Total tax revenue');
+    expect(total[1].f).toMatch(/^SUM\(B\d+:B\d+\)$/);
+    expect(total[1].v).toBe(bundle.totalTax);
+  });
+
+  it('reads back as an .xlsx workbook', async () => {
+    const a = analysis('Nevada');
+    const [inputs] = workbook(a);
+    const rows = readXLSX(await buildXLSX([inputs]).arrayBuffer());
+    expect(rows[0][0]).toBe('GEMS — Economic Impact Workbook');
+    expect(rows.find((r) => r?.[0] === 'State')[1]).toBe('Nevada');
+    expect(rows.find((r) => r?.[0] === 'Gross gaming revenue, GGR ($M)')[1]).toBe(300);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Structural validation of an analysis object (the buildAnalysis shape)
+ * received from outside the app — API requests, files, links.
+ *
+ * Returns field-level errors rather than throwing, so callers can report
+ * every problem at once. Field paths use dot/bracket notation relative to
+ * `prefix` (e.g. "analyses[2].revenues.gaming"). Units follow the app:
+ * revenues and wages in $M, percents 0-100, gamingTaxCustomRate a fraction.
+ */
+import { isOnlinePropertyType } from './calculations';
+import { CPI_BASE_YEAR } from './calculations';
+import { MULTIPLIER_TYPES } from './multiplierType';
+import { validateMultiplierRows } from './multiplierSets';
+import { REGION_KINDS } from './region';
+import { MODEL_STATES, PROPERTY_TYPE_METADATA, VINTAGES } from './dataVintages';
+
+const DEPARTMENTS = ['gaming', 'food', 'lodging', 'marketing', 'tech', 'other'];
+const LAND_ONLY = ['food', 'lodging'];
+const ONLINE_ONLY = ['marketing', 'tech'];
+
+const TOP_LEVEL = [
+  'v', 'vintage', 'state', 'casinoName', 'propertyType', 'tribal', 'inputMode', 'revenues', 'knownData',
+  'gamingTaxCustomRate', 'slotRevenuePct', 'volumes', 'localTax', 'netImpact',
+  'proForma', 'uncertainty', 'goalSeek', 'cpi', 'multiplierType', 'multiplierSet', 'region',
+  'spillover',
+];
+
+const VOLUME_FIELDS = ['annualVisits', 'sportsHandle', 'averageWager', 'slotCount', 'tableCount'];
+const NET_IMPACT_PCTS = ['outOfStatePct', 'substitutionPct', 'recapturePct'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isBlank = (v) => v == null || v === '';
+
+/**
+ * Validate one analysis.
+ * @param {*} input - Candidate analysis
+ * @param {string} [prefix] - Path prepended to every field name
+ * @param {{ requireRevenue?: boolean }} [opts] - requireRevenue false accepts
+ *   an analysis whose revenues are still blank (a saved work in progress)
+ * @returns {Array<{ field: string, message: string }>} empty when valid
+ */
+export function validateAnalysis(input, prefix = '', { requireRevenue = true } = {}) {
+  const errors = [];
+  const at = (field) => (prefix ? `${prefix}.${field}` : field);
+  const fail = (field, message) => errors.push({ field: at(field), message });
+
+  if (!isObject(input)) {
+    errors.push({ field: prefix || '(root)', message: 'must be an object' });
+    return errors;
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!TOP_LEVEL.includes(key)) fail(key, 'is not an analysis field');
+  }
+
+  // Optional numeric field within [min, max]
+  const range = (obj, key, path, min, max) => {
+    const v = obj?.[key];
+    if (isBlank(v)) return;
+    if (!isNumber(v)) fail(path, 'must be a number');
+    else if (v < min || (max != null && v > max)) fail(path, max != null ? `must be between ${min} and ${max}` : `must be ${min} or more`);
+  };
+  // Optional nested object
+  const nested = (key) => {
+    if (input[key] == null) return null;
+    if (!isObject(input[key])) { fail(key, 'must be an object'); return null; }
+    return input[key];
+  };
+  const flag = (obj, key, path) => {
+    if (obj?.[key] != null && typeof obj[key] !== 'boolean') fail(path, 'must be true or false');
+  };
+
+  if (typeof input.state !== 'string' || !input.state) fail('state', 'is required');
+  else if (!MODEL_STATES.includes(input.state)) fail('state', `"${input.state}" has no model data`);
+
+  if (input.vintage != null && !VINTAGES.some((v) => v.id === input.vintage)) {
+    fail('vintage', `must be one of ${VINTAGES.map((v) => `"${v.id}"`).join(', ')} (the data editions in this version)`);
+  }
+
+  const online = isOnlinePropertyType(input.propertyType);
+  if (!isBlank(input.propertyType) && !PROPERTY_TYPE_METADATA?.[input.propertyType]) {
+    fail('propertyType', `must be one of ${Object.keys(PROPERTY_TYPE_METADATA || {}).join(', ')}`);
+  }
+  if (!['department', 'total'].includes(input.inputMode)) fail('inputMode', 'must be "department" or "total"');
+  if (input.casinoName != null && typeof input.casinoName !== 'string') fail('casinoName', 'must be a string');
+
+  if (!isObject(input.revenues)) {
+    fail('revenues', 'is required and must be an object');
+  } else {
+    for (const key of Object.keys(input.revenues)) {
+      if (key !== 'total' && !DEPARTMENTS.includes(key)) fail(`revenues.${key}`, 'is not a revenue stream');
+      else range(input.revenues, key, `revenues.${key}`, 0);
+    }
+    if (input.inputMode === 'total') {
+      if (requireRevenue && !(input.revenues.total > 0)) fail('revenues.total', 'must be greater than 0 in total mode');
+    } else if (input.inputMode === 'department') {
+      const depts = DEPARTMENTS.filter((d) => input.revenues[d] > 0);
+      if (requireRevenue && !depts.length) fail('revenues', 'needs at least one department revenue greater than 0');
+      for (const d of depts) {
+        if (online && LAND_ONLY.includes(d)) fail(`revenues.${d}`, 'applies to land-based properties only');
+        if (!online && ONLINE_ONLY.includes(d)) fail(`revenues.${d}`, 'applies to online operations only');
+      }
+    }
+  }
+
+  if (input.knownData != null) {
+    if (!isObject(input.knownData)) {
+      fail('knownData', 'must be an object');
+    } else {
+      for (const [key, d] of Object.entries(input.knownData)) {
+        if (!DEPARTMENTS.includes(key) && key !== 'total') { fail(`knownData.${key}`, 'is not a revenue stream'); continue; }
+        if (d == null) continue;
+        if (!isObject(d)) { fail(`knownData.${key}`, 'must be an object with emp and wages'); continue; }
+        range(d, 'emp', `knownData.${key}.emp`, 0);
+        range(d, 'wages', `knownData.${key}.wages`, 0);
+      }
+    }
+  }
+
+  range(input, 'gamingTaxCustomRate', 'gamingTaxCustomRate', 0, 1);
+  range(input, 'slotRevenuePct', 'slotRevenuePct', 0, 100);
+
+  const volumes = nested('volumes');
+  for (const key of VOLUME_FIELDS) range(volumes, key, `volumes.${key}`, 0);
+
+  const tribal = nested('tribal');
+  flag(tribal, 'enabled', 'tribal.enabled');
+  flag(tribal, 'applyMinimum', 'tribal.applyMinimum');
+
+  const localTax = nested('localTax');
+  flag(localTax, 'enabled', 'localTax.enabled');
+  range(localTax, 'hostPaymentPct', 'localTax.hostPaymentPct', 0, 100);
+  range(localTax, 'hostPaymentFixed', 'localTax.hostPaymentFixed', 0);
+
+  const netImpact = nested('netImpact');
+  flag(netImpact, 'enabled', 'netImpact.enabled');
+  for (const key of NET_IMPACT_PCTS) range(netImpact, key, `netImpact.${key}`, 0, 100);
+
+  const cpi = nested('cpi');
+  if (!isBlank(cpi?.year) && !(Number.isInteger(cpi.year) && cpi.year >= 1913 && cpi.year <= 2100)) {
+    fail('cpi.year', 'must be a year between 1913 and 2100');
+  }
+  if (cpi?.series != null) {
+    const series = cpi.series;
+    if (!isObject(series)) {
+      fail('cpi.series', 'must be an object');
+    } else {
+      if (series.label != null && typeof series.label !== 'string') fail('cpi.series.label', 'must be a string');
+      if (series.mode != null && !['extend', 'replace'].includes(series.mode)) fail('cpi.series.mode', 'must be "extend" or "replace"');
+      if (!isObject(series.values)) {
+        fail('cpi.series.values', 'must be an object of year: index');
+      } else {
+        for (const [year, v] of Object.entries(series.values)) {
+          if (!/^\d{4}$/.test(year)) fail(`cpi.series.values.${year}`, 'is not a year');
+          else if (!isNumber(v) || v <= 0) fail(`cpi.series.values.${year}`, 'must be a positive index value');
+        }
+        if (series.mode === 'replace' && series.values[CPI_BASE_YEAR] == null) {
+          fail('cpi.series.values', `must include ${CPI_BASE_YEAR}, the base year of the jobs coefficients, to replace the national CPI`);
+        }
+      }
+    }
+  }
+  const multiplierType = nested('multiplierType');
+  if (multiplierType?.report != null && !MULTIPLIER_TYPES.some((t) => t.value === multiplierType.report)) {
+    fail('multiplierType.report', `must be one of ${MULTIPLIER_TYPES.map((t) => `"${t.value}"`).join(', ')}`);
+  }
+  range(multiplierType, 'inducedPct', 'multiplierType.inducedPct', 0, 100);
+  const multiplierSet = nested('multiplierSet');
+  if (multiplierSet) {
+    if (multiplierSet.name != null && typeof multiplierSet.name !== 'string') fail('multiplierSet.name', 'must be a string');
+    if (multiplierSet.source != null && typeof multiplierSet.source !== 'string') fail('multiplierSet.source', 'must be a string');
+    for (const message of validateMultiplierRows(multiplierSet.rows).errors) fail('multiplierSet.rows', message);
+  }
+  const region = nested('region');
+  flag(region, 'enabled', 'region.enabled');
+  if (region?.kind != null && !REGION_KINDS.some((k) => k.value === region.kind)) {
+    fail('region.kind', `must be one of ${REGION_KINDS.map((k) => `"${k.value}"`).join(', ')}`);
+  }
+  if (region?.name != null && typeof region.name !== 'string') fail('region.name', 'must be a string');
+  range(region, 'employmentSharePct', 'region.employmentSharePct', 0, 100);
+  range(region, 'supplierLQ', 'region.supplierLQ', 0);
+  const spillover = nested('spillover');
+  flag(spillover, 'enabled', 'spillover.enabled');
+  if (spillover?.neighbors != null) {
+    if (!Array.isArray(spillover.neighbors)) {
+      fail('spillover.neighbors', 'must be an array');
+    } else {
+      spillover.neighbors.forEach((n, i) => {
+        const path = `spillover.neighbors[${i}]`;
+        if (!isObject(n)) { fail(path, 'must be an object with state, employeePct and supplierPct'); return; }
+        if (typeof n.state !== 'string' || !MODEL_STATES.includes(n.state)) fail(`${path}.state`, `"${n.state}" has no model data`);
+        else if (n.state === input.state) fail(`${path}.state`, 'must differ from the host state');
+        range(n, 'employeePct', `${path}.employeePct`, 0, 100);
+        range(n, 'supplierPct', `${path}.supplierPct`, 0, 100);
+      });
+      for (const key of ['employeePct', 'supplierPct']) {
+        const total = spillover.neighbors.reduce((sum, n) => sum + (isNumber(n?.[key]) ? n[key] : 0), 0);
+        if (total > 100) fail('spillover.neighbors', `${key} must add up to 100 or less across neighbors`);
+      }
+    }
+  }
+  for (const key of ['proForma', 'uncertainty', 'goalSeek']) nested(key);
+
+  return errors;
+}
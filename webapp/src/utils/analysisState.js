@@ -9,27 +9,67 @@
  * Keeping one canonical shape here means save/share, scenario comparison,
  * and exports all speak the same language.
  */
+import { normalizeLocalTax } from './localTax';
+import { normalizeVolumes } from './gamingFees';
+import { normalizeTribal } from './tribalCompact';
+import { normalizeProForma } from './proForma';
+import { normalizeUncertainty } from './monteCarlo';
+import { normalizeGoalSeek } from './goalSeek';
+import { normalizeCpi } from './cpi';
+import { normalizeMultiplierType } from './multiplierType';
+import { normalizeMultiplierSet } from './multiplierSets';
+import { normalizeRegion } from './region';
+import { normalizeSpillover } from './spillover';
+import { LEGACY_VINTAGE, normalizeVintage } from './dataVintages';
+import { validateAnalysis } from './analysisSchema';
 
-export const ANALYSIS_VERSION = 1;
+export const ANALYSIS_VERSION = 3;
 const PROJECTS_KEY = 'gems_projects';
 const URL_PARAM = 'a';
 
+/** Net-impact adjustment inputs (percents, like slotRevenuePct). Off by default. */
+export const DEFAULT_NET_IMPACT = {
+  enabled: false,
+  outOfStatePct: 0,
+  substitutionPct: 0,
+  recapturePct: 0,
+};
+
+/** Input mode for revenues given without one: total when only a total is entered. */
+export function inferInputMode(revenues) {
+  const departments = Object.entries(revenues || {}).some(([k, v]) => k !== 'total' && v > 0);
+  return !departments && revenues?.total > 0 ? 'total' : 'department';
+}
+
 /** The fields that fully define an analysis (mirrors App input state). */
 export function buildAnalysis(input) {
   const {
-    state, casinoName, propertyType, inputMode,
-    revenues, knownData, gamingTaxCustomRate, slotRevenuePct,
+    state, casinoName, propertyType, inputMode, tribal,
+    revenues, knownData, gamingTaxCustomRate, slotRevenuePct, volumes, localTax, netImpact, proForma, uncertainty, goalSeek, cpi, multiplierType, multiplierSet, region, spillover, vintage,
   } = input;
   return {
     v: ANALYSIS_VERSION,
+    vintage: normalizeVintage(vintage),
     state,
     casinoName: casinoName || '',
     propertyType,
-    inputMode,
+    tribal: normalizeTribal(tribal),
+    inputMode: inputMode || inferInputMode(revenues),
     revenues: { ...revenues },
     knownData: cloneKnownData(knownData),
     gamingTaxCustomRate: gamingTaxCustomRate ?? null,
     slotRevenuePct: slotRevenuePct ?? 70,
+    volumes: normalizeVolumes(volumes),
+    localTax: normalizeLocalTax(localTax),
+    netImpact: { ...DEFAULT_NET_IMPACT, ...netImpact },
+    proForma: normalizeProForma(proForma),
+    uncertainty: normalizeUncertainty(uncertainty),
+    goalSeek: normalizeGoalSeek(goalSeek),
+    cpi: normalizeCpi(cpi),
+    multiplierType: normalizeMultiplierType(multiplierType),
+    multiplierSet: normalizeMultiplierSet(multiplierSet),
+    region: normalizeRegion(region),
+    spillover: normalizeSpillover(spillover),
   };
 }
 
@@ -42,21 +82,150 @@ function cloneKnownData(kd) {
   return out;
 }
 
-/** Apply a decoded analysis back onto App setters. Tolerant of partial data. */
+/**
+ * Apply an analysis back onto App setters. Tolerant of partial data; run
+ * anything from outside the current session through migrateAnalysis first.
+ */
 export function applyAnalysis(analysis, setters) {
   if (!analysis) return;
   const {
-    setState, setCasinoName, setPropertyType, setInputMode,
-    setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct,
+    setState, setCasinoName, setPropertyType, setTribal, setInputMode,
+    setRevenues, setKnownData, setGamingTaxCustomRate, setSlotRevenuePct, setVolumes, setLocalTax,
+    setNetImpact, setProForma, setUncertainty, setGoalSeek, setCpi, setMultiplierType, setMultiplierSet, setRegion, setSpillover, setVintage,
   } = setters;
   if (analysis.state) setState(analysis.state);
   setCasinoName(analysis.casinoName || '');
   if (analysis.propertyType) setPropertyType(analysis.propertyType);
+  if (setTribal) setTribal(normalizeTribal(analysis.tribal));
   if (analysis.inputMode) setInputMode(analysis.inputMode);
   if (analysis.revenues) setRevenues({ gaming: null, food: null, lodging: null, other: null, total: null, ...analysis.revenues });
   if (analysis.knownData) setKnownData(analysis.knownData);
   setGamingTaxCustomRate(analysis.gamingTaxCustomRate ?? null);
   setSlotRevenuePct(analysis.slotRevenuePct ?? 70);
+  if (setVolumes) setVolumes(normalizeVolumes(analysis.volumes));
+  if (setLocalTax) setLocalTax(normalizeLocalTax(analysis.localTax));
+  if (setNetImpact) setNetImpact({ ...DEFAULT_NET_IMPACT, ...analysis.netImpact });
+  if (setProForma) setProForma(normalizeProForma(analysis.proForma));
+  if (setUncertainty) setUncertainty(normalizeUncertainty(analysis.uncertainty));
+  if (setGoalSeek) setGoalSeek(normalizeGoalSeek(analysis.goalSeek));
+  if (setCpi) setCpi(normalizeCpi(analysis.cpi));
+  if (setMultiplierType) setMultiplierType(normalizeMultiplierType(analysis.multiplierType));
+  if (setMultiplierSet) setMultiplierSet(normalizeMultiplierSet(analysis.multiplierSet));
+  if (setRegion) setRegion(normalizeRegion(analysis.region));
+  if (setSpillover) setSpillover(normalizeSpillover(analysis.spillover));
+  if (setVintage) setVintage(normalizeVintage(analysis.vintage));
+}
+
+// ---------------------------------------------------------------- migrations
+
+/**
+ * One step per schema version, keyed on `v`: MIGRATIONS[n] turns a version-n
+ * analysis into version n + 1. Analyses without `v` (written before the field
+ * existed, or assembled by hand) are version 0. Bump ANALYSIS_VERSION and add
+ * a step here whenever a field is renamed, re-unitized or restructured.
+ */
+const MIGRATIONS = {
+  0: (a) => ({ ...a, v: 1 }),
+  // v2 records the data edition; earlier analyses were all run on the one then bundled
+  1: (a) => ({ ...a, v: 2, vintage: a.vintage ?? LEGACY_VINTAGE }),
+  // v3 drops the construction phase, which no bundled edition has multipliers for
+  2: ({ construction, ...a }) => ({ ...a, v: 3 }),
+};
+
+// A problem with one of these cannot be fixed by dropping the field
+const REQUIRED_FIELDS = ['(root)', 'state', 'inputMode', 'revenues', 'revenues.total'];
+
+/**
+ * Remove the fields named by validation paths (dot/bracket notation, e.g.
+ * "spillover.neighbors[0].state"). A path into an array takes the whole
+ * element with it, since a neighbor without a valid state means nothing;
+ * elements go highest index first so the other paths stay valid.
+ */
+function dropFields(obj, fields) {
+  const elements = new Map();
+  for (const field of fields) {
+    const keys = field.match(/[^.[\]]+/g) || [];
+    let node = obj;
+    for (let i = 0; i < keys.length && node && typeof node === 'object'; i++) {
+      if (Array.isArray(node)) {
+        if (!elements.has(node)) elements.set(node, new Set());
+        elements.get(node).add(Number(keys[i]));
+        break;
+      }
+      if (i === keys.length - 1) delete node[keys[i]];
+      else node = node[keys[i]];
+    }
+  }
+  for (const [array, indices] of elements) {
+    [...indices].sort((x, y) => y - x).forEach((i) => array.splice(i, 1));
+  }
+}
+
+/** Fields (one level into nested settings) that the normalized analysis fills in. */
+function defaultedFields(input, analysis) {
+  const out = [];
+  const isObj = (o) => o && typeof o === 'object' && !Array.isArray(o);
+  for (const [key, value] of Object.entries(analysis)) {
+    if (key === 'v' || value === undefined) continue;
+    if (!(key in input)) { out.push(key); continue; }
+    if (!isObj(value) || !isObj(input[key]) || key === 'revenues' || key === 'knownData') continue;
+    for (const sub of Object.keys(value)) if (!(sub in input[key])) out.push(`${key}.${sub}`);
+  }
+  return out;
+}
+
+/**
+ * Bring an analysis from any earlier schema version up to ANALYSIS_VERSION,
+ * validate it, and normalize it with buildAnalysis.
+ *
+ * Invalid optional fields are dropped (and fall back to their defaults);
+ * problems with the state, input mode or revenues are fatal and yield no
+ * analysis. The report lists what happened so the UI can tell the user.
+ *
+ * @param {*} raw - Decoded analysis (saved project, share link, import)
+ * @param {{ reportDefaults?: boolean }} [opts] - reportDefaults false skips
+ *   the defaulted-field list (for sources that are partial by design)
+ * @returns {{ analysis: object|null, report: { fromVersion, toVersion, defaulted: string[],
+ *   dropped: Array<{ field, message }>, errors: Array<{ field, message }> } }}
+ */
+export function migrateAnalysis(raw, { reportDefaults = true } = {}) {
+  const report = { fromVersion: null, toVersion: ANALYSIS_VERSION, defaulted: [], dropped: [], errors: [] };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    report.errors.push({ field: '(root)', message: 'The analysis could not be read' });
+    return { analysis: null, report };
+  }
+
+  let a = JSON.parse(JSON.stringify(raw));
+  const from = Number.isInteger(a.v) && a.v >= 0 ? a.v : 0;
+  report.fromVersion = from;
+  if (from > ANALYSIS_VERSION) {
+    report.errors.push({ field: 'v', message: `Saved with a newer schema (v${from}); this version reads up to v${ANALYSIS_VERSION}` });
+    return { analysis: null, report };
+  }
+  for (let v = from; v < ANALYSIS_VERSION; v++) a = MIGRATIONS[v](a);
+
+  for (const e of validateAnalysis(a, '', { requireRevenue: false })) {
+    if (REQUIRED_FIELDS.includes(e.field)) {
+      report.errors.push(e);
+    } else {
+      report.dropped.push(e);
+    }
+  }
+  if (report.errors.length) return { analysis: null, report };
+  dropFields(a, report.dropped.map((e) => e.field));
+
+  const analysis = buildAnalysis(a);
+  if (reportDefaults) {
+    const dropped = new Set(report.dropped.map((e) => e.field));
+    report.defaulted = defaultedFields(a, analysis).filter((f) => !dropped.has(f));
+  }
+  return { analysis, report };
+}
+
+/** Whether a migration report has anything worth showing the user. */
+export function hasMigrationNotes(report) {
+  return !!report && (report.fromVersion < report.toVersion || report.defaulted.length > 0
+    || report.dropped.length > 0 || report.errors.length > 0);
 }
 
 // ---------------------------------------------------------------- URL encoding
@@ -93,11 +262,14 @@ export function buildShareURL(analysis) {
   return url.toString();
 }
 
-/** Read a shared analysis from the current URL, if present. */
+/**
+ * Read a shared analysis from the current URL, migrated and validated.
+ * @returns {{ analysis: object|null, report: object }|null} null when the URL has none
+ */
 export function readAnalysisFromURL() {
   const params = new URLSearchParams(window.location.search);
   const token = params.get(URL_PARAM);
-  return token ? decodeAnalysis(token) : null;
+  return token ? migrateAnalysis(decodeAnalysis(token)) : null;
 }
 
 export function clearURLParam() {
@@ -126,10 +298,17 @@ function persistProjects(list) {
   }
 }
 
-export function saveProject(name, analysis) {
+/**
+ * Save a named project. `snapshot` (see resultsSnapshot.buildSnapshot) freezes
+ * the results as computed now, so later data editions can be diffed against them.
+ */
+export function saveProject(name, analysis, { snapshot = null } = {}) {
   const list = loadProjects();
   const id = `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
-  const entry = { id, name: name.trim() || 'Untitled analysis', savedAt: new Date().toISOString(), analysis };
+  const entry = {
+    id, name: name.trim() || 'Untitled analysis', savedAt: new Date().toISOString(), analysis,
+    ...(snapshot && { snapshot }),
+  };
   list.unshift(entry);
   persistProjects(list);
   return entry;
@@ -139,6 +318,11 @@ export function deleteProject(id) {
   persistProjects(loadProjects().filter((p) => p.id !== id));
 }
 
+/** Replace a project's frozen results (update to current data). */
+export function updateProjectSnapshot(id, snapshot) {
+  persistProjects(loadProjects().map((p) => (p.id === id ? { ...p, snapshot } : p)));
+}
+
 export function renameProject(id, name) {
   const list = loadProjects().map((p) => (p.id === id ? { ...p, name } : p));
   persistProjects(list);
@@ -0,0 +1,237 @@
+/**
+ * Batch analysis from a spreadsheet upload.
+ *
+ * A CSV or XLSX file holds one analysis per row. Columns are matched by
+ * header (case, spacing and punctuation ignored; see BATCH_COLUMNS for the
+ * names and aliases). Each row is validated against the bundled model data —
+ * states from MODEL_STATES, property types by NAICS/online code or
+ * label — and run through computeScenario. Rows that fail validation carry
+ * their errors instead of results; the rest of the batch still runs.
+ *
+ * Units follow the app: revenues and wages in $M, employment in FTEs, the
+ * custom tax rate and slot share in percent.
+ */
+import { isOnlinePropertyType } from './calculations';
+import { buildAnalysis } from './analysisState';
+import { computeScenario, headlineMetrics } from './computeScenario';
+import { loadAnalysisData } from './dataService';
+import { MODEL_STATES, PROPERTY_TYPE_METADATA } from './dataVintages';
+import { parseCSV } from './csv';
+import { readXLSX } from './xlsx';
+
+export const BATCH_MAX_ROWS = 500;
+
+const DEPARTMENTS = [
+  { key: 'gaming', label: 'Gaming' },
+  { key: 'food', label: 'Food & Beverage', land: true },
+  { key: 'lodging', label: 'Lodging', land: true },
+  { key: 'marketing', label: 'Marketing', online: true },
+  { key: 'tech', label: 'Technology', online: true },
+  { key: 'other', label: 'Other' },
+];
+
+/** Upload columns: `key`, header `label` (as in the template) and accepted aliases. */
+export const BATCH_COLUMNS = [
+  { key: 'name', label: 'Name', aliases: ['property', 'casino', 'casinoname', 'site'] },
+  { key: 'state', label: 'State' },
+  { key: 'propertyType', label: 'Property Type', aliases: ['type', 'naics', 'propertytypecode'] },
+  { key: 'inputMode', label: 'Input Mode', aliases: ['mode'] },
+  ...DEPARTMENTS.map((d) => ({ key: `${d.key}Revenue`, label: `${d.label} Revenue ($M)`, aliases: [d.key] })),
+  { key: 'totalRevenue', label: 'Total Revenue ($M)', aliases: ['total', 'revenue'] },
+  ...DEPARTMENTS.flatMap((d) => [
+    { key: `${d.key}Emp`, label: `${d.label} FTEs`, aliases: [`${d.key}employment`, `${d.key}jobs`] },
+    { key: `${d.key}Wages`, label: `${d.label} Wages ($M)`, aliases: [] },
+  ]),
+  { key: 'customTaxRate', label: 'Custom Tax Rate (%)', aliases: ['taxrate', 'gamingtaxrate'] },
+  { key: 'slotSharePct', label: 'Slot Share (%)', aliases: ['slotshare', 'slotrevenuepct'] },
+];
+
+const canon = (s) => String(s ?? '').toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+
+const COLUMN_BY_HEADER = new Map();
+for (const col of BATCH_COLUMNS) {
+  for (const h of [col.key, col.label, ...(col.aliases || [])]) COLUMN_BY_HEADER.set(canon(h), col.key);
+}
+
+const STATE_BY_NAME = new Map(MODEL_STATES.map((s) => [canon(s), s]));
+
+const PROPERTY_TYPE_BY_NAME = new Map();
+for (const [code, meta] of Object.entries(PROPERTY_TYPE_METADATA || {})) {
+  for (const n of [code, meta.label, meta.shortLabel]) if (n) PROPERTY_TYPE_BY_NAME.set(canon(n), code);
+}
+
+// ---------------------------------------------------------------- parsing
+
+/** Read an uploaded .csv or .xlsx File into rows of cell values. */
+export async function readBatchFile(file) {
+  if (/\.xlsx$/i.test(file.name)) return readXLSX(await file.arrayBuffer());
+  if (/\.(csv|txt)$/i.test(file.name)) return parseCSV(await file.text());
+  throw new Error('Upload a .csv or .xlsx file');
+}
+
+// ---------------------------------------------------------------- validation
+
+/** Parse a number cell; '$1,200', '35%' and 1200 are all accepted. */
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return v;
+  const n = Number(String(v).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Turn one data row into an analysis, collecting every problem found.
+ * @returns {{ name, analysis: object|null, errors: string[] }}
+ */
+function rowToAnalysis(record) {
+  const errors = [];
+  const num = (key, label, { min = 0, max = Infinity } = {}) => {
+    const v = toNumber(record[key]);
+    if (v == null) return null;
+    if (Number.isNaN(v)) { errors.push(`${label} is not a number`); return null; }
+    if (v < min || v > max) { errors.push(`${label} must be between ${min} and ${max === Infinity ? 'any amount' : max}`); return null; }
+    return v;
+  };
+
+  const state = STATE_BY_NAME.get(canon(record.state));
+  if (!record.state) errors.push('State is missing');
+  else if (!state) errors.push(`Unknown state "${record.state}"`);
+
+  const propertyType = PROPERTY_TYPE_BY_NAME.get(canon(record.propertyType));
+  if (!record.propertyType) errors.push('Property type is missing');
+  else if (!propertyType) errors.push(`Unknown property type "${record.propertyType}" (use ${Object.keys(PROPERTY_TYPE_METADATA).join(', ')})`);
+  const online = propertyType ? isOnlinePropertyType(propertyType) : false;
+
+  const revenues = {};
+  const knownData = {};
+  for (const d of DEPARTMENTS) {
+    const label = `${d.label} revenue`;
+    const rev = num(`${d.key}Revenue`, label);
+    const emp = num(`${d.key}Emp`, `${d.label} FTEs`);
+    const wages = num(`${d.key}Wages`, `${d.label} wages`);
+    const applies = propertyType ? (online ? !d.land : !d.online) : true;
+    if (!applies && (rev || emp || wages)) {
+      errors.push(`${d.label} does not apply to ${online ? 'online' : 'land-based'} operations`);
+      continue;
+    }
+    revenues[d.key] = rev;
+    if (emp != null || wages != null) knownData[d.key] = { emp, wages };
+  }
+  revenues.total = num('totalRevenue', 'Total revenue');
+
+  const deptSum = DEPARTMENTS.reduce((s, d) => s + (revenues[d.key] || 0), 0);
+  const modeRaw = canon(record.inputMode);
+  let inputMode = modeRaw === 'total' ? 'total' : modeRaw === 'department' || modeRaw === 'departments' ? 'department' : null;
+  if (modeRaw && !inputMode) errors.push(`Input mode must be "department" or "total", not "${record.inputMode}"`);
+  if (!inputMode) inputMode = deptSum === 0 && revenues.total > 0 ? 'total' : 'department';
+  if (inputMode === 'total' && !(revenues.total > 0)) errors.push('Total revenue is required in total mode');
+  if (inputMode === 'department' && !(deptSum > 0)) errors.push('Enter at least one department revenue');
+
+  const rate = num('customTaxRate', 'Custom tax rate', { max: 100 });
+  const slot = num('slotSharePct', 'Slot share', { max: 100 });
+
+  const name = record.name ? String(record.name) : '';
+  if (errors.length) return { name, analysis: null, errors };
+  return {
+    name,
+    analysis: buildAnalysis({
+      state, casinoName: name, propertyType, inputMode, revenues, knownData,
+      gamingTaxCustomRate: rate != null ? rate / 100 : null,
+      slotRevenuePct: slot ?? 70,
+    }),
+    errors,
+  };
+}
+
+/**
+ * Map header + data rows to analyses.
+ * @param {Array<Array>} rows - first row is the header
+ * @returns {{ rows: Array<{ row, name, analysis, errors }>, unknownColumns: string[] }}
+ */
+export function rowsToAnalyses(rows) {
+  const [header = [], ...data] = rows;
+  const keys = header.map((h) => COLUMN_BY_HEADER.get(canon(h)) || null);
+  if (!keys.includes('state')) throw new Error('No "State" column found in the header row');
+  const unknownColumns = header.filter((h, i) => h != null && !keys[i]).map(String);
+
+  const out = [];
+  data.forEach((cells, i) => {
+    if (!cells || cells.every((c) => c == null || c === '')) return;
+    const record = {};
+    keys.forEach((k, ci) => { if (k) record[k] = cells[ci] ?? null; });
+    out.push({ row: i + 2, ...rowToAnalysis(record) });
+  });
+  if (out.length > BATCH_MAX_ROWS) throw new Error(`The file has ${out.length} rows; the limit is ${BATCH_MAX_ROWS}`);
+  return { rows: out, unknownColumns };
+}
+
+// ---------------------------------------------------------------- run
+
+/**
+ * Validate every row, load the data the valid ones read, and compute them.
+ * @returns {Promise<{ rows: Array<{ row, name, analysis, errors, metrics, gamingTax, effectiveRate }>, unknownColumns, valid, failed }>}
+ */
+export async function runBatch(rows) {
+  const parsed = rowsToAnalyses(rows);
+  // Each state is fetched once, however many rows use it
+  const loadErrors = await Promise.all(parsed.rows.map((r) => (
+    r.analysis ? loadAnalysisData(r.analysis).then(() => null, (e) => e.message) : null
+  )));
+  const results = parsed.rows.map((r, i) => {
+    if (!r.analysis) return { ...r, metrics: null };
+    if (loadErrors[i]) return { ...r, metrics: null, errors: [loadErrors[i]] };
+    try {
+      const bundle = computeScenario(r.analysis);
+      const metrics = headlineMetrics(bundle);
+      if (!metrics) return { ...r, metrics: null, errors: ['No model data for this state and property type'] };
+      const g = bundle.gamingTaxResult;
+      return {
+        ...r,
+        metrics,
+        gamingTax: (g?.amount || 0) + (g?.fees?.total || 0),
+        effectiveRate: g?.effectiveRate ?? null,
+      };
+    } catch (e) {
+      return { ...r, metrics: null, errors: [`Calculation failed: ${e.message}`] };
+    }
+  });
+  const valid = results.filter((r) => r.metrics).length;
+  return { rows: results, unknownColumns: parsed.unknownColumns, valid, failed: results.length - valid };
+}
+
+// ---------------------------------------------------------------- output
+
+const RESULT_HEADERS = [
+  'Row', 'Name', 'State', 'Property Type', 'Input Mode', 'Revenue ($M)', 'Output ($M)', 'GDP ($M)',
+  'Employment (FTEs)', 'Wages ($M)', 'Gaming Tax ($M)', 'Effective Gaming Tax Rate', 'Total Tax ($M)', 'Errors',
+];
+
+const round = (v, dp = 1) => (v == null || Number.isNaN(v) ? null : Math.round(v * 10 ** dp) / 10 ** dp);
+
+function revenueOf(a) {
+  if (a.inputMode === 'total') return a.revenues.total || 0;
+  return Object.entries(a.revenues).reduce((s, [k, v]) => (k === 'total' ? s : s + (v || 0)), 0);
+}
+
+/** Results as rows of values (header first), shared by the CSV and XLSX downloads. */
+export function batchResultRows(batch) {
+  return [RESULT_HEADERS, ...batch.rows.map((r) => {
+    const a = r.analysis;
+    const m = r.metrics;
+    return [
+      r.row, r.name || null, a?.state ?? null, a?.propertyType ?? null, a?.inputMode ?? null,
+      a ? round(revenueOf(a)) : null,
+      m ? round(m.output) : null, m ? round(m.gdp) : null, m ? round(m.employment) : null, m ? round(m.wages) : null,
+      m ? round(r.gamingTax, 2) : null, m && r.effectiveRate != null ? round(r.effectiveRate, 4) : null,
+      m ? round(m.totalTax) : null,
+      r.errors.length ? r.errors.join('; ') : null,
+    ];
+  })];
+}
+
+/** Header-only template: one column per field, plus a worked example row. */
+export function batchTemplateRows() {
+  const header = BATCH_COLUMNS.map((c) => c.label);
+  const example = { name: 'Example Casino', state: MODEL_STATES[0], propertyType: '721120', inputMode: 'department', gamingRevenue: 250, foodRevenue: 20, lodgingRevenue: 30, otherRevenue: 5, slotSharePct: 70 };
+  return [header, BATCH_COLUMNS.map((c) => example[c.key] ?? null)];
+}
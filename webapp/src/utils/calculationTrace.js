@@ -0,0 +1,223 @@
+/**
+ * Readable calculation trace.
+ *
+ * Turns the step record of computeScenario(analysis, { trace: true }) into
+ * plain tables — a title, explanatory notes, headers and formatted rows — so
+ * the dashboard's "Show calculation" drawer and the Word report appendix
+ * explain each number the same way.
+ */
+import { formatNumber } from './calculations';
+
+export const TRACE_METRICS = [
+  { key: 'output', label: 'Economic Output', unit: '$M' },
+  { key: 'gdp', label: 'GDP (Value Added)', unit: '$M' },
+  { key: 'employment', label: 'Employment', unit: 'FTEs' },
+  { key: 'wages', label: 'Wages', unit: '$M' },
+  { key: 'tax', label: 'Taxes on Production (TOPI)', unit: '$M' },
+  { key: 'gamingTax', label: 'Gaming Tax', unit: '$M' },
+  { key: 'payroll', label: 'Payroll Taxes', unit: '$M' },
+  { key: 'household', label: 'Household Taxes', unit: '$M' },
+];
+
+const IMPACT_METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+const EFFECTS = ['direct', 'indirect', 'induced'];
+const EFFECT_LABELS = { direct: 'Direct', indirect: 'Indirect', induced: 'Induced', total: 'Total' };
+
+const money = (v) => formatNumber(v, 3);
+const dollars = (v) => `$${formatNumber(v, 0)}`;
+const rate = (v) => `${formatNumber(v * 100, 2)}%`;
+const term = (v) => (Math.abs(v) < 10 ? formatNumber(v, 4) : formatNumber(v, 3));
+
+function valueFormat(metric) {
+  return metric === 'employment' ? (v) => formatNumber(v, 1) : money;
+}
+
+function cpiSection(cpi) {
+  if (!cpi) return null;
+  return {
+    title: 'CPI deflator',
+    notes: [
+      `Jobs coefficients are calibrated to ${cpi.baseYear} dollars, so GDP in ${cpi.year} dollars is deflated first with the ${cpi.label || 'CPI-U'}: ${cpi.baseYear} index (${formatNumber(cpi.baseIndex, 3)}) ÷ ${cpi.year} index (${formatNumber(cpi.index, 3)}) = ${term(cpi.deflator)}.`,
+      ...(cpi.warnings || []),
+    ],
+    headers: [],
+    rows: [],
+  };
+}
+
+function basisSection(m) {
+  if (!m || m.induced === 1) return null;
+  return {
+    title: 'Multiplier basis',
+    notes: [m.induced === 0
+      ? 'Type I reporting: each Type II coefficient below is set to its Type I value, so the induced effect is zero.'
+      : `Induced effects at ${m.inducedPct}%: each Type II coefficient below is its Type I value plus ${formatNumber(m.induced, 2)} × (published Type II − Type I).`],
+    headers: [],
+    rows: [],
+  };
+}
+
+function selectionNote(selection) {
+  if (!selection?.length) return null;
+  const chain = selection.map((s) => `${s.source} (${s.found ? 'used' : 'not found'})`).join(' → ');
+  return `Multiplier row: ${chain}.`;
+}
+
+function impactSections(trace, metric) {
+  const fmt = valueFormat(metric);
+  const sections = [basisSection(trace.multiplierType), metric === 'employment' && cpiSection(trace.cpi)].filter(Boolean);
+  const summary = [];
+  for (const s of trace.streams) {
+    const steps = s.steps.filter((st) => st.metric === metric);
+    const notes = [selectionNote(s.selection), s.multiplierSource && `Coefficients from the imported multiplier set ${s.multiplierSource}.`].filter(Boolean);
+    if (metric === 'employment' && s.known?.emp) notes.push(`Direct employment entered by the user (${formatNumber(s.known.emp, 1)} FTEs) replaces the coefficient estimate.`);
+    if (metric === 'wages' && s.known?.wages) notes.push(`Direct wages entered by the user ($${money(s.known.wages)}M) replace the coefficient estimate.`);
+    const byEffect = Object.fromEntries(steps.map((st) => [st.effect, st.value]));
+    const total = steps.reduce((a, st) => a + st.value, 0);
+    sections.push({
+      title: `${s.label} — sector ${s.sector}, revenue $${money(s.revenue)}M`,
+      notes,
+      headers: ['Effect', 'Formula', 'Inputs', 'Value'],
+      rows: steps.map((st) => [
+        EFFECT_LABELS[st.effect] || st.effect,
+        st.formula,
+        Object.entries(st.terms).map(([k, v]) => `${k} = ${term(v)}`).join('; '),
+        fmt(st.value),
+      ]),
+      total: ['Total', '', '', fmt(total)],
+    });
+    summary.push([s.label, ...EFFECTS.map((e) => fmt(byEffect[e] || 0)), fmt(total)]);
+  }
+  if (trace.streams.length > 1) {
+    const sum = (i) => trace.streams.reduce((a, s) => a + s.steps.filter((st) => st.metric === metric && (i === 'total' || st.effect === i)).reduce((b, st) => b + st.value, 0), 0);
+    sections.push({
+      title: 'All revenue streams',
+      notes: [],
+      headers: ['Revenue stream', 'Direct', 'Indirect', 'Induced', 'Total'],
+      rows: summary,
+      total: ['Total', ...EFFECTS.map((e) => fmt(sum(e))), fmt(sum('total'))],
+    });
+  }
+  return sections;
+}
+
+function tierRows(tiers) {
+  return (tiers || []).map((t, i) => [
+    `Tier ${i + 1}`, money(t.from), t.to == null ? 'and above' : money(t.to), rate(t.rate), money(t.taxable), money(t.tax),
+  ]);
+}
+
+const METHOD_NOTES = {
+  custom: 'A rate override entered by the user applies to all GGR.',
+  flat: 'The state levies a single rate on all GGR.',
+  tiered: 'A graduated schedule: each rate applies only to GGR between its threshold and the next.',
+  split_tiered: 'Slots and table games are taxed on separate graduated schedules; GGR is split by the slot share.',
+  split_game_type: 'Slots and table games are taxed at different flat rates; GGR is split by the slot share.',
+  compact: 'A tribal operation pays revenue sharing under its gaming compact rather than a state tax.',
+  none: 'No state gaming tax applies to this operation.',
+};
+
+function gamingSections(trace) {
+  const g = trace.gamingTax;
+  if (!g) return [];
+  const sections = [];
+  const head = {
+    title: `Gaming tax on GGR of $${money(g.ggr || 0)}M`,
+    notes: [METHOD_NOTES[g.method] || '', ...(g.slotShare != null ? [`Slot share of GGR: ${rate(g.slotShare)}.`] : [])].filter(Boolean),
+    headers: [],
+    rows: [],
+  };
+  if (g.method === 'custom' || g.method === 'flat') {
+    Object.assign(head, {
+      headers: ['Step', 'Value'],
+      rows: [['GGR ($M)', money(g.ggr)], ['Rate', rate(g.rate)]],
+      total: ['Gaming tax ($M)', money(g.amount)],
+    });
+  } else if (g.method === 'split_game_type') {
+    Object.assign(head, {
+      headers: ['Game type', 'GGR ($M)', 'Rate', 'Tax ($M)'],
+      rows: g.lines.map((l) => [l.label, money(l.base), rate(l.rate), money(l.tax)]),
+      total: ['Gaming tax', '', '', money(g.amount)],
+    });
+  } else if (g.method === 'compact') {
+    Object.assign(head, {
+      headers: ['Payment', 'Basis', 'Amount ($M)'],
+      rows: g.lines.map((l) => [l.label, l.detail || '', money(l.amount)]),
+      total: ['Compact payments', '', money(g.amount)],
+    });
+  }
+  sections.push(head);
+  for (const s of g.schedules || []) {
+    sections.push({
+      title: `${s.label} schedule on $${money(s.base)}M`,
+      notes: [],
+      headers: ['Tier', 'From ($M)', 'To ($M)', 'Rate', 'Taxable ($M)', 'Tax ($M)'],
+      rows: tierRows(s.tiers),
+      total: ['Subtotal', '', '', '', '', money(s.tax)],
+    });
+  }
+  if (g.schedules?.length > 1) {
+    sections.push({ title: 'Gaming tax', notes: [], headers: [], rows: [], total: ['Gaming tax ($M)', money(g.amount)] });
+  }
+  if (g.fees?.length) {
+    sections.push({
+      title: 'Fees (not part of the effective rate)',
+      notes: [],
+      headers: ['Fee', 'Basis', 'Amount ($M)'],
+      rows: g.fees.map((l) => [l.label, l.detail || '', money(l.amount)]),
+      total: ['Total fees', '', money(g.fees.reduce((a, l) => a + l.amount, 0))],
+    });
+  }
+  if (trace.localLevies?.length) {
+    sections.push({
+      title: 'Local levies (in addition to state tax)',
+      notes: [],
+      headers: ['Levy', 'Basis', 'Amount ($M)'],
+      rows: trace.localLevies.map((l) => [l.label, l.detail || '', money(l.amount)]),
+      total: ['Total local levies', '', money(trace.localLevies.reduce((a, l) => a + l.amount, 0))],
+    });
+  }
+  return sections;
+}
+
+function payrollSections(trace) {
+  if (!trace.payroll) return [];
+  return EFFECTS.map((e) => {
+    const p = trace.payroll[e];
+    const applies = p.avgWage != null;
+    return {
+      title: `${EFFECT_LABELS[e]}: $${money(p.wages)}M wages, ${formatNumber(p.ftes, 1)} FTEs${applies ? `, average wage ${dollars(p.avgWage)}` : ''}`,
+      notes: applies ? [] : ['No payroll tax: no positive wages and employment for this effect.'],
+      headers: applies ? ['Component', 'Taxable base', 'Rate', 'Amount ($)'] : [],
+      rows: applies ? p.components.map((c) => [c.label, c.base, rate(c.rate), dollars(c.amount)]) : [],
+      total: ['Payroll taxes ($M)', '', '', money(p.total)],
+    };
+  });
+}
+
+function householdSections(trace) {
+  const h = trace.household;
+  if (!h) return [];
+  return [{
+    title: `Household taxes at ${rate(h.ratio)} of wages`,
+    notes: ['Personal current taxes (income, vehicle and personal property) as a share of wages, from BEA state accounts.'],
+    headers: ['Effect', 'Wages ($M)', 'Ratio', 'Household tax ($M)'],
+    rows: EFFECTS.map((e) => [EFFECT_LABELS[e], money(h[e].wages), rate(h.ratio), money(h[e].amount)]),
+    total: ['Total', money(EFFECTS.reduce((a, e) => a + h[e].wages, 0)), '', money(EFFECTS.reduce((a, e) => a + h[e].amount, 0))],
+  }];
+}
+
+/**
+ * Tables explaining one metric from a calculation trace.
+ * @param {object} trace - bundle.trace from computeScenario(analysis, { trace: true })
+ * @param {string} metric - a TRACE_METRICS key
+ * @returns {Array<{ title: string, notes: string[], headers: string[], rows: string[][], total?: string[] }>}
+ */
+export function traceSections(trace, metric) {
+  if (!trace) return [];
+  if (IMPACT_METRICS.includes(metric)) return impactSections(trace, metric);
+  if (metric === 'gamingTax') return gamingSections(trace);
+  if (metric === 'payroll') return payrollSections(trace);
+  if (metric === 'household') return householdSections(trace);
+  return [];
+}
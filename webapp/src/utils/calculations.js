@@ -14,8 +14,8 @@
  * are calibrated to 2019 dollars. We deflate current-year GDP to
  * 2019 dollars before applying employment coefficients.
  */
-const CPI_BASE_YEAR = 2019;
-const CPI_ANNUAL_AVG = {
+export const CPI_BASE_YEAR = 2019;
+export const CPI_ANNUAL_AVG = {
   2019: 254.412,
   2020: 257.557,
   2021: 266.236,
@@ -25,28 +25,58 @@ const CPI_ANNUAL_AVG = {
   2025: 320.229
 };
 
+export const CPI_LATEST_YEAR = Math.max(...Object.keys(CPI_ANNUAL_AVG).map(Number));
+
 /**
- * Get deflator to convert current-year dollars to 2019 dollars
+ * Get deflator to convert a given year's dollars to 2019 dollars
  * Deflator < 1 means current dollars buy less than 2019 dollars
+ *
+ * Years past the CPI table use the latest year in it, or — when
+ * `projectedInflation` (annual rate, e.g. 0.025) is given — that year's CPI
+ * compounded forward, for multi-year projections. Years before the table use
+ * its earliest year (a year missing inside it, the nearest earlier one). `series` ({ year: index }, must include 2019) replaces
+ * the national CPI-U — see utils/cpi.js for extended and regional series.
  */
-function getDeflator(year) {
-  const baseValue = CPI_ANNUAL_AVG[CPI_BASE_YEAR];
-  // Use 2025 as fallback for any year not in the table
-  const currentValue = CPI_ANNUAL_AVG[year] || CPI_ANNUAL_AVG[2025];
-  return baseValue / currentValue;
+export function getDeflator(year, projectedInflation = null, series = CPI_ANNUAL_AVG) {
+  return series[CPI_BASE_YEAR] / cpiIndex(year, projectedInflation, series);
+}
+
+/** CPI index used for a year (in the series, its latest or earliest, or projected — see getDeflator). */
+export function cpiIndex(year, projectedInflation = null, series = CPI_ANNUAL_AVG) {
+  if (series[year]) return series[year];
+  const years = Object.keys(series).map(Number).sort((a, b) => a - b);
+  const last = years[years.length - 1];
+  if (year > last) {
+    return projectedInflation != null
+      ? series[last] * Math.pow(1 + projectedInflation, year - last)
+      : series[last];
+  }
+  // Before the series: its earliest year; in a gap: the nearest earlier year
+  return series[years.filter((y) => y < year).pop() ?? years[0]];
 }
 
 // Current year deflator (calculated once at module load)
-const CURRENT_YEAR = new Date().getFullYear();
+export const CURRENT_YEAR = new Date().getFullYear();
 const DEFLATOR = getDeflator(CURRENT_YEAR);
 
 /**
  * Calculate economic impact for a single revenue stream
+ *
+ * `deflator` converts GDP to 2019 dollars for the employment coefficients;
+ * it defaults to the current year's. The coefficients and deflator applied
+ * are returned with the result so exports can show (and re-derive) the math.
+ *
+ * Trace mode: pass a `trace` object and every step is recorded in
+ * `trace.steps` as { metric, effect, formula, terms, value }.
  */
-export function calculateSingleImpact(revenue, stateData, knownEmployment = null, knownWages = null) {
+export function calculateSingleImpact(revenue, stateData, knownEmployment = null, knownWages = null, deflator = DEFLATOR, trace = null) {
   if (!revenue || revenue <= 0 || !stateData) {
     return null;
   }
+  if (trace) trace.steps = [];
+  const step = (metric, effect, formula, terms, value) => {
+    if (trace) trace.steps.push({ metric, effect, formula, terms, value });
+  };
 
   const {
     Direct_VA_Coef: vaCoef,
@@ -70,6 +100,9 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
   const outputIndirect = revenue * (type1Output - 1);
   const outputInduced = revenue * (type2Output - type1Output);
   const outputTotal = revenue * type2Output;
+  step('output', 'direct', 'Revenue', { Revenue: revenue }, outputDirect);
+  step('output', 'indirect', 'Revenue × (Type_I_Output − 1)', { Revenue: revenue, Type_I_Output: type1Output }, outputIndirect);
+  step('output', 'induced', 'Revenue × (Type_II_Output − Type_I_Output)', { Revenue: revenue, Type_II_Output: type2Output, Type_I_Output: type1Output }, outputInduced);
 
   // GDP impacts
   const gdpDirect = revenue * vaCoef;
@@ -78,6 +111,9 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
   const gdpIndirect = gdpType1Total - gdpDirect;
   const gdpInduced = gdpType2Total - gdpType1Total;
   const gdpTotal = gdpType2Total;
+  step('gdp', 'direct', 'Revenue × Direct_VA_Coef', { Revenue: revenue, Direct_VA_Coef: vaCoef }, gdpDirect);
+  step('gdp', 'indirect', 'Revenue × Type_I_VA − Direct GDP', { Revenue: revenue, Type_I_VA: type1VA, 'Direct GDP': gdpDirect }, gdpIndirect);
+  step('gdp', 'induced', 'Revenue × (Type_II_VA − Type_I_VA)', { Revenue: revenue, Type_II_VA: type2VA, Type_I_VA: type1VA }, gdpInduced);
 
   // Wage impacts
   let wageDirect, wageSource;
@@ -91,6 +127,10 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
   const wageIndirect = revenue * type1Wage - revenue * wageCoef;
   const wageInduced = revenue * (type2Wage - type1Wage);
   const wageTotal = wageDirect + wageIndirect + wageInduced;
+  if (wageSource === 'user') step('wages', 'direct', 'Known direct wages (entered)', { 'Known wages': knownWages }, wageDirect);
+  else step('wages', 'direct', 'Revenue × Direct_Wage_Coef', { Revenue: revenue, Direct_Wage_Coef: wageCoef }, wageDirect);
+  step('wages', 'indirect', 'Revenue × (Type_I_Wage − Direct_Wage_Coef)', { Revenue: revenue, Type_I_Wage: type1Wage, Direct_Wage_Coef: wageCoef }, wageIndirect);
+  step('wages', 'induced', 'Revenue × (Type_II_Wage − Type_I_Wage)', { Revenue: revenue, Type_II_Wage: type2Wage, Type_I_Wage: type1Wage }, wageInduced);
 
   // Employment impacts
   // Each effect type uses its own industry-weighted employment coefficient:
@@ -108,7 +148,7 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
     empSource = 'user';
   } else {
     // Deflate GDP to 2019 dollars before applying coefficient
-    empDirect = (gdpDirect * DEFLATOR) * empCoef;
+    empDirect = (gdpDirect * deflator) * empCoef;
     empSource = 'calculated';
   }
 
@@ -116,9 +156,13 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
   // These coefficients were computed in the R scripts using the Leontief inverse
   // and represent the weighted average labor intensity of supplier/household-spending industries
   // Same deflation applies to convert current dollars to 2019 base
-  const empIndirect = (gdpIndirect * DEFLATOR) * indirectEmpCoef;
-  const empInduced = (gdpInduced * DEFLATOR) * inducedEmpCoef;
+  const empIndirect = (gdpIndirect * deflator) * indirectEmpCoef;
+  const empInduced = (gdpInduced * deflator) * inducedEmpCoef;
   const empTotal = empDirect + empIndirect + empInduced;
+  if (empSource === 'user') step('employment', 'direct', 'Known direct employment (entered)', { 'Known FTEs': knownEmployment }, empDirect);
+  else step('employment', 'direct', 'Direct GDP × CPI deflator × Emp_Coef', { 'Direct GDP': gdpDirect, 'CPI deflator': deflator, Emp_Coef: empCoef }, empDirect);
+  step('employment', 'indirect', 'Indirect GDP × CPI deflator × Indirect_Emp_Coef', { 'Indirect GDP': gdpIndirect, 'CPI deflator': deflator, Indirect_Emp_Coef: indirectEmpCoef }, empIndirect);
+  step('employment', 'induced', 'Induced GDP × CPI deflator × Induced_Emp_Coef', { 'Induced GDP': gdpInduced, 'CPI deflator': deflator, Induced_Emp_Coef: inducedEmpCoef }, empInduced);
 
   // TOPI (Taxes on Production & Imports) impacts
   // These flow through the Leontief inverse like wages
@@ -129,6 +173,11 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
     topiIndirect = revenue * type1Tax - topiDirect;
     topiInduced = revenue * (type2Tax - type1Tax);
     topiTotal = revenue * type2Tax;
+    step('tax', 'direct', 'Revenue × Direct_Tax_Coef', { Revenue: revenue, Direct_Tax_Coef: taxCoef }, topiDirect);
+    step('tax', 'indirect', 'Revenue × Type_I_Tax − Direct TOPI', { Revenue: revenue, Type_I_Tax: type1Tax, 'Direct TOPI': topiDirect }, topiIndirect);
+    step('tax', 'induced', 'Revenue × (Type_II_Tax − Type_I_Tax)', { Revenue: revenue, Type_II_Tax: type2Tax, Type_I_Tax: type1Tax }, topiInduced);
+  } else {
+    step('tax', 'total', 'No TOPI coefficients for this sector', {}, 0);
   }
 
   return {
@@ -142,6 +191,23 @@ export function calculateSingleImpact(revenue, stateData, knownEmployment = null
       gdp: gdpTotal / gdpDirect,
       employment: empTotal / empDirect,
       wages: wageTotal / wageDirect
+    },
+    coefficients: {
+      Type_I_Output: type1Output,
+      Type_II_Output: type2Output,
+      Direct_VA_Coef: vaCoef,
+      Type_I_VA: type1VA,
+      Type_II_VA: type2VA,
+      Direct_Wage_Coef: wageCoef,
+      Type_I_Wage: type1Wage,
+      Type_II_Wage: type2Wage,
+      Direct_Tax_Coef: hasTaxData ? taxCoef : null,
+      Type_I_Tax: hasTaxData ? type1Tax : null,
+      Type_II_Tax: hasTaxData ? type2Tax : null,
+      Emp_Coef: empCoef,
+      Indirect_Emp_Coef: indirectEmpCoef,
+      Induced_Emp_Coef: inducedEmpCoef,
+      deflator
     }
   };
 }
@@ -182,6 +248,13 @@ export function getPropertyTypeData(propertyType, state, propertyTypesData) {
  * @param {object|null} propertyTypesData - Property type multipliers from JSON
  * @param {string} inputMode - 'department' (default) or 'total'
  * @param {array|null} onlineGamingData - Array of online gambling multipliers (from multipliers.json onlineGaming section)
+ * @param {number} deflator - Converts GDP to 2019 dollars for employment (defaults to the current year's)
+ * @param {array|null} trace - Trace mode: receives one entry per revenue stream with the multiplier
+ *                             sources tried in order (`selection`), known-data overrides and the
+ *                             calculateSingleImpact steps
+ *
+ * Each stream carries `multiplierSource`: the Multiplier_Source of a row from an
+ * imported multiplier set, or null for the bundled data.
  */
 export function calculateCombinedImpact(
   revenues,
@@ -194,7 +267,9 @@ export function calculateCombinedImpact(
   propertyType = null,
   propertyTypesData = null,
   inputMode = 'department',
-  onlineGamingData = null
+  onlineGamingData = null,
+  deflator = DEFLATOR,
+  trace = null
 ) {
   // Handle legacy single-value parameters (backward compatibility)
   // If knownData is a number, treat it as legacy knownEmployment
@@ -231,6 +306,17 @@ export function calculateCombinedImpact(
 
   const isOnline = isOnlinePropertyType(propertyType);
 
+  // Multiplier-row lookup; in trace mode every source tried is recorded in order
+  let tried = [];
+  const lookup = (source, find) => {
+    const row = find() || null;
+    tried.push({ source, found: !!row });
+    return row;
+  };
+  const traceStream = (entry, known, steps) => {
+    if (trace) trace.push({ ...entry, selection: tried, known, steps: steps.steps || [] });
+  };
+
   // TOTAL MODE: Apply property type multipliers to entire revenue
   if (inputMode === 'total' && revenues.total && revenues.total > 0) {
     let stateData;
@@ -238,24 +324,24 @@ export function calculateCombinedImpact(
     if (isOnline) {
       // Online types: use property type data first, then onlineGaming, then gambling fallback
       if (propertyType && propertyTypesData) {
-        stateData = getPropertyTypeData(propertyType, state, propertyTypesData);
+        stateData = lookup(`Property type ${propertyType}`, () => getPropertyTypeData(propertyType, state, propertyTypesData));
       }
       if (!stateData && onlineGamingData) {
-        stateData = onlineGamingData.find(d => d.State === state);
+        stateData = lookup('Online gaming', () => onlineGamingData.find(d => d.State === state));
       }
       if (!stateData && gamblingData) {
-        stateData = gamblingData.find(d => d.State === state);
+        stateData = lookup('Gambling (NAICS 7132)', () => gamblingData.find(d => d.State === state));
       }
     } else {
       // Land-based: existing logic
       if (propertyType && propertyTypesData) {
-        stateData = getPropertyTypeData(propertyType, state, propertyTypesData);
+        stateData = lookup(`Property type ${propertyType}`, () => getPropertyTypeData(propertyType, state, propertyTypesData));
       }
       if (!stateData && useGamblingSpecific && gamblingData) {
-        stateData = gamblingData.find(d => d.State === state);
+        stateData = lookup('Gambling (NAICS 7132)', () => gamblingData.find(d => d.State === state));
       }
       if (!stateData) {
-        stateData = multiplierData.find(d => d.State === state && d.Sector === '713');
+        stateData = lookup('Sector 713', () => multiplierData.find(d => d.State === state && d.Sector === '713'));
       }
     }
 
@@ -265,11 +351,14 @@ export function calculateCombinedImpact(
     const totalKnownEmp = Object.values(knownDataNormalized).reduce((sum, d) => sum + (d?.emp || 0), 0) || null;
     const totalKnownWages = Object.values(knownDataNormalized).reduce((sum, d) => sum + (d?.wages || 0), 0) || null;
 
+    const steps = {};
     const impact = calculateSingleImpact(
       revenues.total,
       stateData,
       totalKnownEmp,
-      totalKnownWages
+      totalKnownWages,
+      deflator,
+      trace ? steps : null
     );
 
     if (impact) {
@@ -289,8 +378,14 @@ export function calculateCombinedImpact(
         sector: stateData.Property_Type || stateData.Sector || propertyType,
         revenue: revenues.total,
         propertyType,
+        multiplierSource: stateData.Multiplier_Source || null,
         ...impact
       });
+      traceStream(
+        { type: 'total', label: propertyLabels[propertyType] || 'Total Revenue', sector: stateData.Property_Type || stateData.Sector || propertyType, revenue: revenues.total, multiplierSource: stateData.Multiplier_Source || null },
+        { emp: totalKnownEmp, wages: totalKnownWages },
+        steps
+      );
     }
   } else {
     // DEPARTMENT MODE: Apply sector-specific multipliers to each revenue stream
@@ -313,46 +408,50 @@ export function calculateCombinedImpact(
 
       // Get state data for this sector
       let stateData;
+      tried = [];
       if (key === 'gaming') {
         if (isOnline) {
           // Online gaming: use property type data, then onlineGaming, then gambling fallback
           if (propertyType && propertyTypesData) {
-            stateData = getPropertyTypeData(propertyType, state, propertyTypesData);
+            stateData = lookup(`Property type ${propertyType}`, () => getPropertyTypeData(propertyType, state, propertyTypesData));
           }
           if (!stateData && onlineGamingData) {
-            stateData = onlineGamingData.find(d => d.State === state);
+            stateData = lookup('Online gaming', () => onlineGamingData.find(d => d.State === state));
           }
           if (!stateData && gamblingData) {
-            stateData = gamblingData.find(d => d.State === state);
+            stateData = lookup('Gambling (NAICS 7132)', () => gamblingData.find(d => d.State === state));
           }
         } else {
           // Land-based: existing logic
           // In department mode, GGR uses gambling multipliers (not property type 721120 which equals lodging)
           // For non-casino-hotel property types, use their specific multipliers
           if (propertyType && propertyType !== '721120' && propertyTypesData) {
-            stateData = getPropertyTypeData(propertyType, state, propertyTypesData);
+            stateData = lookup(`Property type ${propertyType}`, () => getPropertyTypeData(propertyType, state, propertyTypesData));
           }
           // For casino hotels or as fallback, use legacy gambling (7132) multipliers
           if (!stateData && useGamblingSpecific && gamblingData) {
-            stateData = gamblingData.find(d => d.State === state);
+            stateData = lookup('Gambling (NAICS 7132)', () => gamblingData.find(d => d.State === state));
           }
           if (!stateData) {
-            stateData = multiplierData.find(d => d.State === state && d.Sector === sector);
+            stateData = lookup(`Sector ${sector}`, () => multiplierData.find(d => d.State === state && d.Sector === sector));
           }
         }
       } else {
-        stateData = multiplierData.find(d => d.State === state && d.Sector === sector);
+        stateData = lookup(`Sector ${sector}`, () => multiplierData.find(d => d.State === state && d.Sector === sector));
       }
 
       if (!stateData) continue;
 
       // Apply department-specific known employment/wages
       const deptKnownData = knownDataNormalized[key] || {};
+      const steps = {};
       const impact = calculateSingleImpact(
         revenue,
         stateData,
         deptKnownData.emp || null,
-        deptKnownData.wages || null
+        deptKnownData.wages || null,
+        deflator,
+        trace ? steps : null
       );
 
       if (impact) {
@@ -362,15 +461,27 @@ export function calculateCombinedImpact(
           sector: stateData.Property_Type || stateData.Sector || sector,
           revenue,
           propertyType: key === 'gaming' ? propertyType : null,
+          multiplierSource: stateData.Multiplier_Source || null,
           ...impact
         });
+        traceStream(
+          { type: key, label, sector: stateData.Property_Type || stateData.Sector || sector, revenue, multiplierSource: stateData.Multiplier_Source || null },
+          { emp: deptKnownData.emp || null, wages: deptKnownData.wages || null },
+          steps
+        );
       }
     }
   }
 
   if (results.length === 0) return null;
 
-  // Aggregate totals
+  return aggregateImpacts(results);
+}
+
+/**
+ * Sum per-stream impacts into totals and weighted average multipliers
+ */
+export function aggregateImpacts(results) {
   const totals = {
     output: { direct: 0, indirect: 0, induced: 0, total: 0 },
     gdp: { direct: 0, indirect: 0, induced: 0, total: 0 },
@@ -403,23 +514,127 @@ export function calculateCombinedImpact(
   };
 }
 
+/**
+ * The Type I view of a combined impact: the induced effect is dropped from
+ * every revenue stream and the totals and multipliers are re-aggregated.
+ * Direct and indirect effects are unchanged, so this equals a run with the
+ * Type II coefficients set to their Type I values.
+ */
+export function withoutInduced(results) {
+  if (!results) return null;
+  const strip = (m) => ({ ...m, induced: 0, total: m.direct + m.indirect });
+  const ratio = (m) => m.total / m.direct;
+  return aggregateImpacts(results.byRevenue.map(r => {
+    const stream = {
+      ...r,
+      output: strip(r.output),
+      gdp: strip(r.gdp),
+      employment: strip(r.employment),
+      wages: strip(r.wages),
+      tax: strip(r.tax)
+    };
+    stream.multipliers = {
+      output: ratio(stream.output),
+      gdp: ratio(stream.gdp),
+      employment: ratio(stream.employment),
+      wages: ratio(stream.wages)
+    };
+    return stream;
+  }));
+}
+
+/**
+ * Split patron spending into the shares used by the net-impact adjustment.
+ *
+ * Inputs are percents (0-100), like slotRevenuePct:
+ *   outOfStatePct   - spending by out-of-state visitors (new money to the state)
+ *   substitutionPct - in-state spending that replaces spending residents would
+ *                     have made anyway, instead of adding to it
+ *   recapturePct    - the part of that substituted spending that would
+ *                     otherwise have left the state (recaptured leakage)
+ * Substituted spending that is not recaptured is diverted from other local
+ * recreation (`displaced`): its impact there is lost. Everything else —
+ * out-of-state, recaptured and incremental in-state spending — is new money,
+ * so net new demand is gross spending less the displaced share. With no
+ * shares entered, net equals gross.
+ */
+export function netImpactShares({ outOfStatePct, substitutionPct, recapturePct } = {}) {
+  const toShare = (v) => Math.min(Math.max(Number(v) || 0, 0), 100) / 100;
+  const outOfState = toShare(outOfStatePct);
+  const local = 1 - outOfState;
+  const substitution = toShare(substitutionPct);
+  const recapture = toShare(recapturePct);
+
+  const recaptured = local * substitution * recapture;
+  const displaced = local * substitution * (1 - recapture);
+  return {
+    outOfState,
+    local,
+    substitution,
+    recapture,
+    incremental: local * (1 - substitution),
+    recaptured,
+    displaced,
+    newMoney: 1 - displaced
+  };
+}
+
+/**
+ * Net a displaced-spending impact out of a combined impact result.
+ * The displaced activity is added as a negative revenue stream so the
+ * breakdown tables show what was subtracted.
+ *
+ * @param {object} results - Output of calculateCombinedImpact
+ * @param {object|null} displaced - Output of calculateSingleImpact for the displaced spending
+ * @param {number} displacedRevenue - Displaced spending in $M
+ * @param {string} sector - Sector code the displaced spending was valued with
+ */
+export function subtractDisplacedImpact(results, displaced, displacedRevenue, sector) {
+  if (!results) return null;
+  if (!displaced) return aggregateImpacts([...results.byRevenue]);
+
+  const negate = (m) => ({ direct: -m.direct, indirect: -m.indirect, induced: -m.induced, total: -m.total });
+  return aggregateImpacts([
+    ...results.byRevenue,
+    {
+      type: 'displaced',
+      label: 'Displaced Local Spending',
+      sector,
+      revenue: -displacedRevenue,
+      propertyType: null,
+      output: negate(displaced.output),
+      gdp: negate(displaced.gdp),
+      employment: { ...negate(displaced.employment), source: 'calculated' },
+      wages: { ...negate(displaced.wages), source: 'calculated' },
+      tax: negate(displaced.tax),
+      multipliers: displaced.multipliers
+    }
+  ]);
+}
+
 /**
  * Calculate gaming tax for a given GGR amount using tiered rates
  * @param {number} ggr - Gross gaming revenue in millions
  * @param {object} taxConfig - Tax configuration { tiers: [{threshold, rate}], flatRate, ... }
+ * @param {object|null} trace - Trace mode: receives the method, rates, slot/table split and
+ *                              each graduated schedule tier by tier
  * @returns {number} Gaming tax in millions
  */
-export function calculateGamingTax(ggr, taxConfig) {
-  if (!ggr || ggr <= 0 || !taxConfig) return 0;
+export function calculateGamingTax(ggr, taxConfig, trace = null) {
+  const record = (fields) => {
+    if (trace) Object.assign(trace, { ggr, ...fields });
+    return fields.amount;
+  };
+  if (!ggr || ggr <= 0 || !taxConfig) return record({ method: 'none', amount: 0 });
 
   // If user provided a custom rate override, use that
   if (taxConfig.customRate != null) {
-    return ggr * taxConfig.customRate;
+    return record({ method: 'custom', rate: taxConfig.customRate, amount: ggr * taxConfig.customRate });
   }
 
   // Flat rate
   if (taxConfig.flatRate != null) {
-    return ggr * taxConfig.flatRate;
+    return record({ method: 'flat', rate: taxConfig.flatRate, amount: ggr * taxConfig.flatRate });
   }
 
   // Split-tiered: separate graduated schedules for slots and tables (e.g., Illinois)
@@ -428,29 +643,54 @@ export function calculateGamingTax(ggr, taxConfig) {
     const slotPct = taxConfig.slotRevenuePct != null ? taxConfig.slotRevenuePct : 0.7;
     const slotGgr = ggr * slotPct;
     const tableGgr = ggr * (1 - slotPct);
-    return applyTieredTax(slotGgr, taxConfig.slotTiers) + applyTieredTax(tableGgr, taxConfig.tableTiers);
+    const slotRows = trace ? [] : null;
+    const tableRows = trace ? [] : null;
+    const slotTax = applyTieredTax(slotGgr, taxConfig.slotTiers, slotRows);
+    const tableTax = applyTieredTax(tableGgr, taxConfig.tableTiers, tableRows);
+    return record({
+      method: 'split_tiered',
+      slotShare: slotPct,
+      schedules: [
+        { label: 'Slots', base: slotGgr, tiers: slotRows, tax: slotTax },
+        { label: 'Table games', base: tableGgr, tiers: tableRows, tax: tableTax },
+      ],
+      amount: slotTax + tableTax,
+    });
   }
 
   // Tiered (graduated) rates
   // tiers: [{ threshold: 0, rate: 0.15 }, { threshold: 25, rate: 0.25 }, ...]
   // Each tier applies to revenue between this threshold and the next
   if (taxConfig.tiers && taxConfig.tiers.length > 0) {
-    return applyTieredTax(ggr, taxConfig.tiers);
+    const rows = trace ? [] : null;
+    const tax = applyTieredTax(ggr, taxConfig.tiers, rows);
+    return record({ method: 'tiered', schedules: [{ label: 'GGR', base: ggr, tiers: rows, tax }], amount: tax });
   }
 
   // Split by game type: different flat rates for slots vs tables
   if (taxConfig.slotsRate != null && taxConfig.tableRate != null) {
     const slotPct = taxConfig.slotRevenuePct != null ? taxConfig.slotRevenuePct : 0.7;
-    return ggr * slotPct * taxConfig.slotsRate + ggr * (1 - slotPct) * taxConfig.tableRate;
+    const slotTax = ggr * slotPct * taxConfig.slotsRate;
+    const tableTax = ggr * (1 - slotPct) * taxConfig.tableRate;
+    return record({
+      method: 'split_game_type',
+      slotShare: slotPct,
+      lines: [
+        { label: 'Slots', base: ggr * slotPct, rate: taxConfig.slotsRate, tax: slotTax },
+        { label: 'Table games', base: ggr * (1 - slotPct), rate: taxConfig.tableRate, tax: tableTax },
+      ],
+      amount: slotTax + tableTax,
+    });
   }
 
-  return 0;
+  return record({ method: 'none', amount: 0 });
 }
 
 /**
  * Apply graduated/tiered tax rates to a revenue amount
+ * (with `rows`, each tier reached is recorded as { from, to, rate, taxable, tax })
  */
-function applyTieredTax(amount, tiers) {
+function applyTieredTax(amount, tiers, rows = null) {
   if (!amount || amount <= 0 || !tiers || tiers.length === 0) return 0;
   let tax = 0;
   const sortedTiers = [...tiers].sort((a, b) => a.threshold - b.threshold);
@@ -461,6 +701,7 @@ function applyTieredTax(amount, tiers) {
     if (amount <= tierStart) break;
     const taxableInTier = Math.min(amount, tierEnd) - tierStart;
     tax += taxableInTier * rate;
+    if (rows) rows.push({ from: tierStart, to: isFinite(tierEnd) ? tierEnd : null, rate, taxable: taxableInTier, tax: taxableInTier * rate });
   }
   return tax;
 }
@@ -479,9 +720,12 @@ function applyTieredTax(amount, tiers) {
  * @param {number} ftes - Number of FTE jobs
  * @param {object} stateRates - State entry from employmentTaxRates.json
  * @param {object} federal - Federal constants from employmentTaxRates.json
+ * @param {object|null} trace - Trace mode: receives the average wage and each component
+ *                              as { key, label, base, rate, amount } (dollars)
  * @returns {number} Total payroll taxes in $M
  */
-export function calculatePayrollTax(wages, ftes, stateRates, federal) {
+export function calculatePayrollTax(wages, ftes, stateRates, federal, trace = null) {
+  if (trace) Object.assign(trace, { wages, ftes, avgWage: null, components: [], total: 0 });
   if (!wages || wages <= 0 || !ftes || ftes <= 0 || !stateRates || !federal) return 0;
 
   const wagesDollars = wages * 1e6;
@@ -517,7 +761,20 @@ export function calculatePayrollTax(wages, ftes, stateRates, federal) {
     pfml = wagesDollars * stateRates.pfml_employer_rate;
   }
 
-  return (ficaSS + ficaMedicare + futa + suta + sdi + pfml) / 1e6;
+  const total = (ficaSS + ficaMedicare + futa + suta + sdi + pfml) / 1e6;
+  if (trace) {
+    trace.avgWage = avgWage;
+    trace.components = [
+      { key: 'ficaSS', label: 'FICA Social Security', base: `min(average wage, $${federal.fica_ss_wage_cap.toLocaleString('en-US')}) × FTEs`, rate: federal.fica_ss_rate, amount: ficaSS },
+      { key: 'medicare', label: 'FICA Medicare', base: 'all wages', rate: federal.fica_medicare_rate, amount: ficaMedicare },
+      { key: 'futa', label: 'FUTA', base: `min(average wage, $${federal.futa_wage_base.toLocaleString('en-US')}) × FTEs`, rate: federal.futa_rate, amount: futa },
+      { key: 'suta', label: 'SUTA', base: stateRates.suta_wage_base ? `min(average wage, $${stateRates.suta_wage_base.toLocaleString('en-US')}) × FTEs` : 'not applicable', rate: stateRates.suta_avg_rate || 0, amount: suta },
+      { key: 'sdi', label: 'SDI (employer)', base: 'all wages', rate: stateRates.sdi_employer_rate || 0, amount: sdi },
+      { key: 'pfml', label: 'PFML (employer)', base: 'all wages', rate: stateRates.pfml_employer_rate || 0, amount: pfml },
+    ];
+    trace.total = total;
+  }
+  return total;
 }
 
 /**
@@ -5,90 +5,381 @@
  * mirrors exactly what the dashboard computes for the active inputs, so any
  * number of scenarios can be evaluated consistently and side by side.
  */
-import multiplierData from '../data/multipliers.json';
-import gamingTaxRatesData from '../data/gamingTaxRates.json';
-import employmentTaxRatesData from '../data/employmentTaxRates.json';
 import {
-  calculateCombinedImpact, calculateGamingTax, calculatePayrollTax,
-  calculateHouseholdTax, isOnlinePropertyType,
+  calculateCombinedImpact, calculateSingleImpact, calculateGamingTax, calculatePayrollTax,
+  calculateHouseholdTax, isOnlinePropertyType, netImpactShares, subtractDisplacedImpact, withoutInduced,
 } from './calculations';
+import { resolveCpi } from './cpi';
+import { normalizeVintage, vintageLabel } from './dataVintages';
+import { analysisData } from './dataService';
+import { inducedFactor, normalizeMultiplierType } from './multiplierType';
+import { applyMultiplierSet, describeMultiplierSource, normalizeMultiplierSet } from './multiplierSets';
+import { normalizeRegion, regionalFactors, splitRegion } from './region';
+import { combineTotals, spilloverShares, splitSpillover } from './spillover';
 import { buildTaxConfig } from './taxConfig';
+import { calculateLocalTax, localTaxConfig } from './localTax';
+import { calculateGamingFees } from './gamingFees';
+import { calculateCompactPayment, isTribalOperation } from './tribalCompact';
 
-export function computeScenario(analysis) {
-  const {
-    state, propertyType, inputMode, revenues, knownData,
-    gamingTaxCustomRate, slotRevenuePct,
-  } = analysis;
+// Displaced local spending is valued with the arts, entertainment & recreation
+// sector — the discretionary leisure spending a casino most directly competes with.
+const DISPLACED_SECTOR = '711AS';
 
-  const isOnline = isOnlinePropertyType(propertyType);
+const COEF_TRIPLES = [
+  ['Direct_VA_Coef', 'Type_I_VA', 'Type_II_VA'],
+  ['Direct_Wage_Coef', 'Type_I_Wage', 'Type_II_Wage'],
+  ['Direct_Tax_Coef', 'Type_I_Tax', 'Type_II_Tax'],
+];
+const EMP_COEFS = ['Emp_Coef', 'Indirect_Emp_Coef', 'Induced_Emp_Coef'];
+
+/**
+ * Scale one multiplier row: `multiplier` stretches the ripple (indirect +
+ * induced) part of every Type I/II multiplier around its direct coefficient;
+ * `induced` then keeps that share of the induced part (Type II − Type I), so
+ * 0 gives Type I; `employment` scales the three jobs coefficients; `fields`
+ * scales individual columns (e.g. { Type_II_Output: 1.1 }).
+ */
+function scaleRow(row, { multiplier = 1, induced = 1, employment = 1, fields = null }) {
+  const out = { ...row };
+  const ripple = (base, v) => (v == null ? v : base + (v - base) * multiplier);
+  out.Type_I_Output = ripple(1, row.Type_I_Output);
+  out.Type_II_Output = ripple(1, row.Type_II_Output);
+  for (const [coef, t1, t2] of COEF_TRIPLES) {
+    if (row[coef] == null) continue;
+    out[t1] = ripple(row[coef], row[t1]);
+    out[t2] = ripple(row[coef], row[t2]);
+  }
+  if (induced !== 1) {
+    const keep = (t1, t2) => (out[t1] == null || out[t2] == null ? out[t2] : out[t1] + (out[t2] - out[t1]) * induced);
+    out.Type_II_Output = keep('Type_I_Output', 'Type_II_Output');
+    for (const [, t1, t2] of COEF_TRIPLES) out[t2] = keep(t1, t2);
+  }
+  for (const k of EMP_COEFS) if (row[k] != null) out[k] = row[k] * employment;
+  for (const [k, f] of Object.entries(fields || {})) if (out[k] != null) out[k] *= f;
+  return out;
+}
 
-  const results = calculateCombinedImpact(
+/**
+ * Multiplier data for a run: `base` (the bundled data, or the state's rows
+ * with an imported set applied) as is, or the state's rows scaled by coefScale.
+ */
+function multipliersFor(base, state, coefScale) {
+  if (!coefScale) return base;
+  const pick = (rows) => rows && rows.filter(d => d.State === state).map(d => scaleRow(d, coefScale));
+  return {
+    ...base,
+    multipliers: pick(base.multipliers),
+    gambling: pick(base.gambling),
+    onlineGaming: pick(base.onlineGaming),
+    propertyTypes: base.propertyTypes && Object.fromEntries(
+      Object.entries(base.propertyTypes).map(([k, rows]) => [k, pick(rows)]),
+    ),
+  };
+}
+
+function scaleRates(rates, scale) {
+  if (!rates || !scale) return rates;
+  const out = { ...rates };
+  for (const [k, f] of Object.entries(scale)) if (out[k] != null) out[k] *= f;
+  return out;
+}
+
+function combinedImpact(analysis, revenues, knownData, data, deflator, trace = null) {
+  return calculateCombinedImpact(
     revenues,
-    multiplierData.multipliers,
-    multiplierData.gambling,
-    state,
+    data.multipliers,
+    data.gambling,
+    analysis.state,
     true,
     knownData || {},
     null,
-    propertyType || null,
-    multiplierData.propertyTypes || null,
-    inputMode,
-    multiplierData.onlineGaming || null,
+    analysis.propertyType || null,
+    data.propertyTypes || null,
+    analysis.inputMode,
+    data.onlineGaming || null,
+    deflator,
+    trace,
   );
+}
+
+function employmentTaxes(results, stateEmp, federal, trace = null) {
+  if (!results || !stateEmp) return { payrollTaxResult: null, householdTaxResult: null };
+  const w = results.totals.wages;
+  const e = results.totals.employment;
+  if (trace) {
+    trace.payroll = { direct: {}, indirect: {}, induced: {} };
+    trace.household = { ratio: stateEmp.household_tax_ratio || 0 };
+    for (const effect of ['direct', 'indirect', 'induced']) {
+      trace.household[effect] = { wages: w[effect], amount: calculateHouseholdTax(w[effect], stateEmp) };
+    }
+  }
+  return {
+    payrollTaxResult: {
+      direct: calculatePayrollTax(w.direct, e.direct, stateEmp, federal, trace?.payroll.direct),
+      indirect: calculatePayrollTax(w.indirect, e.indirect, stateEmp, federal, trace?.payroll.indirect),
+      induced: calculatePayrollTax(w.induced, e.induced, stateEmp, federal, trace?.payroll.induced),
+      get total() { return this.direct + this.indirect + this.induced; },
+    },
+    householdTaxResult: {
+      direct: calculateHouseholdTax(w.direct, stateEmp),
+      indirect: calculateHouseholdTax(w.indirect, stateEmp),
+      induced: calculateHouseholdTax(w.induced, stateEmp),
+      get total() { return this.direct + this.indirect + this.induced; },
+    },
+  };
+}
+
+/**
+ * Type I figures beside Type II results ("both" reporting): the induced
+ * effect dropped, with payroll and household taxes on the Type I wages and jobs.
+ */
+function typeIBasis(results, gamingTaxResult, localTaxResult, stateEmp, federal) {
+  const typeI = withoutInduced(results);
+  const { payrollTaxResult, householdTaxResult } = employmentTaxes(typeI, stateEmp, federal);
+  const totalTax = sumTaxes(gamingTaxResult, typeI, payrollTaxResult, householdTaxResult, localTaxResult);
+  return { results: typeI, payrollTaxResult, householdTaxResult, totalTax };
+}
+
+function sumTaxes(gamingTaxResult, results, payrollTaxResult, householdTaxResult, localTaxResult) {
+  return (gamingTaxResult?.amount || 0)
+    + (gamingTaxResult?.fees?.total || 0)
+    + (localTaxResult?.additional || 0)
+    + (results?.totals.tax.total || 0)
+    + (payrollTaxResult?.total || 0)
+    + (householdTaxResult?.total || 0);
+}
+
+/**
+ * Net impact: gross less the local activity the casino displaces. Spending
+ * diverted from other in-state recreation (netImpactShares) is counted at the
+ * casino in the gross run; its impact in its original sector is subtracted as
+ * a negative revenue stream, so net new demand is gross revenue less the
+ * diverted spending. Out-of-state, recaptured and incremental in-state
+ * spending stay in full. The diverted share applies to the revenue the engine
+ * models (online marketing/tech lines are not modeled). Gaming tax and fees
+ * (and any local levies on GGR or admissions) are levied regardless of where
+ * patrons come from, so they carry over unchanged; payroll and household
+ * taxes follow the net jobs and wages.
+ */
+function computeNetImpact(analysis, gross, gamingTaxResult, localTaxResult, stateEmp, federal, data, deflator) {
+  const shares = netImpactShares(analysis.netImpact);
+
+  const grossRevenue = gross.byRevenue.reduce((sum, r) => sum + (r.revenue || 0), 0);
+  const displacedRevenue = grossRevenue * shares.displaced;
+  const displacedData = data.multipliers.find(d => d.State === analysis.state && d.Sector === DISPLACED_SECTOR);
+  const displaced = calculateSingleImpact(displacedRevenue, displacedData, null, null, deflator);
+
+  const results = subtractDisplacedImpact(gross, displaced, displacedRevenue, DISPLACED_SECTOR);
+  const { payrollTaxResult, householdTaxResult } = employmentTaxes(results, stateEmp, federal);
+  const totalTax = sumTaxes(gamingTaxResult, results, payrollTaxResult, householdTaxResult, localTaxResult);
+
+  return { shares, displacedRevenue, results, payrollTaxResult, householdTaxResult, totalTax };
+}
 
-  // Gaming tax (on GGR)
-  const stateTaxConfig = gamingTaxRatesData.rates[state];
+/**
+ * Spillover to neighboring states: each neighbor's share of the supplier
+ * purchases and its residents' household spending are valued with that
+ * state's own multipliers (the bundled ones; an imported set is for the host
+ * state only), through the same coefficient scaling as the host run. Payroll
+ * taxes follow the jobs, at each state's rates; household taxes follow the
+ * residents' wages.
+ */
+function computeSpillover(analysis, dataFiles, results, shares, scale, deflator, employmentTaxScale) {
+  const federal = dataFiles.employmentTaxRates.federal;
+  const neighborRuns = {};
+  for (const { state } of shares) {
+    const data = multipliersFor(dataFiles.multipliers, state, scale);
+    neighborRuns[state] = combinedImpact({ ...analysis, state }, analysis.revenues, null, data, deflator);
+  }
+  const split = splitSpillover(results, shares, neighborRuns);
+  const withTaxes = (state, role, part, share = null) => {
+    const stateEmp = scaleRates(dataFiles.employmentTaxRates.states[state], employmentTaxScale);
+    const { payrollTaxResult } = employmentTaxes(part.results, stateEmp, federal);
+    const wages = part.residentWages;
+    const householdTaxResult = {
+      direct: calculateHouseholdTax(wages.direct, stateEmp),
+      indirect: calculateHouseholdTax(wages.indirect, stateEmp),
+      induced: calculateHouseholdTax(wages.induced, stateEmp),
+      get total() { return this.direct + this.indirect + this.induced; },
+    };
+    return {
+      state, role, employee: share?.employee ?? 0, supplier: share?.supplier ?? 0,
+      results: part.results, residentWages: wages, payrollTaxResult, householdTaxResult,
+      employmentTax: (payrollTaxResult?.total || 0) + householdTaxResult.total,
+    };
+  };
+  const states = [
+    withTaxes(analysis.state, 'host', split.host, {
+      employee: 1 - shares.reduce((sum, n) => sum + n.employee, 0),
+      supplier: 1 - shares.reduce((sum, n) => sum + n.supplier, 0),
+    }),
+    ...split.neighbors.map((n) => withTaxes(n.state, 'neighbor', n, n)),
+  ];
+  const sum = (pick) => states.reduce((total, s) => total + pick(s), 0);
+  return {
+    states,
+    combined: {
+      totals: combineTotals(states.map((s) => s.results.totals)),
+      payrollTax: sum((s) => s.payrollTaxResult?.total || 0),
+      householdTax: sum((s) => s.householdTaxResult.total),
+      employmentTax: sum((s) => s.employmentTax),
+    },
+  };
+}
+
+/**
+ * The analysis' multiplierType setting applies throughout: Type I reporting
+ * (or a reduced induced share) is applied to the coefficient rows, so the
+ * results, taxes and net impact all follow it; with
+ * "both", `bundle.typeI` adds the Type I results and taxes beside the Type II ones.
+ *
+ * An imported multiplier set (analysis.multiplierSet) replaces the bundled
+ * rows sector by sector before any scaling; `bundle.multiplierSource` names
+ * the source each revenue stream used.
+ *
+ * The data files are those of the analysis' edition (analysis.vintage; see
+ * dataVintages.js), limited to the states it reads: `options.data`, or the
+ * data service's copy, which must have been loaded (see dataService.js).
+ * `bundle.vintage` names the edition.
+ *
+ * With analysis.region enabled, `bundle.region` splits the gross impacts into
+ * the host region and the rest of the state (see region.js). With
+ * analysis.spillover enabled, `bundle.spillover` splits them across the host
+ * and neighboring states, with each state's payroll and household taxes
+ * (see spillover.js). The headline results stay the single-state model.
+ *
+ * Options:
+ *   data      — the resolved data files (dataService.analysisData or
+ *               dataSlices.mergeSlices): the host state's slice and those of
+ *               the spillover neighbors. Passing it keeps the run pure.
+ *   year      — price year in place of the analysis year (analysis.cpi.year);
+ *               the pro forma passes each projection year.
+ *   projectedInflation — annual CPI growth for years past the CPI series
+ *               (pro forma); without it such years use the series' last index.
+ *   coefScale — { multiplier, employment, fields } factors applied to the
+ *               state's coefficients (Monte Carlo draws, tornado); 1 = as published.
+ *   employmentTaxScale — factors for the state's employment-tax rates
+ *               (e.g. { suta_avg_rate: 1.1 }).
+ *   trace     — record every step of the gross calculation in `bundle.trace`:
+ *               the CPI deflator, each revenue stream's multiplier sources
+ *               (fallback chain), known-data overrides and formula steps, the
+ *               gaming tax method tier by tier, fees, and payroll/household
+ *               tax components.
+ */
+export function computeScenario(analysis, options = {}) {
+  const { coefScale, employmentTaxScale } = options;
+  // Analysis-year dollars → 2019 dollars for the jobs coefficients
+  const cpi = resolveCpi(analysis.cpi, { year: options.year, projectedInflation: options.projectedInflation });
+  const { deflator } = cpi;
+  const trace = options.trace ? { cpi, streams: [] } : null;
+  const {
+    state, propertyType, inputMode, revenues, knownData,
+    gamingTaxCustomRate, slotRevenuePct,
+  } = analysis;
+
+  const isOnline = isOnlinePropertyType(propertyType);
+  const vintage = normalizeVintage(analysis.vintage);
+  const dataFiles = options.data || analysisData(analysis);
+
+  // Type I reporting or a reduced induced share pulls Type II toward Type I
+  const multiplierType = normalizeMultiplierType(analysis.multiplierType);
+  const induced = inducedFactor(multiplierType);
+  if (trace) trace.multiplierType = { ...multiplierType, induced };
+  const multiplierSet = normalizeMultiplierSet(analysis.multiplierSet);
+  const base = multiplierSet ? applyMultiplierSet(dataFiles.multipliers, multiplierSet, state) : dataFiles.multipliers;
+  const scale = induced !== 1 ? { ...coefScale, induced } : coefScale;
+  const data = multipliersFor(base, state, scale);
+  const results = combinedImpact(analysis, revenues, knownData, data, deflator, trace?.streams);
+
+  // Gaming tax (on GGR), or compact revenue sharing for a tribal operation
+  const stateTaxConfig = dataFiles.gamingTaxRates.rates[state];
   let gamingTaxResult = null;
+  const tribal = isTribalOperation(analysis, stateTaxConfig);
   const hasGamingTax = isOnline
     ? (propertyType === 'ONLINE_CASINO' ? stateTaxConfig?.hasIGaming : stateTaxConfig?.hasSportsBetting)
     : stateTaxConfig?.hasCommercial;
   const ggr = inputMode === 'total' ? (revenues.total || 0) : (revenues.gaming || 0);
   const hasCustom = gamingTaxCustomRate != null && gamingTaxCustomRate !== '';
-  if ((hasGamingTax || hasCustom) && ggr > 0) {
+  if (tribal && ggr > 0) {
+    const compact = calculateCompactPayment(ggr, stateTaxConfig.compact, {
+      slotRevenuePct, customRate: gamingTaxCustomRate, applyMinimum: analysis.tribal.applyMinimum,
+    });
+    gamingTaxResult = { amount: compact.amount, effectiveRate: compact.effectiveRate, ggr, fees: null, compact };
+    if (trace) trace.gamingTax = { method: 'compact', ggr, lines: compact.lines, amount: compact.amount, fees: [] };
+  } else if ((hasGamingTax || hasCustom) && ggr > 0) {
     const taxConfig = buildTaxConfig(stateTaxConfig, gamingTaxCustomRate, slotRevenuePct, propertyType);
-    const amount = calculateGamingTax(ggr, taxConfig);
-    gamingTaxResult = { amount, effectiveRate: ggr > 0 ? amount / ggr : 0, ggr };
+    const gamingTrace = trace ? {} : null;
+    const amount = calculateGamingTax(ggr, taxConfig, gamingTrace);
+    // Admission, per-wager, device and license fees, each its own line; not part of the effective rate
+    const fees = calculateGamingFees(taxConfig.fees, analysis.volumes);
+    gamingTaxResult = { amount, effectiveRate: ggr > 0 ? amount / ggr : 0, ggr, fees };
+    if (trace) trace.gamingTax = { ...gamingTrace, fees: fees?.lines || [] };
+  } else if (trace) {
+    trace.gamingTax = { method: 'none', ggr, amount: 0, fees: [] };
   }
 
+  // State vs. local vs. host-community split (commercial land-based operations only)
+  const localTaxResult = analysis.localTax?.enabled && !isOnline && !tribal && ggr > 0
+    ? calculateLocalTax(
+      {
+        ggr, slotRevenuePct, gamingTax: gamingTaxResult?.amount || 0,
+        fees: gamingTaxResult?.fees || null, annualVisits: analysis.volumes?.annualVisits,
+      },
+      localTaxConfig(stateTaxConfig, analysis.localTax.jurisdiction),
+      analysis.localTax,
+    )
+    : null;
+
   // Payroll + household taxes (on wages/employment)
-  const stateEmp = employmentTaxRatesData.states[state];
-  const federal = employmentTaxRatesData.federal;
-  let payrollTaxResult = null;
-  let householdTaxResult = null;
-  if (results && stateEmp) {
-    const w = results.totals.wages;
-    const e = results.totals.employment;
-    payrollTaxResult = {
-      direct: calculatePayrollTax(w.direct, e.direct, stateEmp, federal),
-      indirect: calculatePayrollTax(w.indirect, e.indirect, stateEmp, federal),
-      induced: calculatePayrollTax(w.induced, e.induced, stateEmp, federal),
-      get total() { return this.direct + this.indirect + this.induced; },
-    };
-    householdTaxResult = {
-      direct: calculateHouseholdTax(w.direct, stateEmp),
-      indirect: calculateHouseholdTax(w.indirect, stateEmp),
-      induced: calculateHouseholdTax(w.induced, stateEmp),
-      get total() { return this.direct + this.indirect + this.induced; },
-    };
-  }
+  const stateEmp = scaleRates(dataFiles.employmentTaxRates.states[state], employmentTaxScale);
+  const federal = dataFiles.employmentTaxRates.federal;
+  const { payrollTaxResult, householdTaxResult } = employmentTaxes(results, stateEmp, federal, trace);
 
-  const totalTax = (gamingTaxResult?.amount || 0)
-    + (results?.totals.tax.total || 0)
-    + (payrollTaxResult?.total || 0)
-    + (householdTaxResult?.total || 0);
+  const totalTax = sumTaxes(gamingTaxResult, results, payrollTaxResult, householdTaxResult, localTaxResult);
+  if (trace) trace.localLevies = (localTaxResult?.lines || []).filter(l => l.additional);
+
+  const typeI = results && multiplierType.report === 'both'
+    ? typeIBasis(results, gamingTaxResult, localTaxResult, stateEmp, federal)
+    : null;
+
+  // Host region vs. rest of state (gross impacts), once the region's employment share is known
+  const regionSettings = normalizeRegion(analysis.region);
+  const regionFactors = regionSettings.enabled ? regionalFactors(regionSettings) : null;
+  const regionSplit = splitRegion(results, regionFactors);
+  const region = regionSplit ? { ...regionSettings, factors: regionFactors, ...regionSplit } : null;
+
+  // Border properties: employees and supplier purchases in neighboring states
+  const shares = results ? spilloverShares(analysis.spillover, state, dataFiles.multipliers.states) : [];
+  const spillover = shares.length
+    ? computeSpillover(analysis, dataFiles, results, shares, scale, deflator, employmentTaxScale)
+    : null;
 
-  return { results, gamingTaxResult, payrollTaxResult, householdTaxResult, totalTax, stateTaxConfig };
+  // Gross vs. net: only when the analysis opts in to the net-impact adjustment
+  const net = results && analysis.netImpact?.enabled
+    ? computeNetImpact(analysis, results, gamingTaxResult, localTaxResult, stateEmp, federal, data, deflator)
+    : null;
+
+  return {
+    results, gamingTaxResult, localTaxResult, payrollTaxResult, householdTaxResult, totalTax, stateTaxConfig, net, cpi,
+    multiplierType, typeI, multiplierSource: describeMultiplierSource(results, multiplierSet), region, spillover,
+    vintage: { id: vintage, label: vintageLabel(vintage) },
+    ...(trace && { trace }),
+  };
 }
 
-/** Convenience: the headline scalars used in comparison/sensitivity views. */
-export function headlineMetrics(bundle) {
-  const r = bundle.results;
+/**
+ * Convenience: the headline scalars used in comparison/sensitivity views.
+ * Pass basis 'net' to read the net-impact figures when they were computed.
+ */
+export function headlineMetrics(bundle, basis = 'gross') {
+  const src = basis === 'net' && bundle.net ? bundle.net : bundle;
+  const r = src.results;
   if (!r) return null;
   return {
     output: r.totals.output.total,
     gdp: r.totals.gdp.total,
     employment: r.totals.employment.total,
     wages: r.totals.wages.total,
-    totalTax: bundle.totalTax,
+    totalTax: src.totalTax,
   };
 }
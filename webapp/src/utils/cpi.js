@@ -0,0 +1,141 @@
+/**
+ * Analysis year and CPI series.
+ *
+ * The jobs coefficients are calibrated to 2019 dollars, so GDP is deflated
+ * from the analysis year's dollars before they are applied. An analysis can
+ * name that year (null = the current year) and supply its own CPI values,
+ * either extending the bundled national CPI-U (years not yet in it, or a
+ * forecast) or replacing it — e.g. with the BLS regional CPI-U for the state's
+ * census region. No regional values are bundled; the user enters them from
+ * the BLS series for their region.
+ */
+import { CPI_ANNUAL_AVG, CPI_BASE_YEAR, CPI_LATEST_YEAR, CURRENT_YEAR, cpiIndex, getDeflator } from './calculations';
+
+export const DEFAULT_CPI = {
+  year: null,
+  series: null, // { label, mode: 'extend' | 'replace', values: { [year]: index } }
+};
+
+export const NATIONAL_CPI_LABEL = 'CPI-U, U.S. city average';
+
+/** BLS CPI-U series (annual average, all items) by census region. */
+export const CPI_REGION_SERIES = {
+  Northeast: 'CUUR0100SA0',
+  Midwest: 'CUUR0200SA0',
+  South: 'CUUR0300SA0',
+  West: 'CUUR0400SA0',
+};
+
+const CENSUS_REGIONS = {
+  Northeast: ['Connecticut', 'Maine', 'Massachusetts', 'New Hampshire', 'New Jersey', 'New York', 'Pennsylvania', 'Rhode Island', 'Vermont'],
+  Midwest: ['Illinois', 'Indiana', 'Iowa', 'Kansas', 'Michigan', 'Minnesota', 'Missouri', 'Nebraska', 'North Dakota', 'Ohio', 'South Dakota', 'Wisconsin'],
+  South: ['Alabama', 'Arkansas', 'Delaware', 'District of Columbia', 'Florida', 'Georgia', 'Kentucky', 'Louisiana', 'Maryland', 'Mississippi', 'North Carolina', 'Oklahoma', 'South Carolina', 'Tennessee', 'Texas', 'Virginia', 'West Virginia'],
+  West: ['Alaska', 'Arizona', 'California', 'Colorado', 'Hawaii', 'Idaho', 'Montana', 'Nevada', 'New Mexico', 'Oregon', 'Utah', 'Washington', 'Wyoming'],
+};
+
+/** The census region of a state and the BLS CPI-U series that covers it, or null. */
+export function cpiRegionFor(state) {
+  const region = Object.keys(CENSUS_REGIONS).find((r) => CENSUS_REGIONS[r].includes(state));
+  return region ? { region, seriesId: CPI_REGION_SERIES[region] } : null;
+}
+
+/** Merge saved/partial settings over the defaults; drops values that are not a positive index for a year. */
+export function normalizeCpi(c) {
+  const s = c?.series && typeof c.series === 'object' ? c.series : null;
+  const values = {};
+  for (const [y, v] of Object.entries(s?.values || {})) {
+    if (/^\d{4}$/.test(y) && typeof v === 'number' && v > 0) values[y] = v;
+  }
+  return {
+    year: Number.isInteger(c?.year) ? c.year : null,
+    series: s ? { label: typeof s.label === 'string' ? s.label : '', mode: s.mode === 'replace' ? 'replace' : 'extend', values } : null,
+  };
+}
+
+/**
+ * Parse pasted CPI values: one "year, index" pair per line (comma, tab or
+ * space separated). Lines that do not start with a year — headers, notes —
+ * are skipped; a year with a missing or non-positive index is an error.
+ * @returns {{ values: object, errors: string[] }}
+ */
+export function parseCpiValues(text) {
+  const values = {};
+  const errors = [];
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    const [y, v] = line.trim().split(/[\s,;]+/);
+    if (!/^\d{4}$/.test(y || '')) return;
+    const index = Number(v);
+    if (!(index > 0)) errors.push(`Line ${i + 1}: ${y} needs a positive index value`);
+    else values[y] = index;
+  });
+  return { values, errors };
+}
+
+/** CPI values as "year, index" lines, the inverse of parseCpiValues. */
+export function formatCpiValues(values) {
+  return Object.keys(values || {}).sort().map((y) => `${y}, ${values[y]}`).join('\n');
+}
+
+/**
+ * The CPI series, year and deflator an analysis uses, with warnings when the
+ * year falls outside the series.
+ *
+ * @param {object} settings - analysis.cpi
+ * @param {{ year?: number, projectedInflation?: number }} [opts] - `year`
+ *   overrides the analysis year (pro forma years); with `projectedInflation`
+ *   a year past the series is projected forward rather than flagged.
+ * @returns {{ year, baseYear, label, custom: boolean, index, baseIndex, deflator,
+ *   firstYear, lastYear, latestPublished, coverage: 'series'|'before'|'gap'|'after'|'projected', warnings: string[] }}
+ */
+export function resolveCpi(settings, { year: yearOverride, projectedInflation = null } = {}) {
+  const { year: analysisYear, series } = normalizeCpi(settings);
+  const year = yearOverride ?? analysisYear ?? CURRENT_YEAR;
+  const warnings = [];
+
+  let values = CPI_ANNUAL_AVG;
+  let label = NATIONAL_CPI_LABEL;
+  const userYears = Object.keys(series?.values || {});
+  if (userYears.length && series.mode === 'replace') {
+    if (series.values[CPI_BASE_YEAR]) {
+      values = series.values;
+      label = series.label || 'User-supplied CPI';
+    } else {
+      warnings.push(`${series.label || 'The supplied CPI series'} has no ${CPI_BASE_YEAR} value, the base year of the jobs coefficients; the national CPI-U is used instead.`);
+    }
+  } else if (userYears.length) {
+    values = { ...CPI_ANNUAL_AVG, ...series.values };
+    label = series.label || `${NATIONAL_CPI_LABEL}, extended`;
+  }
+
+  const years = Object.keys(values).map(Number).sort((a, b) => a - b);
+  const firstYear = years[0];
+  const lastYear = years[years.length - 1];
+  let coverage = 'series';
+  if (!values[year]) {
+    if (year > lastYear) {
+      coverage = projectedInflation != null ? 'projected' : 'after';
+      if (coverage === 'after') warnings.push(`${label} ends in ${lastYear}, so ${year} dollars are deflated with the ${lastYear} index.`);
+    } else if (year < firstYear) {
+      coverage = 'before';
+      warnings.push(`${label} starts in ${firstYear}, so ${year} dollars are deflated with the ${firstYear} index.`);
+    } else {
+      coverage = 'gap';
+      warnings.push(`${label} has no ${year} value; the nearest earlier year is used.`);
+    }
+  }
+
+  return {
+    year,
+    baseYear: CPI_BASE_YEAR,
+    label,
+    custom: values !== CPI_ANNUAL_AVG,
+    index: cpiIndex(year, projectedInflation, values),
+    baseIndex: values[CPI_BASE_YEAR],
+    deflator: getDeflator(year, projectedInflation, values),
+    firstYear,
+    lastYear,
+    latestPublished: CPI_LATEST_YEAR,
+    coverage,
+    warnings,
+  };
+}
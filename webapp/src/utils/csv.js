@@ -0,0 +1,35 @@
+/**
+ * CSV reading shared by the spreadsheet imports (batch analyses, multiplier
+ * sets). Cells come back trimmed, with empty cells as null, in the same
+ * shape readXLSX returns.
+ */
+
+/** Parse CSV text (RFC 4180 quoting; comma, semicolon or tab delimited). */
+export function parseCSV(text) {
+  const src = text.replace(/^﻿/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.map((r) => r.map((v) => (v.trim() === '' ? null : v.trim())));
+}
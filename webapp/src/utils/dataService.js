@@ -0,0 +1,233 @@
+/**
+ * Async access to the model data: each edition's index and the per-state
+ * slices (see dataSlices.js), fetched on demand and cached in memory and —
+ * in the browser — in IndexedDB, so a returning visitor only downloads what
+ * changed.
+ *
+ * Loading is asynchronous; reading is not. Callers load what an analysis
+ * needs (loadAnalysisData) before computing it, and the engine reads the
+ * resolved data synchronously (analysisData), or is handed it directly
+ * (computeScenario's `data` option).
+ *
+ * The default source fetches the files the build writes under model-data/.
+ * The CLI and compute API install bundledSource (src/data/bundledEditions.js),
+ * which slices the full files in memory.
+ */
+import { STATE_NEIGHBORS } from '../data/stateNeighbors';
+import { CURRENT_VINTAGE, DATA_VINTAGES, describeVintage, normalizeVintage, vintageLabel } from './dataVintages';
+import { mergeSlices, stateFileName } from './dataSlices';
+import { spilloverShares } from './spillover';
+
+const DB_NAME = 'gems-data';
+const DB_STORE = 'slices';
+
+function dataURL(vintage, file) {
+  return `${import.meta.env.BASE_URL}model-data/${vintage}/${file}`;
+}
+
+async function fetchJSON(url, init) {
+  const res = await fetch(url, init);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * The static files written by the build. Slices carry the index stamp in the
+ * URL, so the HTTP cache never serves a slice from another build.
+ */
+const fetchSource = {
+  persistent: true,
+  index: (vintage) => fetchJSON(dataURL(vintage, 'index.json'), { cache: 'no-cache' }),
+  state: (vintage, state, index) => fetchJSON(`${dataURL(vintage, stateFileName(state))}?v=${index.stamp}`),
+};
+
+let source = fetchSource;
+
+/**
+ * Where the data comes from: { index(vintage), state(vintage, state, index) },
+ * both returning promises, and `persistent` to keep slices in IndexedDB.
+ * Clears the memory cache.
+ */
+export function setDataSource(next) {
+  source = next;
+  indexes.clear();
+  slices.clear();
+  pending.clear();
+  merged.clear();
+}
+
+// ---------------------------------------------------------------- IndexedDB
+
+let db = null;
+
+// Resolves to null where IndexedDB is unavailable (Node, some private modes)
+function openCache() {
+  if (!db) {
+    db = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return db;
+}
+
+async function cached(key, stamp) {
+  const store = await openCache();
+  if (!store) return null;
+  return new Promise((resolve) => {
+    const req = store.transaction(DB_STORE).objectStore(DB_STORE).get(key);
+    req.onsuccess = () => resolve(req.result?.stamp === stamp ? req.result.slice : null);
+    req.onerror = () => resolve(null);
+  });
+}
+
+async function cache(key, stamp, slice) {
+  const store = await openCache();
+  if (!store) return;
+  try {
+    store.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE).put({ stamp, slice }, key);
+  } catch {
+    // Quota or a closed connection: the slice is still in memory
+  }
+}
+
+// ---------------------------------------------------------------- loading
+
+const indexes = new Map(); // vintage -> index
+const slices = new Map(); // "vintage/state" -> slice
+const pending = new Map(); // "vintage" or "vintage/state" -> promise
+const merged = new Map(); // "vintage/state,state" -> merged data
+
+function once(key, load) {
+  if (!pending.has(key)) {
+    const request = load().finally(() => pending.delete(key));
+    pending.set(key, request);
+  }
+  return pending.get(key);
+}
+
+function failed(vintage, what, err) {
+  return new Error(`Could not load the ${vintageLabel(vintage)} data${what ? ` for ${what}` : ''} (${err?.message || err})`);
+}
+
+/**
+ * Fetch an edition's index (once; concurrent calls share the request).
+ * @returns {Promise<object>} the index (see dataSlices.editionIndex)
+ */
+export function loadVintage(id) {
+  const vintage = normalizeVintage(id);
+  if (indexes.has(vintage)) return Promise.resolve(indexes.get(vintage));
+  return once(vintage, () => source.index(vintage).then(
+    (index) => { indexes.set(vintage, index); return index; },
+    (err) => { throw failed(vintage, null, err); },
+  ));
+}
+
+export function isVintageLoaded(id) {
+  return indexes.has(normalizeVintage(id));
+}
+
+/** A loaded edition's index, or null. */
+export function vintageIndex(id) {
+  return indexes.get(normalizeVintage(id)) || null;
+}
+
+/** Vintage of each data file of an edition (null until its index is loaded). */
+export function vintageInfo(id) {
+  const vintage = normalizeVintage(id);
+  const index = indexes.get(vintage);
+  if (index) return describeVintage(index);
+  return vintage === CURRENT_VINTAGE ? DATA_VINTAGES : null;
+}
+
+/**
+ * Fetch one state's slice: from memory, then IndexedDB, then the source.
+ * @returns {Promise<object>} the slice (see dataSlices.sliceEdition)
+ */
+export function loadStateData(state, id) {
+  const vintage = normalizeVintage(id);
+  const key = `${vintage}/${state}`;
+  if (slices.has(key)) return Promise.resolve(slices.get(key));
+  return once(key, async () => {
+    const index = await loadVintage(vintage);
+    if (!index.states.includes(state)) throw failed(vintage, state, 'no model data');
+    let slice = source.persistent ? await cached(key, index.stamp) : null;
+    if (!slice) {
+      try {
+        slice = await source.state(vintage, state, index);
+      } catch (err) {
+        throw failed(vintage, state, err);
+      }
+      if (source.persistent) cache(key, index.stamp, slice);
+    }
+    slices.set(key, slice);
+    return slice;
+  });
+}
+
+export function isStateLoaded(state, id) {
+  return slices.has(`${normalizeVintage(id)}/${state}`);
+}
+
+/** A loaded state slice, or null. */
+export function stateSlice(state, id) {
+  return slices.get(`${normalizeVintage(id)}/${state}`) || null;
+}
+
+/**
+ * The states an analysis reads: its own and the neighbors it spills over
+ * into, limited to states with model data once the index is known.
+ */
+export function analysisStates(analysis) {
+  const states = [analysis.state, ...spilloverShares(analysis.spillover, analysis.state).map((n) => n.state)];
+  const index = vintageIndex(analysis.vintage);
+  return states.filter((s) => s && (!index || index.states.includes(s)));
+}
+
+/**
+ * Fetch everything an analysis reads: its edition's index and the slices of
+ * its states.
+ * @returns {Promise<object>} the resolved data (see analysisData)
+ */
+export async function loadAnalysisData(analysis) {
+  await loadVintage(analysis.vintage);
+  await Promise.all(analysisStates(analysis).map((s) => loadStateData(s, analysis.vintage)));
+  return analysisData(analysis);
+}
+
+export function isAnalysisDataLoaded(analysis) {
+  return isVintageLoaded(analysis.vintage) && analysisStates(analysis).every((s) => isStateLoaded(s, analysis.vintage));
+}
+
+/**
+ * The data an analysis reads, in the shape of the data files and holding only
+ * its states: { multipliers, gamingTaxRates, employmentTaxRates }. Throws when
+ * any of it has not been loaded (see loadAnalysisData).
+ */
+export function analysisData(analysis) {
+  const vintage = normalizeVintage(analysis.vintage);
+  const index = indexes.get(vintage);
+  if (!index) throw new Error(`The ${vintageLabel(vintage)} data is not loaded`);
+  const states = analysisStates(analysis);
+  const missing = states.filter((s) => !isStateLoaded(s, vintage));
+  if (missing.length) throw new Error(`The ${vintageLabel(vintage)} data for ${missing.join(', ')} is not loaded`);
+  const key = `${vintage}/${states.join(',')}`;
+  if (!merged.has(key)) merged.set(key, mergeSlices(index, states.map((s) => slices.get(`${vintage}/${s}`))));
+  return merged.get(key);
+}
+
+/**
+ * Fetch the neighboring states' slices in the background, so switching to a
+ * neighbor, adding it as a spillover state or comparing against it needs no
+ * round trip. Failures are ignored; the state loads again when needed.
+ */
+export function preloadNeighbors(state, id) {
+  const index = vintageIndex(id);
+  if (!index) return;
+  for (const n of STATE_NEIGHBORS[state] || []) {
+    if (index.states.includes(n) && !isStateLoaded(n, id)) loadStateData(n, id).catch(() => {});
+  }
+}
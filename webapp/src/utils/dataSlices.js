@@ -0,0 +1,93 @@
+/**
+ * Per-state slices of a data edition, so the browser only fetches the states
+ * an analysis uses instead of every state's coefficients.
+ *
+ * An edition's index holds what is not per state: the state list, file
+ * metadata, property-type labels, federal employment-tax rates and the
+ * all-state gambling rows the comparison charts read. A slice holds one
+ * state's multiplier rows (sectors, gambling, property types, online gaming)
+ * and its gaming and employment tax rates.
+ *
+ * These functions are pure. The build writes the index and slices as static
+ * files (vite.dataPlugin.js), the CLI and compute API slice the full files in
+ * memory (src/data/bundledEditions.js), and the data service merges an index
+ * and the slices it has fetched back into the shape of the data files, limited
+ * to those states — which is what the engine reads.
+ */
+
+/** Columns of the all-state rows kept in the index for the comparison charts. */
+const COMPARISON_COLUMNS = [
+  'State', 'Abbrev', 'Emp_Coef', 'Type_II_Output', 'Type_II_VA', 'Type_II_Wage', 'Direct_VA_Coef', 'Direct_Wage_Coef',
+];
+
+/** "New Mexico" → "new-mexico.json" */
+export function stateFileName(state) {
+  return `${String(state).toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+}
+
+/** FNV-1a hash of the edition's files; changes whenever any value does. */
+function stampOf(edition) {
+  const text = JSON.stringify(edition);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * The shared part of an edition.
+ * @param {{ multipliers, gamingTaxRates, employmentTaxRates }} edition - the full data files
+ */
+export function editionIndex(edition) {
+  const { multipliers: m, gamingTaxRates: g, employmentTaxRates: e } = edition;
+  const comparison = (rows) => (rows || []).map((d) => Object.fromEntries(COMPARISON_COLUMNS.filter((c) => c in d).map((c) => [c, d[c]])));
+  return {
+    stamp: stampOf(edition),
+    states: m.states || [],
+    multipliers: { metadata: m.metadata, propertyTypeMetadata: m.propertyTypeMetadata },
+    gamingTaxRates: { metadata: g.metadata },
+    employmentTaxRates: { _metadata: e._metadata, federal: e.federal },
+    comparison: { gambling: comparison(m.gambling), onlineGaming: comparison(m.onlineGaming) },
+  };
+}
+
+/** One state's rows and rates from the full data files. */
+export function sliceEdition(edition, state) {
+  const m = edition.multipliers;
+  const forState = (rows) => (rows || []).filter((d) => d.State === state);
+  return {
+    state,
+    multipliers: {
+      multipliers: forState(m.multipliers),
+      gambling: forState(m.gambling),
+      onlineGaming: forState(m.onlineGaming),
+      propertyTypes: Object.fromEntries(Object.entries(m.propertyTypes || {}).map(([code, rows]) => [code, forState(rows)])),
+    },
+    gamingTaxRates: edition.gamingTaxRates.rates?.[state] ?? null,
+    employmentTaxRates: edition.employmentTaxRates.states?.[state] ?? null,
+  };
+}
+
+/**
+ * An index and state slices in the shape of the data files, holding only
+ * those states: { multipliers, gamingTaxRates, employmentTaxRates }.
+ */
+export function mergeSlices(index, slices) {
+  const rows = (pick) => slices.flatMap((s) => pick(s.multipliers) || []);
+  const codes = [...new Set(slices.flatMap((s) => Object.keys(s.multipliers.propertyTypes || {})))];
+  const byState = (pick) => Object.fromEntries(slices.filter((s) => pick(s)).map((s) => [s.state, pick(s)]));
+  return {
+    multipliers: {
+      ...index.multipliers,
+      states: slices.map((s) => s.state),
+      multipliers: rows((m) => m.multipliers),
+      gambling: rows((m) => m.gambling),
+      onlineGaming: rows((m) => m.onlineGaming),
+      propertyTypes: Object.fromEntries(codes.map((code) => [code, rows((m) => m.propertyTypes?.[code])])),
+    },
+    gamingTaxRates: { ...index.gamingTaxRates, rates: byState((s) => s.gamingTaxRates) },
+    employmentTaxRates: { ...index.employmentTaxRates, states: byState((s) => s.employmentTaxRates) },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Data editions ("vintages") of the model's data files, and the model
+ * version and vintage metadata used to stamp results that leave the app (API
+ * responses, saved files) so a reader can tell which edition produced them.
+ *
+ * Each edition is a set of the three data files — multipliers, gaming tax
+ * rates and employment tax rates. The current edition's files are in
+ * src/data/; earlier ones go in src/data/vintages/<id>/ and are listed in
+ * VINTAGES. The app never bundles the files: the build writes each edition
+ * as an index and per-state slices that the data service (dataService.js)
+ * fetches on demand, and the CLI and compute API read the full files
+ * (src/data/bundledEditions.js).
+ *
+ * Only the current edition's metadata, state list and property types are
+ * imported here (named imports, so the rows stay out of the bundle), for
+ * validation and labels that cannot wait for a fetch.
+ */
+import { metadata as multiplierMetadata, states, propertyTypeMetadata } from '../data/multipliers.json';
+import { metadata as gamingTaxMetadata } from '../data/gamingTaxRates.json';
+import { _metadata as employmentTaxMetadata } from '../data/employmentTaxRates.json';
+import { BRAND } from '../brand';
+
+export const MODEL_VERSION = `${BRAND.productName} ${BRAND.modelVersion}`;
+
+/** The bundled edition, selected when an analysis names none. */
+export const CURRENT_VINTAGE = BRAND.modelVersion;
+
+/** The edition every analysis used before the edition became an input. */
+export const LEGACY_VINTAGE = '2026';
+
+/** Selectable editions, newest first. */
+export const VINTAGES = [
+  { id: CURRENT_VINTAGE, label: MODEL_VERSION },
+];
+
+/** States with model data in the current edition. */
+export const MODEL_STATES = states;
+
+/** Property-type codes and labels of the current edition. */
+export const PROPERTY_TYPE_METADATA = propertyTypeMetadata;
+
+/** A known edition id, or the current edition. */
+export function normalizeVintage(id) {
+  return id != null && VINTAGES.some((v) => v.id === String(id)) ? String(id) : CURRENT_VINTAGE;
+}
+
+/** "GEMS 2026" */
+export function vintageLabel(id) {
+  const key = normalizeVintage(id);
+  return VINTAGES.find((v) => v.id === key).label;
+}
+
+/** Vintage of each data file, from the files' (or an edition index's) metadata. */
+export function describeVintage({ multipliers, gamingTaxRates, employmentTaxRates }) {
+  return {
+    multipliers: {
+      dataYear: multipliers.metadata?.dataYear ?? null,
+      ioTableYear: multipliers.metadata?.ioTableYear ?? null,
+      qcewYear: multipliers.metadata?.qcewYear ?? null,
+      exported: multipliers.metadata?.exportDate ?? null,
+    },
+    gamingTaxRates: {
+      sourceYear: gamingTaxRates.metadata?.sourceYear ?? null,
+    },
+    employmentTaxRates: {
+      sources: employmentTaxRates._metadata?.sources ?? null,
+    },
+  };
+}
+
+/** Vintage of each data file of the current edition. */
+export const DATA_VINTAGES = describeVintage({
+  multipliers: { metadata: multiplierMetadata },
+  gamingTaxRates: { metadata: gamingTaxMetadata },
+  employmentTaxRates: { _metadata: employmentTaxMetadata },
+});
+
+/**
+ * Leaf-by-leaf differences between recorded vintages (from a saved file or
+ * snapshot) and the running app's.
+ * @returns {Array<{ field: string, file: *, current: * }>}
+ */
+export function compareVintages(recorded, current = DATA_VINTAGES, path = '') {
+  const out = [];
+  for (const key of new Set([...Object.keys(current || {}), ...Object.keys(recorded || {})])) {
+    const a = recorded?.[key];
+    const b = current?.[key];
+    const field = path ? `${path}.${key}` : key;
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a)) out.push(...compareVintages(a, b, field));
+    else if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) out.push({ field, file: a ?? null, current: b ?? null });
+  }
+  return out;
+}
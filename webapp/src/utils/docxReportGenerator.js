@@ -23,6 +23,11 @@ import {
 } from 'docx';
 import { formatNumber, formatCurrency, formatJobs } from './calculations';
 import { BRAND, PRODUCT_NAME_VERSIONED, getSuggestedCitation } from '../brand';
+import { TRACE_METRICS, traceSections } from './calculationTrace';
+import { describeMultiplierType, isDefaultMultiplierType, multiplierTypeLabel, normalizeMultiplierType } from './multiplierType';
+import { BUNDLED_SOURCE_LABEL } from './multiplierSets';
+import { REGION_KINDS, describeRegion, regionLabel } from './region';
+import { describeSpillover } from './spillover';
 
 // ---- palette --------------------------------------------------------------
 const C = {
@@ -162,14 +167,15 @@ function stackedBar({ direct, indirect, induced }) {
   });
 }
 
-/** Legend for the stacked bars. */
-function barLegend() {
+/** Legend for the stacked bars (no induced entry on a Type I basis). */
+function barLegend(showInduced = true) {
   const item = (color, label, last) => [
     new TextRun({ text: '■ ', font: SANS, color, size: 20 }),
     new TextRun({ text: label + (last ? '' : '       '), font: SANS, color: C.muted, size: 16 }),
   ];
   return new Paragraph({ spacing: { before: 80, after: 220 }, children: [
-    ...item(BAR.direct, 'Direct'), ...item(BAR.indirect, 'Indirect'), ...item(BAR.induced, 'Induced', true),
+    ...item(BAR.direct, 'Direct'), ...item(BAR.indirect, 'Indirect', !showInduced),
+    ...(showInduced ? item(BAR.induced, 'Induced', true) : []),
   ] });
 }
 
@@ -204,9 +210,25 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
   const gaming = inputs.gamingTaxResult;
   const payroll = inputs.payrollTaxResult;
   const household = inputs.householdTaxResult;
+  const net = inputs.netResult?.results ? inputs.netResult : null;
 
   const indOut = t.output.indirect + t.output.induced; // ripple output
-  const totalTax = (gaming?.amount || 0) + t.tax.total + (payroll?.total || 0) + (household?.total || 0);
+  const local = inputs.localTaxResult || null;
+  const fees = gaming?.fees?.lines.length ? gaming.fees : null;
+  const compact = gaming?.compact || null; // tribal operation: revenue sharing, not a tax
+  const cpiInfo = inputs.cpiResult || null; // price year, CPI series and deflator used for employment
+  const basis = normalizeMultiplierType(inputs.multiplierTypeResult); // Type I / Type II / both, induced share
+  const typeOnly = basis.report === 'typeI';
+  const kind = typeOnly ? 'Type I' : 'Type II';
+  const typeI = inputs.typeIResult || null; // Type I results and taxes beside Type II ("both")
+  const region = inputs.regionResult?.host ? inputs.regionResult : null; // host region vs. rest of state
+  const regionName = region ? regionLabel(region) : null;
+  const regionSection = `6.${8 + (byRevenue.length > 1 ? 1 : 0)}`; // after the streams section
+  const spillover = inputs.spilloverResult?.states ? inputs.spilloverResult : null; // impacts by state (border property)
+  const spilloverSection = `6.${8 + (byRevenue.length > 1 ? 1 : 0) + (region ? 1 : 0)}`;
+  const source = inputs.multiplierSourceResult?.custom ? inputs.multiplierSourceResult : null; // imported multiplier set
+  const effectsNote = typeOnly ? 'Totals include direct and indirect effects (Type I).' : 'Totals include direct, indirect, and induced effects.';
+  const totalTax = (gaming?.amount || 0) + (fees?.total || 0) + (local?.additional || 0) + t.tax.total + (payroll?.total || 0) + (household?.total || 0);
 
   // Derived metrics for richer narrative (full-dollar values where noted)
   const usd0 = (v) => '$' + Math.round(v).toLocaleString('en-US');
@@ -272,6 +294,7 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     ['Appendix B', 'Glossary of Key Terms'],
     ['Appendix C', 'About the Author and GP Consulting'],
     ['Appendix D', 'Model Inputs and Parameters'],
+    ...(inputs.calculationTrace ? [['Appendix E', 'Calculation Trace']] : []),
     ['', 'References'],
   ];
   const tocLine = (num, title) => new Paragraph({
@@ -323,7 +346,7 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     bullet([r(`Approximately `, {}), r(`${m$(totalTax)} in annual public revenue`, { bold: true, color: C.ink }), r(`, combining gaming-specific taxes with production, payroll, and household taxes generated by the activity.`)]),
     fig('Composition of total economic output, by effect'),
     stackedBar(t.output),
-    barLegend(),
+    barLegend(!typeOnly),
     P([
       r(`These estimates are conservative by construction. They measure activity contained within ${stateName}, excluding spending that "leaks" to other states, and they report `, {}),
       r(`gross`, { italics: true }),
@@ -346,6 +369,8 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
       : P(`As a ${typeLower}, the operation combines gaming with a characteristic mix of ancillary activities — which may include food and beverage, lodging, entertainment, and retail — each with its own labor intensity and supply-chain profile. The model accounts for this composition when estimating direct effects and the multipliers that follow.`),
     H2('2.3   Study area and geographic scope'),
     P(`The geographic scope of this analysis is the State of ${stateName}. All impacts are estimated at the state level using a state-specific input-output model. This boundary is significant: only economic activity that remains within ${stateName} is counted. Purchases the operation and its suppliers make from out-of-state vendors, and spending by workers that occurs outside the state, are treated as leakages and excluded. The result is a deliberately conservative estimate of the in-state economic contribution.`),
+    ...(region ? [P(`Because local governments are most concerned with the area around the facility, the state results are also apportioned between ${regionName}, the host ${(REGION_KINDS.find((k) => k.value === region.kind)?.label || 'region').toLowerCase()}, and the rest of ${stateName} (Section ${regionSection}).`)] : []),
+    ...(spillover ? [P(`Because the operation draws employees and suppliers from across the state line, the part of the impact that spills over into ${spillover.states.slice(1).map((s) => s.state).join(' and ')} is also estimated, with each state's own multipliers and tax rates (Section ${spilloverSection}).`)] : []),
     H2('2.4   Organization of this report'),
     P(`Section 3 describes the economic role of gaming operations and why impact measurement matters. Section 4 sets out the analytical framework, including the input-output approach and the meaning of direct, indirect, and induced effects. Section 5 documents the data sources, industry classification, and key assumptions. Sections 6 and 7 present the economic and fiscal results in detail. Section 8 discusses interpretation, and Section 9 sets out the limitations of the analysis. Technical notes, a glossary, and references appear in the appendices.`),
   );
@@ -395,9 +420,9 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
       fnref(2),
       r(` The inverse captures not only the first round of supplier purchases but every subsequent round, converging to a finite total because some spending leaks out of the regional economy at each step.`),
     ]),
-    P(`A distinction is drawn between Type I and Type II multipliers. Type I multipliers capture direct and indirect effects only — the operation and its supply chain. Type II multipliers additionally endogenize household spending, capturing the induced effect as well. This report uses Type II multipliers, which provide the more complete picture of an operation's total economic footprint and are standard in economic impact practice.`),
+    P(`A distinction is drawn between Type I and Type II multipliers. Type I multipliers capture direct and indirect effects only — the operation and its supply chain. Type II multipliers additionally endogenize household spending, capturing the induced effect as well. ${isDefaultMultiplierType(basis) ? 'This report uses Type II multipliers, which provide the more complete picture of an operation\'s total economic footprint and are standard in economic impact practice.' : describeMultiplierType(basis)}`),
     P([
-      r(`For ${op}, the estimated Type II output multiplier is ${formatNumber(mlt.output, 2)}, meaning that each dollar of direct output supports a total of ${formatNumber(mlt.output, 2)} dollars of output across the ${stateName} economy. The corresponding multipliers for value added, employment, and labor income are ${formatNumber(mlt.gdp, 2)}, ${formatNumber(mlt.employment, 2)}, and ${formatNumber(mlt.wages, 2)}, respectively. These values reflect the specific industry composition and supply-chain structure of a ${typeLower} operating in ${stateName}.`),
+      r(`For ${op}, the estimated ${kind} output multiplier is ${formatNumber(mlt.output, 2)}, meaning that each dollar of direct output supports a total of ${formatNumber(mlt.output, 2)} dollars of output across the ${stateName} economy. The corresponding multipliers for value added, employment, and labor income are ${formatNumber(mlt.gdp, 2)}, ${formatNumber(mlt.employment, 2)}, and ${formatNumber(mlt.wages, 2)}, respectively. These values reflect the specific industry composition and supply-chain structure of a ${typeLower} operating in ${stateName}.`),
     ]),
     H2('4.4   Measures of economic impact'),
     P(`The analysis reports four complementary measures of economic activity, each answering a different question.`),
@@ -407,7 +432,7 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     bullet([r('Labor income', { bold: true, color: C.navy }), r(` comprises the wages, salaries, and benefits earned by those workers — the share of value added that flows to households as compensation.`)]),
     H2('4.5   A worked illustration'),
     P(`The mechanics of the multiplier can be made concrete using this operation's own figures. The analysis begins with ${m$(t.output.direct)} of direct output at ${op}. To produce that output, the operation purchases goods and services from its suppliers; those suppliers expand production and purchase from their own suppliers, generating a first round of indirect activity. Across all such rounds, the supply chain contributes a further ${m$(t.output.indirect)} of output.`),
-    P(`Meanwhile, the workers employed by the operation and throughout its supply chain receive income, a portion of which they spend within ${stateName} on housing, food, and other goods and services. This household spending supports an additional ${m$(t.output.induced)} of induced output. Summing the three rounds yields total output of ${m$(t.output.total)} — the ${formatNumber(mlt.output, 2)} multiplier in concrete terms. Each successive round is smaller than the last, because at every step a fraction of spending leaks out of the state economy through imports, savings, and taxes; this is why the series converges to a finite total rather than expanding without limit.`),
+    P(`Meanwhile, the workers employed by the operation and throughout its supply chain receive income, a portion of which they spend within ${stateName} on housing, food, and other goods and services. ${typeOnly ? `That household spending would support further induced output, which the Type I basis of this report does not count. Summing the two rounds yields` : `This household spending supports an additional ${m$(t.output.induced)} of induced output. Summing the three rounds yields`} total output of ${m$(t.output.total)} — the ${formatNumber(mlt.output, 2)} multiplier in concrete terms. Each successive round is smaller than the last, because at every step a fraction of spending leaks out of the state economy through imports, savings, and taxes; this is why the series converges to a finite total rather than expanding without limit.`),
   );
 
   // ===== 5. DATA AND METHODOLOGY
@@ -416,7 +441,9 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     P(`The credibility of an input-output analysis rests on the quality and appropriateness of the underlying data. This section documents the sources, the industry classification used to isolate gaming activity, the treatment of revenue inputs, the estimation of fiscal impacts, and the key assumptions that govern the results.`),
     H2('5.1   Data sources'),
     P(`The model is built entirely on official, publicly documented federal data, which supports transparency and replicability:`),
-    bullet([rs('State input-output multipliers. ', { bold: true, color: C.navy, font: SERIF }), r(`Regional multipliers are derived from the U.S. Environmental Protection Agency's state input-output models (the stateior dataset), which provide state-specific accounts of inter-industry relationships.`), fnref(5)]),
+    source
+      ? bullet([rs('State input-output multipliers. ', { bold: true, color: C.navy, font: SERIF }), r(`This analysis uses multipliers supplied for it: ${source.label}${source.importedAt ? `, imported ${source.importedAt.slice(0, 10)}` : ''}. They were applied to ${source.streams.filter(s => s.custom).map(s => s.label).join(', ') || 'no revenue stream'}${source.fallback.length ? `; the set has no row for ${source.fallback.join(', ')}, which use the model's multipliers from the U.S. Environmental Protection Agency's state input-output models (the stateior dataset)` : ''}.`), ...(source.fallback.length ? [fnref(5)] : [])])
+      : bullet([rs('State input-output multipliers. ', { bold: true, color: C.navy, font: SERIF }), r(`Regional multipliers are derived from the U.S. Environmental Protection Agency's state input-output models (the stateior dataset), which provide state-specific accounts of inter-industry relationships.`), fnref(5)]),
     bullet([rs('Employment and wages. ', { bold: true, color: C.navy, font: SERIF }), r(`Industry-level employment and wage data are drawn from the U.S. Bureau of Labor Statistics Quarterly Census of Employment and Wages (QCEW), which provides a near-complete census of covered employment by state and industry.`)]),
     bullet([rs('Detailed industry accounts. ', { bold: true, color: C.navy, font: SERIF }), r(`The U.S. Bureau of Economic Analysis detail-level input-output accounts are used to isolate gambling-specific production and consumption patterns from the broader sectors in which they are otherwise embedded.`)]),
     bullet([rs('Price adjustments. ', { bold: true, color: C.navy, font: SERIF }), r(`The Consumer Price Index is used to express monetary values in a consistent dollar year.`)]),
@@ -431,10 +458,14 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
       ? P(`Online gaming operations differ from land-based casinos in ways that materially affect their economic footprint. They employ on the order of one worker per million dollars of revenue, compared with roughly five for a typical land-based casino, and their workforces are concentrated in higher-paid technology, product, marketing, and compliance roles. Their supply chains are also more geographically dispersed and less locally embedded. The model reflects these features through online-specific coefficients. A particularly important implication is geographic: the direct, indirect, and induced effects estimated here accrue to the state in which the operator's workforce is located. Where an operator is headquartered outside ${stateName}, most of the economic impact other than gaming-tax revenue would accrue to that other state. For this reason, online estimates are most accurate when operation-specific in-state employment and wage data are supplied.`)
       : P(`Different gaming establishments have markedly different economic profiles. An integrated resort with hotel and casino is far more labor-intensive and draws on a broader supply chain than a slot parlor or a bar with gaming machines. Applying a single industry-average multiplier across these property types would misstate the impact of any individual operation. The model therefore selects coefficients calibrated to a ${typeLower}, so that the estimated employment intensity, wage rates, and inter-industry linkages match the operation actually being analyzed.`),
     H2('5.4   Revenue inputs and the demand shock'),
-    P(`The analysis takes ${m$(totalRevenue)} of ${isOnline ? 'gross gaming revenue' : 'operating revenue'} as the final-demand shock applied to the input-output system. ${inputMode === 'total' ? 'Revenue is modeled in aggregate.' : 'Where revenue is resolved into its component streams, each stream is mapped to the appropriate production structure so that the composition of the operation’s activity is reflected in the direct effects.'} ${results.hasUserData ? 'Operation-supplied employment and wage figures were incorporated for the direct effects, anchoring the first round of the analysis in observed data.' : 'Direct employment and wages were estimated from property-type-specific coefficients applied to the revenue input.'} The model then computes indirect and induced effects via the Type II multipliers described in Section 4.`),
+    P(`The analysis takes ${m$(totalRevenue)} of ${isOnline ? 'gross gaming revenue' : 'operating revenue'} as the final-demand shock applied to the input-output system. ${inputMode === 'total' ? 'Revenue is modeled in aggregate.' : 'Where revenue is resolved into its component streams, each stream is mapped to the appropriate production structure so that the composition of the operation’s activity is reflected in the direct effects.'} ${results.hasUserData ? 'Operation-supplied employment and wage figures were incorporated for the direct effects, anchoring the first round of the analysis in observed data.' : 'Direct employment and wages were estimated from property-type-specific coefficients applied to the revenue input.'} ${typeOnly ? 'The model then computes indirect effects via the Type I multipliers described in Section 4.' : 'The model then computes indirect and induced effects via the Type II multipliers described in Section 4.'}`),
+    ...(isDefaultMultiplierType(basis) ? [] : [P(describeMultiplierType(basis))]),
+    ...(cpiInfo ? [P(`Revenue and all dollar results are stated in ${cpiInfo.year} dollars. Because the employment coefficients are calibrated to ${cpiInfo.baseYear} prices, value added is converted to ${cpiInfo.baseYear} dollars before jobs are estimated, using the ${cpiInfo.label} (${cpiInfo.baseYear} index ${formatNumber(cpiInfo.baseIndex, 3)} ÷ ${cpiInfo.year} index ${formatNumber(cpiInfo.index, 3)} = a deflator of ${formatNumber(cpiInfo.deflator, 4)}).${cpiInfo.warnings.length ? ` ${cpiInfo.warnings.join(' ')}` : ''}`)] : []),
     H2('5.5   Estimating fiscal impacts'),
     P(`Public revenue is estimated from four distinct sources, reflecting the different ways gaming activity generates tax. Each is described in Section 7 and summarized here:`),
-    bullet([r('Gaming taxes', { bold: true, color: C.navy }), r(` levied on gross gaming revenue at the rate set by ${stateName} statute or compact;`)]),
+    compact
+      ? bullet([r('Compact revenue sharing', { bold: true, color: C.navy }), r(` — payments to ${stateName} under the tribal-state gaming compact, calculated on net win; these are negotiated revenue-sharing payments rather than taxes;`)])
+      : bullet([r('Gaming taxes', { bold: true, color: C.navy }), r(` levied on gross gaming revenue at the rate set by ${stateName} statute or compact;`)]),
     bullet([r('Taxes on production and imports (TOPI)', { bold: true, color: C.navy }), r(` — sales, excise, and property taxes and business fees arising across the supply chain, estimated within the input-output model;`)]),
     bullet([r('Payroll taxes', { bold: true, color: C.navy }), r(` — employer-side social-insurance contributions applied to labor income by effect type;`)]),
     bullet([r('Household taxes', { bold: true, color: C.navy }), r(` — income and related personal taxes paid by workers, estimated from published effective-tax ratios.`)]),
@@ -443,7 +474,9 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     numItem(`Fixed production technology. The proportions in which each industry combines its inputs are taken as fixed, so the analysis does not model substitution among inputs in response to price changes.`, 'assumptions'),
     numItem(`Constant returns to scale. A given change in final demand is assumed to produce a proportional change in output, with no economies or diseconomies of scale.`, 'assumptions'),
     numItem(`Available capacity. The model assumes the economy has the spare labor and productive capacity to accommodate the modeled activity; in a fully employed economy, realized impacts may be smaller.`, 'assumptions'),
-    numItem(`Gross measurement. Results measure gross activity associated with the operation and do not net out activity that might otherwise have occurred in the state (see Section 8.2).`, 'assumptions'),
+    numItem(net
+      ? `Gross measurement. Headline results measure gross activity associated with the operation; net estimates under stated substitution assumptions are reported separately (see Section 8.2).`
+      : `Gross measurement. Results measure gross activity associated with the operation and do not net out activity that might otherwise have occurred in the state (see Section 8.2).`, 'assumptions'),
     H2('5.7   Regional purchase coefficients and leakage'),
     P(`A central determinant of the multipliers is the share of each industry's inputs that is purchased from within ${stateName} rather than imported from other states. These regional purchase coefficients are embedded in the state-specific input-output accounts used here. The higher the share of in-state purchasing, the larger the indirect and induced effects, because more of each round of spending is retained within the state economy. States with deep, diversified industrial bases tend to exhibit larger multipliers than states that must import a greater share of intermediate goods.`),
     P(`Leakage is the counterpart of this retention: the portion of each spending round that exits the regional economy through imports, household savings, and taxes paid to other jurisdictions. Leakage is the reason the multiplier process converges and the reason a state-level analysis yields more conservative estimates than a national one — at the national scale, purchases from "other states" remain within the economy being measured, whereas here they are excluded. The conservative, in-state framing adopted throughout this report reflects a deliberate choice to count only activity that demonstrably remains within ${stateName}.`),
@@ -453,24 +486,43 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
   sec(
     H1('6   Results: Economic Impacts'),
     H2('6.1   Summary of total impacts'),
-    P(`Applying the framework and data described above, the model estimates that ${op} supports total annual economic activity of ${m$(t.output.total)} in output, ${m$(t.gdp.total)} in value added, ${j(t.employment.total)} full-time-equivalent jobs, and ${m$(t.wages.total)} in labor income within ${stateName}. Exhibit 2 sets out the full decomposition of each measure into its direct, indirect, and induced components, together with the implied Type II multiplier.`),
+    P(`Applying the framework and data described above, the model estimates that ${op} supports total annual economic activity of ${m$(t.output.total)} in output, ${m$(t.gdp.total)} in value added, ${j(t.employment.total)} full-time-equivalent jobs, and ${m$(t.wages.total)} in labor income within ${stateName}. Exhibit 2 sets out the full decomposition of each measure into its direct, indirect, and induced components, together with the implied ${kind} multiplier.`),
     ex('Estimated annual economic impacts by measure and effect'),
-    dataTable(['Measure', 'Direct', 'Indirect', 'Induced', 'Total', 'Mult.'], [
-      dataRow(['Output ($M)', n(t.output.direct), n(t.output.indirect), n(t.output.induced), n(t.output.total), x(mlt.output)]),
-      dataRow(['Value added / GSP ($M)', n(t.gdp.direct), n(t.gdp.indirect), n(t.gdp.induced), n(t.gdp.total), x(mlt.gdp)]),
-      dataRow(['Employment (FTE)', j(t.employment.direct), j(t.employment.indirect), j(t.employment.induced), j(t.employment.total), x(mlt.employment)]),
-      dataRow(['Labor income ($M)', n(t.wages.direct), n(t.wages.indirect), n(t.wages.induced), n(t.wages.total), x(mlt.wages)]),
-    ], { colWidths: [3400, 1500, 1500, 1500, 1500, 1060] }),
-    sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates for ${stateName}.`),
+    typeOnly
+      ? dataTable(['Measure', 'Direct', 'Indirect', 'Total', 'Mult.'], [
+        dataRow(['Output ($M)', n(t.output.direct), n(t.output.indirect), n(t.output.total), x(mlt.output)]),
+        dataRow(['Value added / GSP ($M)', n(t.gdp.direct), n(t.gdp.indirect), n(t.gdp.total), x(mlt.gdp)]),
+        dataRow(['Employment (FTE)', j(t.employment.direct), j(t.employment.indirect), j(t.employment.total), x(mlt.employment)]),
+        dataRow(['Labor income ($M)', n(t.wages.direct), n(t.wages.indirect), n(t.wages.total), x(mlt.wages)]),
+      ], { colWidths: [3400, 1700, 1700, 1700, 1460] })
+      : dataTable(['Measure', 'Direct', 'Indirect', 'Induced', 'Total', 'Mult.'], [
+        dataRow(['Output ($M)', n(t.output.direct), n(t.output.indirect), n(t.output.induced), n(t.output.total), x(mlt.output)]),
+        dataRow(['Value added / GSP ($M)', n(t.gdp.direct), n(t.gdp.indirect), n(t.gdp.induced), n(t.gdp.total), x(mlt.gdp)]),
+        dataRow(['Employment (FTE)', j(t.employment.direct), j(t.employment.indirect), j(t.employment.induced), j(t.employment.total), x(mlt.employment)]),
+        dataRow(['Labor income ($M)', n(t.wages.direct), n(t.wages.indirect), n(t.wages.induced), n(t.wages.total), x(mlt.wages)]),
+      ], { colWidths: [3400, 1500, 1500, 1500, 1500, 1060] }),
+    sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates for ${stateName}${source ? ` using ${source.label} multipliers` : ''}. ${effectsNote}`),
+    ...(typeI ? [
+      P(`Because induced effects are sometimes excluded — by statute or by convention — the exhibit below sets the Type I totals (direct and indirect effects) beside the Type II totals. The induced effect is the difference between them, so each measure is best read as a range from the Type I to the Type II value.`),
+      ex('Type I and Type II totals'),
+      dataTable(['Measure', 'Type I', 'Type II', 'Type I mult.', 'Type II mult.'], [
+        dataRow(['Output ($M)', n(typeI.results.totals.output.total), n(t.output.total), x(typeI.results.multipliers.output), x(mlt.output)]),
+        dataRow(['Value added / GSP ($M)', n(typeI.results.totals.gdp.total), n(t.gdp.total), x(typeI.results.multipliers.gdp), x(mlt.gdp)]),
+        dataRow(['Employment (FTE)', j(typeI.results.totals.employment.total), j(t.employment.total), x(typeI.results.multipliers.employment), x(mlt.employment)]),
+        dataRow(['Labor income ($M)', n(typeI.results.totals.wages.total), n(t.wages.total), x(typeI.results.multipliers.wages), x(mlt.wages)]),
+        dataRow(['Total public revenue ($M)', n(typeI.totalTax), n(totalTax), '—', '—']),
+      ], { colWidths: [3400, 1640, 1640, 1640, 1640] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates for ${stateName}.${basis.inducedPct < 100 ? ` Type II induced effects at ${basis.inducedPct}% of the published multipliers.` : ''}`),
+    ] : []),
     H2('6.2   Economic output'),
-    P(`Total output — the gross value of goods and services produced across all affected industries — is estimated at ${m$(t.output.total)}. Of this, ${m$(t.output.direct)} (${pct(t.output.direct, t.output.total)}) is produced directly by the operation, ${m$(t.output.indirect)} (${pct(t.output.indirect, t.output.total)}) by its supply chain, and ${m$(t.output.induced)} (${pct(t.output.induced, t.output.total)}) through household spending. The implied output multiplier of ${formatNumber(mlt.output, 2)} indicates that each dollar of direct output is associated with ${m$(indOut)} of additional output elsewhere in the ${stateName} economy. Output is the broadest of the four measures and is best read as an indicator of gross transactional activity rather than net wealth creation, for which value added is the appropriate measure.`),
+    P(`Total output — the gross value of goods and services produced across all affected industries — is estimated at ${m$(t.output.total)}. Of this, ${m$(t.output.direct)} (${pct(t.output.direct, t.output.total)}) is produced directly by the operation${typeOnly ? ' and' : ','} ${m$(t.output.indirect)} (${pct(t.output.indirect, t.output.total)}) by its supply chain${typeOnly ? '' : `, and ${m$(t.output.induced)} (${pct(t.output.induced, t.output.total)}) through household spending`}. The implied output multiplier of ${formatNumber(mlt.output, 2)} indicates that each dollar of direct output is associated with ${m$(indOut)} of additional output elsewhere in the ${stateName} economy. Output is the broadest of the four measures and is best read as an indicator of gross transactional activity rather than net wealth creation, for which value added is the appropriate measure.`),
     H2('6.3   Value added (gross state product)'),
-    P(`Value added — output net of the cost of intermediate inputs — is estimated at ${m$(t.gdp.total)}, comprising ${m$(t.gdp.direct)} directly, ${m$(t.gdp.indirect)} indirectly, and ${m$(t.gdp.induced)} through induced effects. Because it avoids the double-counting inherent in output, value added is the measure most directly comparable to ${stateName}'s gross domestic product and is the preferred headline indicator of the operation's net economic contribution. The value-added multiplier of ${formatNumber(mlt.gdp, 2)} reflects the share of each round of activity that represents genuine new value rather than the pass-through of intermediate purchases.`),
+    P(`Value added — output net of the cost of intermediate inputs — is estimated at ${m$(t.gdp.total)}, comprising ${m$(t.gdp.direct)} directly${typeOnly ? ' and' : ','} ${m$(t.gdp.indirect)} indirectly${typeOnly ? '' : `, and ${m$(t.gdp.induced)} through induced effects`}. Because it avoids the double-counting inherent in output, value added is the measure most directly comparable to ${stateName}'s gross domestic product and is the preferred headline indicator of the operation's net economic contribution. The value-added multiplier of ${formatNumber(mlt.gdp, 2)} reflects the share of each round of activity that represents genuine new value rather than the pass-through of intermediate purchases.`),
     H2('6.4   Employment'),
-    P(`The activity is estimated to support ${j(t.employment.total)} full-time-equivalent jobs across ${stateName}. Of these, ${j(t.employment.direct)} are at the operation itself, ${j(t.employment.indirect)} are sustained among suppliers, and ${j(t.employment.induced)} arise in the broader economy as workers spend their earnings. The employment multiplier of ${formatNumber(mlt.employment, 2)} means that every job at the operation is associated with ${formatNumber(mlt.employment - 1, 2)} additional jobs elsewhere in the state. Employment is reported on a full-time-equivalent basis; the corresponding headcount, which includes part-time and seasonal positions, would be higher.`),
+    P(`The activity is estimated to support ${j(t.employment.total)} full-time-equivalent jobs across ${stateName}. Of these, ${j(t.employment.direct)} are at the operation itself${typeOnly ? ' and' : ','} ${j(t.employment.indirect)} are sustained among suppliers${typeOnly ? '' : `, and ${j(t.employment.induced)} arise in the broader economy as workers spend their earnings`}. The employment multiplier of ${formatNumber(mlt.employment, 2)} means that every job at the operation is associated with ${formatNumber(mlt.employment - 1, 2)} additional jobs elsewhere in the state. Employment is reported on a full-time-equivalent basis; the corresponding headcount, which includes part-time and seasonal positions, would be higher.`),
     fig('Employment supported, by effect'),
     stackedBar(t.employment),
-    barLegend(),
+    barLegend(!typeOnly),
     H2('6.5   Labor income'),
     P(`Labor income — wages, salaries, and benefits — is estimated at ${m$(t.wages.total)}, of which ${m$(t.wages.direct)} is paid directly by the operation and ${m$(t.wages.indirect + t.wages.induced)} is earned across the supply chain and the broader economy. Labor income represents the portion of value added that flows to households as compensation and is a key channel through which the operation's activity supports living standards in ${stateName}. It is also the basis for the payroll and household tax estimates presented in Section 7.`),
     H2('6.6   Composition and quality of employment'),
@@ -487,7 +539,53 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
       dataTable(['Revenue stream', 'Revenue ($M)', 'Output ($M)', 'GSP ($M)', 'Jobs (FTE)', 'Income ($M)'],
         byRevenue.map((b) => dataRow([b.label, n(b.revenue), n(b.output.total), n(b.gdp.total), j(b.employment.total), n(b.wages.total)])),
         { colWidths: [3000, 1620, 1620, 1500, 1500, 1620] }),
-      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. Totals include direct, indirect, and induced effects.`),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. ${effectsNote}`),
+    );
+  }
+  const mc = inputs.uncertaintyResult || null;
+
+  if (region) {
+    const { host, rest, factors } = region;
+    const share = (k) => pct(host.totals[k].total, t[k].total);
+    const row = (label, k, fmt) => dataRow([label, fmt(host.totals[k].total), fmt(rest.totals[k].total), fmt(t[k].total), share(k)]);
+    sec(
+      H2(`${regionSection}   Host region and rest of state`),
+      P(`The operation is located in ${regionName}, and the direct effects — the operation's own output, jobs, and payroll — occur there in full. A smaller area buys less of its supply chain and household spending locally than the state as a whole, so only part of the statewide indirect and induced effects accrues to ${regionName}; the remainder is spread across the rest of ${stateName}. On this basis ${regionName} receives ${m$(host.totals.output.total)} of the ${m$(t.output.total)} in statewide output (${share('output')}) and ${j(host.totals.employment.total)} of the ${j(t.employment.total)} jobs (${share('employment')}), an implied regional output multiplier of ${formatNumber(host.multipliers.output, 2)} against ${formatNumber(mlt.output, 2)} for the state.`),
+      P(describeRegion(region, factors)),
+      ex('Host Region vs. Rest of State'),
+      dataTable(['Measure', regionName, `Rest of ${stateName}`, 'State total', 'Host share'], [
+        row('Output ($M)', 'output', n),
+        row('Value added / GSP ($M)', 'gdp', n),
+        row('Employment (FTE)', 'employment', j),
+        row('Labor income ($M)', 'wages', n),
+        row('Taxes on production ($M)', 'tax', n),
+      ], { colWidths: [3000, 1700, 1700, 1700, 1260] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates; regional shares by the FLQ method from QCEW employment. ${effectsNote}`),
+    );
+  }
+
+  if (spillover) {
+    const { states, combined } = spillover;
+    const host = states[0];
+    const neighbors = states.slice(1);
+    const leaked = combined.totals.output.total - host.results.totals.output.total;
+    const row = (label, pick, pickCombined, fmt) => dataRow([label, ...states.map((s) => fmt(pick(s))), fmt(pickCombined(combined))]);
+    const width = Math.floor(6300 / (states.length + 1));
+    sec(
+      H2(`${spilloverSection}   Impacts by state`),
+      P(`${op} sits near the state line, and part of its footprint falls outside ${stateName}. Some of its employees live in ${neighbors.map((s) => s.state).join(' and ')} and spend their pay there, and some of its supplies are bought there. Those portions are valued with the receiving state's own multipliers. ${stateName} retains ${m$(host.results.totals.output.total)} in output and ${j(host.results.totals.employment.total)} jobs; a further ${m$(leaked)} in output accrues across the state line, for a combined ${m$(combined.totals.output.total)} and ${j(combined.totals.employment.total)} jobs. The statewide results elsewhere in this report are the single-state model and do not reflect these adjustments.`),
+      P(describeSpillover(spillover)),
+      ex('Impacts by State'),
+      dataTable(['Measure', ...states.map((s) => s.state), 'Combined'], [
+        row('Output ($M)', (s) => s.results.totals.output.total, (c) => c.totals.output.total, n),
+        row('Value added / GSP ($M)', (s) => s.results.totals.gdp.total, (c) => c.totals.gdp.total, n),
+        row('Employment (FTE)', (s) => s.results.totals.employment.total, (c) => c.totals.employment.total, j),
+        row('Labor income ($M)', (s) => s.results.totals.wages.total, (c) => c.totals.wages.total, n),
+        row('Taxes on production ($M)', (s) => s.results.totals.tax.total, (c) => c.totals.tax.total, n),
+        row('Payroll taxes ($M)', (s) => s.payrollTaxResult?.total || 0, (c) => c.payrollTax, n),
+        row('Household taxes ($M)', (s) => s.householdTaxResult.total, (c) => c.householdTax, n),
+      ], { colWidths: [3060, ...states.map(() => width), width] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates with each state's multipliers and employment-tax rates. ${effectsNote}`),
     );
   }
 
@@ -496,10 +594,18 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     H1('7   Results: Fiscal Impacts'),
     P(`Beyond its effects on output and employment, ${op} generates public revenue through several channels. This section estimates each in turn and presents the combined fiscal contribution. Total public revenue associated with the activity is estimated at approximately ${m$(totalTax)} per year.`),
   );
-  if (gaming) {
+  if (compact) {
+    sec(
+      H2('7.1   Compact revenue sharing'),
+      P(compact.hasTerms
+        ? `As a tribal operation, ${op} does not pay a state gaming tax. Under the tribal-state gaming compact, it instead makes revenue-sharing payments estimated at ${m$(compact.amount)} a year, about ${formatNumber(compact.effectiveRate * 100, 1)}% of net win.${compact.minimumApplied ? ' This reflects the compact’s minimum annual payment, which exceeds the percentage-based amount. The minimum is set for the tribe’s gaming as a whole, so it applies only where this analysis covers all of that gaming.' : ''}${compact.local > 0 ? ` Of this, ${m$(compact.local)} is directed to local governments for impact mitigation.` : ''} These payments are consideration negotiated under the compact, commonly in return for gaming exclusivity. They are reported as revenue sharing rather than as a tax, although they are included in the public revenue total below.`
+        : `As a tribal operation, ${op} does not pay a state gaming tax. No standard revenue-sharing schedule is on file for the ${stateName} compact, so no compact payment is included in the totals below.`),
+    );
+  } else if (gaming) {
     sec(
       H2('7.1   Gaming taxes'),
       P(`Gaming is subject to a dedicated tax on gross gaming revenue, distinct from the ordinary taxes paid by other businesses. Applying the ${stateName} gaming tax schedule${gaming.effectiveRate ? `, which implies an effective rate of approximately ${formatNumber(gaming.effectiveRate * 100, 1)}% on this operation's gaming revenue` : ''}, the operation is estimated to remit ${m$(gaming.amount)} in gaming taxes annually. These revenues typically accrue directly to the state and, in many jurisdictions, are earmarked for specific public purposes such as education, problem-gambling services, or local government.`),
+      ...(fees ? [P(`${stateName} also levies gaming fees that do not depend on revenue: ${fees.lines.map((l) => `${l.label.toLowerCase()} of ${formatCurrency(l.amount, 2)} (${l.detail})`).join('; ')}. Together these add ${formatCurrency(fees.total, 2)} a year and are shown as separate lines in the exhibit in Section 7.5.`)] : []),
     );
   }
   sec(
@@ -517,11 +623,46 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     P(`The exhibit below combines these sources into a single estimate of the public revenue generated by ${op}.`),
     ex('Estimated annual public revenue by source'),
     buildTaxTable(results, inputs),
-    sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. Gaming tax reflects the ${stateName} statutory schedule; other taxes are estimated from federal effective-rate data.`),
+    sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. ${compact ? `Revenue sharing reflects the ${stateName} compact terms` : `Gaming tax reflects the ${stateName} statutory schedule`}; other taxes are estimated from federal effective-rate data.`),
   );
   if (inputs.stateTaxConfig?.localTaxNotes) {
     sec(P([r('Local tax note.  ', { bold: true, color: C.navy }), r(inputs.stateTaxConfig.localTaxNotes, { italics: true })]));
   }
+  let fiscalSub = 5;
+  if (local) {
+    const share = (v) => (local.state + local.local + local.host ? `${formatNumber((v / (local.state + local.local + local.host)) * 100, 0)}%` : '—');
+    sec(
+      H2(`7.${++fiscalSub}   State, local and host-community revenue`),
+      P(`Gaming-related public revenue does not all accrue to the state. ${local.jurisdiction ? `Under the terms that apply in ${local.jurisdiction}, ` : 'Under the published terms for the state, '}the state retains an estimated ${m$(local.state)}, local governments receive ${m$(local.local)}${local.host > 0 ? `, and host-community payments add a further ${m$(local.host)}` : ''} each year. Distributions to localities are paid out of the state gaming tax, and local admission shares out of the state admission tax; local surcharges are additional taxes and are included in the total above. Host-community payments are contractual rather than taxes and are therefore reported separately.`),
+      ex('Gaming-related revenue by recipient'),
+      dataTable(['Revenue line', 'Recipient', 'Amount', 'Share'], [
+        ...local.lines.map((l) => dataRow([l.detail ? `${l.label} (${l.detail})` : l.label, RECIPIENT_LABELS[l.recipient], m$(l.amount), share(l.amount)])),
+        totalRow(['State', '', m$(local.state), share(local.state)]),
+        totalRow(['Local government', '', m$(local.local), share(local.local)]),
+        ...(local.host > 0 ? [totalRow(['Host community', '', m$(local.host), share(local.host)])] : []),
+      ], { colWidths: [4680, 1800, 1440, 1440] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates.${local.source ? ` ${local.source}` : ''}`),
+    );
+  }
+  const pf = inputs.proFormaResult?.rows.length ? inputs.proFormaResult : null;
+  if (pf) {
+    const ps = pf.settings;
+    const first = pf.rows[0];
+    const last = pf.rows[pf.rows.length - 1];
+    const changes = ps.taxChanges.filter((c) => c.year != null && c.ratePct != null);
+    sec(
+      H2(`7.${++fiscalSub}   Multi-year pro forma`),
+      P(`The annual results above describe a single stabilized year. To show how the contribution builds over time, the model was re-run for each year from ${first.year} to ${last.year}. Revenue opens at ${formatNumber(ps.openingPct, 0)}% of the stabilized level and ramps to full operation by ${ps.startYear + ps.stabilizationYear - 1}, then grows at assumed nominal rates by department. Employment in each year uses that year's consumer price deflator${last.year > pf.cpi.lastYear ? `, with prices after ${pf.cpi.lastYear} projected at ${formatNumber(ps.inflationPct, 1)}% per year` : ''}, so nominal growth that merely keeps pace with inflation does not add jobs.${changes.length ? ` Scheduled changes to the gaming tax rate (${changes.map((c) => `${formatNumber(c.ratePct, 1)}% from ${c.year}`).join('; ')}) are applied from their effective years.` : ''}`),
+      P(`Over the ${pf.rows.length}-year horizon the operation is estimated to contribute ${m$(pf.totals.gdp)} in value added and ${m$(pf.totals.totalTax)} in public revenue. Discounted at ${formatNumber(ps.discountRatePct, 1)}% per year, these are equivalent to present values of ${m$(pf.npv.gdp)} and ${m$(pf.npv.totalTax)} respectively.`),
+      ex('Multi-year pro forma of annual impacts'),
+      dataTable(['Year', 'Revenue ($M)', 'GSP ($M)', 'Jobs (FTE)', 'Income ($M)', compact ? 'Revenue sharing ($M)' : 'Gaming tax ($M)', 'Total tax ($M)'], [
+        ...pf.rows.map((y) => dataRow([String(y.year), n(y.revenue), n(y.gdp), j(y.employment), n(y.wages), n(y.gamingTax), n(y.totalTax)])),
+        totalRow(['Cumulative', n(pf.totals.revenue), n(pf.totals.gdp), '—', n(pf.totals.wages), n(pf.totals.gamingTax), n(pf.totals.totalTax)]),
+        totalRow([`Present value`, n(pf.npv.revenue), n(pf.npv.gdp), '—', n(pf.npv.wages), n(pf.npv.gamingTax), n(pf.npv.totalTax)]),
+      ], { colWidths: [1320, 1340, 1340, 1340, 1340, 1340, 1340] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. Nominal dollars; present values discounted at ${formatNumber(ps.discountRatePct, 1)}% with year-end timing.`),
+    );
+  }
 
   // ===== 8. DISCUSSION
   sec(
@@ -537,8 +678,22 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     P([
       r(`The size of this substitution effect depends on how much of the operation's revenue derives from in-state residents as opposed to out-of-state visitors, and on whether gaming expenditure complements or displaces other local spending. Where an operation draws materially on tourism and export demand — capturing spending that would otherwise occur outside the state — its net impact approaches its gross impact. The evidence on complementary versus substitutive demand in gaming markets is mixed and context-specific`, {}),
       fnref(4),
-      r(`, and a full net-impact assessment would require data on visitor origin and cross-spending patterns beyond the scope of this report.`),
+      r(net
+        ? `. The net estimates below therefore rest on stated assumptions about visitor origin and substitution, and should be read alongside the gross figures rather than in place of them.`
+        : `, and a full net-impact assessment would require data on visitor origin and cross-spending patterns beyond the scope of this report.`),
     ]),
+  );
+  if (net) {
+    const sh = net.shares;
+    const pctOf = (v) => `${Math.round(v * 100)}%`;
+    sec(
+      P(`For this analysis, ${pctOf(sh.outOfState)} of patron spending is assumed to come from out-of-state visitors and a further ${pctOf(sh.recaptured)} from residents who would otherwise have spent it outside ${stateName}; both are treated as new money, as is the ${pctOf(sh.incremental)} that residents add to their spending rather than divert. The remaining ${pctOf(sh.displaced)} is assumed to be diverted from other local recreation, so the activity it displaces (${m$(net.displacedRevenue)}, valued with the state's arts, entertainment, and recreation multipliers) is subtracted. Gaming tax is levied on all gaming revenue and is unchanged between the two columns.`),
+      ex('Gross and net annual impacts'),
+      buildNetTable(results, inputs),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} model estimates. Net figures reflect user-specified visitor-origin and substitution assumptions.`),
+    );
+  }
+  sec(
     H2('8.3   Catalytic and broader economic effects'),
     P([
       r(`This analysis quantifies the direct, indirect, and induced effects of the operation's ongoing activity. It does not attempt to quantify `, {}),
@@ -549,11 +704,23 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     ]),
     H2('8.4   Sensitivity and uncertainty'),
     P(`As model-based estimates, the figures carry uncertainty from several sources: the revenue input, the property-type coefficients, and the regional multipliers. Because the results scale broadly in proportion to the revenue input, a reader can gauge sensitivity by considering proportionate changes — a ten-percent change in revenue translates, to a first approximation, into a similar proportionate change in the output, value-added, employment, and income estimates. The direction and structure of the results are robust; the precise magnitudes should be read as central estimates rather than exact figures.`),
+    ...(mc ? [
+      P(`To quantify this uncertainty, the model was re-run ${mc.draws.toLocaleString('en-US')} times with the revenue inputs, slot share, and multiplier and employment coefficients drawn from ranges around their central values. The exhibit below reports the resulting 10th, 50th, and 90th percentiles: in eight of ten draws, employment fell between ${j(mc.stats.employment.p10)} and ${j(mc.stats.employment.p90)} jobs, and value added between ${m$(mc.stats.gdp.p10)} and ${m$(mc.stats.gdp.p90)}.`),
+      ex('Uncertainty range of headline estimates'),
+      dataTable(['Measure', 'Point estimate', 'P10', 'P50', 'P90'], [
+        dataRow(['Output ($M)', n(mc.base.output), n(mc.stats.output.p10), n(mc.stats.output.p50), n(mc.stats.output.p90)]),
+        dataRow(['Value added / GSP ($M)', n(mc.base.gdp), n(mc.stats.gdp.p10), n(mc.stats.gdp.p50), n(mc.stats.gdp.p90)]),
+        dataRow(['Employment (FTE)', j(mc.base.employment), j(mc.stats.employment.p10), j(mc.stats.employment.p50), j(mc.stats.employment.p90)]),
+        dataRow(['Labor income ($M)', n(mc.base.wages), n(mc.stats.wages.p10), n(mc.stats.wages.p50), n(mc.stats.wages.p90)]),
+        dataRow(['Total public revenue ($M)', n(mc.base.totalTax), n(mc.stats.totalTax.p10), n(mc.stats.totalTax.p50), n(mc.stats.totalTax.p90)]),
+      ], { colWidths: [3400, 1490, 1490, 1490, 1490] }),
+      sourceLine(`${PRODUCT_NAME_VERSIONED} Monte Carlo simulation, ${mc.draws.toLocaleString('en-US')} draws (seed ${mc.seed}). Input ranges as specified for the analysis.`),
+    ] : []),
     H2('8.5   Why input-output analysis'),
     P(`Input-output analysis is the standard method for estimating the economic impact of a facility or industry, and it is well suited to the question this report addresses: how does a given level of operating activity propagate through a regional economy? Its principal strengths are transparency and replicability. The framework is grounded in published national and regional accounts, its assumptions are explicit, and its results can be reproduced by any analyst working from the same data.`),
     P(`Alternative methods exist and answer somewhat different questions. Computable general equilibrium models incorporate price adjustment and resource constraints and are better suited to large structural changes, but they require additional assumptions and are less transparent. Simple ratio or "rule-of-thumb" approaches are easier still but lack the inter-industry detail that gives input-output estimates their credibility. For an analysis of a single operation at its current scale, the input-output approach offers the most appropriate balance of rigor, transparency, and interpretability — provided, as emphasized in Section 5, that it is implemented with gaming-specific rather than generic recreation-sector coefficients.`),
     H2('8.6   Distribution of the benefits'),
-    P(`The economic benefits estimated here are not confined to the operation or its immediate vicinity. By construction, a substantial share accrues across the supply chain and the broader economy: of the ${m$(t.output.total)} in total output, ${m$(indOut)} is generated beyond the operation itself, and of the ${j(t.employment.total)} jobs supported, ${j(rippleJobs)} are sustained elsewhere in ${stateName}. The fiscal benefits are similarly distributed across levels of government, with gaming taxes accruing chiefly to the state${gaming ? ` (an estimated ${m$(gaming.amount)}, or roughly ${Math.round(gamingShare * 100)}% of the total public revenue identified)` : ''} and production, payroll, and household taxes flowing to federal, state, and local authorities. This breadth is among the most policy-relevant features of the analysis: the activity's value is shared widely across industries, workers, and public budgets.`),
+    P(`The economic benefits estimated here are not confined to the operation or its immediate vicinity. By construction, a substantial share accrues across the supply chain and the broader economy: of the ${m$(t.output.total)} in total output, ${m$(indOut)} is generated beyond the operation itself, and of the ${j(t.employment.total)} jobs supported, ${j(rippleJobs)} are sustained elsewhere in ${stateName}. The fiscal benefits are similarly distributed across levels of government, with ${compact ? 'compact revenue-sharing payments' : 'gaming taxes'} accruing chiefly to the state${gaming ? ` (an estimated ${m$(gaming.amount)}, or roughly ${Math.round(gamingShare * 100)}% of the total public revenue identified)` : ''} and production, payroll, and household taxes flowing to federal, state, and local authorities. This breadth is among the most policy-relevant features of the analysis: the activity's value is shared widely across industries, workers, and public budgets.`),
   );
 
   // ===== 9. LIMITATIONS
@@ -561,7 +728,9 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
     H1('9   Limitations'),
     P(`The following limitations qualify the estimates in this report and should be considered alongside the findings:`),
     numItem(`Input-output models are linear and static. They assume fixed production technology and constant returns to scale, and they do not capture price responses, capacity constraints, or dynamic adjustment over time.`, 'limitations'),
-    numItem(`The results are gross rather than net. They do not subtract substitution or displacement of activity that might otherwise have occurred within the state (Section 8.2).`, 'limitations'),
+    numItem(net
+      ? `The headline results are gross rather than net. Net estimates are reported in Section 8.2, but they depend on the assumed visitor-origin and substitution shares, which were not independently verified.`
+      : `The results are gross rather than net. They do not subtract substitution or displacement of activity that might otherwise have occurred within the state (Section 8.2).`, 'limitations'),
     numItem(`The estimates are confined to the State of ${stateName}. Activity that leaks to other states is excluded, which is conservative for the in-state estimate but means the figures are not a measure of national impact.`, 'limitations'),
     numItem(`Catalytic and other long-term dynamic effects are not quantified (Section 8.3).`, 'limitations'),
     numItem(`Results depend on the accuracy of the revenue input and, where applicable, operation-supplied data. ${results.hasUserData ? 'Operation-specific employment and wage figures were used for the direct effects where provided.' : 'In the absence of operation-specific data, direct effects rely on property-type coefficients and may differ from the operation’s actual staffing.'}`, 'limitations'),
@@ -625,17 +794,36 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
       dataRow(['Jurisdiction', stateName]),
       dataRow(['Operation type', typeLabel]),
       dataRow(['Revenue analyzed', m$(totalRevenue)]),
+      ...(cpiInfo ? [
+        dataRow(['Price year', String(cpiInfo.year)]),
+        dataRow(['CPI series', cpiInfo.label]),
+        dataRow([`CPI deflator (to ${cpiInfo.baseYear} dollars)`, formatNumber(cpiInfo.deflator, 4)]),
+      ] : []),
       dataRow(['Direct-effect basis', results.hasUserData ? 'Operation-supplied employment/wages' : 'Property-type coefficients']),
-      dataRow(['Output multiplier (Type II)', x(mlt.output)]),
-      dataRow(['Value-added multiplier (Type II)', x(mlt.gdp)]),
-      dataRow(['Employment multiplier (Type II)', x(mlt.employment)]),
-      dataRow(['Labor-income multiplier (Type II)', x(mlt.wages)]),
+      dataRow(['Data edition', inputs.vintageResult?.label || PRODUCT_NAME_VERSIONED]),
+      dataRow(['Multiplier source', inputs.multiplierSourceResult?.label || BUNDLED_SOURCE_LABEL]),
+      ...(region ? [
+        dataRow(['Host region', regionName]),
+        dataRow(['Host region share of state employment', `${formatNumber(region.employmentSharePct, 1)}%`]),
+        dataRow(['Supplier-industry location quotient', formatNumber(region.supplierLQ, 2)]),
+        dataRow(['FLQ λ (indirect / induced retained)', `${formatNumber(region.factors.lambda, 3)} (${formatNumber(region.factors.indirect * 100, 1)}% / ${formatNumber(region.factors.induced * 100, 1)}%)`]),
+      ] : []),
+      ...(spillover ? spillover.states.slice(1).map((s) => dataRow([
+        `Spillover to ${s.state} (employees / supplier purchases)`, `${formatNumber(s.employee * 100, 1)}% / ${formatNumber(s.supplier * 100, 1)}%`,
+      ])) : []),
+      dataRow(['Multiplier basis', multiplierTypeLabel(basis)]),
+      ...(typeOnly ? [] : [dataRow(['Induced effects counted', `${formatNumber(basis.inducedPct, 0)}%`])]),
+      dataRow([`Output multiplier (${kind})`, x(mlt.output)]),
+      dataRow([`Value-added multiplier (${kind})`, x(mlt.gdp)]),
+      dataRow([`Employment multiplier (${kind})`, x(mlt.employment)]),
+      dataRow([`Labor-income multiplier (${kind})`, x(mlt.wages)]),
       dataRow(['Avg. labor income per FTE (total)', usd0(compPerFteTotal)]),
       ...(gaming ? [dataRow(['Effective gaming-tax rate', gaming.effectiveRate ? `${formatNumber(gaming.effectiveRate * 100, 1)}%` : '—'])] : []),
       dataRow(['Geographic scope', `State of ${stateName} (in-state activity only)`]),
       dataRow(['Model', `${PRODUCT_NAME_VERSIONED} — ${BRAND.productFullName}`]),
     ], { colWidths: [5200, 4760] }),
     sourceLine(`${PRODUCT_NAME_VERSIONED}. Multipliers are weighted across the operation's revenue composition.`),
+    ...traceAppendix(inputs.calculationTrace),
     appendixH1('References'),
     ...references().map((ref) => new Paragraph({ spacing: { after: 120, line: 264 }, indent: { left: 360, hanging: 360 },
       children: [new TextRun({ text: ref, font: SERIF, size: 19, color: C.body })] })),
@@ -696,7 +884,134 @@ export async function generateDocxReport(results, inputs, authorInfo = {}) {
   return { blob, filename };
 }
 
+/**
+ * Portfolio report: a short companion document for a multi-property
+ * portfolio (see utils/portfolio.js) — a company-wide summary, the rollup by
+ * state, per-property results and state levies kept per state.
+ */
+export async function generatePortfolioDocxReport(rollup, info = {}, authorInfo = {}) {
+  const name = info.name || 'Portfolio';
+  const longDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const c = rollup.total;
+  const ok = rollup.properties.filter((p) => !p.error);
+  const skipped = rollup.properties.filter((p) => p.error);
+  const stateList = rollup.byState.map((s) => s.state);
+  const levy = (v, dp = 1) => (v ? formatCurrency(v, dp) : '—');
+
+  const B = [];
+  const sec = (...kids) => kids.forEach((k) => B.push(k));
+  let exN = 0;
+  const ex = (title) => caption(`Exhibit ${++exN}.  ${title}`);
+
+  sec(
+    new Paragraph({ spacing: { before: 200, after: 0 }, border: { bottom: { color: C.brass, space: 10, style: BorderStyle.SINGLE, size: 24 } }, children: [
+      new TextRun({ text: BRAND.publisher.toUpperCase(), font: SANS, bold: true, color: C.navy, size: 24, characterSpacing: 80 }),
+    ] }),
+    new Paragraph({ spacing: { before: 600, after: 80 }, children: [
+      new TextRun({ text: 'Portfolio Economic Impact', font: SERIF, bold: true, color: C.navy, size: 52 }),
+    ] }),
+    new Paragraph({ spacing: { after: 400 }, children: [
+      new TextRun({ text: `${name} — ${ok.length} ${ok.length === 1 ? 'property' : 'properties'} in ${c.states} ${c.states === 1 ? 'state' : 'states'} · ${longDate}`, font: SERIF, color: C.muted, size: 22 }),
+    ] }),
+    H1('1  Company-Wide Summary', { brk: false }),
+    lead(`Across ${stateList.join(', ')}, the portfolio's ${m$(c.revenue)} in annual revenue supports an estimated ${m$(c.output)} in total economic output, ${m$(c.gdp)} in value added, ${j(c.employment)} full-time-equivalent jobs and ${m$(c.wages)} in labor income, and generates ${m$(c.totalTax)} in public revenue.`),
+    P(`Each property is modeled on its own, with the multipliers and tax schedule of the state in which it operates. Economic impacts add across states because each state model counts in-state activity only. Gaming taxes, fees, compact payments and local levies are set by each state's schedule, with graduated rates applied to each property's gaming revenue, so they are reported state by state and are not combined into a company-wide rate.`),
+    ex('Company-wide totals (annual, Type II)'),
+    dataTable(['Measure', 'Total'], [
+      dataRow(['Revenue analyzed', m$(c.revenue)]),
+      dataRow(['Output', m$(c.output)]),
+      dataRow(['Value added (GDP)', m$(c.gdp)]),
+      dataRow(['Employment (FTE)', j(c.employment)]),
+      dataRow(['Labor income', m$(c.wages)]),
+      dataRow(['Taxes on production (TOPI)', m$(c.taxes.topi)]),
+      dataRow(['Payroll and household taxes', m$(c.taxes.payroll + c.taxes.household)]),
+      totalRow(['Total public revenue', m$(c.totalTax)]),
+    ], { colWidths: [6000, 3960] }),
+    sourceLine(`${PRODUCT_NAME_VERSIONED}; sum of property-level estimates.`),
+    H1('2  Results by State', { brk: false }),
+    ex('Economic impact by state'),
+    dataTable(['State', 'Properties', 'Revenue', 'Output', 'GDP', 'Jobs (FTE)', 'Wages'], [
+      ...rollup.byState.map((s) => dataRow([s.state, String(s.count), m$(s.revenue), m$(s.output), m$(s.gdp), j(s.employment), m$(s.wages)])),
+      totalRow(['Company-wide', String(c.count), m$(c.revenue), m$(c.output), m$(c.gdp), j(c.employment), m$(c.wages)]),
+    ], { colWidths: [2160, 1200, 1320, 1320, 1320, 1320, 1320] }),
+    sourceLine(`${PRODUCT_NAME_VERSIONED}. Type II totals (direct, indirect and induced).`),
+    ex('Public revenue by state'),
+    dataTable(['State', 'Gaming tax', 'Fees', 'Compact', 'Local', 'Eff. rate', 'Total tax'], [
+      ...rollup.byState.map((s) => dataRow([
+        s.state, levy(s.taxes.gamingTax), levy(s.taxes.fees, 2), levy(s.taxes.compact), levy(s.taxes.local),
+        s.effectiveRate ? `${formatNumber(s.effectiveRate * 100, 1)}%` : '—', m$(s.totalTax),
+      ])),
+    ], { colWidths: [2160, 1300, 1200, 1300, 1200, 1200, 1600] }),
+    sourceLine(`${PRODUCT_NAME_VERSIONED}. Effective rate is the gaming tax or compact payment over gaming revenue; total tax also includes TOPI, payroll and household taxes.`),
+    H1('3  Results by Property', { brk: false }),
+    ex('Economic impact by property'),
+    dataTable(['Property', 'State', 'Revenue', 'Output', 'Jobs (FTE)', 'Share of output', 'Total tax'],
+      ok.map((p) => dataRow([p.name, p.state, m$(p.revenue), m$(p.output), j(p.employment), pct(p.output, c.output), m$(p.totalTax)])),
+      { colWidths: [2160, 1500, 1260, 1260, 1260, 1260, 1260] }),
+    sourceLine(`${PRODUCT_NAME_VERSIONED}; each property computed with its own state's coefficients.`),
+    ...(skipped.length ? [P([r(`Not included: ${skipped.map((p) => `${p.name} (${p.state})`).join(', ')} — no model data for the state and operation type.`, { italics: true, color: C.muted })])] : []),
+  );
+
+  const footer = new Footer({ children: [new Paragraph({
+    tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+    border: { top: { color: C.hairline, space: 6, style: BorderStyle.SINGLE, size: 4 } },
+    children: [
+      new TextRun({ text: `${PRODUCT_NAME_VERSIONED}  ·  ${name}`, font: SANS, size: 14, color: C.muted }),
+      new TextRun({ text: '\t', font: SANS }),
+      new TextRun({ children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], font: SANS, size: 14, color: C.muted }),
+    ],
+  })] });
+
+  const doc = new Document({
+    creator: authorInfo.name || BRAND.publisher,
+    title: `Portfolio Economic Impact — ${name}`,
+    subject: `Casino Gaming Economic Impact (${PRODUCT_NAME_VERSIONED})`,
+    description: getSuggestedCitation(),
+    styles: { default: { document: { run: { font: SERIF, size: 21, color: C.body } } } },
+    sections: [
+      { properties: { page: { margin: { top: 1300, bottom: 1200, left: 1180, right: 1180 } } },
+        footers: { default: footer }, children: B },
+    ],
+  });
+
+  const blob = await Packer.toBlob(doc);
+  const filename = `${BRAND.productName}_${BRAND.modelVersion}_Portfolio_Report_${name.replace(/[^\w-]+/g, '_')}_${new Date().toISOString().split('T')[0]}.docx`;
+  return { blob, filename };
+}
+
 // ---- supporting content ---------------------------------------------------
+/**
+ * Appendix E: the calculation trace (see utils/calculationTrace.js), one
+ * heading per metric and one table per step group. Empty without a trace.
+ */
+function traceAppendix(trace) {
+  if (!trace) return [];
+  const out = [
+    appendixH1('Appendix E   Calculation Trace'),
+    P(`This appendix follows each result from the inputs through the model: the multiplier row selected for each revenue stream and any fallbacks tried, the coefficients applied, the CPI deflator, operation-supplied values that replace estimates, and the gaming, payroll and household tax calculations. Values are in millions of dollars unless noted.`),
+  ];
+  for (const { key, label } of TRACE_METRICS) {
+    const sections = traceSections(trace, key);
+    if (!sections.length) continue;
+    out.push(H2(label));
+    for (const s of sections) {
+      const table = s.headers.length > 0;
+      out.push(table ? caption(s.title) : P([r(s.title, { bold: true, color: C.navy })]));
+      out.push(...s.notes.map((note) => P([r(note, { color: C.muted, size: 19 })])));
+      if (table) {
+        out.push(
+          dataTable(s.headers, [...s.rows.map(dataRow), ...(s.total ? [totalRow(s.total)] : [])],
+            { colWidths: s.headers.length === 4 && s.headers[1] === 'Formula' ? [1300, 3000, 4160, 1500] : undefined }),
+          spacer(),
+        );
+      } else if (s.total) {
+        out.push(P([r(`${s.total[0]}: `, { bold: true }), r(s.total[s.total.length - 1])]));
+      }
+    }
+  }
+  return out;
+}
+
 function buildFootnotes(stateName) {
   const mk = (txt) => ({ children: [new Paragraph({ children: [new TextRun({ text: txt, font: 'Georgia', size: 17, color: '252C36' })] })] });
   return {
@@ -737,24 +1052,55 @@ function references() {
   ];
 }
 
+const RECIPIENT_LABELS = { state: 'State', local: 'Local government', host: 'Host community' };
+
 function buildTaxTable(results, inputs) {
   const t = results.totals;
   const { gamingTaxResult: gaming, payrollTaxResult: payroll, householdTaxResult: household } = inputs;
   const rows = [];
-  if (gaming) {
+  if (gaming?.compact) {
+    for (const l of gaming.compact.lines) rows.push(dataRow([`Compact revenue sharing: ${l.label.toLowerCase()}`, m$(l.amount), '—', '—', m$(l.amount)]));
+  } else if (gaming) {
     const eff = gaming.effectiveRate ? ` (${formatNumber(gaming.effectiveRate * 100, 1)}% eff.)` : '';
     rows.push(dataRow([`Gaming tax on GGR${eff}`, m$(gaming.amount), '—', '—', m$(gaming.amount)]));
+    for (const l of gaming.fees?.lines || []) {
+      rows.push(dataRow([l.label, formatCurrency(l.amount, 2), '—', '—', formatCurrency(l.amount, 2)]));
+    }
+  }
+  for (const l of inputs.localTaxResult?.lines || []) {
+    if (l.additional) rows.push(dataRow([l.label, m$(l.amount), '—', '—', m$(l.amount)]));
   }
   if (t.tax.total > 0) rows.push(dataRow(['Taxes on production (TOPI)', m$(t.tax.direct), m$(t.tax.indirect), m$(t.tax.induced), m$(t.tax.total)]));
   if (payroll && payroll.total > 0) rows.push(dataRow(['Payroll taxes', m$(payroll.direct), m$(payroll.indirect), m$(payroll.induced), m$(payroll.total)]));
   if (household && household.total > 0) rows.push(dataRow(['Household taxes', m$(household.direct), m$(household.indirect), m$(household.induced), m$(household.total)]));
-  const td = (gaming?.amount || 0) + t.tax.direct + (payroll?.direct || 0) + (household?.direct || 0);
+  const td = (gaming?.amount || 0) + (gaming?.fees?.total || 0) + (inputs.localTaxResult?.additional || 0) + t.tax.direct + (payroll?.direct || 0) + (household?.direct || 0);
   const ti = t.tax.indirect + (payroll?.indirect || 0) + (household?.indirect || 0);
   const tu = t.tax.induced + (payroll?.induced || 0) + (household?.induced || 0);
-  rows.push(totalRow(['Total public revenue', m$(td), m$(ti), m$(tu), m$(td + ti + tu)]));
+  rows.push(totalRow([`Total public revenue${inputs.typeIResult ? ' (Type II)' : ''}`, m$(td), m$(ti), m$(tu), m$(td + ti + tu)]));
+  if (inputs.typeIResult) rows.push(totalRow(['Total public revenue (Type I)', '', '', '', m$(inputs.typeIResult.totalTax)]));
+  // Type I basis: no induced column
+  if (inputs.multiplierTypeResult?.report === 'typeI') {
+    return dataTable(['Tax source', 'Direct', 'Indirect', 'Total'], rows.map((r) => Object.assign(r.filter((_, i) => i !== 3), { isTotal: r.isTotal })), { colWidths: [3600, 2160, 2160, 2160] });
+  }
   return dataTable(['Tax source', 'Direct', 'Indirect', 'Induced', 'Total'], rows, { colWidths: [3600, 1620, 1620, 1620, 1620] });
 }
 
+function buildNetTable(results, inputs) {
+  const { gamingTaxResult: gaming, payrollTaxResult: payroll, householdTaxResult: household, netResult: net } = inputs;
+  const t = results.totals;
+  const nt = net.results.totals;
+  const grossTax = (gaming?.amount || 0) + (gaming?.fees?.total || 0) + (inputs.localTaxResult?.additional || 0) + t.tax.total + (payroll?.total || 0) + (household?.total || 0);
+  const line = (label, g, v, fmt) => dataRow([label, fmt(g), fmt(v), pct(v, g)]);
+  const rows = [
+    line('Output', t.output.total, nt.output.total, m$),
+    line('Value added (GDP)', t.gdp.total, nt.gdp.total, m$),
+    line('Employment (FTE)', t.employment.total, nt.employment.total, j),
+    line('Labor income', t.wages.total, nt.wages.total, m$),
+    line('Total public revenue', grossTax, net.totalTax, m$),
+  ];
+  return dataTable(['Measure', 'Gross', 'Net', 'Net / gross'], rows, { colWidths: [3600, 1920, 1920, 1920] });
+}
+
 /** Download the generated Word report. */
 export async function downloadDocxReport(results, inputs, authorInfo) {
   const { blob, filename } = await generateDocxReport(results, inputs, authorInfo);
@@ -768,3 +1114,17 @@ export async function downloadDocxReport(results, inputs, authorInfo) {
   URL.revokeObjectURL(url);
   return filename;
 }
+
+/** Download the generated portfolio report. */
+export async function downloadPortfolioDocxReport(rollup, info, authorInfo) {
+  const { blob, filename } = await generatePortfolioDocxReport(rollup, info, authorInfo);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return filename;
+}
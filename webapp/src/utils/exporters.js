@@ -5,6 +5,10 @@
  * shows, so a downloaded spreadsheet matches the dashboard exactly. PPTX
  * export remains in pptxGenerator.js; this adds the lighter-weight formats.
  */
+import { GOAL_SEEK_INPUTS, GOAL_SEEK_METRICS, describeGoalSeek } from './goalSeek';
+import { batchResultRows, batchTemplateRows } from './batch';
+import { multiplierTypeLabel } from './multiplierType';
+import { regionLabel } from './region';
 
 function csvCell(v) {
   if (v == null) return '';
@@ -26,42 +30,81 @@ const METRICS = [
 
 /** Build a CSV string capturing the headline analysis + breakdowns. */
 export function buildResultsCSV(results, context = {}) {
-  const { state, casinoName, propertyTypeLabel, gamingTaxResult, payrollTaxResult, householdTaxResult } = context;
+  const {
+    state, casinoName, propertyTypeLabel, gamingTaxResult, localTaxResult, payrollTaxResult, householdTaxResult, netResult,
+    proFormaResult, goalSeekResult, cpiResult: cpi, multiplierTypeResult, typeIResult: typeI, multiplierSourceResult: source,
+    regionResult: region, spilloverResult: spillover, vintageResult: vintage,
+  } = context;
   const rows = [];
 
   rows.push(['GEMS — Economic Impact Analysis']);
   rows.push(['Project', casinoName || '—']);
   rows.push(['State', state || '—']);
-  rows.push(['Operation type', propertyTypeLabel || '—']);
+  rows.push(['Operation type', `${propertyTypeLabel || '—'}${gamingTaxResult?.compact ? ' (tribal operation)' : ''}`]);
   rows.push(['Generated', new Date().toISOString()]);
+  if (vintage) rows.push(['Data edition', vintage.label]);
+  if (cpi) {
+    rows.push(['Price year', cpi.year]);
+    rows.push(['CPI series', cpi.label]);
+    rows.push([`CPI deflator (to ${cpi.baseYear} $)`, round(cpi.deflator, 4)]);
+    for (const w of cpi.warnings) rows.push(['CPI note', w]);
+  }
+  if (multiplierTypeResult) rows.push(['Multiplier basis', multiplierTypeLabel(multiplierTypeResult)]);
+  if (source) {
+    rows.push(['Multiplier source', source.label]);
+    for (const s of source.custom ? source.streams : []) rows.push([`Multipliers for ${s.label}`, s.source]);
+  }
   rows.push([]);
 
-  // Headline impact table
-  rows.push(['Economic Impact', 'Direct', 'Indirect', 'Induced', 'Total', 'Multiplier']);
+  // Headline impact table; with both bases reported, Type I totals sit beside the Type II ones
+  const multiplierOf = (r, key) => (key === 'tax'
+    ? (r.totals.tax.direct > 0 ? r.totals.tax.total / r.totals.tax.direct : '')
+    : r.multipliers[key]);
+  const cellMult = (m) => (typeof m === 'number' ? round(m, 2) : '');
+  rows.push(typeI
+    ? ['Economic Impact', 'Direct', 'Indirect', 'Induced', 'Type I Total', 'Type II Total', 'Type I Multiplier', 'Type II Multiplier']
+    : ['Economic Impact', 'Direct', 'Indirect', 'Induced', 'Total', 'Multiplier']);
   for (const { key, label } of METRICS) {
     const t = results.totals[key];
-    const mult = key === 'tax'
-      ? (t.direct > 0 ? t.total / t.direct : '')
-      : results.multipliers[key];
-    rows.push([
-      label,
-      round(t.direct), round(t.indirect), round(t.induced), round(t.total),
-      typeof mult === 'number' ? round(mult, 2) : '',
-    ]);
+    rows.push(typeI
+      ? [label, round(t.direct), round(t.indirect), round(t.induced), round(typeI.results.totals[key].total), round(t.total),
+        cellMult(multiplierOf(typeI.results, key)), cellMult(multiplierOf(results, key))]
+      : [label, round(t.direct), round(t.indirect), round(t.induced), round(t.total), cellMult(multiplierOf(results, key))]);
   }
   rows.push([]);
 
   // Tax detail
   rows.push(['Tax Revenue', 'Direct', 'Indirect', 'Induced', 'Total']);
-  if (gamingTaxResult) {
+  if (gamingTaxResult?.compact) {
+    for (const l of gamingTaxResult.compact.lines) rows.push([`Compact Revenue Sharing: ${l.label}`, round(l.amount), '', '', round(l.amount)]);
+  } else if (gamingTaxResult) {
     rows.push(['Gaming Tax (GGR)', round(gamingTaxResult.amount), '', '', round(gamingTaxResult.amount)]);
+    for (const l of gamingTaxResult.fees?.lines || []) rows.push([l.label, round(l.amount, 3), '', '', round(l.amount, 3)]);
+  }
+  for (const l of localTaxResult?.lines || []) {
+    if (l.additional) rows.push([l.label, round(l.amount), '', '', round(l.amount)]);
   }
   const tx = results.totals.tax;
   if (tx.total > 0) rows.push(['Taxes on Production (TOPI)', round(tx.direct), round(tx.indirect), round(tx.induced), round(tx.total)]);
   if (payrollTaxResult?.total > 0) rows.push(['Payroll Taxes', round(payrollTaxResult.direct), round(payrollTaxResult.indirect), round(payrollTaxResult.induced), round(payrollTaxResult.total)]);
   if (householdTaxResult?.total > 0) rows.push(['Household Taxes', round(householdTaxResult.direct), round(householdTaxResult.indirect), round(householdTaxResult.induced), round(householdTaxResult.total)]);
+  const grossTax = (gamingTaxResult?.amount || 0) + (gamingTaxResult?.fees?.total || 0) + (localTaxResult?.additional || 0) + tx.total + (payrollTaxResult?.total || 0) + (householdTaxResult?.total || 0);
+  if (typeI) {
+    rows.push(['Total Tax Revenue (Type II)', '', '', '', round(grossTax)]);
+    rows.push(['Total Tax Revenue (Type I, without induced)', '', '', '', round(typeI.totalTax)]);
+  }
   rows.push([]);
 
+  // State vs. local vs. host-community split of gaming-related revenue
+  if (localTaxResult) {
+    rows.push([`Gaming Revenue by Recipient${localTaxResult.jurisdiction ? ` (${localTaxResult.jurisdiction})` : ''}`, 'Recipient', 'Amount ($M)', 'Basis']);
+    for (const l of localTaxResult.lines) rows.push([l.label, l.recipient, round(l.amount, 2), l.detail || '']);
+    rows.push(['State total', 'state', round(localTaxResult.state, 2)]);
+    rows.push(['Local total', 'local', round(localTaxResult.local, 2)]);
+    rows.push(['Host-community total (not a tax)', 'host', round(localTaxResult.host, 2)]);
+    rows.push([]);
+  }
+
   // Revenue-stream breakdown
   if (results.byRevenue && results.byRevenue.length > 1) {
     rows.push(['Impact by Revenue Stream', 'Revenue ($M)', 'Output ($M)', 'GDP ($M)', 'Jobs (FTE)', 'Wages ($M)', 'Tax ($M)']);
@@ -70,9 +113,164 @@ export function buildResultsCSV(results, context = {}) {
     }
   }
 
+  // Gross vs. net (only when the net-impact adjustment is on)
+  if (netResult?.results) {
+    const sh = netResult.shares;
+    rows.push([]);
+    rows.push(['Gross vs. Net Impact', 'Gross', 'Net', 'Net / Gross']);
+    for (const { key, label } of METRICS) {
+      const g = results.totals[key].total;
+      const n = netResult.results.totals[key].total;
+      rows.push([label, round(g), round(n), g ? round(n / g, 3) : '']);
+    }
+    rows.push(['Total Tax Revenue ($M)', round(grossTax), round(netResult.totalTax), grossTax ? round(netResult.totalTax / grossTax, 3) : '']);
+    rows.push([]);
+    rows.push(['Net Impact Assumptions', 'Share of Spending']);
+    rows.push(['Out-of-state visitors', round(sh.outOfState, 3)]);
+    rows.push(['Recaptured leakage', round(sh.recaptured, 3)]);
+    rows.push(['Added resident spending', round(sh.incremental, 3)]);
+    rows.push(['Diverted local spending (displacement subtracted)', round(sh.displaced, 3)]);
+    rows.push(['Displaced activity ($M)', round(netResult.displacedRevenue)]);
+  }
+
+  // Host region vs. rest of state (FLQ-regionalized share of the state effects)
+  if (region?.host) {
+    const name = regionLabel(region);
+    rows.push([]);
+    rows.push([`${name} vs. Rest of State`, name, 'Rest of state', 'State total', 'Host share']);
+    for (const { key, label } of METRICS) {
+      const h = region.host.totals[key].total;
+      const t = results.totals[key].total;
+      rows.push([label, round(h), round(region.rest.totals[key].total), round(t), t ? round(h / t, 3) : '']);
+    }
+    rows.push(['Share of state employment (%)', round(region.employmentSharePct, 2)]);
+    rows.push(['Supplier-industry location quotient', round(region.supplierLQ, 3)]);
+    rows.push(['FLQ lambda', round(region.factors.lambda, 4)]);
+    rows.push(['Indirect effect retained', round(region.factors.indirect, 4)]);
+    rows.push(['Induced effect retained', round(region.factors.induced, 4)]);
+  }
+
+  // Impacts by state (spillover to neighboring states)
+  if (spillover?.states) {
+    const { states, combined } = spillover;
+    rows.push([]);
+    rows.push(['Impacts by State', ...states.map((s) => s.state), 'Combined']);
+    for (const { key, label } of METRICS) {
+      rows.push([label, ...states.map((s) => round(s.results.totals[key].total)), round(combined.totals[key].total)]);
+    }
+    rows.push(['Payroll Taxes ($M)', ...states.map((s) => round(s.payrollTaxResult?.total || 0)), round(combined.payrollTax)]);
+    rows.push(['Household Taxes ($M)', ...states.map((s) => round(s.householdTaxResult.total)), round(combined.householdTax)]);
+    rows.push(['Share of employees living in state', ...states.map((s) => round(s.employee, 3))]);
+    rows.push(['Share of supplier purchases', ...states.map((s) => round(s.supplier, 3))]);
+  }
+
+  // Multi-year pro forma (only when the analyst opts it into exports)
+  if (proFormaResult?.rows.length) {
+    const pf = proFormaResult;
+    rows.push([]);
+    rows.push([
+      'Pro Forma Year', 'Ramp (%)', 'Revenue ($M)', 'GGR ($M)', 'CPI Deflator', 'Gaming Tax Rate',
+      'Output ($M)', 'GDP ($M)', 'Jobs (FTE)', 'Wages ($M)', 'Gaming Tax ($M)', 'Total Tax ($M)', 'Discount Factor',
+    ]);
+    for (const r of pf.rows) {
+      rows.push([
+        r.year, round(r.rampPct, 0), round(r.revenue), round(r.ggr), round(r.deflator, 4), round(r.gamingTaxRate, 4),
+        round(r.output), round(r.gdp), round(r.employment), round(r.wages), round(r.gamingTax), round(r.totalTax),
+        round(r.discountFactor, 4),
+      ]);
+    }
+    rows.push(['Cumulative', '', round(pf.totals.revenue), '', '', '', round(pf.totals.output), round(pf.totals.gdp), '', round(pf.totals.wages), round(pf.totals.gamingTax), round(pf.totals.totalTax)]);
+    rows.push([`Present value @ ${round(pf.settings.discountRatePct, 2)}%`, '', round(pf.npv.revenue), '', '', '', round(pf.npv.output), round(pf.npv.gdp), '', round(pf.npv.wages), round(pf.npv.gamingTax), round(pf.npv.totalTax)]);
+    rows.push([]);
+    rows.push(['Pro Forma Assumptions']);
+    rows.push(['Year-1 revenue (% of stabilized)', round(pf.settings.openingPct, 1)]);
+    rows.push(['Stabilization year', pf.settings.startYear + pf.settings.stabilizationYear - 1]);
+    for (const [key, g] of Object.entries(pf.settings.growthPct)) rows.push([`Nominal growth: ${key} (%)`, round(g, 2)]);
+    rows.push(['Projected CPI inflation (%)', round(pf.settings.inflationPct, 2)]);
+    rows.push(['Discount rate (%)', round(pf.settings.discountRatePct, 2)]);
+    for (const c of pf.settings.taxChanges) {
+      if (c.year != null && c.ratePct != null) rows.push([`Gaming tax rate from ${c.year} (%)`, round(c.ratePct, 2)]);
+    }
+  }
+
+  // Goal seek (only when the analyst opts it into exports)
+  if (goalSeekResult) {
+    const gs = goalSeekResult;
+    const input = GOAL_SEEK_INPUTS.find((i) => i.key === gs.input);
+    const metric = GOAL_SEEK_METRICS.find((m) => m.key === gs.metric);
+    const inputUnit = input.unit === 'rate' ? '%' : input.unit;
+    const inputValue = (v) => (v == null ? '' : input.unit === 'rate' ? round(v * 100, 3) : round(v, 3));
+    rows.push([]);
+    rows.push(['Goal Seek']);
+    rows.push(['Solve for', input.label]);
+    rows.push([`Target ${metric.label} (${metric.unit})`, round(gs.target, 3)]);
+    rows.push(['Status', gs.status]);
+    rows.push([`Required value (${inputUnit})`, gs.status === 'solved' ? inputValue(gs.value) : '']);
+    rows.push([`Current value (${inputUnit})`, inputValue(gs.current)]);
+    rows.push([`Current ${metric.label} (${metric.unit})`, round(gs.currentMetric, 3)]);
+    rows.push(['Explanation', describeGoalSeek(gs)]);
+  }
+
   return toCSV(rows);
 }
 
+/** Portfolio CSV: per-property results, the by-state rollup and the company-wide total. */
+export function buildPortfolioCSV(rollup, { name } = {}) {
+  const rows = [];
+  rows.push(['GEMS — Portfolio Economic Impact']);
+  rows.push(['Portfolio', name || '—']);
+  rows.push(['Properties', rollup.properties.length]);
+  rows.push(['Generated', new Date().toISOString()]);
+  rows.push([]);
+
+  rows.push([
+    'Property', 'State', 'Revenue ($M)', 'GGR ($M)', 'Output ($M)', 'GDP ($M)', 'Employment (FTEs)', 'Wages ($M)',
+    'Gaming Tax ($M)', 'Gaming Fees ($M)', 'Compact Revenue Sharing ($M)', 'Local Levies ($M)', 'Total Tax ($M)',
+  ]);
+  for (const p of rollup.properties) {
+    if (p.error) {
+      rows.push([p.name, p.state, '', '', '', '', '', '', '', '', '', '', '', p.error]);
+      continue;
+    }
+    const t = p.taxes;
+    rows.push([
+      p.name, p.state, round(p.revenue), round(p.ggr), round(p.output), round(p.gdp), round(p.employment), round(p.wages),
+      round(t.gamingTax, 2), round(t.fees, 3), round(t.compact, 2), round(t.local, 2), round(p.totalTax),
+    ]);
+  }
+  rows.push([]);
+
+  rows.push([
+    'State Rollup', 'Properties', 'Revenue ($M)', 'GGR ($M)', 'Output ($M)', 'GDP ($M)', 'Employment (FTEs)', 'Wages ($M)',
+    'Gaming Tax ($M)', 'Gaming Fees ($M)', 'Compact Revenue Sharing ($M)', 'Local Levies ($M)', 'Total Tax ($M)', 'Effective Gaming Tax Rate',
+  ]);
+  for (const s of rollup.byState) {
+    const t = s.taxes;
+    rows.push([
+      s.state, s.count, round(s.revenue), round(s.ggr), round(s.output), round(s.gdp), round(s.employment), round(s.wages),
+      round(t.gamingTax, 2), round(t.fees, 3), round(t.compact, 2), round(t.local, 2), round(s.totalTax), round(s.effectiveRate, 4),
+    ]);
+  }
+  const c = rollup.total;
+  rows.push([
+    `Company-wide (${c.states} states)`, c.count, round(c.revenue), round(c.ggr), round(c.output), round(c.gdp), round(c.employment), round(c.wages),
+    '', '', '', '', round(c.totalTax), '',
+  ]);
+  rows.push(['State gaming taxes, fees, compact payments and local levies are reported per state only.']);
+
+  return toCSV(rows);
+}
+
+/** Batch results: one row per uploaded analysis, with its errors. */
+export function buildBatchCSV(batch) {
+  return toCSV(batchResultRows(batch));
+}
+
+/** Blank batch upload template (header plus one example row). */
+export function buildBatchTemplateCSV() {
+  return toCSV(batchTemplateRows());
+}
+
 function round(v, dp = 1) {
   if (v == null || isNaN(v)) return '';
   const f = Math.pow(10, dp);
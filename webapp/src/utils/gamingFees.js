@@ -0,0 +1,138 @@
+/**
+ * Gaming fees that are not a percent of GGR: per-admission taxes, per-wager
+ * taxes on sports betting, annual per-device (slot) and per-table fees, and
+ * fixed annual license fees.
+ *
+ * Fee terms come from a state's `fees` object in gamingTaxRates.json (or its
+ * `sportsBetting`/`iGaming` sub-config for online operations), carried on the
+ * tax config by buildTaxConfig. Fees are levied on volumes rather than
+ * revenue, so each needs an operating volume from the analysis; a fee whose
+ * volume has not been entered is listed in `missing` instead of being
+ * estimated.
+ *
+ * Fee schema (all optional):
+ *   admission: { perPatron } or { brackets: [{ minAdmissions, perPatron }] } —
+ *     brackets set one $ rate for every admission by annual volume;
+ *   perWager: { handleRate } (fraction of handle) or
+ *     { tiers: [{ threshold, rate }] } — graduated $ per wager, thresholds in wagers;
+ *   perDevice: { slot, table } — $ per device per year;
+ *   license: { annual } — $ per year.
+ */
+import { calculateGamingTax } from './calculations';
+
+/** Annual visits and wagers are counts; handle is $M; average wager is $. */
+export const DEFAULT_VOLUMES = {
+  annualVisits: null,
+  sportsHandle: null,
+  averageWager: null,
+  slotCount: null,
+  tableCount: null,
+};
+
+/** Merge saved/partial volumes over the defaults. */
+export function normalizeVolumes(v) {
+  return { ...DEFAULT_VOLUMES, ...v };
+}
+
+/** Volume fields that feed a fee schedule, in display order. */
+export function feeVolumeFields(fees) {
+  if (!fees) return [];
+  const fields = [];
+  if (fees.admission) fields.push('annualVisits');
+  if (fees.perWager) fields.push('sportsHandle');
+  if (fees.perWager?.tiers) fields.push('averageWager');
+  if (fees.perDevice?.slot) fields.push('slotCount');
+  if (fees.perDevice?.table) fields.push('tableCount');
+  return fields;
+}
+
+const num = (v) => (v == null || v === '' ? null : Number(v));
+const count = (v) => Math.round(v).toLocaleString('en-US');
+const dollars = (v) => `$${v.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+/** $ per admission at a given annual volume. */
+function admissionRate(admission, visits) {
+  if (admission.perPatron != null) return admission.perPatron;
+  const brackets = [...(admission.brackets || [])].sort((a, b) => a.minAdmissions - b.minAdmissions);
+  let rate = 0;
+  for (const b of brackets) if (visits > b.minAdmissions) rate = b.perPatron;
+  return rate;
+}
+
+/**
+ * Calculate each fee component.
+ *
+ * @param {object} fees - Fee terms from the tax config (may be undefined)
+ * @param {object} volumes - Analysis volumes (see DEFAULT_VOLUMES)
+ * @returns {object|null} { lines: [{ key, label, amount ($M), detail }], total ($M), missing: [volume field] },
+ *   or null when the state has no fee terms
+ */
+export function calculateGamingFees(fees, volumes) {
+  if (!fees) return null;
+  const v = normalizeVolumes(volumes);
+  const lines = [];
+  const missing = [];
+
+  if (fees.admission) {
+    const visits = num(v.annualVisits);
+    if (visits > 0) {
+      const rate = admissionRate(fees.admission, visits);
+      lines.push({
+        key: 'admission', label: 'Admission tax', amount: (rate * visits) / 1e6,
+        detail: `${dollars(rate)} × ${count(visits)} admissions`,
+      });
+    } else {
+      missing.push('annualVisits');
+    }
+  }
+
+  if (fees.perWager) {
+    const handle = num(v.sportsHandle);
+    const avg = num(v.averageWager);
+    if (!(handle > 0)) {
+      missing.push('sportsHandle');
+    } else if (fees.perWager.handleRate != null) {
+      lines.push({
+        key: 'perWager', label: 'Handle tax', amount: handle * fees.perWager.handleRate,
+        detail: `${Math.round(fees.perWager.handleRate * 10000) / 100}% of $${handle.toLocaleString('en-US')}M handle`,
+      });
+    } else if (avg > 0) {
+      const wagers = (handle * 1e6) / avg;
+      lines.push({
+        key: 'perWager', label: 'Per-wager tax', amount: calculateGamingTax(wagers, { tiers: fees.perWager.tiers }) / 1e6,
+        detail: `${count(wagers)} wagers (${dollars(avg)} average)`,
+      });
+    } else {
+      missing.push('averageWager');
+    }
+  }
+
+  const devices = [
+    ['slot', 'slotCount', 'Slot machine fees', 'slot machines'],
+    ['table', 'tableCount', 'Table game fees', 'tables'],
+  ];
+  for (const [kind, field, label, noun] of devices) {
+    const fee = fees.perDevice?.[kind];
+    if (!fee) continue;
+    const n = num(v[field]);
+    if (n > 0) {
+      lines.push({ key: `${kind}Fees`, label, amount: (fee * n) / 1e6, detail: `${dollars(fee)} × ${count(n)} ${noun}` });
+    } else {
+      missing.push(field);
+    }
+  }
+
+  if (fees.license?.annual) {
+    lines.push({
+      key: 'license', label: 'Annual license fee', amount: fees.license.annual / 1e6,
+      detail: `${dollars(fees.license.annual)} per year`,
+    });
+  }
+
+  return {
+    lines,
+    total: lines.reduce((a, l) => a + l.amount, 0),
+    missing,
+    source: fees.source || null,
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Goal seek: solve for the value of one input that makes a headline metric
+ * hit a target ("what GGR yields $50M in gaming tax?").
+ *
+ * Every trial re-runs the full model (computeScenario), so tiered and
+ * split-tiered gaming tax schedules are honoured exactly. Those schedules are
+ * piecewise linear but continuous in revenue, rate and slot share, so the
+ * solver brackets the target on a grid (or by doubling, for open-ended
+ * revenue inputs) and then bisects inside the bracket.
+ */
+import { computeScenario, headlineMetrics } from './computeScenario';
+import { formatCurrency, formatJobs, formatNumber } from './calculations';
+
+/**
+ * Solvable inputs (`noun` is the label used mid-sentence). `bounds` are
+ * [min, max] for bounded inputs; revenue inputs are open-ended above. Units
+ * follow the analysis: $M, fractions for the custom tax rate, 0–100 for slot
+ * share.
+ */
+export const GOAL_SEEK_INPUTS = [
+  { key: 'ggr', label: 'Gaming revenue (GGR)', noun: 'gaming revenue (GGR)', unit: '$M' },
+  { key: 'revenue.food', label: 'Food & beverage revenue', noun: 'food & beverage revenue', unit: '$M', departmentsOnly: true },
+  { key: 'revenue.lodging', label: 'Lodging revenue', noun: 'lodging revenue', unit: '$M', departmentsOnly: true },
+  { key: 'revenue.other', label: 'Other revenue', noun: 'other revenue', unit: '$M', departmentsOnly: true },
+  { key: 'taxRate', label: 'Gaming tax rate (flat override)', noun: 'the gaming tax rate', unit: 'rate', bounds: [0, 1] },
+  { key: 'slotShare', label: 'Slot share of GGR', noun: 'the slot share of GGR', unit: '%', bounds: [0, 100] },
+];
+
+export const GOAL_SEEK_METRICS = [
+  { key: 'employment', label: 'Jobs', unit: 'FTE' },
+  { key: 'totalTax', label: 'Total tax', unit: '$M' },
+  { key: 'gamingTax', label: 'Gaming tax', unit: '$M' },
+  { key: 'gdp', label: 'GDP', unit: '$M' },
+];
+
+export const DEFAULT_GOAL_SEEK = { input: 'ggr', metric: 'totalTax', target: null, includeInExports: false };
+
+const GRID_STEPS = 40;
+const MAX_DOUBLINGS = 40;
+const MAX_ITERATIONS = 100;
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeGoalSeek(g) {
+  return { ...DEFAULT_GOAL_SEEK, ...g };
+}
+
+/** Inputs that apply to an analysis (department revenues need departmental input). */
+export function goalSeekInputsFor(analysis) {
+  return GOAL_SEEK_INPUTS.filter((i) => !i.departmentsOnly || analysis.inputMode !== 'total');
+}
+
+const ggrKey = (analysis) => (analysis.inputMode === 'total' ? 'total' : 'gaming');
+
+/** The input's current value in the analysis. */
+export function goalSeekInputValue(analysis, input) {
+  if (input === 'taxRate') {
+    const r = analysis.gamingTaxCustomRate;
+    return r == null || r === '' ? null : Number(r);
+  }
+  if (input === 'slotShare') return analysis.slotRevenuePct ?? 70;
+  const key = input === 'ggr' ? ggrKey(analysis) : input.replace('revenue.', '');
+  return analysis.revenues?.[key] || 0;
+}
+
+/** Copy of the analysis with the input set to `x`. */
+function withInput(analysis, input, x) {
+  if (input === 'taxRate') return { ...analysis, gamingTaxCustomRate: x };
+  if (input === 'slotShare') return { ...analysis, slotRevenuePct: x };
+  const key = input === 'ggr' ? ggrKey(analysis) : input.replace('revenue.', '');
+  const revenues = { ...analysis.revenues, [key]: x };
+  // keep gaming/total mirrored for online single-stream operations
+  if (key === 'gaming' && analysis.revenues?.total != null) revenues.total = x;
+  return { ...analysis, revenues };
+}
+
+/** A metric from a computeScenario bundle, including gaming tax on its own. */
+function metricValue(bundle, metric) {
+  if (metric === 'gamingTax') return bundle.results ? (bundle.gamingTaxResult?.amount || 0) : null;
+  return headlineMetrics(bundle)?.[metric] ?? null;
+}
+
+/**
+ * Solve for the input value at which `metric` equals `target`.
+ *
+ * @param {object} analysis - Serialized analysis
+ * @param {object} opts - { input, metric, target } (target in the metric's units)
+ * @returns {object|null} { input, metric, target, status, value, achieved, current, currentMetric, range, iterations }
+ *   status: 'solved' | 'unreachable' (target outside `range`) | 'unaffected' (the input doesn't move the metric)
+ */
+export function runGoalSeek(analysis, { input = 'ggr', metric = 'totalTax', target } = {}) {
+  const spec = GOAL_SEEK_INPUTS.find((i) => i.key === input);
+  const goal = Number(target);
+  if (!spec || target == null || target === '' || !Number.isFinite(goal)) return null;
+
+  const currentMetric = metricValue(computeScenario(analysis), metric);
+  if (currentMetric == null) return null;
+
+  let iterations = 0;
+  const f = (x) => {
+    iterations++;
+    return (metricValue(computeScenario(withInput(analysis, input, x)), metric) ?? 0) - goal;
+  };
+  const current = goalSeekInputValue(analysis, input);
+  const result = (status, extra) => ({
+    input, metric, target: goal, status, current, currentMetric, iterations, ...extra,
+  });
+
+  // Sample the input's domain; bounded inputs on a grid, revenue by doubling
+  const points = [];
+  if (spec.bounds) {
+    const [lo, hi] = spec.bounds;
+    for (let i = 0; i <= GRID_STEPS; i++) {
+      const x = lo + ((hi - lo) * i) / GRID_STEPS;
+      points.push([x, f(x)]);
+    }
+  } else {
+    points.push([0, f(0)]);
+    let x = Math.max(current || 0, 1);
+    for (let i = 0; i < MAX_DOUBLINGS; i++, x *= 2) {
+      const y = f(x);
+      points.push([x, y]);
+      if (y >= 0) break;
+    }
+  }
+
+  const ys = points.map(([, y]) => y + goal);
+  const range = [Math.min(...ys), Math.max(...ys)];
+  if (range[1] - range[0] <= Math.abs(goal) * 1e-9) return result('unaffected', { range });
+
+  for (let i = 0; i < points.length; i++) {
+    const [x, y] = points[i];
+    if (y === 0) return result('solved', { value: x, achieved: goal, range });
+    if (i === 0) continue;
+    const [px, py] = points[i - 1];
+    if (Math.sign(py) !== Math.sign(y)) {
+      const value = bisect(f, px, x, py, Math.abs(goal) * 1e-7);
+      return result('solved', { value, achieved: f(value) + goal, range });
+    }
+  }
+  return result('unreachable', { range });
+}
+
+function bisect(f, lo, hi, fLo, tol) {
+  let mid = (lo + hi) / 2;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    mid = (lo + hi) / 2;
+    const y = f(mid);
+    if (Math.abs(y) <= tol || hi - lo <= Math.abs(mid) * 1e-10) break;
+    if (Math.sign(y) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = y;
+    } else {
+      hi = mid;
+    }
+  }
+  return mid;
+}
+
+/** Format an input value in its own units. */
+export function formatGoalSeekInput(input, v) {
+  if (v == null) return '—';
+  if (input === 'taxRate') return `${formatNumber(v * 100, 2)}%`;
+  if (input === 'slotShare') return `${formatNumber(v, 1)}%`;
+  return formatCurrency(v, 2);
+}
+
+/** Format a metric value in its own units. */
+export function formatGoalSeekMetric(metric, v) {
+  return metric === 'employment' ? formatJobs(v) : formatCurrency(v, 2);
+}
+
+/** One-paragraph plain-language explanation of a goal-seek result. */
+export function describeGoalSeek(result) {
+  if (!result) return '';
+  const { noun } = GOAL_SEEK_INPUTS.find((i) => i.key === result.input);
+  const metric = GOAL_SEEK_METRICS.find((m) => m.key === result.metric).label.toLowerCase();
+  const fi = (v) => formatGoalSeekInput(result.input, v);
+  const fm = (v) => formatGoalSeekMetric(result.metric, v);
+
+  if (result.status === 'unaffected') {
+    return `Changing ${noun} does not move ${metric} for this analysis, so the target of ${fm(result.target)} cannot be reached this way.`;
+  }
+  if (result.status === 'unreachable') {
+    return `No value of ${noun} produces ${metric} of ${fm(result.target)}. With all other inputs held at their entered `
+      + `values, ${metric} ranges from ${fm(result.range[0])} to ${fm(result.range[1])} across the values tested.`;
+  }
+  let text = `Reaching ${metric} of ${fm(result.target)} requires setting ${noun} to ${fi(result.value)}, with all other inputs `
+    + 'held at their entered values.';
+  if (result.input === 'taxRate') {
+    text += ' The rate is applied as a flat rate on all GGR in place of the statutory schedule.';
+  }
+  if (result.current != null) {
+    text += ` The current ${fi(result.current)} gives ${fm(result.currentMetric)}.`;
+  }
+  return text;
+}
@@ -0,0 +1,155 @@
+/**
+ * Local (county/city) gaming revenue and host-community payments.
+ *
+ * Splits the public revenue tied to GGR into three recipients:
+ *   - state: the state gaming tax and gaming fees the state keeps;
+ *   - local: statutory distributions of that tax to localities, local shares
+ *     of the state admission tax, and local GGR surcharges;
+ *   - host: negotiated host-community payments.
+ *
+ * Distributions and admission-tax shares are part of state levies, so they
+ * move revenue from the state lines to the local lines without changing the
+ * total. Surcharges are additional taxes, as is a local admission fee in a
+ * state with no admission tax of its own on file. Host-community payments
+ * are contractual, not taxes, and are reported outside the tax total.
+ */
+import { calculateGamingTax } from './calculations';
+
+/** Host payments are % of GGR and $M. Annual admissions come from the analysis volumes. */
+export const DEFAULT_LOCAL_TAX = {
+  enabled: false,
+  jurisdiction: null,
+  hostPaymentPct: null,
+  hostPaymentFixed: null,
+};
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeLocalTax(l) {
+  return { ...DEFAULT_LOCAL_TAX, ...l };
+}
+
+/** Jurisdictions with their own local terms in a state's data ([] if none). */
+export function localJurisdictions(stateTaxConfig) {
+  return stateTaxConfig?.local?.jurisdictions || [];
+}
+
+/** State-level local terms, overlaid with a jurisdiction's when one is chosen. */
+export function localTaxConfig(stateTaxConfig, jurisdiction = null) {
+  const { jurisdictions, ...statewide } = stateTaxConfig?.local || {};
+  const j = jurisdictions?.find((x) => x.id === jurisdiction);
+  return j ? { ...statewide, ...j } : statewide;
+}
+
+const num = (v) => (v == null || v === '' ? null : Number(v));
+
+/**
+ * Calculate the state / local / host-community split.
+ *
+ * @param {object} base - { ggr ($M), slotRevenuePct (0-100), gamingTax ($M, state gaming tax),
+ *   fees (calculateGamingFees result or null), annualVisits }
+ * @param {object} config - From localTaxConfig()
+ * @param {object} settings - Analysis localTax settings (host-payment overrides)
+ * @returns {object} { jurisdiction, lines: [{ key, label, recipient, amount, additional, detail }], state, local, host, additional }
+ */
+export function calculateLocalTax({ ggr, slotRevenuePct, gamingTax, fees, annualVisits }, config, settings) {
+  const lines = [];
+  const slotShare = (slotRevenuePct ?? 70) / 100;
+
+  // Statutory distributions out of the state tax (capped at the tax itself)
+  const d = config.distribution;
+  let distributed = 0;
+  let distributionDetail = null;
+  if (d && gamingTax > 0) {
+    if (d.shareOfStateTax != null) {
+      distributed = gamingTax * d.shareOfStateTax;
+      distributionDetail = `${pct(d.shareOfStateTax)} of state gaming tax`;
+    } else if (d.shareOfGGR != null) {
+      distributed = ggr * d.shareOfGGR;
+      distributionDetail = `${pct(d.shareOfGGR)} of GGR`;
+    } else if (d.slotShareOfGGR != null || d.tableShareOfGGR != null) {
+      distributed = ggr * (slotShare * (d.slotShareOfGGR || 0) + (1 - slotShare) * (d.tableShareOfGGR || 0));
+      distributionDetail = `${pct(d.slotShareOfGGR || 0)} of slot / ${pct(d.tableShareOfGGR || 0)} of table GGR`;
+    }
+    distributed = Math.min(distributed, gamingTax);
+  }
+
+  lines.push({
+    key: 'stateRetained', label: 'State gaming tax (retained)', recipient: 'state',
+    amount: (gamingTax || 0) - distributed, additional: false, detail: null,
+  });
+  if (distributed > 0) {
+    lines.push({
+      key: 'distributed', label: 'State gaming tax distributed to localities', recipient: 'local',
+      amount: distributed, additional: false, detail: [config.distributionRecipient, distributionDetail].filter(Boolean).join(' · '),
+    });
+  }
+
+  // Local GGR surcharge on top of the state tax
+  const s = config.surcharge;
+  if (s && ggr > 0) {
+    const amount = s.tiers ? calculateGamingTax(ggr, { tiers: s.tiers }) : ggr * (s.rate || 0);
+    if (amount > 0) {
+      lines.push({
+        key: 'surcharge', label: 'Local gaming tax on GGR', recipient: 'local', amount, additional: true,
+        detail: [config.surchargeRecipient, `${pct(amount / ggr)} effective`].filter(Boolean).join(' · '),
+      });
+    }
+  }
+
+  // Local share of per-admission fees: out of the state admission tax when
+  // one is on file, otherwise levied on top
+  const admissionTax = fees?.lines.find((l) => l.key === 'admission')?.amount || 0;
+  const visits = num(annualVisits);
+  let localAdmissions = 0;
+  if (config.admissionFee && visits > 0) {
+    localAdmissions = (config.admissionFee * visits) / 1e6;
+    if (admissionTax > 0) localAdmissions = Math.min(localAdmissions, admissionTax);
+  }
+  if (admissionTax > localAdmissions) {
+    lines.push({
+      key: 'admissionsRetained', label: 'State admission tax (retained)', recipient: 'state',
+      amount: admissionTax - localAdmissions, additional: false, detail: null,
+    });
+  }
+  const otherFees = (fees?.total || 0) - admissionTax;
+  if (otherFees > 0) {
+    lines.push({
+      key: 'fees', label: 'State license and device fees', recipient: 'state', amount: otherFees, additional: false,
+      detail: fees.lines.filter((l) => l.key !== 'admission').map((l) => l.label).join(', '),
+    });
+  }
+  if (localAdmissions > 0) {
+    lines.push({
+      key: 'admissions', label: 'Local admission fees', recipient: 'local',
+      amount: localAdmissions, additional: !(admissionTax > 0),
+      detail: [config.admissionRecipient, `$${config.admissionFee} × ${Math.round(visits).toLocaleString('en-US')} admissions`].filter(Boolean).join(' · '),
+    });
+  }
+
+  // Host-community agreement: % of GGR (entered, or the jurisdiction's published rate) plus any fixed payment
+  const hostPct = num(settings.hostPaymentPct) ?? num(config.hostPaymentPct) ?? 0;
+  const hostFixed = num(settings.hostPaymentFixed) || 0;
+  const host = ggr * (hostPct / 100) + hostFixed;
+  if (host > 0) {
+    const parts = [hostPct > 0 && `${hostPct}% of GGR`, hostFixed > 0 && `$${hostFixed}M fixed`].filter(Boolean);
+    lines.push({
+      key: 'host', label: 'Host-community payments', recipient: 'host', amount: host, additional: false,
+      detail: parts.join(' + '),
+    });
+  }
+
+  const sum = (recipient) => lines.filter((l) => l.recipient === recipient).reduce((a, l) => a + l.amount, 0);
+  return {
+    jurisdiction: config.name || null,
+    source: config.source || null,
+    lines,
+    state: sum('state'),
+    local: sum('local'),
+    host: sum('host'),
+    additional: lines.filter((l) => l.additional).reduce((a, l) => a + l.amount, 0),
+  };
+}
+
+function pct(v) {
+  return `${Math.round(v * 1000) / 10}%`;
+}
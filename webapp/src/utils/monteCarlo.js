@@ -0,0 +1,162 @@
+/**
+ * Monte Carlo uncertainty bands for the headline results.
+ *
+ * Each draw perturbs the uncertain inputs — revenue, slot share, and the
+ * multiplier and employment coefficients — and re-runs the full model
+ * (computeScenario), so tiered taxes and payroll caps respond correctly.
+ * The draws are summarized as P10 / P50 / P90 per headline metric.
+ *
+ * Runs are reproducible: the same seed, settings and inputs give the same
+ * bands. Large runs belong in monteCarlo.worker.js so the UI stays responsive.
+ */
+import { computeScenario, headlineMetrics } from './computeScenario';
+import { METRIC_META } from './sensitivity';
+
+export const UNCERTAIN_INPUTS = [
+  { key: 'ggr', label: 'Gaming revenue (GGR)', unit: '%' },
+  { key: 'nonGaming', label: 'Non-gaming revenue', unit: '%' },
+  { key: 'slotShare', label: 'Slot share of GGR', unit: 'pts' },
+  { key: 'multiplier', label: 'Multiplier ripple effects', unit: '%' },
+  { key: 'employment', label: 'Employment coefficients', unit: '%' },
+];
+
+export const DISTRIBUTIONS = [
+  { value: 'triangular', label: 'Triangular' },
+  { value: 'uniform', label: 'Uniform' },
+  { value: 'normal', label: 'Normal' },
+];
+
+/**
+ * Ranges are deviations from the entered value: percent for revenue and
+ * coefficients, percentage points for slot share. Triangular peaks at the
+ * entered value; for normal, low/high are the 10th and 90th percentiles.
+ */
+export const DEFAULT_UNCERTAINTY = {
+  draws: 5000,
+  seed: 2026,
+  inputs: {
+    ggr: { dist: 'triangular', low: -15, high: 10 },
+    nonGaming: { dist: 'triangular', low: -20, high: 15 },
+    slotShare: { dist: 'uniform', low: -10, high: 10 },
+    multiplier: { dist: 'normal', low: -15, high: 15 },
+    employment: { dist: 'normal', low: -10, high: 10 },
+  },
+};
+
+export const MAX_DRAWS = 20000;
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeUncertainty(u) {
+  const inputs = {};
+  for (const { key } of UNCERTAIN_INPUTS) {
+    inputs[key] = { ...DEFAULT_UNCERTAINTY.inputs[key], ...u?.inputs?.[key] };
+  }
+  return { ...DEFAULT_UNCERTAINTY, ...u, inputs };
+}
+
+/** mulberry32: small, fast, seedable PRNG returning floats in [0, 1). */
+export function createRng(seed) {
+  let a = (Number(seed) || 0) >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const Z90 = 1.2815515655446004; // standard normal 90th percentile
+
+/** One draw (a deviation in the spec's units) from an input's distribution. */
+export function sample(spec, rng) {
+  const low = Number(spec?.low) || 0;
+  const high = Number(spec?.high) || 0;
+  if (low === 0 && high === 0) return 0;
+  switch (spec.dist) {
+    case 'uniform':
+      return low + (high - low) * rng();
+    case 'normal': {
+      // Box-Muller; 1 - rng() keeps the log argument in (0, 1]
+      const z = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+      return (low + high) / 2 + z * ((high - low) / (2 * Z90));
+    }
+    default: {
+      // triangular with the mode at the entered value (0), clamped into [low, high]
+      const mode = Math.min(Math.max(0, low), high);
+      const u = rng();
+      const fc = high > low ? (mode - low) / (high - low) : 0;
+      return u < fc
+        ? low + Math.sqrt(u * (high - low) * (mode - low))
+        : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+    }
+  }
+}
+
+const factor = (pct) => Math.max(0, 1 + pct / 100);
+
+/** Apply one set of draws to the analysis; returns [variant, coefScale]. */
+function perturb(analysis, d) {
+  const revenues = {};
+  const isTotal = analysis.inputMode === 'total';
+  for (const [key, v] of Object.entries(analysis.revenues || {})) {
+    if (typeof v !== 'number') { revenues[key] = v; continue; }
+    const isGaming = isTotal ? key === 'total' : key === 'gaming';
+    revenues[key] = v * factor(isGaming ? d.ggr : d.nonGaming);
+  }
+  // keep gaming/total mirrored for online single-stream operations
+  if (!isTotal && analysis.revenues?.total != null) revenues.total = revenues.gaming;
+  const slotRevenuePct = Math.min(100, Math.max(0, (analysis.slotRevenuePct ?? 70) + d.slotShare));
+  return [
+    { ...analysis, revenues, slotRevenuePct },
+    { multiplier: factor(d.multiplier), employment: factor(d.employment) },
+  ];
+}
+
+/** Linear-interpolated quantile of a sorted array. */
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Run the simulation.
+ *
+ * @param {object} analysis - Serialized analysis (settings read from analysis.uncertainty)
+ * @param {object} [opts] - { onProgress(fraction), data } — data: the resolved data files (see computeScenario)
+ * @returns {object|null} { draws, seed, base, stats: { [metric]: { p10, p50, p90, mean } }, settings }
+ */
+export function runMonteCarlo(analysis, { onProgress, data } = {}) {
+  const settings = normalizeUncertainty(analysis.uncertainty);
+  const base = headlineMetrics(computeScenario(analysis, { data }));
+  if (!base) return null;
+
+  const draws = Math.min(MAX_DRAWS, Math.max(1, Math.round(settings.draws) || 1));
+  const rng = createRng(settings.seed);
+  const samples = Object.fromEntries(METRIC_META.map(({ key }) => [key, []]));
+  const every = Math.max(1, Math.floor(draws / 20));
+
+  for (let i = 0; i < draws; i++) {
+    const d = {};
+    for (const { key } of UNCERTAIN_INPUTS) d[key] = sample(settings.inputs[key], rng);
+    const [variant, coefScale] = perturb(analysis, d);
+    const m = headlineMetrics(computeScenario(variant, { coefScale, data }));
+    if (m) for (const { key } of METRIC_META) samples[key].push(m[key]);
+    if (onProgress && (i + 1) % every === 0) onProgress((i + 1) / draws);
+  }
+
+  const stats = {};
+  for (const { key } of METRIC_META) {
+    const sorted = samples[key].sort((a, b) => a - b);
+    stats[key] = {
+      p10: quantile(sorted, 0.1),
+      p50: quantile(sorted, 0.5),
+      p90: quantile(sorted, 0.9),
+      mean: sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1),
+    };
+  }
+  return { draws, seed: settings.seed, base, stats, settings };
+}
@@ -0,0 +1,20 @@
+/**
+ * Web Worker wrapper around runMonteCarlo so 10,000+ draws don't block the UI.
+ *
+ * In:  { analysis, data } — data: the resolved data files (dataService.analysisData)
+ * Out: { type: 'progress', fraction } … then { type: 'done', result }
+ *      or { type: 'error', message }
+ */
+import { runMonteCarlo } from './monteCarlo';
+
+self.onmessage = (e) => {
+  try {
+    const result = runMonteCarlo(e.data.analysis, {
+      data: e.data.data,
+      onProgress: (fraction) => self.postMessage({ type: 'progress', fraction }),
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
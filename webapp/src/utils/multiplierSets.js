@@ -0,0 +1,260 @@
+/**
+ * User-supplied multiplier sets.
+ *
+ * Clients with licensed IMPLAN or RIMS II multipliers, or a regional
+ * authority's own, can import them as a CSV with the same columns as a
+ * multipliers.json row. The set selected for an analysis is stored in the
+ * analysis itself, so it travels with saved projects, share links and .gems
+ * files. Its rows replace the bundled rows for the same sector; sectors the
+ * set does not cover keep the bundled multipliers, and every revenue stream
+ * records which source it was computed from.
+ */
+import { parseCSV } from './csv';
+import { DATA_VINTAGES, MODEL_STATES, PROPERTY_TYPE_METADATA } from './dataVintages';
+
+const SETS_KEY = 'gems_multiplier_sets';
+
+/** Coefficient columns every row must carry, in multipliers.json order. */
+export const MULTIPLIER_SET_COLUMNS = [
+  'Direct_VA_Coef', 'Direct_Wage_Coef', 'Direct_Tax_Coef',
+  'Type_I_Output', 'Type_II_Output',
+  'Type_I_VA', 'Type_II_VA',
+  'Type_I_Wage', 'Type_II_Wage',
+  'Type_I_Tax', 'Type_II_Tax',
+  'Emp_Coef', 'Indirect_Emp_Coef', 'Induced_Emp_Coef',
+];
+
+// Type I must not fall below the direct coefficient (1 for output), nor Type II below Type I
+const ORDERED = [
+  ['Type_I_Output', 'Type_II_Output', null],
+  ['Type_I_VA', 'Type_II_VA', 'Direct_VA_Coef'],
+  ['Type_I_Wage', 'Type_II_Wage', 'Direct_Wage_Coef'],
+  ['Type_I_Tax', 'Type_II_Tax', 'Direct_Tax_Coef'],
+];
+
+const GAMBLING_SECTOR = '7132';
+const ONLINE_SECTOR = 'ONLINE';
+const PROPERTY_TYPES = Object.keys(PROPERTY_TYPE_METADATA || {});
+// Sectors of the department revenue streams (calculations.js) and of displaced spending (computeScenario.js)
+const SECTOR_SECTORS = ['711AS', '713', '721', '722'];
+
+/** Sector codes the model reads, with what each one is used for. */
+export const MULTIPLIER_SET_SECTORS = [
+  ...SECTOR_SECTORS.map((code) => ({ code, use: 'Department revenue streams and net-impact displacement' })),
+  { code: GAMBLING_SECTOR, use: 'Gaming revenue (gambling industries)' },
+  ...PROPERTY_TYPES.map((code) => ({ code, use: `Property type ${PROPERTY_TYPE_METADATA?.[code]?.shortLabel || code}` })),
+  { code: ONLINE_SECTOR, use: 'Online gaming revenue' },
+];
+
+export const BUNDLED_SOURCE_LABEL = `Bundled state multipliers (EPA stateior${DATA_VINTAGES.multipliers.ioTableYear ? `, ${DATA_VINTAGES.multipliers.ioTableYear} IO tables` : ''})`;
+
+/** "Name (source)", the label reports use for a set. */
+export function multiplierSetLabel(set) {
+  if (!set) return BUNDLED_SOURCE_LABEL;
+  return set.source && set.source !== set.name ? `${set.name} (${set.source})` : set.name;
+}
+
+function sectionFor(sector) {
+  if (sector === GAMBLING_SECTOR) return 'gambling';
+  if (sector === ONLINE_SECTOR) return 'onlineGaming';
+  if (PROPERTY_TYPES.includes(sector)) return 'propertyTypes';
+  return 'multipliers';
+}
+
+// ---------------------------------------------------------------- validation
+
+/**
+ * Check a set's rows: required columns, numeric non-negative coefficients,
+ * Type II ≥ Type I ≥ direct (≥ 1 for output), known states and no duplicate
+ * sector rows.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateMultiplierRows(rows) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(rows) || !rows.length) return { errors: ['The set has no multiplier rows'], warnings };
+
+  const seen = new Set();
+  const unknownSectors = new Set();
+  rows.forEach((row, i) => {
+    const at = `Row ${i + 1}${row?.Sector ? ` (sector ${row.Sector}${row.State ? `, ${row.State}` : ''})` : ''}`;
+    if (!row || typeof row !== 'object') { errors.push(`Row ${i + 1}: not a multiplier row`); return; }
+    if (!row.Sector) errors.push(`${at}: Sector is missing`);
+    if (row.State != null && !MODEL_STATES.includes(row.State)) errors.push(`${at}: unknown state "${row.State}"`);
+
+    const bad = [];
+    const negative = [];
+    for (const col of MULTIPLIER_SET_COLUMNS) {
+      const v = row[col];
+      if (v == null) bad.push(`${col} is missing`);
+      else if (typeof v !== 'number' || !Number.isFinite(v)) bad.push(`${col} is not a number`);
+      else if (v < 0) negative.push(`${col} is negative`);
+    }
+    if (bad.length) { errors.push(`${at}: ${[...bad, ...negative].join('; ')}`); return; }
+    if (negative.length) errors.push(`${at}: ${negative.join('; ')}`);
+
+    for (const [t1, t2, direct] of ORDERED) {
+      const floor = direct ? row[direct] : 1;
+      if (row[t1] < floor) errors.push(`${at}: ${t1} (${row[t1]}) is below ${direct || '1'}${direct ? ` (${floor})` : ''}`);
+      if (row[t2] < row[t1]) errors.push(`${at}: ${t2} (${row[t2]}) is below ${t1} (${row[t1]})`);
+    }
+
+    const key = `${row.State || '*'}|${row.Sector}`;
+    if (seen.has(key)) errors.push(`${at}: duplicate row for this sector${row.State ? ' and state' : ''}`);
+    seen.add(key);
+    if (row.Sector && !MULTIPLIER_SET_SECTORS.some((s) => s.code === row.Sector)) unknownSectors.add(row.Sector);
+  });
+  if (unknownSectors.size) {
+    warnings.push(`Sector${unknownSectors.size > 1 ? 's' : ''} ${[...unknownSectors].join(', ')} ${unknownSectors.size > 1 ? 'are' : 'is'} not used by the model and will be ignored`);
+  }
+  return { errors, warnings };
+}
+
+/** "ms_" and an FNV-1a hash of the rows: the same multipliers always get the same id. */
+function setId(rows) {
+  const text = JSON.stringify(rows);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return `ms_${(h >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/** Merge a saved/partial set into shape; null when there is no usable set. */
+export function normalizeMultiplierSet(s) {
+  if (!s || typeof s !== 'object' || !Array.isArray(s.rows)) return null;
+  return {
+    id: typeof s.id === 'string' && s.id ? s.id : setId(s.rows),
+    name: typeof s.name === 'string' && s.name.trim() ? s.name.trim() : 'Custom multipliers',
+    source: typeof s.source === 'string' ? s.source.trim() : '',
+    importedAt: typeof s.importedAt === 'string' ? s.importedAt : null,
+    rows: s.rows,
+  };
+}
+
+// ---------------------------------------------------------------- import
+
+/** Parse a number cell; thousands separators are accepted. */
+function toNumber(v) {
+  if (v == null) return null;
+  const n = Number(String(v).replace(/[,\s]/g, ''));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Read a multiplier CSV into a set. The header names the columns (any order,
+ * extra columns ignored); `Sector` is required and `State` optional — rows
+ * without a state apply to whichever state the analysis is for.
+ * @returns {{ set: object|null, errors: string[], warnings: string[] }}
+ */
+export function parseMultiplierSet(text, { name, source } = {}) {
+  const [header = [], ...data] = parseCSV(String(text || '')).filter((r) => r.some((v) => v != null));
+  const cols = header.map((h) => (h || '').replace(/^"|"$/g, ''));
+  const missing = ['Sector', ...MULTIPLIER_SET_COLUMNS].filter((c) => !cols.includes(c));
+  if (missing.length) return { set: null, errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`], warnings: [] };
+
+  const rows = data.map((cells) => {
+    const rec = Object.fromEntries(cols.map((c, i) => [c, cells[i] ?? null]));
+    const row = { Sector: rec.Sector ? String(rec.Sector) : null };
+    if (rec.State) row.State = String(rec.State);
+    if (rec.Sector_Name) row.Sector_Name = String(rec.Sector_Name);
+    for (const c of MULTIPLIER_SET_COLUMNS) row[c] = toNumber(rec[c]);
+    return row;
+  });
+  const { errors, warnings } = validateMultiplierRows(rows);
+  if (errors.length) return { set: null, errors, warnings };
+  const set = normalizeMultiplierSet({
+    name, source, importedAt: new Date().toISOString(), rows,
+  });
+  return { set, errors, warnings };
+}
+
+/**
+ * The bundled rows for a state as a CSV in the import format — a starting
+ * template. `data` holds the state's multiplier rows (a state slice's or the
+ * resolved data's `multipliers`; see dataService.js).
+ */
+export function bundledMultiplierCsv(state, data) {
+  const header = ['State', 'Sector', 'Sector_Name', ...MULTIPLIER_SET_COLUMNS];
+  const rows = [];
+  const add = (d, sector) => d && rows.push([state, sector, d.Sector_Name || d.Property_Label || '', ...MULTIPLIER_SET_COLUMNS.map((c) => d[c] ?? '')]);
+  for (const d of data.multipliers || []) if (d.State === state) add(d, String(d.Sector));
+  add((data.gambling || []).find((d) => d.State === state), GAMBLING_SECTOR);
+  for (const code of PROPERTY_TYPES) add(data.propertyTypes?.[code]?.find((d) => d.State === state), code);
+  add((data.onlineGaming || []).find((d) => d.State === state), ONLINE_SECTOR);
+  const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [header, ...rows].map((r) => r.map(cell).join(',')).join('\n');
+}
+
+// ---------------------------------------------------------------- applying
+
+/**
+ * The multiplier data for `state` with the set's rows in place of the bundled
+ * rows of the same sector. Set rows are tagged with `Multiplier_Source`; rows
+ * naming another state are left out.
+ */
+export function applyMultiplierSet(data, set, state) {
+  const forState = (rows) => (rows || []).filter((d) => d.State === state);
+  const out = {
+    ...data,
+    multipliers: forState(data.multipliers),
+    gambling: forState(data.gambling),
+    onlineGaming: forState(data.onlineGaming),
+    propertyTypes: Object.fromEntries(Object.entries(data.propertyTypes || {}).map(([k, rows]) => [k, forState(rows)])),
+  };
+  const label = multiplierSetLabel(set);
+  // A row for the analysis state wins over a state-less row for the same sector
+  const rows = [...set.rows].sort((a, b) => (a.State ? 1 : 0) - (b.State ? 1 : 0));
+  for (const r of rows) {
+    if (r.State && r.State !== state) continue;
+    const section = sectionFor(r.Sector);
+    const row = { ...r, State: state, Multiplier_Source: label };
+    if (section === 'propertyTypes') {
+      row.Property_Type = r.Sector;
+      out.propertyTypes[r.Sector] = [row];
+    } else {
+      out[section] = [...out[section].filter((d) => String(d.Sector) !== r.Sector), row];
+    }
+  }
+  return out;
+}
+
+/**
+ * Which source each revenue stream was computed from, for the dashboard and
+ * reports. `fallback` lists streams a custom set did not cover.
+ */
+export function describeMultiplierSource(results, set) {
+  const streams = (results?.byRevenue || []).map((r) => ({
+    label: r.label, sector: r.sector, source: r.multiplierSource || BUNDLED_SOURCE_LABEL, custom: !!r.multiplierSource,
+  }));
+  return {
+    custom: !!set,
+    label: multiplierSetLabel(set),
+    name: set?.name || null,
+    source: set?.source || null,
+    importedAt: set?.importedAt || null,
+    streams,
+    fallback: set ? streams.filter((s) => !s.custom).map((s) => s.label) : [],
+  };
+}
+
+// ---------------------------------------------------------------- library
+
+/** Imported sets kept in this browser, to select for any analysis. */
+export function loadMultiplierSets() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SETS_KEY) || '[]');
+    return (Array.isArray(raw) ? raw : []).map(normalizeMultiplierSet).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export function persistMultiplierSets(sets) {
+  try {
+    localStorage.setItem(SETS_KEY, JSON.stringify(sets));
+  } catch (e) {
+    console.error('Failed to save multiplier sets', e);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Type I / Type II reporting and the induced-effect scale.
+ *
+ * Type II multipliers (the default) count direct, indirect and induced
+ * effects; Type I stops at the supply chain. Some statutes and clients require
+ * Type I, others want both, with the induced effect shown as the range between
+ * them. Separately, analysts can count only part of the induced effect for a
+ * conservative estimate: every Type II coefficient is pulled toward its Type I
+ * value, so induced output, value added, wages, TOPI and (through induced GDP)
+ * induced jobs all scale by the same share.
+ */
+
+export const MULTIPLIER_TYPES = [
+  { value: 'typeII', label: 'Type II', short: 'Type II (direct, indirect and induced)' },
+  { value: 'typeI', label: 'Type I', short: 'Type I (direct and indirect)' },
+  { value: 'both', label: 'Both', short: 'Type I and Type II' },
+];
+
+export const DEFAULT_MULTIPLIER_TYPE = {
+  report: 'typeII',
+  inducedPct: 100, // share of the induced effect counted (0-100)
+};
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeMultiplierType(m) {
+  const pct = Number(m?.inducedPct);
+  return {
+    report: MULTIPLIER_TYPES.some((t) => t.value === m?.report) ? m.report : DEFAULT_MULTIPLIER_TYPE.report,
+    inducedPct: m?.inducedPct != null && Number.isFinite(pct) ? Math.min(Math.max(pct, 0), 100) : DEFAULT_MULTIPLIER_TYPE.inducedPct,
+  };
+}
+
+/** Share of the published induced effect that enters the reported results (0 for Type I). */
+export function inducedFactor(settings) {
+  const { report, inducedPct } = normalizeMultiplierType(settings);
+  return report === 'typeI' ? 0 : inducedPct / 100;
+}
+
+/** Whether the settings change anything from plain Type II reporting. */
+export function isDefaultMultiplierType(settings) {
+  const { report, inducedPct } = normalizeMultiplierType(settings);
+  return report === 'typeII' && inducedPct === 100;
+}
+
+/**
+ * Short label for tables and exports, e.g. "Type II, induced effects at 75%".
+ * For "both" the label describes the Type II side; the Type I side is always
+ * unscaled.
+ */
+export function multiplierTypeLabel(settings) {
+  const { report, inducedPct } = normalizeMultiplierType(settings);
+  if (report === 'typeI') return 'Type I (direct and indirect)';
+  const scaled = inducedPct < 100 ? `, induced effects at ${inducedPct}%` : '';
+  return report === 'both' ? `Type I and Type II${scaled}` : `Type II${scaled}`;
+}
+
+/**
+ * One or two sentences for report methodology sections explaining what the
+ * totals include.
+ */
+export function describeMultiplierType(settings) {
+  const { report, inducedPct } = normalizeMultiplierType(settings);
+  const scaled = inducedPct < 100
+    ? ` The induced effect is scaled to ${inducedPct}% of the value implied by the published Type II multipliers — a conservative adjustment that counts only part of the household-spending round; each Type II coefficient is set to its Type I value plus ${inducedPct}% of the difference.`
+    : '';
+  if (report === 'typeI') {
+    return 'Results are reported on a Type I basis: totals count direct and indirect (supply-chain) effects only, and induced household-spending effects are excluded. Payroll and household taxes follow the Type I wages and employment.';
+  }
+  if (report === 'both') {
+    return `Results are reported on both bases. Type I totals count direct and indirect effects; Type II totals add induced household-spending effects, so the induced effect is shown as the range between the two.${scaled}`;
+  }
+  return `Results are reported on a Type II basis: totals count direct, indirect and induced effects.${scaled}`;
+}
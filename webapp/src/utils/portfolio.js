@@ -0,0 +1,152 @@
+/**
+ * Multi-property portfolio workspace.
+ *
+ * A portfolio is a named list of properties, each holding an analysis in the
+ * buildAnalysis shape. Every property is computed on its own with
+ * computeScenario — its own state's multipliers and tax schedule — and the
+ * results are rolled up by state and company-wide.
+ *
+ * Economic impacts add across states: each state's model covers in-state
+ * activity only. Taxes levied under a state's schedule (gaming tax, fees,
+ * compact payments, local levies) stay per-state; graduated rates apply to
+ * each property's GGR, never to a company or state total. The company-wide
+ * rollup carries total public revenue but no blended state tax or rate.
+ */
+import { computeScenario, headlineMetrics } from './computeScenario';
+
+const PORTFOLIO_KEY = 'gems_portfolio';
+
+export const DEFAULT_PORTFOLIO = {
+  name: '',
+  properties: [],
+};
+
+/** Merge saved/partial data over the defaults. Properties are `{ id, name, analysis }`. */
+export function normalizePortfolio(p) {
+  return {
+    ...DEFAULT_PORTFOLIO,
+    ...p,
+    properties: Array.isArray(p?.properties) ? p.properties.filter((x) => x?.analysis?.state) : [],
+  };
+}
+
+export function addProperty(portfolio, name, analysis) {
+  const id = `pp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const property = { id, name: name?.trim() || analysis.casinoName || analysis.state, analysis };
+  return { ...portfolio, properties: [...portfolio.properties, property] };
+}
+
+export function removeProperty(portfolio, id) {
+  return { ...portfolio, properties: portfolio.properties.filter((p) => p.id !== id) };
+}
+
+export function loadPortfolio() {
+  try {
+    const raw = localStorage.getItem(PORTFOLIO_KEY);
+    return normalizePortfolio(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizePortfolio(null);
+  }
+}
+
+export function persistPortfolio(portfolio) {
+  try {
+    localStorage.setItem(PORTFOLIO_KEY, JSON.stringify(portfolio));
+  } catch (e) {
+    console.error('Failed to save portfolio', e);
+  }
+}
+
+// ---------------------------------------------------------------- rollup
+
+/** Headline metrics summed in every rollup ($M, employment in FTEs). */
+export const PORTFOLIO_METRICS = ['revenue', 'ggr', 'output', 'gdp', 'employment', 'wages', 'totalTax'];
+
+/** Tax components: state levies (per-state only) and economy-wide taxes. */
+export const STATE_LEVIES = ['gamingTax', 'fees', 'compact', 'local'];
+const TAX_KEYS = [...STATE_LEVIES, 'topi', 'payroll', 'household'];
+
+function totalRevenue({ inputMode, revenues = {} }) {
+  if (inputMode === 'total') return revenues.total || 0;
+  return Object.entries(revenues).reduce((s, [k, v]) => (k === 'total' ? s : s + (v || 0)), 0);
+}
+
+function taxBreakdown(bundle) {
+  const g = bundle.gamingTaxResult;
+  return {
+    gamingTax: g && !g.compact ? g.amount : 0,
+    fees: g?.fees?.total || 0,
+    compact: g?.compact ? g.amount : 0,
+    local: bundle.localTaxResult?.additional || 0,
+    topi: bundle.results?.totals.tax.total || 0,
+    payroll: bundle.payrollTaxResult?.total || 0,
+    household: bundle.householdTaxResult?.total || 0,
+  };
+}
+
+function emptyRollup() {
+  const out = { count: 0, taxes: {} };
+  for (const k of PORTFOLIO_METRICS) out[k] = 0;
+  for (const k of TAX_KEYS) out.taxes[k] = 0;
+  return out;
+}
+
+function accumulate(into, p) {
+  into.count += 1;
+  for (const k of PORTFOLIO_METRICS) into[k] += p[k];
+  for (const k of TAX_KEYS) into.taxes[k] += p.taxes[k];
+}
+
+/**
+ * Compute every property and roll the results up.
+ *
+ * @param {object} portfolio - { name, properties: [{ id, name, analysis }] }
+ * @returns {object} {
+ *   properties: [{ id, name, state, analysis, bundle, effects, revenue, ggr, output, gdp, employment, wages,
+ *     totalTax, taxes }] — `error` set (and no metrics) when the state has no model data,
+ *   byState: [{ state, count, ...metrics, taxes, stateLevies, effectiveRate }] sorted by output,
+ *   total: { count, states, ...metrics, taxes: { topi, payroll, household } }
+ * }
+ */
+export function computePortfolio(portfolio) {
+  const properties = (portfolio?.properties || []).map((p) => {
+    const bundle = computeScenario(p.analysis);
+    const m = headlineMetrics(bundle);
+    if (!m) return { ...p, state: p.analysis.state, bundle, error: 'No model data for this state and operation type' };
+    const t = bundle.results.totals;
+    return {
+      ...p,
+      state: p.analysis.state,
+      bundle,
+      effects: { output: t.output, gdp: t.gdp, employment: t.employment, wages: t.wages },
+      revenue: totalRevenue(p.analysis),
+      ggr: (p.analysis.inputMode === 'total' ? p.analysis.revenues?.total : p.analysis.revenues?.gaming) || 0,
+      ...m,
+      taxes: taxBreakdown(bundle),
+    };
+  });
+
+  const states = new Map();
+  const total = emptyRollup();
+  for (const p of properties) {
+    if (p.error) continue;
+    if (!states.has(p.state)) states.set(p.state, { state: p.state, ...emptyRollup() });
+    accumulate(states.get(p.state), p);
+    accumulate(total, p);
+  }
+
+  const byState = [...states.values()]
+    .map((s) => {
+      const stateLevies = STATE_LEVIES.reduce((a, k) => a + s.taxes[k], 0);
+      return { ...s, stateLevies, effectiveRate: s.ggr > 0 ? (s.taxes.gamingTax + s.taxes.compact) / s.ggr : 0 };
+    })
+    .sort((a, b) => b.output - a.output);
+
+  // State levies are not summed across states
+  const { topi, payroll, household } = total.taxes;
+  return {
+    properties,
+    byState,
+    total: { ...total, states: byState.length, taxes: { topi, payroll, household } },
+  };
+}
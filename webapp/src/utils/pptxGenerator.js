@@ -21,9 +21,13 @@
  * D. Limitations & Cautions
  *
  * Back Cover: GP Consulting Contact
+ *
+ * generatePortfolioPPTX builds a separate three-slide portfolio deck.
  */
 
 import { formatNumber, formatCurrency, formatJobs } from './calculations';
+import { describeMultiplierType, isDefaultMultiplierType, multiplierTypeLabel, normalizeMultiplierType } from './multiplierType';
+import { regionLabel } from './region';
 
 // pptxgenjs is loaded at runtime as its self-contained standalone build
 // (public/vendor/pptxgen.min.js, which exposes the global `PptxGenJS` and
@@ -135,6 +139,12 @@ export async function generatePPTX(results, inputs, authorInfo = {}) {
   pptx.subject = `Casino Gaming Economic Impact (${PRODUCT_NAME_VERSIONED})`;
   pptx.company = authorInfo.institution || BRAND.publisher;
 
+  // Type I / Type II / both reporting; "both" adds Type I totals beside Type II
+  const basis = normalizeMultiplierType(inputs.multiplierTypeResult);
+  const typeOnly = basis.report === 'typeI';
+  const typeI = inputs.typeIResult?.results || null;
+  const multSource = inputs.multiplierSourceResult?.custom ? inputs.multiplierSourceResult : null; // imported multiplier set
+
   // Set custom 16:9 layout
   pptx.defineLayout({ name: 'CUSTOM_16x9', width: SLIDE_WIDTH, height: SLIDE_HEIGHT });
   pptx.layout = 'CUSTOM_16x9';
@@ -317,7 +327,8 @@ export async function generatePPTX(results, inputs, authorInfo = {}) {
   });
 
   // Product mark
-  slide1.addText(`Modeled with ${PRODUCT_NAME_VERSIONED} — ${BRAND.productFullName}`, {
+  const edition = inputs.vintageResult && inputs.vintageResult.label !== PRODUCT_NAME_VERSIONED ? ` (${inputs.vintageResult.label} data)` : '';
+  slide1.addText(`Modeled with ${PRODUCT_NAME_VERSIONED}${edition} — ${BRAND.productFullName}`, {
     x: 0.65, y: 3.6, w: 5.5, h: 0.22,
     fontSize: 10, fontFace: 'Helvetica', color: COLORS.accentLight || '4299e1'
   });
@@ -441,7 +452,7 @@ This includes not just casino employees, but workers throughout the supply chain
   const impactTypes = [
     { title: 'At the Casino', jobs: results.totals.employment.direct, desc: 'Direct employees and on-site spending' },
     { title: 'Through Suppliers', jobs: results.totals.employment.indirect, desc: 'Vendors, distributors, service providers' },
-    { title: 'In the Community', jobs: results.totals.employment.induced, desc: 'Local businesses where workers shop' }
+    { title: 'In the Community', jobs: results.totals.employment.induced, desc: typeOnly ? 'Not counted on a Type I basis' : 'Local businesses where workers shop' }
   ];
 
   impactTypes.forEach((impact, i) => {
@@ -504,10 +515,12 @@ This includes not just casino employees, but workers throughout the supply chain
     {
       title: 'COMMUNITY',
       subtitle: 'Local Spending',
-      amount: formatCurrency(results.totals.output.induced),
+      amount: typeOnly ? 'Not counted' : formatCurrency(results.totals.output.induced),
       jobs: formatJobs(results.totals.employment.induced),
       color: COLORS.accent,
-      explanation: 'Workers across the supply chain spend their paychecks on housing, groceries, and local services—supporting even more businesses and jobs.'
+      explanation: typeOnly
+        ? 'Workers spend their paychecks on housing, groceries, and local services. This analysis reports Type I impacts, which leave this household-spending round out.'
+        : 'Workers across the supply chain spend their paychecks on housing, groceries, and local services—supporting even more businesses and jobs.'
     }
   ];
 
@@ -593,35 +606,46 @@ This includes not just casino employees, but workers throughout the supply chain
     fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
   });
 
-  slide4.addText('Complete breakdown of economic impacts by category and effect type', {
+  slide4.addText(`Complete breakdown of economic impacts by category and effect type — ${multiplierTypeLabel(basis)}`, {
     x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
     fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
   });
 
   // Main results table with styled header row
+  // Type I drops the induced column; "both" adds a Type I total and multiplier
+  const headerCell = (text) => ({ text, options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } });
   const tableHeaderRow = [
-    { text: 'Metric', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } },
-    { text: 'Direct', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } },
-    { text: 'Indirect', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } },
-    { text: 'Induced', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } },
-    { text: 'Total', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } },
-    { text: 'Multiplier', options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } }
-  ];
+    'Metric', 'Direct', 'Indirect',
+    ...(typeOnly ? [] : ['Induced']),
+    ...(typeI ? ['Type I Total', 'Type II Total', 'Mult. (I / II)'] : ['Total', 'Multiplier'])
+  ].map(headerCell);
 
   const tableDataRows = [
-    ['Output ($M)', formatNumber(results.totals.output.direct, 1), formatNumber(results.totals.output.indirect, 1), formatNumber(results.totals.output.induced, 1), formatNumber(results.totals.output.total, 1), formatNumber(results.multipliers.output, 2) + 'x'],
-    ['GDP ($M)', formatNumber(results.totals.gdp.direct, 1), formatNumber(results.totals.gdp.indirect, 1), formatNumber(results.totals.gdp.induced, 1), formatNumber(results.totals.gdp.total, 1), formatNumber(results.multipliers.gdp, 2) + 'x'],
-    ['Employment (FTEs)', formatJobs(results.totals.employment.direct), formatJobs(results.totals.employment.indirect), formatJobs(results.totals.employment.induced), formatJobs(results.totals.employment.total), formatNumber(results.multipliers.employment, 2) + 'x'],
-    ['Wages ($M)', formatNumber(results.totals.wages.direct, 1), formatNumber(results.totals.wages.indirect, 1), formatNumber(results.totals.wages.induced, 1), formatNumber(results.totals.wages.total, 1), formatNumber(results.multipliers.wages, 2) + 'x']
-  ];
+    ['Output ($M)', 'output', (v) => formatNumber(v, 1)],
+    ['GDP ($M)', 'gdp', (v) => formatNumber(v, 1)],
+    ['Employment (FTEs)', 'employment', formatJobs],
+    ['Wages ($M)', 'wages', (v) => formatNumber(v, 1)]
+  ].map(([label, key, fmt]) => {
+    const t = results.totals[key];
+    const mult = formatNumber(results.multipliers[key], 2) + 'x';
+    return [
+      label, fmt(t.direct), fmt(t.indirect),
+      ...(typeOnly ? [] : [fmt(t.induced)]),
+      ...(typeI
+        ? [fmt(typeI.totals[key].total), fmt(t.total), `${formatNumber(typeI.multipliers[key], 2)}x / ${mult}`]
+        : [fmt(t.total), mult])
+    ];
+  });
 
   const tableData = [tableHeaderRow, ...tableDataRows];
+  const colW = 1.7;
+  const tableColW = [colW, ...Array(tableHeaderRow.length - 1).fill((9.2 - colW) / (tableHeaderRow.length - 1))];
 
   slide4.addTable(tableData, {
     x: MARGIN, y: 1.15, w: 9.2, h: 2.0,
     fontFace: 'Helvetica', fontSize: FONT.body + 1, color: COLORS.text,
     border: { pt: 0.5, color: 'CCCCCC' },
-    colW: [1.7, 1.4, 1.4, 1.4, 1.4, 1.4],
+    colW: tableColW,
     rowH: 0.4,
     fill: { color: COLORS.white },
     align: 'center', valign: 'middle'
@@ -695,8 +719,18 @@ This includes not just casino employees, but workers throughout the supply chain
   const stateTaxConfig = inputs.stateTaxConfig;
   const taxDataRows = [];
 
-  // Gaming Tax (GGR) row
-  if (gamingTaxResult) {
+  // Gaming Tax (GGR) row, or one row per compact payment for a tribal operation
+  if (gamingTaxResult?.compact) {
+    for (const l of gamingTaxResult.compact.lines) {
+      taxDataRows.push([
+        `Compact Revenue Sharing\n(${l.label})`,
+        formatCurrency(l.amount),
+        '-',
+        '-',
+        formatCurrency(l.amount)
+      ]);
+    }
+  } else if (gamingTaxResult) {
     const effRate = formatNumber(gamingTaxResult.effectiveRate * 100, 1) + '% eff.';
     taxDataRows.push([
       `Gaming Tax (GGR)\n${effRate}`,
@@ -707,6 +741,31 @@ This includes not just casino employees, but workers throughout the supply chain
     ]);
   }
 
+  // Admission, per-wager, device and license fees, one row each
+  const feeLines = gamingTaxResult?.fees?.lines || [];
+  for (const l of feeLines) {
+    taxDataRows.push([
+      `${l.label}\n(${l.detail})`,
+      formatCurrency(l.amount, 2),
+      '-',
+      '-',
+      formatCurrency(l.amount, 2)
+    ]);
+  }
+  const feesTotal = gamingTaxResult?.fees?.total || 0;
+
+  // Local levies on GGR and admissions (surcharges, admission-fee shares)
+  const localAdditional = inputs.localTaxResult?.additional || 0;
+  if (localAdditional > 0) {
+    taxDataRows.push([
+      `Local Gaming Levies\n(${inputs.localTaxResult.jurisdiction || 'surcharges, admissions'})`,
+      formatCurrency(localAdditional),
+      '-',
+      '-',
+      formatCurrency(localAdditional)
+    ]);
+  }
+
   // TOPI row
   if (results.totals.tax.total > 0) {
     taxDataRows.push([
@@ -743,7 +802,7 @@ This includes not just casino employees, but workers throughout the supply chain
   }
 
   // Total row
-  const taxTotalDirect = (gamingTaxResult?.amount || 0) + results.totals.tax.direct + (payrollTaxResult?.direct || 0) + (householdTaxResult?.direct || 0);
+  const taxTotalDirect = (gamingTaxResult?.amount || 0) + feesTotal + localAdditional + results.totals.tax.direct + (payrollTaxResult?.direct || 0) + (householdTaxResult?.direct || 0);
   const taxTotalIndirect = results.totals.tax.indirect + (payrollTaxResult?.indirect || 0) + (householdTaxResult?.indirect || 0);
   const taxTotalInduced = results.totals.tax.induced + (payrollTaxResult?.induced || 0) + (householdTaxResult?.induced || 0);
   const taxTotalAll = taxTotalDirect + taxTotalIndirect + taxTotalInduced;
@@ -775,7 +834,9 @@ This includes not just casino employees, but workers throughout the supply chain
   });
 
   const taxTerms = [
-    { term: 'Gaming Tax', def: `State-mandated tax on gross gaming revenue (GGR) at rates set by ${inputs.state} statute or compact.` },
+    gamingTaxResult?.compact
+      ? { term: 'Compact Revenue Sharing', def: `Payments to ${inputs.state} under the tribal-state gaming compact, calculated on net win. Negotiated revenue sharing, not a tax.` }
+      : { term: 'Gaming Tax', def: `State-mandated tax on gross gaming revenue (GGR) at rates set by ${inputs.state} statute or compact.` },
     { term: 'TOPI', def: 'Taxes on Production and Imports — sales taxes, property taxes, excise taxes, and business fees across the supply chain, from the IO model.' },
     { term: 'Payroll Taxes', def: 'Employer-side payroll taxes (FICA, FUTA, SUTA, SDI/PFML where applicable) using DOL average employer contribution rates applied to wages by effect type.' },
     { term: 'Household Taxes', def: 'Federal, state, and local income taxes plus motor vehicle licenses and personal property taxes, estimated using BEA personal current tax ratios by state.' }
@@ -806,6 +867,253 @@ This includes not just casino employees, but workers throughout the supply chain
 
   addPropertyWatermark(slideTax, inputs.casinoName);
 
+  // ============================================================
+  // OPTIONAL: Gross vs. Net Impact (only when net-impact mode is on)
+  // ============================================================
+  const netResult = inputs.netResult?.results ? inputs.netResult : null;
+  if (netResult) {
+    const slideNet = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+
+    slideNet.addText('GROSS VS. NET IMPACT', {
+      x: MARGIN, y: 0.12, w: 9, h: 0.4,
+      fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+    });
+
+    slideNet.addText('Net impact counts only spending that is new to the state economy', {
+      x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
+      fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+    });
+
+    const netHeader = ['Metric', 'Gross', 'Net', 'Net / Gross'].map(text => (
+      { text, options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } }
+    ));
+    const nt = netResult.results.totals;
+    const ratio = (v, g) => (g ? `${Math.round((v / g) * 100)}%` : '-');
+    const netRows = [
+      ['Economic Output', results.totals.output.total, nt.output.total, formatCurrency],
+      ['GDP (Value Added)', results.totals.gdp.total, nt.gdp.total, formatCurrency],
+      ['Employment (FTEs)', results.totals.employment.total, nt.employment.total, formatJobs],
+      ['Wages', results.totals.wages.total, nt.wages.total, formatCurrency],
+      ['Total Tax Revenue', taxTotalAll, netResult.totalTax, formatCurrency]
+    ].map(([label, g, v, fmt]) => [label, fmt(g), fmt(v), ratio(v, g)]);
+
+    slideNet.addTable([netHeader, ...netRows], {
+      x: MARGIN, y: 1.15, w: 9.2, h: 2.3,
+      fontFace: 'Helvetica', fontSize: FONT.body + 1, color: COLORS.text,
+      border: { pt: 0.5, color: 'CCCCCC' },
+      colW: [2.9, 2.1, 2.1, 2.1],
+      rowH: 0.38,
+      fill: { color: COLORS.white },
+      align: 'center', valign: 'middle'
+    });
+
+    const sh = netResult.shares;
+    const share = (v) => `${Math.round(v * 100)}%`;
+    const netNotes = [
+      { term: 'New money', def: `${share(sh.newMoney)} of spending — ${share(sh.outOfState)} from out-of-state visitors, ${share(sh.recaptured)} recaptured from residents who would otherwise spend outside ${inputs.state} and ${share(sh.incremental)} added resident spending.` },
+      { term: 'Displacement', def: `${share(sh.displaced)} of spending is diverted from other local recreation; the ${formatCurrency(netResult.displacedRevenue)} of activity it displaces is subtracted.` },
+      { term: 'Taxes', def: 'Gaming tax applies to all GGR in both columns; payroll and household taxes follow the net jobs and wages.' }
+    ];
+
+    let netY = 3.75;
+    slideNet.addText('Assumptions', {
+      x: MARGIN, y: netY, w: 9, h: 0.24,
+      fontSize: FONT.section, fontFace: 'Helvetica', bold: true, color: COLORS.primary
+    });
+    netY += 0.3;
+    netNotes.forEach(t => {
+      slideNet.addText(`${t.term}: `, {
+        x: MARGIN, y: netY, w: 1.6, h: 0.3,
+        fontSize: FONT.caption, fontFace: 'Helvetica', bold: true, color: COLORS.text
+      });
+      slideNet.addText(t.def, {
+        x: MARGIN + 1.6, y: netY, w: 7.5, h: 0.3,
+        fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.grayText
+      });
+      netY += 0.32;
+    });
+
+    addPropertyWatermark(slideNet, inputs.casinoName);
+  }
+
+  // ============================================================
+  // OPTIONAL: Host Region vs. Rest of State (sub-state analysis)
+  // ============================================================
+  const regionResult = inputs.regionResult?.host ? inputs.regionResult : null;
+  if (regionResult) {
+    const slideRegion = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+    const regionName = regionLabel(regionResult);
+    const { host, rest, factors } = regionResult;
+
+    slideRegion.addText('HOST REGION VS. REST OF STATE', {
+      x: MARGIN, y: 0.12, w: 9, h: 0.4,
+      fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+    });
+
+    slideRegion.addText(`Where the statewide impacts land: ${regionName} and the rest of ${inputs.state}`, {
+      x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
+      fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+    });
+
+    const regionHeader = ['Metric', regionName, 'Rest of State', 'State Total', 'Host Share'].map(text => (
+      { text, options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } }
+    ));
+    const hostShare = (v, g) => (g ? `${Math.round((v / g) * 100)}%` : '-');
+    const regionRows = [
+      ['Economic Output', 'output', formatCurrency],
+      ['GDP (Value Added)', 'gdp', formatCurrency],
+      ['Employment (FTEs)', 'employment', formatJobs],
+      ['Wages', 'wages', formatCurrency],
+      ['Taxes on Production', 'tax', formatCurrency]
+    ].map(([label, k, fmt]) => [
+      label, fmt(host.totals[k].total), fmt(rest.totals[k].total), fmt(results.totals[k].total),
+      hostShare(host.totals[k].total, results.totals[k].total)
+    ]);
+
+    slideRegion.addTable([regionHeader, ...regionRows], {
+      x: MARGIN, y: 1.15, w: 9.2, h: 2.3,
+      fontFace: 'Helvetica', fontSize: FONT.body + 1, color: COLORS.text,
+      border: { pt: 0.5, color: 'CCCCCC' },
+      colW: [2.4, 1.7, 1.7, 1.7, 1.7],
+      rowH: 0.38,
+      fill: { color: COLORS.white },
+      align: 'center', valign: 'middle'
+    });
+
+    const pctOf = (f) => `${Math.round(f * 100)}%`;
+    slideRegion.addText('Method', {
+      x: MARGIN, y: 3.75, w: 9, h: 0.24,
+      fontSize: FONT.section, fontFace: 'Helvetica', bold: true, color: COLORS.primary
+    });
+    slideRegion.addText(`Direct effects occur at the facility and stay in ${regionName}. With ${regionResult.employmentSharePct}% of state employment and a supplier location quotient of ${regionResult.supplierLQ} (QCEW), Flegg's location quotient method keeps ${pctOf(factors.indirect)} of the indirect and ${pctOf(factors.induced)} of the induced effect in the region; the rest accrues elsewhere in ${inputs.state}. Regional output multiplier: ${formatNumber(host.multipliers.output, 2)}x vs. ${formatNumber(results.multipliers.output, 2)}x statewide.`, {
+      x: MARGIN, y: 4.05, w: 9.1, h: 0.7,
+      fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.grayText, valign: 'top'
+    });
+
+    addPropertyWatermark(slideRegion, inputs.casinoName);
+  }
+
+  // ============================================================
+  // OPTIONAL: Impacts by State (spillover to neighboring states)
+  // ============================================================
+  const spilloverResult = inputs.spilloverResult?.states ? inputs.spilloverResult : null;
+  if (spilloverResult) {
+    const slideSpill = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+    const { states, combined } = spilloverResult;
+    const neighbors = states.slice(1);
+
+    slideSpill.addText('IMPACTS BY STATE', {
+      x: MARGIN, y: 0.12, w: 9, h: 0.4,
+      fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+    });
+
+    slideSpill.addText(`Border property: spillover from ${inputs.state} into ${neighbors.map(s => s.state).join(' and ')}`, {
+      x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
+      fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+    });
+
+    const spillHeader = ['Metric', ...states.map(s => s.state), 'Combined'].map(text => (
+      { text, options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } }
+    ));
+    const spillRows = [
+      ['Economic Output', s => s.results.totals.output.total, c => c.totals.output.total, formatCurrency],
+      ['GDP (Value Added)', s => s.results.totals.gdp.total, c => c.totals.gdp.total, formatCurrency],
+      ['Employment (FTEs)', s => s.results.totals.employment.total, c => c.totals.employment.total, formatJobs],
+      ['Wages', s => s.results.totals.wages.total, c => c.totals.wages.total, formatCurrency],
+      ['Payroll Taxes', s => s.payrollTaxResult?.total || 0, c => c.payrollTax, formatCurrency],
+      ['Household Taxes', s => s.householdTaxResult.total, c => c.householdTax, formatCurrency]
+    ].map(([label, pick, pickCombined, fmt]) => [label, ...states.map(s => fmt(pick(s))), fmt(pickCombined(combined))]);
+    const colW = 6.8 / (states.length + 1);
+
+    slideSpill.addTable([spillHeader, ...spillRows], {
+      x: MARGIN, y: 1.15, w: 9.2, h: 2.6,
+      fontFace: 'Helvetica', fontSize: FONT.body + 1, color: COLORS.text,
+      border: { pt: 0.5, color: 'CCCCCC' },
+      colW: [2.4, ...states.map(() => colW), colW],
+      rowH: 0.36,
+      fill: { color: COLORS.white },
+      align: 'center', valign: 'middle'
+    });
+
+    const pctOf = (f) => `${Math.round(f * 100)}%`;
+    slideSpill.addText('Method', {
+      x: MARGIN, y: 3.95, w: 9, h: 0.24,
+      fontSize: FONT.section, fontFace: 'Helvetica', bold: true, color: COLORS.primary
+    });
+    slideSpill.addText(`${neighbors.map(s => `${s.state}: ${pctOf(s.employee)} of employees, ${pctOf(s.supplier)} of supplier purchases`).join('; ')}. Out-of-state purchases and household spending are valued with that state's multipliers; payroll taxes are counted where the jobs are, household taxes where employees live. Headline results are the single-state ${inputs.state} model.`, {
+      x: MARGIN, y: 4.25, w: 9.1, h: 0.6,
+      fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.grayText, valign: 'top'
+    });
+
+    addPropertyWatermark(slideSpill, inputs.casinoName);
+  }
+
+  // ============================================================
+  // OPTIONAL: Tornado (one-at-a-time sensitivity)
+  // ============================================================
+  const tornado = inputs.tornadoResult?.bars.length ? inputs.tornadoResult : null;
+  if (tornado) {
+    const slideTornado = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+    const isJobs = tornado.metric === 'employment';
+    const fmt = isJobs ? formatJobs : formatCurrency;
+    const metricLabel = { output: 'Economic Output', gdp: 'GDP', employment: 'Employment', wages: 'Wages', totalTax: 'Total Tax Revenue' }[tornado.metric];
+
+    slideTornado.addText('WHAT DRIVES THE RESULTS', {
+      x: MARGIN, y: 0.12, w: 9, h: 0.4,
+      fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+    });
+
+    slideTornado.addText(`${metricLabel} when each input moves ±${tornado.pct}% on its own (point estimate ${fmt(tornado.base)})`, {
+      x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
+      fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+    });
+
+    const bars = tornado.bars.slice(0, 8);
+    const rowH = 0.4;
+    const top = 1.2;
+    const center = 6.0;
+    const half = 2.1;
+    const maxAbs = Math.max(...bars.flatMap(b => [Math.abs(b.low - tornado.base), Math.abs(b.high - tornado.base)])) || 1;
+
+    bars.forEach((b, i) => {
+      const y = top + i * rowH;
+      slideTornado.addText(b.label, {
+        x: MARGIN, y, w: 3.3, h: rowH,
+        fontSize: FONT.body, fontFace: 'Helvetica', color: COLORS.text, align: 'right', valign: 'middle'
+      });
+      [[b.low - tornado.base, COLORS.navy], [b.high - tornado.base, COLORS.warning]].forEach(([delta, color]) => {
+        const w = (Math.abs(delta) / maxAbs) * half;
+        if (w < 0.005) return;
+        slideTornado.addShape('rect', {
+          x: delta < 0 ? center - w : center, y: y + 0.08, w, h: rowH - 0.16,
+          fill: { color }
+        });
+      });
+      slideTornado.addText(`${fmt(Math.min(b.low, b.high))} – ${fmt(Math.max(b.low, b.high))}`, {
+        x: center + half + 0.1, y, w: SLIDE_WIDTH - MARGIN - (center + half + 0.1), h: rowH,
+        fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.grayText, align: 'right', valign: 'middle'
+      });
+    });
+
+    slideTornado.addShape('line', {
+      x: center, y: top - 0.05, w: 0, h: bars.length * rowH + 0.1,
+      line: { color: COLORS.darkGray, width: 1 }
+    });
+
+    slideTornado.addText([
+      { text: '■ ', options: { color: COLORS.navy } },
+      { text: `Input −${tornado.pct}%    `, options: { color: COLORS.grayText } },
+      { text: '■ ', options: { color: COLORS.warning } },
+      { text: `Input +${tornado.pct}%    `, options: { color: COLORS.grayText } },
+      { text: 'Other inputs held at their entered values. Multiplier coefficients scaled for every sector in the state.', options: { color: COLORS.mediumGray } }
+    ], {
+      x: MARGIN, y: top + bars.length * rowH + 0.15, w: 9.2, h: 0.3,
+      fontSize: FONT.caption, fontFace: 'Helvetica'
+    });
+
+    addPropertyWatermark(slideTornado, inputs.casinoName);
+  }
+
   // ============================================================
   // SLIDE 6: How We Calculated This
   // ============================================================
@@ -839,7 +1147,10 @@ For technical details, see the appendix.`;
   });
 
   const dataSources = [
-    { name: 'EPA State IO Tables', desc: 'Regional economic multipliers' },
+    ...(multSource ? [{ name: multSource.name, desc: `${multSource.source || 'Imported'} multipliers` }] : []),
+    ...(!multSource || multSource.fallback.length
+      ? [{ name: 'EPA State IO Tables', desc: multSource ? `Multipliers for ${multSource.fallback.join(', ')}` : 'Regional economic multipliers' }]
+      : []),
     { name: 'BLS QCEW', desc: 'State employment and wage data' },
     { name: 'BEA National Tables', desc: 'Gambling-specific adjustments' },
     { name: 'Consumer Price Index (CPI)', desc: 'Inflation adjustments' }
@@ -1110,7 +1421,7 @@ Example: A general "entertainment" multiplier averages casinos with movie theate
     fontSize: FONT.section, fontFace: 'Helvetica', bold: true, color: COLORS.primary
   });
 
-  appendixB.addText(`Multipliers are derived from EPA State Input-Output Tables, which account for state-specific:
+  appendixB.addText(`${multSource ? `This analysis uses ${multSource.label} multipliers${multSource.fallback.length ? ` (bundled EPA multipliers for ${multSource.fallback.join(', ')})` : ''}. ` : ''}${multSource ? 'The bundled multipliers' : 'Multipliers'} are derived from EPA State Input-Output Tables, which account for state-specific:
 
 • Industry composition and inter-industry linkages
 • Import/export patterns and regional trade flows
@@ -1140,13 +1451,15 @@ Example: Nevada retains more casino supply chain spending locally than Ohio beca
 
   const vintageTable = [
     ['Source', 'Year', 'Use'],
-    ['EPA State IO', '2019', 'Multipliers'],
+    ...(multSource ? [[multSource.label, '—', 'Multipliers (imported)']] : []),
+    ['EPA State IO', '2019', multSource ? 'Bundled multipliers' : 'Multipliers'],
     ['BLS QCEW', '2023', 'Employment/wages'],
-    ['BEA IO Tables', '2017', 'Gambling coefficients']
+    ['BEA IO Tables', '2017', 'Gambling coefficients'],
+    ...(inputs.cpiResult ? [[inputs.cpiResult.label, String(inputs.cpiResult.year), `Deflator ${formatNumber(inputs.cpiResult.deflator, 4)} to ${inputs.cpiResult.baseYear} $`]] : [])
   ];
 
   appendixB.addTable(vintageTable, {
-    x: 5.2, y: 3.08, w: 4.4, h: 0.8,
+    x: 5.2, y: 3.08, w: 4.4, h: 0.2 * vintageTable.length,
     fontFace: 'Helvetica', fontSize: FONT.caption, color: COLORS.text,
     border: { pt: 0.3, color: 'CCCCCC' },
     colW: [1.6, 0.8, 2.0],
@@ -1178,7 +1491,9 @@ Example: Nevada retains more casino supply chain spending locally than Ohio beca
     },
     {
       decision: 'Type II vs. Type I Multipliers',
-      rationale: 'Type II multipliers capture induced effects from household spending. Excluding induced effects would miss $0.30-0.50 of every dollar\'s economic impact.'
+      rationale: isDefaultMultiplierType(basis)
+        ? 'Type II multipliers capture induced effects from household spending. Excluding induced effects would miss $0.30-0.50 of every dollar\'s economic impact.'
+        : describeMultiplierType(basis)
     },
     {
       decision: 'State vs. National Multipliers',
@@ -1412,3 +1727,168 @@ export async function downloadPPTX(results, inputs, authorInfo) {
   URL.revokeObjectURL(url);
   return filename;
 }
+
+/**
+ * Generate a portfolio deck (see utils/portfolio.js): company-wide summary
+ * with the rollup by state, and a per-property breakdown chart and table.
+ * State levies stay per state.
+ */
+export async function generatePortfolioPPTX(rollup, info = {}, authorInfo = {}) {
+  const PptxGenJS = await loadPptxgen();
+  const pptx = new PptxGenJS();
+  const name = info.name || 'Portfolio';
+  const c = rollup.total;
+  const ok = rollup.properties.filter(p => !p.error);
+
+  pptx.author = authorInfo.name || BRAND.publisher;
+  pptx.title = `Portfolio Economic Impact - ${name}`;
+  pptx.subject = `Casino Gaming Economic Impact (${PRODUCT_NAME_VERSIONED})`;
+  pptx.company = authorInfo.institution || BRAND.publisher;
+  pptx.defineLayout({ name: 'CUSTOM_16x9', width: SLIDE_WIDTH, height: SLIDE_HEIGHT });
+  pptx.layout = 'CUSTOM_16x9';
+
+  pptx.defineSlideMaster({
+    title: 'CONTENT_SLIDE',
+    background: { color: COLORS.white },
+    slideNumber: { x: 9.2, y: '94%', w: 0.5, fontSize: FONT.caption, color: COLORS.white, align: 'right' },
+    objects: [
+      { rect: { x: 0, y: 0, w: '100%', h: HEADER_HEIGHT, fill: { color: COLORS.navy } } },
+      { rect: { x: 0, y: HEADER_HEIGHT, w: '100%', h: ACCENT_HEIGHT, fill: { color: COLORS.accent } } },
+      { rect: { x: 0, y: SLIDE_HEIGHT - FOOTER_HEIGHT, w: '100%', h: FOOTER_HEIGHT, fill: { color: COLORS.navy } } },
+      { text: { text: `${PRODUCT_NAME_VERSIONED} Portfolio Economic Impact  |  ${name}`, options: {
+        x: MARGIN, y: SLIDE_HEIGHT - FOOTER_HEIGHT + 0.1, w: 8.5, h: 0.2,
+        fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.white
+      } } }
+    ]
+  });
+
+  const headerCell = (text) => ({ text, options: { fill: { color: COLORS.navy }, color: COLORS.white, bold: true } });
+  const totalCell = (text) => ({ text, options: { fill: { color: COLORS.lightBg }, bold: true } });
+  const money = (v) => formatNumber(v, 1);
+  const levy = (v) => (v ? formatNumber(v, 1) : '—');
+
+  // ============================================================
+  // Cover
+  // ============================================================
+  const cover = pptx.addSlide();
+  cover.background = { color: COLORS.navy };
+  cover.addText('PORTFOLIO ECONOMIC IMPACT', {
+    x: MARGIN + 0.2, y: 1.6, w: 9, h: 0.6,
+    fontSize: 30, fontFace: 'Helvetica', bold: true, color: COLORS.white
+  });
+  cover.addText(name, {
+    x: MARGIN + 0.2, y: 2.25, w: 9, h: 0.45,
+    fontSize: 20, fontFace: 'Helvetica', color: COLORS.white
+  });
+  cover.addText(`${ok.length} ${ok.length === 1 ? 'property' : 'properties'} in ${c.states} ${c.states === 1 ? 'state' : 'states'}  |  ${new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`, {
+    x: MARGIN + 0.2, y: 2.8, w: 9, h: 0.35,
+    fontSize: FONT.section, fontFace: 'Helvetica', color: COLORS.lightGray
+  });
+  cover.addText(`Prepared by ${authorInfo.name || BRAND.publisher}  |  ${PRODUCT_NAME_VERSIONED}`, {
+    x: MARGIN + 0.2, y: SLIDE_HEIGHT - 0.8, w: 9, h: 0.3,
+    fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.lightGray
+  });
+
+  // ============================================================
+  // Company-wide summary + rollup by state
+  // ============================================================
+  const slideStates = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+  slideStates.addText('PORTFOLIO BY STATE', {
+    x: MARGIN, y: 0.12, w: 9, h: 0.4,
+    fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+  });
+  slideStates.addText(`Company-wide: ${formatCurrency(c.output)} output, ${formatCurrency(c.gdp)} GDP, ${formatJobs(c.employment)} FTEs and ${formatCurrency(c.totalTax)} in public revenue`, {
+    x: MARGIN, y: CONTENT_TOP + 0.1, w: 9.2, h: 0.28,
+    fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+  });
+
+  const stateRows = rollup.byState.slice(0, 8).map(s => [
+    s.state, String(s.count), money(s.output), money(s.gdp), formatJobs(s.employment),
+    levy(s.taxes.gamingTax + s.taxes.compact), levy(s.taxes.fees + s.taxes.local), money(s.totalTax)
+  ]);
+  slideStates.addTable([
+    ['State', 'Properties', 'Output ($M)', 'GDP ($M)', 'Jobs (FTE)', 'Gaming Tax / Compact ($M)', 'Fees & Local ($M)', 'Total Tax ($M)'].map(headerCell),
+    ...stateRows,
+    ['Company-wide', String(c.count), money(c.output), money(c.gdp), formatJobs(c.employment), 'by state', 'by state', money(c.totalTax)].map(totalCell)
+  ], {
+    x: MARGIN, y: 1.15, w: 9.2,
+    fontFace: 'Helvetica', fontSize: FONT.body, color: COLORS.text,
+    border: { pt: 0.5, color: 'CCCCCC' },
+    colW: [1.5, 0.9, 1.1, 1.0, 1.0, 1.3, 1.2, 1.2],
+    rowH: 0.32,
+    fill: { color: COLORS.white },
+    align: 'center', valign: 'middle'
+  });
+
+  slideStates.addText('Each property is modeled with its own state\'s multipliers and tax schedule. Impacts add across states; gaming taxes, fees, compact payments and local levies follow each state\'s schedule and are reported per state only.', {
+    x: MARGIN, y: CONTENT_BOTTOM - 0.5, w: 9.2, h: 0.45,
+    fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.mediumGray
+  });
+
+  // ============================================================
+  // Per-property breakdown
+  // ============================================================
+  const slideProps = pptx.addSlide({ masterName: 'CONTENT_SLIDE' });
+  slideProps.addText('IMPACT BY PROPERTY', {
+    x: MARGIN, y: 0.12, w: 9, h: 0.4,
+    fontSize: FONT.title, fontFace: 'Helvetica', bold: true, color: COLORS.white
+  });
+  slideProps.addText('Total economic output by property and effect ($M)', {
+    x: MARGIN, y: CONTENT_TOP + 0.1, w: 9, h: 0.28,
+    fontSize: FONT.body + 1, fontFace: 'Helvetica', color: COLORS.grayText
+  });
+
+  const shown = ok.slice(0, 10);
+  const labels = shown.map(p => `${p.name} (${p.state})`);
+  slideProps.addChart(pptx.ChartType.bar, [
+    { name: 'Direct', labels, values: shown.map(p => p.effects.output.direct) },
+    { name: 'Indirect', labels, values: shown.map(p => p.effects.output.indirect) },
+    { name: 'Induced', labels, values: shown.map(p => p.effects.output.induced) }
+  ], {
+    x: MARGIN, y: 1.1, w: 5.4, h: CONTENT_BOTTOM - 1.2,
+    barDir: 'bar', barGrouping: 'stacked',
+    chartColors: [COLORS.navy, COLORS.lightBlue, COLORS.mediumGray],
+    catAxisLabelFontSize: FONT.caption, catAxisLabelFontFace: 'Helvetica', catAxisOrientation: 'maxMin',
+    valAxisLabelFontSize: FONT.caption, valAxisLabelFormatCode: '#,##0',
+    showLegend: true, legendPos: 'b', legendFontSize: FONT.caption
+  });
+
+  slideProps.addTable([
+    ['Property', 'Output ($M)', 'Jobs', 'Total Tax ($M)'].map(headerCell),
+    ...shown.map(p => [p.name, money(p.output), formatJobs(p.employment), money(p.totalTax)])
+  ], {
+    x: 6.0, y: 1.15, w: 3.6,
+    fontFace: 'Helvetica', fontSize: FONT.caption, color: COLORS.text,
+    border: { pt: 0.5, color: 'CCCCCC' },
+    colW: [1.5, 0.75, 0.6, 0.75],
+    rowH: 0.28,
+    fill: { color: COLORS.white },
+    align: 'center', valign: 'middle'
+  });
+  if (ok.length > shown.length) {
+    slideProps.addText(`Showing the first ${shown.length} of ${ok.length} properties; the CSV and Word exports list all of them.`, {
+      x: MARGIN, y: CONTENT_BOTTOM - 0.1, w: 9.2, h: 0.22,
+      fontSize: FONT.caption, fontFace: 'Helvetica', color: COLORS.mediumGray
+    });
+  }
+
+  const filename = `${BRAND.productName}_${BRAND.modelVersion}_Portfolio_${name.replace(/[^\w-]+/g, '_')}_${new Date().toISOString().split('T')[0]}`;
+  const blob = await pptx.write({ outputType: 'blob' });
+  return { blob, filename: filename + '.pptx' };
+}
+
+/**
+ * Download the generated portfolio deck
+ */
+export async function downloadPortfolioPPTX(rollup, info, authorInfo) {
+  const { blob, filename } = await generatePortfolioPPTX(rollup, info, authorInfo);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return filename;
+}
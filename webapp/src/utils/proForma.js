@@ -0,0 +1,140 @@
+/**
+ * Multi-year operating pro forma.
+ *
+ * Each year re-runs the full model (computeScenario) on that year's revenue,
+ * so tiered gaming taxes and payroll caps stay exact. Per year:
+ *   - department revenue follows an opening ramp to the stabilization year,
+ *     then grows at its own nominal rate;
+ *   - employment uses that year's CPI deflator from the analysis's CPI series
+ *     (projected at an assumed inflation rate past the end of the series);
+ *   - scheduled gaming tax changes replace the rate from their effective year.
+ * Cumulative GDP, wages and taxes are also expressed as present values at the
+ * chosen discount rate (end-of-year convention: year 1 is discounted once).
+ */
+import { computeScenario, headlineMetrics } from './computeScenario';
+import { resolveCpi } from './cpi';
+
+export const PRO_FORMA_DEPARTMENTS = [
+  { key: 'gaming', label: 'Gaming' },
+  { key: 'food', label: 'Food & Beverage' },
+  { key: 'lodging', label: 'Lodging' },
+  { key: 'other', label: 'Other' },
+];
+
+/** Percent inputs (0-100) like the rest of the analysis. startYear null = the analysis year. */
+export const DEFAULT_PRO_FORMA = {
+  startYear: null,
+  years: 10,
+  openingPct: 75,
+  stabilizationYear: 3,
+  growthPct: { gaming: 2.5, food: 2.5, lodging: 2.5, other: 2.5 },
+  inflationPct: 2.5,
+  discountRatePct: 5,
+  taxChanges: [],
+  includeInExports: false,
+};
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeProForma(p) {
+  return {
+    ...DEFAULT_PRO_FORMA,
+    ...p,
+    growthPct: { ...DEFAULT_PRO_FORMA.growthPct, ...p?.growthPct },
+    taxChanges: Array.isArray(p?.taxChanges) ? p.taxChanges.map((c) => ({ ...c })) : [],
+  };
+}
+
+/** Share of stabilized revenue earned in operating year `t` (1-based). */
+export function rampFactor(t, openingPct, stabilizationYear) {
+  const stab = Math.max(1, Math.round(stabilizationYear) || 1);
+  if (t >= stab) return 1;
+  const opening = Math.min(Math.max(Number(openingPct) || 0, 0), 100) / 100;
+  return opening + ((1 - opening) * (t - 1)) / (stab - 1);
+}
+
+/** The scheduled gaming tax rate (fraction) in effect for a calendar year, or null. */
+function scheduledTaxRate(taxChanges, year) {
+  const active = taxChanges
+    .filter((c) => c.year != null && c.ratePct != null && c.ratePct !== '' && c.year <= year)
+    .sort((a, b) => a.year - b.year);
+  return active.length ? Number(active[active.length - 1].ratePct) / 100 : null;
+}
+
+/**
+ * Build the year-by-year pro forma for an analysis (settings read from
+ * analysis.proForma). In total-revenue mode the single stream uses the
+ * gaming growth rate.
+ *
+ * Known employment follows the ramp only (stabilized staffing), while known
+ * wages also grow with the department's nominal rate.
+ *
+ * @returns {{ rows: array, totals: object, npv: object, settings: object, cpi: { label, lastYear } }}
+ */
+export function runProForma(analysis) {
+  const settings = normalizeProForma(analysis.proForma);
+  const { openingPct, stabilizationYear, growthPct, taxChanges } = settings;
+  const years = Math.max(1, Math.round(settings.years) || 1);
+  const startYear = settings.startYear || analysis.cpi?.year || new Date().getFullYear();
+  const inflation = (Number(settings.inflationPct) || 0) / 100;
+  const discount = (Number(settings.discountRatePct) || 0) / 100;
+  const stab = Math.max(1, Math.round(stabilizationYear) || 1);
+  const isTotal = analysis.inputMode === 'total';
+
+  const rows = [];
+  for (let t = 1; t <= years; t++) {
+    const year = startYear + t - 1;
+    const ramp = rampFactor(t, openingPct, stab);
+    const grown = (key) => Math.pow(1 + (Number(growthPct[isTotal ? 'gaming' : key]) || 0) / 100, Math.max(0, t - stab));
+
+    const revenues = {};
+    for (const [key, v] of Object.entries(analysis.revenues || {})) {
+      revenues[key] = typeof v === 'number' ? v * ramp * grown(key) : v;
+    }
+    // keep gaming/total mirrored for online single-stream operations
+    if (!isTotal && analysis.revenues?.total != null) revenues.total = revenues.gaming;
+
+    const knownData = {};
+    for (const [key, d] of Object.entries(analysis.knownData || {})) {
+      knownData[key] = {
+        emp: d?.emp != null ? d.emp * ramp : null,
+        wages: d?.wages != null ? d.wages * ramp * grown(key) : null,
+      };
+    }
+
+    const rate = scheduledTaxRate(taxChanges, year);
+    const variant = { ...analysis, revenues, knownData, ...(rate != null && { gamingTaxCustomRate: rate }) };
+    const bundle = computeScenario(variant, { year, projectedInflation: inflation });
+    const m = headlineMetrics(bundle);
+    if (!m) continue;
+
+    const revenue = isTotal
+      ? (revenues.total || 0)
+      : Object.entries(revenues).reduce((sum, [k, v]) => (k === 'total' ? sum : sum + (v || 0)), 0);
+    rows.push({
+      year,
+      yearIndex: t,
+      rampPct: ramp * 100,
+      revenue,
+      ggr: bundle.gamingTaxResult?.ggr ?? (isTotal ? revenues.total : revenues.gaming) ?? 0,
+      deflator: bundle.cpi.deflator,
+      gamingTaxRate: bundle.gamingTaxResult?.effectiveRate ?? 0,
+      scheduledRate: rate,
+      gamingTax: bundle.gamingTaxResult?.amount || 0,
+      discountFactor: 1 / Math.pow(1 + discount, t),
+      ...m,
+    });
+  }
+
+  const sum = (key, pv = false) => rows.reduce((acc, r) => acc + r[key] * (pv ? r.discountFactor : 1), 0);
+  const totals = {
+    revenue: sum('revenue'), output: sum('output'), gdp: sum('gdp'), wages: sum('wages'),
+    gamingTax: sum('gamingTax'), totalTax: sum('totalTax'),
+  };
+  const npv = {
+    revenue: sum('revenue', true), output: sum('output', true), gdp: sum('gdp', true), wages: sum('wages', true),
+    gamingTax: sum('gamingTax', true), totalTax: sum('totalTax', true),
+  };
+
+  const { label, lastYear } = resolveCpi(analysis.cpi);
+  return { rows, totals, npv, settings: { ...settings, years, startYear, stabilizationYear: stab }, cpi: { label, lastYear } };
+}
@@ -0,0 +1,133 @@
+/**
+ * Portable project files (.gems).
+ *
+ * A project file is JSON bundling saved analyses and comparison scenarios
+ * with notes and provenance: the model version (BRAND), the data vintages of
+ * the bundled data files, the headline results as computed at export time
+ * (or a project's frozen results snapshot, carried whole), and a SHA-256 hash of the canonical content so edits or corruption in
+ * transit are detectable.
+ *
+ * Analyses are stored in the buildAnalysis shape and pass through
+ * migrateAnalysis on import, like share links and saved projects. Each
+ * carries its data edition; the data each analysis reads is loaded before its
+ * results are computed.
+ */
+import { BRAND } from '../brand';
+import { ANALYSIS_VERSION, migrateAnalysis } from './analysisState';
+import { DATA_VINTAGES, compareVintages } from './dataVintages';
+import { loadAnalysisData } from './dataService';
+import { canonicalJSON, headlineResults } from './resultsSnapshot';
+
+export const PROJECT_FILE_FORMAT = 'gems-project';
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.gems';
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Assemble a project file.
+ * @param {{ projects?: Array<{ name, savedAt?, analysis }>, scenarios?: Array<{ name, analysis }>, notes?: string }} content
+ * @returns {Promise<object>} the file object (serialize with JSON.stringify)
+ */
+export async function buildProjectFile({ projects = [], scenarios = [], notes = '' }) {
+  await loadData([...projects, ...scenarios].map((e) => e.analysis));
+  const entry = ({ name, savedAt, analysis, snapshot }) => ({
+    name: name || 'Untitled analysis',
+    ...(savedAt && { savedAt }),
+    analysis,
+    results: snapshot?.metrics || headlineResults(analysis),
+    ...(snapshot && { snapshot }),
+  });
+  const body = {
+    format: PROJECT_FILE_FORMAT,
+    formatVersion: PROJECT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    model: { product: BRAND.productName, version: BRAND.modelVersion, analysisVersion: ANALYSIS_VERSION },
+    dataVintages: DATA_VINTAGES,
+    notes: notes.trim(),
+    projects: projects.map(entry),
+    scenarios: scenarios.map(entry),
+  };
+  return { ...body, hash: { algorithm: 'SHA-256', value: await sha256(canonicalJSON(body)) } };
+}
+
+function loadData(analyses) {
+  return Promise.all(analyses.filter(Boolean).map(loadAnalysisData));
+}
+
+export function downloadProjectFile(filename, file) {
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename.endsWith(PROJECT_FILE_EXTENSION) ? filename : `${filename}${PROJECT_FILE_EXTENSION}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Parse and check a project file.
+ *
+ * Throws for anything that is not a readable project file. Otherwise every
+ * analysis is migrated (entries that cannot be opened are listed in
+ * `skipped`), the hash is verified, and data vintages and model version are
+ * compared with the running app.
+ *
+ * @param {string} text - File contents
+ * @returns {Promise<{ notes, exportedAt, model, dataVintages,
+ *   projects: Array<{ name, savedAt, analysis, snapshot, stored, current, report }>, scenarios: Array<...>,
+ *   skipped: Array<{ name, errors }>, integrity: 'ok'|'mismatch'|'missing',
+ *   vintageChanges: Array<{ field, file, current }>, modelChanged: boolean }>}
+ */
+export async function readProjectFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('Not a GEMS project file (the file is not valid JSON)');
+  }
+  if (!file || file.format !== PROJECT_FILE_FORMAT) {
+    throw new Error('Not a GEMS project file');
+  }
+  if (file.formatVersion > PROJECT_FILE_VERSION) {
+    throw new Error(`This project file (format v${file.formatVersion}) was written by a newer version of ${BRAND.productName}`);
+  }
+
+  const { hash, ...body } = file;
+  let integrity = 'missing';
+  if (hash?.value) integrity = (await sha256(canonicalJSON(body))) === hash.value ? 'ok' : 'mismatch';
+
+  const skipped = [];
+  const entries = (list) => (Array.isArray(list) ? list : []).flatMap((e) => {
+    const name = e?.name || 'Untitled analysis';
+    const { analysis, report } = migrateAnalysis(e?.analysis);
+    if (!analysis) {
+      skipped.push({ name, errors: report.errors });
+      return [];
+    }
+    const snapshot = e.snapshot?.metrics && e.snapshot?.bundle ? e.snapshot : null;
+    return [{ name, savedAt: e.savedAt || null, analysis, snapshot, stored: e.results || null, report }];
+  });
+  const projects = entries(file.projects);
+  const scenarios = entries(file.scenarios);
+  await loadData([...projects, ...scenarios].map((e) => e.analysis));
+  const withCurrent = (e) => ({ ...e, current: headlineResults(e.analysis) });
+
+  return {
+    notes: typeof file.notes === 'string' ? file.notes : '',
+    exportedAt: file.exportedAt || null,
+    model: file.model || null,
+    dataVintages: file.dataVintages || null,
+    projects: projects.map(withCurrent),
+    scenarios: scenarios.map(withCurrent),
+    skipped,
+    integrity,
+    vintageChanges: compareVintages(file.dataVintages),
+    modelChanged: !!file.model && file.model.version !== BRAND.modelVersion,
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Sub-state regional analysis: the host region (a county, metro area or
+ * custom group of counties) versus the rest of the state.
+ *
+ * The bundled multipliers are state-level. A region buys less of its supply
+ * chain and household spending locally than the state as a whole, so its
+ * share of the state ripple effect is estimated with Flegg's location
+ * quotient (FLQ) method from QCEW employment:
+ *
+ *   λ = [log2(1 + regional employment ÷ state employment)]^δ,  δ = 0.3
+ *   indirect share = min(1, supplier-industry LQ × λ)
+ *   induced share  = min(1, λ)
+ *
+ * The operation itself sits in the host region, so direct effects stay there
+ * in full. The host region keeps those shares of each stream's indirect and
+ * induced effects (jobs and wages follow, being linear in them); the rest of
+ * the state is the state total less the host region. A region covering the
+ * whole state (share 100%, LQ ≥ 1) reproduces the state results.
+ *
+ * No county or metro-area data is bundled: the employment share and supplier
+ * LQ are entered by hand from QCEW, and the region's name is only a label.
+ */
+import { aggregateImpacts } from './calculations';
+
+export const FLQ_DELTA = 0.3;
+
+export const REGION_KINDS = [
+  { value: 'county', label: 'County' },
+  { value: 'msa', label: 'Metro Area' },
+  { value: 'custom', label: 'Custom' },
+];
+
+export const DEFAULT_REGION = {
+  enabled: false,
+  kind: 'county',
+  name: '',
+  employmentSharePct: null, // region's share of state employment, QCEW all industries (0-100)
+  supplierLQ: 1, // location quotient of the region's supplier industries (1 = state average mix)
+};
+
+const METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeRegion(r) {
+  const share = Number(r?.employmentSharePct);
+  const lq = Number(r?.supplierLQ);
+  return {
+    enabled: !!r?.enabled,
+    kind: REGION_KINDS.some((k) => k.value === r?.kind) ? r.kind : DEFAULT_REGION.kind,
+    name: typeof r?.name === 'string' ? r.name : '',
+    employmentSharePct: r?.employmentSharePct != null && Number.isFinite(share) ? Math.min(Math.max(share, 0), 100) : null,
+    supplierLQ: r?.supplierLQ != null && Number.isFinite(lq) && lq >= 0 ? lq : DEFAULT_REGION.supplierLQ,
+  };
+}
+
+/** "Clark County" or "Host region" when unnamed. */
+export function regionLabel(region) {
+  return region?.name?.trim() || 'Host region';
+}
+
+/**
+ * FLQ regionalization factors, or null until the region's employment share
+ * is entered.
+ * @returns {{ lambda: number, indirect: number, induced: number }|null}
+ */
+export function regionalFactors(region) {
+  const { employmentSharePct, supplierLQ } = normalizeRegion(region);
+  if (!(employmentSharePct > 0)) return null;
+  const lambda = Math.log2(1 + employmentSharePct / 100) ** FLQ_DELTA;
+  return {
+    lambda,
+    indirect: Math.min(1, supplierLQ * lambda),
+    induced: Math.min(1, lambda),
+  };
+}
+
+function retained(m, f) {
+  const indirect = m.indirect * f.indirect;
+  const induced = m.induced * f.induced;
+  return { ...m, indirect, induced, total: m.direct + indirect + induced };
+}
+
+function restOf(m, host) {
+  return { ...m, direct: m.direct - host.direct, indirect: m.indirect - host.indirect, induced: m.induced - host.induced, total: m.total - host.total };
+}
+
+/**
+ * Split state results into host-region and rest-of-state results.
+ * @returns {{ host: object, rest: object }|null}
+ */
+export function splitRegion(results, factors) {
+  if (!results || !factors) return null;
+  const ratio = (m) => (m.direct ? m.total / m.direct : null);
+  const withMultipliers = (stream) => ({
+    ...stream,
+    multipliers: { output: ratio(stream.output), gdp: ratio(stream.gdp), employment: ratio(stream.employment), wages: ratio(stream.wages) },
+  });
+  const hostStreams = results.byRevenue.map((r) => withMultipliers({
+    ...r, ...Object.fromEntries(METRICS.map((k) => [k, retained(r[k], factors)])),
+  }));
+  const restStreams = results.byRevenue.map((r, i) => ({
+    ...r, revenue: 0, ...Object.fromEntries(METRICS.map((k) => [k, restOf(r[k], hostStreams[i][k])])),
+  }));
+  return { host: aggregateImpacts(hostStreams), rest: aggregateImpacts(restStreams) };
+}
+
+const pct = (f) => `${(f * 100).toFixed(1)}%`;
+const formatShare = (p) => String(Math.round(p * 100) / 10000);
+
+/** Methodology sentence for reports. */
+export function describeRegion(region, factors) {
+  const r = normalizeRegion(region);
+  const name = regionLabel(r);
+  return `${name} impacts are derived from the state multipliers with Flegg's location quotient (FLQ) method: ${name} holds ${r.employmentSharePct}% of state employment (QCEW, as entered for this analysis), `
+    + `so λ = [log2(1 + ${formatShare(r.employmentSharePct)})]^${FLQ_DELTA} = ${factors.lambda.toFixed(3)}; with a supplier-industry location quotient of ${r.supplierLQ}, `
+    + `${pct(factors.indirect)} of the statewide indirect effect and ${pct(factors.induced)} of the induced effect are retained in the region. `
+    + 'Direct effects occur at the facility and are counted in full in the host region; the rest of the state receives the remainder.';
+}
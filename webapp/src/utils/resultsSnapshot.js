@@ -0,0 +1,133 @@
+/**
+ * Frozen results snapshots for saved projects.
+ *
+ * A snapshot stores the full computeScenario bundle as computed when the
+ * project was saved, with the model version and data vintages it came from.
+ * Reopening the project compares it with a fresh computation, so a new
+ * edition's data never changes a delivered report's numbers unnoticed, and
+ * the frozen bundle can stand in for the live one to re-issue the report
+ * exactly as delivered.
+ */
+import { BRAND } from '../brand';
+import { computeScenario, headlineMetrics } from './computeScenario';
+import { VINTAGES, compareVintages, normalizeVintage } from './dataVintages';
+import { isAnalysisDataLoaded, vintageInfo } from './dataService';
+
+/** Metrics compared between a snapshot and current data ($M; employment in FTEs). */
+export const SNAPSHOT_METRICS = [
+  { key: 'output', label: 'Economic Output' },
+  { key: 'gdp', label: 'GDP (Value Added)' },
+  { key: 'employment', label: 'Employment (FTE)' },
+  { key: 'wages', label: 'Wages' },
+  { key: 'gamingTax', label: 'Gaming Tax & Fees' },
+  { key: 'totalTax', label: 'Total Tax Revenue' },
+];
+
+// Differences below this are floating-point noise, not a change in results
+const TOLERANCE = 1e-6;
+
+/** Headline metrics of a bundle, with gaming tax and fees as one line. */
+export function bundleMetrics(bundle) {
+  const m = headlineMetrics(bundle);
+  if (!m) return null;
+  const g = bundle.gamingTaxResult;
+  return { ...m, gamingTax: (g?.amount || 0) + (g?.fees?.total || 0) };
+}
+
+/** Headline results of an analysis computed with its edition's data. */
+export function headlineResults(analysis) {
+  return bundleMetrics(computeScenario(analysis));
+}
+
+/**
+ * JSON with object keys sorted at every level; with `dropEmpty`, null and
+ * undefined members are left out so partial and padded objects compare equal.
+ */
+export function canonicalJSON(value, { dropEmpty = false } = {}) {
+  if (Array.isArray(value)) return `[${value.map((v) => canonicalJSON(v, { dropEmpty })).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined && !(dropEmpty && value[k] === null))
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k], { dropEmpty })}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Whether two analyses describe the same inputs (ignoring blank fields and key order). */
+export function sameAnalysis(a, b) {
+  return canonicalJSON(a, { dropEmpty: true }) === canonicalJSON(b, { dropEmpty: true });
+}
+
+/**
+ * Freeze the results of an analysis as computed now.
+ * @returns {{ takenAt, modelVersion, dataVintages, metrics, bundle }}
+ */
+export function buildSnapshot(analysis) {
+  // Round-trip through JSON: plain data only (getters become values), as stored.
+  // The calculation trace is kept so a re-issued report can still explain its numbers.
+  const bundle = JSON.parse(JSON.stringify(computeScenario(analysis, { trace: true })));
+  return {
+    takenAt: new Date().toISOString(),
+    modelVersion: BRAND.modelVersion,
+    dataVintages: vintageInfo(analysis.vintage),
+    metrics: bundleMetrics(bundle),
+    bundle,
+  };
+}
+
+/**
+ * Compare a snapshot with the analysis recomputed on current data.
+ * @returns {{ rows: Array<{ key, label, saved, current, change, pct }>, changed: boolean,
+ *   vintageChanges: Array<{ field, file, current }>, modelChanged: boolean }}
+ */
+export function diffSnapshot(snapshot, analysis) {
+  const current = headlineResults(analysis) || {};
+  const saved = snapshot.metrics || {};
+  const rows = SNAPSHOT_METRICS.map(({ key, label }) => {
+    const s = saved[key] ?? null;
+    const c = current[key] ?? null;
+    const change = s != null && c != null ? c - s : null;
+    return { key, label, saved: s, current: c, change, pct: change != null && s ? (change / Math.abs(s)) * 100 : null };
+  });
+  return {
+    rows,
+    changed: rows.some((r) => (r.change == null ? r.saved !== r.current : Math.abs(r.change) > TOLERANCE)),
+    vintageChanges: compareVintages(snapshot.dataVintages, vintageInfo(analysis.vintage)),
+    modelChanged: snapshot.modelVersion !== BRAND.modelVersion,
+  };
+}
+
+/**
+ * The same inputs computed on every data edition whose data for them is
+ * loaded (see dataService.loadAnalysisData), against the
+ * analysis' own edition: how the results moved between editions. Null until
+ * at least two editions are loaded (this build may bundle only one).
+ * @returns {{ base: string, editions: Array<{ id, label, metrics, vintageChanges }>,
+ *   rows: Array<{ key, label, values: { [id]: number|null }, changes: { [id]: { change, pct }|null } }> }|null}
+ */
+export function compareEditions(analysis) {
+  const base = normalizeVintage(analysis.vintage);
+  const baseInfo = vintageInfo(base);
+  const editions = VINTAGES.filter((v) => isAnalysisDataLoaded({ ...analysis, vintage: v.id })).map((v) => ({
+    id: v.id,
+    label: v.label,
+    metrics: headlineResults({ ...analysis, vintage: v.id }) || {},
+    vintageChanges: v.id === base ? [] : compareVintages(vintageInfo(v.id), baseInfo),
+  }));
+  if (editions.length < 2 || !editions.some((e) => e.id === base)) return null;
+  const baseMetrics = editions.find((e) => e.id === base).metrics;
+  const rows = SNAPSHOT_METRICS.map(({ key, label }) => {
+    const values = {};
+    const changes = {};
+    for (const e of editions) {
+      const v = e.metrics[key] ?? null;
+      const b = baseMetrics[key] ?? null;
+      values[e.id] = v;
+      changes[e.id] = e.id !== base && v != null && b != null
+        ? { change: v - b, pct: b ? ((v - b) / Math.abs(b)) * 100 : null }
+        : null;
+    }
+    return { key, label, values, changes };
+  });
+  return { base, editions, rows };
+}
@@ -1,9 +1,10 @@
 /**
- * Sensitivity sweeps and multi-year projections.
+ * Sensitivity sweeps and one-at-a-time (tornado) analysis. (Multi-year
+ * projections live in proForma.js.)
  *
- * Both recompute the full model at each point (rather than scaling a single
- * result) so non-linearities — tiered gaming taxes, per-employee payroll caps
- * — are captured correctly.
+ * Each point recomputes the full model (rather than scaling a single result)
+ * so non-linearities — tiered gaming taxes, per-employee payroll caps — are
+ * captured correctly.
  */
 import { computeScenario, headlineMetrics } from './computeScenario';
 
@@ -54,23 +55,100 @@ export function runSensitivity(analysis, { driver = 'ggr', spread = 0.4, steps =
   return { driver, series, base };
 }
 
+const REVENUE_LABELS = {
+  gaming: 'Gaming revenue (GGR)', food: 'Food & beverage revenue', lodging: 'Lodging revenue',
+  other: 'Other revenue', total: 'Total revenue',
+};
+const DEPT_LABELS = { gaming: 'gaming', food: 'F&B', lodging: 'lodging', other: 'other', marketing: 'marketing', tech: 'tech' };
+
+/** Multiplier-table columns perturbed by the tornado (every sector for the state). */
+export const TORNADO_COEFFICIENTS = [
+  { field: 'Type_I_Output', label: 'Type I output multiplier' },
+  { field: 'Type_II_Output', label: 'Type II output multiplier' },
+  { field: 'Direct_VA_Coef', label: 'Direct value-added coefficient' },
+  { field: 'Type_I_VA', label: 'Type I value-added multiplier' },
+  { field: 'Type_II_VA', label: 'Type II value-added multiplier' },
+  { field: 'Direct_Wage_Coef', label: 'Direct wage coefficient' },
+  { field: 'Type_I_Wage', label: 'Type I wage multiplier' },
+  { field: 'Type_II_Wage', label: 'Type II wage multiplier' },
+  { field: 'Direct_Tax_Coef', label: 'Direct TOPI coefficient' },
+  { field: 'Type_I_Tax', label: 'Type I TOPI multiplier' },
+  { field: 'Type_II_Tax', label: 'Type II TOPI multiplier' },
+  { field: 'Emp_Coef', label: 'Direct employment coefficient' },
+  { field: 'Indirect_Emp_Coef', label: 'Indirect employment coefficient' },
+  { field: 'Induced_Emp_Coef', label: 'Induced employment coefficient' },
+];
+
+export const DEFAULT_TORNADO = { metric: 'employment', pct: 10, includeInExports: false };
+
 /**
- * Project the analysis forward `years` at a compound annual growth rate.
- * Year 1 = current inputs; each subsequent year scales GGR by (1+cagr).
+ * The one-at-a-time perturbations for an analysis: each returns the
+ * computeScenario arguments with that input scaled by `f`.
  */
-export function runProjection(analysis, { years = 5, cagr = 0.08 } = {}) {
-  const series = [];
-  const startYear = new Date().getFullYear();
-  for (let y = 0; y < years; y++) {
-    const factor = Math.pow(1 + cagr, y);
-    const m = headlineMetrics(computeScenario(scaleGGR(analysis, factor)));
-    if (m) series.push({ year: startYear + y, yearIndex: y + 1, ggr: baseGGR(analysis) * factor, ...m });
+function tornadoInputs(analysis) {
+  const inputs = [];
+  for (const [key, v] of Object.entries(analysis.revenues || {})) {
+    if (!(v > 0)) continue;
+    if ((analysis.inputMode === 'total') !== (key === 'total')) continue;
+    inputs.push({
+      key: `revenue.${key}`, label: REVENUE_LABELS[key] || key, group: 'Revenue',
+      apply: (f) => [scaleRevenue(analysis, key, f)],
+    });
+  }
+  inputs.push({
+    key: 'slotRevenuePct', label: 'Slot share of GGR', group: 'Revenue',
+    apply: (f) => [{ ...analysis, slotRevenuePct: Math.min(100, (analysis.slotRevenuePct ?? 70) * f) }],
+  });
+  for (const [dept, d] of Object.entries(analysis.knownData || {})) {
+    for (const [field, noun] of [['emp', 'employment'], ['wages', 'wages']]) {
+      if (!(d?.[field] > 0)) continue;
+      inputs.push({
+        key: `known.${dept}.${field}`, label: `Known ${DEPT_LABELS[dept] || dept} ${noun}`, group: 'Operator data',
+        apply: (f) => [{ ...analysis, knownData: { ...analysis.knownData, [dept]: { ...d, [field]: d[field] * f } } }],
+      });
+    }
+  }
+  for (const { field, label } of TORNADO_COEFFICIENTS) {
+    inputs.push({
+      key: `coef.${field}`, label, group: 'Multipliers',
+      apply: (f) => [analysis, { coefScale: { fields: { [field]: f } } }],
+    });
+  }
+  inputs.push(
+    { key: 'tax.suta', label: 'SUTA rate', group: 'Employment taxes', apply: (f) => [analysis, { employmentTaxScale: { suta_avg_rate: f } }] },
+    { key: 'tax.household', label: 'Household tax ratio', group: 'Employment taxes', apply: (f) => [analysis, { employmentTaxScale: { household_tax_ratio: f } }] },
+  );
+  return inputs;
+}
+
+function scaleRevenue(analysis, key, factor) {
+  const revenues = { ...analysis.revenues, [key]: (analysis.revenues[key] || 0) * factor };
+  // keep gaming/total mirrored for online single-stream operations
+  if (key === 'gaming' && analysis.revenues.total != null) revenues.total = revenues.gaming;
+  return { ...analysis, revenues };
+}
+
+/**
+ * One-at-a-time (tornado) sensitivity: move each input down and up by `pct`
+ * percent, holding everything else at its entered value, and rank inputs by
+ * the swing in `metric`. Inputs that don't move the metric are dropped.
+ *
+ * @returns {{ metric, pct, base, bars: [{ key, label, group, low, high, swing }] } | null}
+ */
+export function runTornado(analysis, { metric = 'employment', pct = 10 } = {}) {
+  const base = headlineMetrics(computeScenario(analysis));
+  if (!base) return null;
+  const value = (args) => headlineMetrics(computeScenario(...args))?.[metric] ?? base[metric];
+
+  const bars = [];
+  for (const { key, label, group, apply } of tornadoInputs(analysis)) {
+    const low = value(apply(1 - pct / 100));
+    const high = value(apply(1 + pct / 100));
+    const swing = Math.abs(high - low);
+    if (swing > Math.abs(base[metric]) * 1e-6) bars.push({ key, label, group, low, high, swing });
   }
-  const cumulative = series.reduce((acc, s) => {
-    acc.output += s.output; acc.gdp += s.gdp; acc.wages += s.wages; acc.totalTax += s.totalTax;
-    return acc;
-  }, { output: 0, gdp: 0, wages: 0, totalTax: 0 });
-  return { series, cumulative };
+  bars.sort((a, b) => b.swing - a.swing);
+  return { metric, pct, base: base[metric], bars };
 }
 
 export const METRIC_META = [
@@ -0,0 +1,163 @@
+/**
+ * Multi-state spillover for border properties: part of the workforce lives
+ * in, and part of the supplier purchases go to, neighboring states.
+ *
+ * The host-state run gives each revenue stream's effects with the host
+ * state's multipliers; a second run with each neighbor's multipliers values
+ * the portion that leaks there:
+ *
+ *   host indirect      = indirect × (1 − Σ supplier shares)
+ *   neighbor indirect  = neighbor-run indirect × supplier share
+ *   induced            = run induced × residents' labor income ÷ the run's
+ *                        first-round labor income (direct + indirect wages)
+ *
+ * Residents' labor income is the direct wages earned by the state's
+ * residents (host: 1 − Σ employee shares) plus the indirect wages paid in the
+ * state, so household spending — and the induced effect — follows where
+ * employees live. Direct effects stay at the facility in the host state.
+ */
+import { aggregateImpacts } from './calculations';
+
+export const DEFAULT_SPILLOVER = {
+  enabled: false,
+  neighbors: [], // [{ state, employeePct, supplierPct }], percents 0-100
+};
+
+const METRICS = ['output', 'gdp', 'employment', 'wages', 'tax'];
+const EFFECTS = ['direct', 'indirect', 'induced'];
+
+const toPct = (v) => Math.min(Math.max(Number(v) || 0, 0), 100);
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeSpillover(s) {
+  return {
+    enabled: !!s?.enabled,
+    neighbors: Array.isArray(s?.neighbors)
+      ? s.neighbors.map((n) => ({
+        state: typeof n?.state === 'string' ? n.state : '',
+        employeePct: toPct(n?.employeePct),
+        supplierPct: toPct(n?.supplierPct),
+      }))
+      : [],
+  };
+}
+
+/**
+ * The neighbors that take part in a run: a state other than the host, with
+ * some employees or purchases there. Shares are fractions; when either set of
+ * percents adds up to more than 100 they are scaled back to 100.
+ * @returns {Array<{ state: string, employee: number, supplier: number }>}
+ */
+export function spilloverShares(spillover, hostState, states = null) {
+  const s = normalizeSpillover(spillover);
+  if (!s.enabled) return [];
+  const neighbors = s.neighbors.filter((n) => n.state && n.state !== hostState
+    && (!states || states.includes(n.state)) && (n.employeePct > 0 || n.supplierPct > 0));
+  const employeeSum = neighbors.reduce((sum, n) => sum + n.employeePct, 0);
+  const supplierSum = neighbors.reduce((sum, n) => sum + n.supplierPct, 0);
+  return neighbors.map((n) => ({
+    state: n.state,
+    employee: n.employeePct / Math.max(100, employeeSum),
+    supplier: n.supplierPct / Math.max(100, supplierSum),
+  }));
+}
+
+function effects(direct, indirect, induced) {
+  return { direct, indirect, induced, total: direct + indirect + induced };
+}
+
+function laborIncome(stream) {
+  return stream.wages.direct + stream.wages.indirect;
+}
+
+function finish(streams) {
+  const ratio = (m) => (m.direct ? m.total / m.direct : null);
+  return aggregateImpacts(streams.map((s) => ({
+    ...s,
+    multipliers: { output: ratio(s.output), gdp: ratio(s.gdp), employment: ratio(s.employment), wages: ratio(s.wages) },
+  })));
+}
+
+/**
+ * Split the host-state results across the host and its neighbors.
+ * @param {object} results - Host-state results (host multipliers)
+ * @param {Array} shares - From spilloverShares
+ * @param {object} neighborRuns - { [state]: results with that state's multipliers }
+ * @returns {{ host: object, neighbors: Array }|null} per-state results, and
+ *   each state's residents' wages (the household-tax base) by effect
+ */
+export function splitSpillover(results, shares, neighborRuns) {
+  if (!results || !shares.length) return null;
+  const employeeOut = shares.reduce((sum, n) => sum + n.employee, 0);
+  const supplierOut = shares.reduce((sum, n) => sum + n.supplier, 0);
+
+  const hostStreams = [];
+  const hostResidentWages = effects(0, 0, 0);
+  const neighborStreams = shares.map(() => []);
+  const neighborResidentWages = shares.map(() => effects(0, 0, 0));
+  const addWages = (target, direct, indirect, induced) => {
+    target.direct += direct;
+    target.indirect += indirect;
+    target.induced += induced;
+    target.total += direct + indirect + induced;
+  };
+
+  for (const stream of results.byRevenue) {
+    const income = laborIncome(stream);
+    const hostIncome = stream.wages.direct * (1 - employeeOut) + stream.wages.indirect * (1 - supplierOut);
+    const hostInduced = income ? hostIncome / income : 0;
+    const host = { ...stream };
+    for (const k of METRICS) {
+      host[k] = { ...stream[k], ...effects(stream[k].direct, stream[k].indirect * (1 - supplierOut), stream[k].induced * hostInduced) };
+    }
+    hostStreams.push(host);
+    addWages(hostResidentWages, stream.wages.direct * (1 - employeeOut), host.wages.indirect, host.wages.induced);
+
+    shares.forEach((n, i) => {
+      // A neighbor without multipliers for the stream's sector borrows the host's
+      const run = neighborRuns[n.state]?.byRevenue.find((r) => r.type === stream.type) || stream;
+      const residentDirect = stream.wages.direct * n.employee;
+      const runIncome = laborIncome(run);
+      const induced = runIncome ? (residentDirect + run.wages.indirect * n.supplier) / runIncome : 0;
+      const out = { ...stream, revenue: 0, multiplierSource: run.multiplierSource };
+      for (const k of METRICS) {
+        out[k] = { ...stream[k], ...effects(0, run[k].indirect * n.supplier, run[k].induced * induced) };
+      }
+      neighborStreams[i].push(out);
+      addWages(neighborResidentWages[i], residentDirect, out.wages.indirect, out.wages.induced);
+    });
+  }
+
+  return {
+    host: { results: finish(hostStreams), residentWages: hostResidentWages },
+    neighbors: shares.map((n, i) => ({
+      ...n,
+      results: finish(neighborStreams[i]),
+      residentWages: neighborResidentWages[i],
+    })),
+  };
+}
+
+/** Add up per-state totals (metric × effect) into combined totals. */
+export function combineTotals(list) {
+  const totals = Object.fromEntries(METRICS.map((k) => [k, effects(0, 0, 0)]));
+  for (const t of list) {
+    for (const k of METRICS) {
+      for (const e of EFFECTS) totals[k][e] += t[k][e];
+      totals[k].total += t[k].total;
+    }
+  }
+  return totals;
+}
+
+const pct = (f) => `${Math.round(f * 1000) / 10}%`;
+
+/** Methodology sentence for reports. */
+export function describeSpillover(spillover) {
+  const parts = spillover.states.filter((s) => s.role === 'neighbor')
+    .map((s) => `${s.state} (${pct(s.employee)} of employees, ${pct(s.supplier)} of supplier purchases)`);
+  return `Spillover to neighboring states is modeled for ${parts.join('; ')}. `
+    + `Supplier purchases made out of state are valued with that state's multipliers, and the induced effect follows where employees live, `
+    + 'in proportion to the labor income earned by each state\'s residents. Payroll taxes are counted where the jobs are; '
+    + 'household taxes where the employees live.';
+}
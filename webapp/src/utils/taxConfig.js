@@ -6,6 +6,8 @@ import { isOnlinePropertyType } from './calculations';
  * sensitivity analysis all derive gaming tax identically.
  *
  * For online property types, uses the iGaming or sportsBetting sub-config.
+ * Non-GGR fee terms (`fees`) are carried through for calculateGamingFees and
+ * apply whether or not the rate is overridden.
  */
 export function buildTaxConfig(taxInfo, customRate, slotRevenuePct, propertyType = null) {
   if (!taxInfo) return {};
@@ -27,17 +29,17 @@ export function buildTaxConfig(taxInfo, customRate, slotRevenuePct, propertyType
   } else if (effectiveTaxInfo.rateStructure === 'split_tiered' && effectiveTaxInfo.slotTiers && effectiveTaxInfo.tableTiers) {
     config.slotTiers = effectiveTaxInfo.slotTiers;
     config.tableTiers = effectiveTaxInfo.tableTiers;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.rateStructure === 'tiered' && effectiveTaxInfo.tiers) {
     config.tiers = effectiveTaxInfo.tiers;
   } else if (effectiveTaxInfo.rateStructure === 'split_game_type' && effectiveTaxInfo.slotsRate != null && effectiveTaxInfo.tableRate != null) {
     config.slotsRate = effectiveTaxInfo.slotsRate;
     config.tableRate = effectiveTaxInfo.tableRate;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.slotTableSplit && effectiveTaxInfo.slotsRate != null && effectiveTaxInfo.tableRate != null) {
     config.slotsRate = effectiveTaxInfo.slotsRate;
     config.tableRate = effectiveTaxInfo.tableRate;
-    config.slotRevenuePct = (slotRevenuePct || 70) / 100;
+    config.slotRevenuePct = (slotRevenuePct ?? 70) / 100;
   } else if (effectiveTaxInfo.rateStructure === 'flat' && effectiveTaxInfo.flatRate != null) {
     config.flatRate = effectiveTaxInfo.flatRate;
   } else if (effectiveTaxInfo.flatRate != null) {
@@ -45,5 +47,6 @@ export function buildTaxConfig(taxInfo, customRate, slotRevenuePct, propertyType
   } else if (effectiveTaxInfo.effectiveRate != null) {
     config.flatRate = effectiveTaxInfo.effectiveRate;
   }
+  if (effectiveTaxInfo.fees) config.fees = effectiveTaxInfo.fees;
   return config;
 }
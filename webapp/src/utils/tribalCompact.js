@@ -0,0 +1,103 @@
+/**
+ * Tribal-state compact revenue sharing.
+ *
+ * Tribal operations do not pay a state gaming tax; they make payments under
+ * their compact with the state. Terms come from a state's `compact` object
+ * in gamingTaxRates.json:
+ *
+ *   payments: [{ key, label, basis, rate | tiers, recipient }]
+ *     basis: 'all' | 'slot' | 'table' — the share of net win the payment is
+ *     levied on (split by the analysis' slot share); tiers are graduated on
+ *     that base, thresholds in $M. recipient: 'state' (default) or 'local'
+ *     for local mitigation/impact funds.
+ *   minimumPayment: $M a year, the floor on the tribe's total payment across
+ *   all of its gaming — operator-wide, not per property.
+ *   source: plain-language summary of the terms.
+ *
+ * Compacts without a standard schedule have no payments; a custom rate on
+ * the analysis then stands in for the compact's revenue share.
+ */
+import { calculateGamingTax, isOnlinePropertyType } from './calculations';
+
+/**
+ * `enabled` is the "Tribal operation" flag; `applyMinimum` applies the compact's
+ * operator-wide minimum payment, so is off unless the analysis covers all of the tribe's gaming.
+ */
+export const DEFAULT_TRIBAL = {
+  enabled: false,
+  applyMinimum: false,
+};
+
+/** Merge saved/partial settings over the defaults. */
+export function normalizeTribal(t) {
+  return { ...DEFAULT_TRIBAL, ...t };
+}
+
+/** Whether an analysis is a tribal land-based operation in a state with tribal gaming. */
+export function isTribalOperation(analysis, stateTaxConfig) {
+  return !!(analysis.tribal?.enabled && stateTaxConfig?.hasTribal && !isOnlinePropertyType(analysis.propertyType));
+}
+
+const BASIS_LABELS = { all: 'net win', slot: 'slot net win', table: 'table net win' };
+
+function pct(v) {
+  return `${Math.round(v * 1000) / 10}%`;
+}
+
+/**
+ * Calculate compact payments.
+ *
+ * @param {number} ggr - Net win (GGR) in $M
+ * @param {object} compact - The state's compact terms (may be undefined)
+ * @param {object} opts - { slotRevenuePct (0-100), customRate (fraction or null), applyMinimum }
+ * @returns {object} { amount, effectiveRate, ggr, lines: [{ key, label, recipient, amount, detail }],
+ *   state, local, minimumApplied, hasTerms, source }
+ */
+export function calculateCompactPayment(ggr, compact, { slotRevenuePct, customRate, applyMinimum = false } = {}) {
+  const slotShare = (slotRevenuePct ?? 70) / 100;
+  const bases = { all: ggr, slot: ggr * slotShare, table: ggr * (1 - slotShare) };
+  const lines = [];
+  const hasCustom = customRate != null && customRate !== '';
+
+  if (hasCustom) {
+    const rate = parseFloat(customRate);
+    lines.push({
+      key: 'custom', label: 'Revenue share (custom rate)', recipient: 'state',
+      amount: ggr * rate, detail: `${pct(rate)} of net win`,
+    });
+  } else {
+    for (const p of compact?.payments || []) {
+      const base = bases[p.basis || 'all'] || 0;
+      const amount = p.tiers ? calculateGamingTax(base, { tiers: p.tiers }) : base * (p.rate || 0);
+      lines.push({
+        key: p.key, label: p.label, recipient: p.recipient || 'state', amount,
+        detail: `${p.tiers ? `${pct(base > 0 ? amount / base : 0)} effective` : pct(p.rate || 0)} of ${BASIS_LABELS[p.basis || 'all']}`,
+      });
+    }
+  }
+
+  // Top up to the compact's operator-wide minimum annual payment
+  let minimumApplied = false;
+  const subtotal = lines.reduce((a, l) => a + l.amount, 0);
+  if (!hasCustom && applyMinimum && compact?.minimumPayment > subtotal) {
+    lines.push({
+      key: 'minimum', label: 'Operator-wide minimum top-up', recipient: 'state',
+      amount: compact.minimumPayment - subtotal, detail: `$${compact.minimumPayment}M operator-wide minimum annual payment`,
+    });
+    minimumApplied = true;
+  }
+
+  const amount = lines.reduce((a, l) => a + l.amount, 0);
+  const sum = (recipient) => lines.filter((l) => l.recipient === recipient).reduce((a, l) => a + l.amount, 0);
+  return {
+    amount,
+    effectiveRate: ggr > 0 ? amount / ggr : 0,
+    ggr,
+    lines,
+    state: sum('state'),
+    local: sum('local'),
+    minimumApplied,
+    hasTerms: hasCustom || !!compact?.payments?.length,
+    source: compact?.source || null,
+  };
+}
@@ -0,0 +1,531 @@
+/**
+ * Audit workbook (.xlsx) with live formulas.
+ *
+ * Unlike the CSV export, which flattens rounded results into one sheet, the
+ * workbook lets a reviewer trace every number: an Inputs sheet, a Multipliers
+ * sheet with the exact coefficients applied to each revenue stream, a Results
+ * sheet whose impacts are Excel formulas over those cells, and one sheet per
+ * tax (gaming, TOPI, payroll, household) laying out the rate and tier math.
+ * Every formula carries the engine's value as its cached result, so the file
+ * reads correctly before Excel recalculates and any difference after
+ * recalculation points at an edited input.
+ *
+ * Covers gross annual operations; net impact stays in the CSV and report
+ * exports.
+ */
+import { columnLetter } from './xlsx';
+import { buildTaxConfig } from './taxConfig';
+import { MODEL_VERSION, vintageLabel } from './dataVintages';
+import { analysisData, vintageInfo } from './dataService';
+import { runSensitivity } from './sensitivity';
+import { multiplierTypeLabel } from './multiplierType';
+import { BUNDLED_SOURCE_LABEL } from './multiplierSets';
+import { runProForma } from './proForma';
+
+const COEFFICIENTS = [
+  'Type_I_Output', 'Type_II_Output',
+  'Direct_VA_Coef', 'Type_I_VA', 'Type_II_VA',
+  'Direct_Wage_Coef', 'Type_I_Wage', 'Type_II_Wage',
+  'Direct_Tax_Coef', 'Type_I_Tax', 'Type_II_Tax',
+  'Emp_Coef', 'Indirect_Emp_Coef', 'Induced_Emp_Coef',
+];
+
+const EFFECTS = ['direct', 'indirect', 'induced'];
+const EFFECT_HEADERS = ['Direct', 'Indirect', 'Induced', 'Total'];
+
+const h = (v) => ({ v, bold: true });
+const f = (formula, v) => ({ f: formula, v });
+
+/** A sheet under construction; `add` returns the 1-based row number written. */
+function createSheet(name, colWidths) {
+  const rows = [];
+  return {
+    name,
+    rows,
+    colWidths,
+    add(cells = []) {
+      rows.push(cells);
+      return rows.length;
+    },
+    /** Reference to a cell of this sheet from another sheet. */
+    ref(col, row) {
+      return `'${name}'!${columnLetter(col)}${row}`;
+    },
+  };
+}
+
+/** Same-sheet cell reference (zero-based column). */
+const cell = (col, row) => `${columnLetter(col)}${row}`;
+
+// ------------------------------------------------------------------ inputs
+
+function inputsSheet(analysis, bundle, streams, context) {
+  const s = createSheet('Inputs', [44, 16, 22, 24]);
+  const mv = vintageInfo(analysis.vintage).multipliers;
+  s.add([h('GEMS — Economic Impact Workbook')]);
+  s.add(['Project', context.casinoName || analysis.casinoName || '—']);
+  s.add(['State', analysis.state]);
+  s.add(['Operation type', `${context.propertyTypeLabel || analysis.propertyType || '—'}${bundle.gamingTaxResult?.compact ? ' (tribal operation)' : ''}`]);
+  s.add(['Input mode', analysis.inputMode === 'total' ? 'Total revenue' : 'Revenue by department']);
+  s.add(['Model', MODEL_VERSION]);
+  s.add(['Data edition', vintageLabel(analysis.vintage)]);
+  // The Multipliers sheet holds the coefficients as applied, so a Type I or
+  // scaled-induced basis is already in them; "both" shows the Type II side
+  s.add(['Multiplier basis', multiplierTypeLabel(bundle.multiplierType)]);
+  s.add(['Multiplier source', bundle.multiplierSource?.label || '—']);
+  s.add(['Multiplier data', [mv.dataYear && `${mv.dataYear} data`, mv.ioTableYear && `${mv.ioTableYear} IO tables`, mv.qcewYear && `${mv.qcewYear} QCEW`].filter(Boolean).join(', ') || '—']);
+  s.add(['Generated', new Date().toISOString()]);
+  s.add([]);
+
+  s.add([h('Revenue Stream'), h('Revenue ($M)'), h('Known Direct Jobs (FTE)'), h('Known Direct Wages ($M)')]);
+  const refs = { revenue: [], knownEmp: [], knownWages: [] };
+  const revenueRows = streams.map((r) => {
+    const row = s.add([
+      r.label, r.revenue,
+      r.employment.source === 'user' ? r.employment.direct : null,
+      r.wages.source === 'user' ? r.wages.direct : null,
+    ]);
+    refs.revenue.push(s.ref(1, row));
+    refs.knownEmp.push(r.employment.source === 'user' ? s.ref(2, row) : null);
+    refs.knownWages.push(r.wages.source === 'user' ? s.ref(3, row) : null);
+    return row;
+  });
+  s.add([]);
+
+  s.add([h('Gaming and Deflator Inputs'), h('Value')]);
+  const ggrStream = streams.findIndex((r) => r.type === 'gaming' || r.type === 'total');
+  const ggr = bundle.gamingTaxResult?.ggr ?? streams[ggrStream]?.revenue ?? 0;
+  // GGR is the gaming (or, in total mode, the whole) revenue stream
+  const ggrRow = s.add(['Gross gaming revenue, GGR ($M)', ggrStream >= 0 ? f(cell(1, revenueRows[ggrStream]), ggr) : ggr]);
+  const slotRow = s.add(['Slot share of GGR (%)', analysis.slotRevenuePct ?? 70]);
+  const customRate = analysis.gamingTaxCustomRate != null && analysis.gamingTaxCustomRate !== ''
+    ? parseFloat(analysis.gamingTaxCustomRate)
+    : null;
+  const rateRow = s.add(['Gaming tax rate override (fraction of GGR)', customRate]);
+  const cpi = bundle.cpi;
+  const deflatorRow = s.add([
+    cpi ? `CPI deflator (${cpi.year} $ to ${cpi.baseYear} $ by ${cpi.label}, for jobs coefficients)` : 'CPI deflator (to 2019 $, for jobs coefficients)',
+    streams[0]?.coefficients?.deflator ?? cpi?.deflator ?? null,
+  ]);
+
+  return {
+    sheet: s,
+    refs: { ...refs, ggr: s.ref(1, ggrRow), slotPct: s.ref(1, slotRow), customRate: s.ref(1, rateRow), deflator: s.ref(1, deflatorRow) },
+    values: { ggr },
+  };
+}
+
+// ------------------------------------------------------------- multipliers
+
+function multipliersSheet(analysis, streams) {
+  const s = createSheet('Multipliers', [28, 12, ...COEFFICIENTS.map(() => 17), 40]);
+  s.add([h(`Multipliers — ${analysis.state}`)]);
+  s.add(['Coefficients as applied to each revenue stream: output, value added, wage and TOPI coefficients per $1 of revenue; jobs per $1M of GDP in 2019 dollars.']);
+  s.add([]);
+  s.add([h('Revenue Stream'), h('Sector'), ...COEFFICIENTS.map(h), h('Source')]);
+  const refs = streams.map((r) => {
+    const row = s.add([r.label, r.sector, ...COEFFICIENTS.map((k) => r.coefficients?.[k] ?? null), r.multiplierSource || BUNDLED_SOURCE_LABEL]);
+    return Object.fromEntries(COEFFICIENTS.map((k, i) => [k, s.ref(i + 2, row)]));
+  });
+  return { sheet: s, refs };
+}
+
+// ----------------------------------------------------------------- results
+
+/** Output, GDP, wages and jobs per stream as formulas, plus all-stream totals. */
+function resultsImpacts(streams, inputs, mult) {
+  const s = createSheet('Results', [40, 16, 16, 16, 16]);
+  s.add([h('Economic Impact — Gross Annual Operations')]);
+  s.add(['Formulas over the Inputs and Multipliers sheets. $M except jobs (FTE).']);
+  s.add([]);
+
+  const rowsOf = streams.map((r, i) => {
+    const R = inputs.refs.revenue[i];
+    const C = mult.refs[i];
+    const D = inputs.refs.deflator;
+    s.add([h(`${r.label} (${r.sector})`), ...EFFECT_HEADERS.map(h)]);
+
+    const out = s.add(['Output']);
+    s.rows[out - 1].push(
+      f(R, r.output.direct),
+      f(`${R}*(${C.Type_I_Output}-1)`, r.output.indirect),
+      f(`${R}*(${C.Type_II_Output}-${C.Type_I_Output})`, r.output.induced),
+      f(`SUM(${cell(1, out)}:${cell(3, out)})`, r.output.total),
+    );
+
+    const gdp = s.add(['GDP (value added)']);
+    s.rows[gdp - 1].push(
+      f(`${R}*${C.Direct_VA_Coef}`, r.gdp.direct),
+      f(`${R}*${C.Type_I_VA}-${cell(1, gdp)}`, r.gdp.indirect),
+      f(`${R}*(${C.Type_II_VA}-${C.Type_I_VA})`, r.gdp.induced),
+      f(`SUM(${cell(1, gdp)}:${cell(3, gdp)})`, r.gdp.total),
+    );
+
+    const wages = s.add([r.wages.source === 'user' ? 'Wages (direct as entered)' : 'Wages']);
+    s.rows[wages - 1].push(
+      f(inputs.refs.knownWages[i] || `${R}*${C.Direct_Wage_Coef}`, r.wages.direct),
+      f(`${R}*${C.Type_I_Wage}-${R}*${C.Direct_Wage_Coef}`, r.wages.indirect),
+      f(`${R}*(${C.Type_II_Wage}-${C.Type_I_Wage})`, r.wages.induced),
+      f(`SUM(${cell(1, wages)}:${cell(3, wages)})`, r.wages.total),
+    );
+
+    // Jobs coefficients apply to GDP deflated to 2019 dollars
+    const jobs = s.add([r.employment.source === 'user' ? 'Jobs, FTE (direct as entered)' : 'Jobs (FTE)']);
+    s.rows[jobs - 1].push(
+      f(inputs.refs.knownEmp[i] || `${cell(1, gdp)}*${D}*${C.Emp_Coef}`, r.employment.direct),
+      f(`${cell(2, gdp)}*${D}*${C.Indirect_Emp_Coef}`, r.employment.indirect),
+      f(`${cell(3, gdp)}*${D}*${C.Induced_Emp_Coef}`, r.employment.induced),
+      f(`SUM(${cell(1, jobs)}:${cell(3, jobs)})`, r.employment.total),
+    );
+    s.add([]);
+    return { output: out, gdp, wages, employment: jobs };
+  });
+  return { sheet: s, rowsOf };
+}
+
+function resultsTotals(s, results, rowsOf, topiTotals) {
+  s.add([h('All Revenue Streams'), ...EFFECT_HEADERS.map(h)]);
+  const effects = [...EFFECTS, 'total'];
+  const totals = {};
+  for (const [key, label] of [['output', 'Output'], ['gdp', 'GDP (value added)'], ['wages', 'Wages'], ['employment', 'Jobs (FTE)']]) {
+    const t = results.totals[key];
+    const row = s.add([label, ...effects.map((e, c) => f(rowsOf.map((r) => cell(c + 1, r[key])).join('+'), t[e]))]);
+    totals[key] = row;
+  }
+  const t = results.totals.tax;
+  totals.tax = s.add(['Taxes on production (TOPI)', ...effects.map((e, c) => f(topiTotals[c], t[e]))]);
+  s.add([]);
+
+  s.add([h('Implied Multiplier (Total / Direct)'), h('Multiplier')]);
+  for (const [key, label] of [['output', 'Output'], ['gdp', 'GDP'], ['wages', 'Wages'], ['employment', 'Jobs']]) {
+    const row = totals[key];
+    s.add([label, f(`IF(${cell(1, row)}=0,0,${cell(4, row)}/${cell(1, row)})`, results.multipliers[key])]);
+  }
+  s.add([]);
+  return totals;
+}
+
+function resultsTaxes(s, bundle, taxRefs) {
+  const { gamingTaxResult: g, localTaxResult: l, payrollTaxResult: p, householdTaxResult: hh, results } = bundle;
+  s.add([h('Tax Revenue'), h('Amount ($M)'), h('Sheet')]);
+  const first = s.add([g?.compact ? 'Compact revenue sharing' : 'Gaming tax (GGR)', f(taxRefs.gaming, g?.amount || 0), 'Gaming Tax']);
+  s.add(['Gaming fees', f(taxRefs.fees, g?.fees?.total || 0), 'Gaming Tax']);
+  s.add(['Local levies', f(taxRefs.local, l?.additional || 0), 'Gaming Tax']);
+  s.add(['Taxes on production (TOPI)', f(taxRefs.topi, results.totals.tax.total), 'TOPI']);
+  s.add(['Payroll taxes', f(taxRefs.payroll, p?.total || 0), 'Payroll Tax']);
+  const last = s.add(['Household taxes', f(taxRefs.household, hh?.total || 0), 'Household Tax']);
+  s.add([h('Total tax revenue'), { f: `SUM(${cell(1, first)}:${cell(1, last)})`, v: bundle.totalTax, bold: true }]);
+}
+
+// -------------------------------------------------------------- gaming tax
+
+/** Graduated schedule on `base`: one row per tier; returns the subtotal cell. */
+function tierTable(s, title, baseRef, baseValue, tiers) {
+  s.add([h(title), h('From ($M)'), h('To ($M)'), h('Rate'), h('Taxable ($M)'), h('Tax ($M)')]);
+  const sorted = [...tiers].sort((a, b) => a.threshold - b.threshold);
+  const first = s.rows.length + 1;
+  sorted.forEach((t, i) => {
+    const to = i < sorted.length - 1 ? sorted[i + 1].threshold : null;
+    const row = s.rows.length + 1;
+    const taxable = Math.max(0, Math.min(baseValue, to ?? Infinity) - t.threshold);
+    s.add([
+      `Tier ${i + 1}`, t.threshold, to, t.rate,
+      f(to != null ? `MAX(0,MIN(${baseRef},${cell(2, row)})-${cell(1, row)})` : `MAX(0,${baseRef}-${cell(1, row)})`, taxable),
+      f(`${cell(4, row)}*${cell(3, row)}`, taxable * t.rate),
+    ]);
+  });
+  const last = s.rows.length;
+  const total = sorted.reduce((a, t, i) => {
+    const to = i < sorted.length - 1 ? sorted[i + 1].threshold : Infinity;
+    return a + Math.max(0, Math.min(baseValue, to) - t.threshold) * t.rate;
+  }, 0);
+  const row = s.add(['Subtotal', null, null, null, null, f(`SUM(${cell(5, first)}:${cell(5, last)})`, total)]);
+  return cell(5, row);
+}
+
+function gamingTaxSheet(analysis, bundle, inputs) {
+  const s = createSheet('Gaming Tax', [40, 14, 14, 12, 14, 14]);
+  const g = bundle.gamingTaxResult;
+  const ggr = inputs.values.ggr;
+  s.add([h(`Gaming Tax — ${analysis.state}`)]);
+  const ggrRow = s.add(['GGR ($M)', f(inputs.refs.ggr, ggr)]);
+  const G = cell(1, ggrRow);
+  s.add([]);
+
+  let taxCell;
+  if (!g) {
+    s.add(['No state gaming tax applies to this operation.']);
+    taxCell = cell(1, s.add(['Gaming tax ($M)', 0]));
+  } else if (g.compact) {
+    s.add([h('Tribal Compact Revenue Sharing'), h('Amount ($M)'), h('Basis')]);
+    const first = s.rows.length + 1;
+    for (const l of g.compact.lines) s.add([l.label, l.amount, l.detail || '']);
+    const last = s.rows.length;
+    taxCell = cell(1, s.add([h('Compact payments ($M)'), last >= first ? f(`SUM(${cell(1, first)}:${cell(1, last)})`, g.amount) : 0]));
+    if (g.compact.source) s.add([`Terms: ${g.compact.source}`]);
+  } else {
+    const config = buildTaxConfig(bundle.stateTaxConfig, analysis.gamingTaxCustomRate, analysis.slotRevenuePct, analysis.propertyType);
+    const slotShare = config.slotRevenuePct ?? 0.7;
+    const splitBases = () => {
+      const share = s.add(['Slot share of GGR', f(`${inputs.refs.slotPct}/100`, slotShare)]);
+      const slot = s.add(['Slot GGR ($M)', f(`${G}*${cell(1, share)}`, ggr * slotShare)]);
+      const table = s.add(['Table GGR ($M)', f(`${G}*(1-${cell(1, share)})`, ggr * (1 - slotShare))]);
+      return { slot: cell(1, slot), table: cell(1, table) };
+    };
+
+    if (config.customRate != null) {
+      const rate = s.add(['Rate override', f(inputs.refs.customRate, config.customRate)]);
+      taxCell = cell(1, s.add(['Gaming tax ($M)', f(`${G}*${cell(1, rate)}`, g.amount)]));
+    } else if (config.flatRate != null) {
+      const rate = s.add(['Flat rate on GGR', config.flatRate]);
+      taxCell = cell(1, s.add(['Gaming tax ($M)', f(`${G}*${cell(1, rate)}`, g.amount)]));
+    } else if (config.slotTiers && config.tableTiers) {
+      const bases = splitBases();
+      s.add([]);
+      const slot = tierTable(s, 'Slot Schedule', bases.slot, ggr * slotShare, config.slotTiers);
+      s.add([]);
+      const table = tierTable(s, 'Table Schedule', bases.table, ggr * (1 - slotShare), config.tableTiers);
+      s.add([]);
+      taxCell = cell(1, s.add(['Gaming tax ($M)', f(`${slot}+${table}`, g.amount)]));
+    } else if (config.tiers?.length) {
+      const sub = tierTable(s, 'Graduated Schedule', G, ggr, config.tiers);
+      s.add([]);
+      taxCell = cell(1, s.add(['Gaming tax ($M)', f(sub, g.amount)]));
+    } else if (config.slotsRate != null && config.tableRate != null) {
+      const bases = splitBases();
+      const slotRate = s.add(['Slot rate', config.slotsRate]);
+      const tableRate = s.add(['Table rate', config.tableRate]);
+      taxCell = cell(1, s.add(['Gaming tax ($M)', f(`${bases.slot}*${cell(1, slotRate)}+${bases.table}*${cell(1, tableRate)}`, g.amount)]));
+    } else {
+      taxCell = cell(1, s.add(['Gaming tax ($M)', 0]));
+    }
+  }
+  s.add(['Effective rate on GGR', f(`IF(${G}>0,${taxCell}/${G},0)`, g?.effectiveRate || 0)]);
+  s.add([]);
+
+  // Fees and local levies are computed from volumes and local settings; listed as values
+  s.add([h('Fees (not part of the effective rate)'), h('Amount ($M)'), h('Basis')]);
+  const fees = g?.fees?.lines || [];
+  const feeFirst = s.rows.length + 1;
+  for (const l of fees) s.add([l.label, l.amount, l.detail || '']);
+  const feeRow = s.add(['Total fees ($M)', fees.length ? f(`SUM(${cell(1, feeFirst)}:${cell(1, s.rows.length)})`, g.fees.total) : 0]);
+  s.add([]);
+
+  const levies = (bundle.localTaxResult?.lines || []).filter((l) => l.additional);
+  s.add([h('Local Levies (in addition to state tax)'), h('Amount ($M)'), h('Basis')]);
+  const localFirst = s.rows.length + 1;
+  for (const l of levies) s.add([l.label, l.amount, l.detail || '']);
+  const localRow = s.add(['Total local levies ($M)', levies.length ? f(`SUM(${cell(1, localFirst)}:${cell(1, s.rows.length)})`, bundle.localTaxResult.additional) : 0]);
+
+  return { sheet: s, refs: { gaming: `'${s.name}'!${taxCell}`, fees: s.ref(1, feeRow), local: s.ref(1, localRow) } };
+}
+
+// -------------------------------------------------------------------- TOPI
+
+function topiSheet(streams, results, inputs, mult) {
+  const s = createSheet('TOPI', [28, 14, 16, 14, 14, 14, 14, 14, 14]);
+  s.add([h('Taxes on Production and Imports (TOPI)')]);
+  s.add(['Sales, excise and property taxes paid along the supply chain, via the Leontief inverse like wages.']);
+  s.add([]);
+  s.add([h('Revenue Stream'), h('Revenue ($M)'), h('Direct_Tax_Coef'), h('Type_I_Tax'), h('Type_II_Tax'), ...EFFECT_HEADERS.map(h)]);
+  const first = s.rows.length + 1;
+  streams.forEach((r, i) => {
+    const row = s.rows.length + 1;
+    const C = mult.refs[i];
+    const R = cell(1, row);
+    if (r.coefficients?.Direct_Tax_Coef == null) {
+      s.add([r.label, f(inputs.refs.revenue[i], r.revenue), null, null, null, 0, 0, 0, 0, 'No TOPI coefficients for this sector']);
+      return;
+    }
+    s.add([
+      r.label, f(inputs.refs.revenue[i], r.revenue),
+      f(C.Direct_Tax_Coef, r.coefficients.Direct_Tax_Coef), f(C.Type_I_Tax, r.coefficients.Type_I_Tax), f(C.Type_II_Tax, r.coefficients.Type_II_Tax),
+      f(`${R}*${cell(2, row)}`, r.tax.direct),
+      f(`${R}*${cell(3, row)}-${cell(5, row)}`, r.tax.indirect),
+      f(`${R}*(${cell(4, row)}-${cell(3, row)})`, r.tax.induced),
+      f(`SUM(${cell(5, row)}:${cell(7, row)})`, r.tax.total),
+    ]);
+  });
+  const last = s.rows.length;
+  const t = results.totals.tax;
+  const row = s.add([h('Total'), null, null, null, null, ...[...EFFECTS, 'total'].map((e, c) => f(`SUM(${cell(c + 5, first)}:${cell(c + 5, last)})`, t[e]))]);
+  return { sheet: s, totals: [5, 6, 7, 8].map((c) => s.ref(c, row)) };
+}
+
+// ----------------------------------------------------- payroll / household
+
+/** Employer payroll-tax components in dollars, as calculatePayrollTax computes them. */
+function payrollComponents(wages, ftes, rates, federal) {
+  const dollars = wages * 1e6;
+  const avg = ftes > 0 ? dollars / ftes : 0;
+  return {
+    avg,
+    ficaSS: Math.min(avg, federal.fica_ss_wage_cap) * federal.fica_ss_rate * ftes,
+    medicare: dollars * federal.fica_medicare_rate,
+    futa: Math.min(avg, federal.futa_wage_base) * federal.futa_rate * ftes,
+    suta: Math.min(avg, rates.sutaBase) * rates.sutaRate * ftes,
+    sdi: dollars * rates.sdi,
+    pfml: dollars * rates.pfml,
+  };
+}
+
+function payrollTaxSheet(state, employmentTaxRates, results, payrollTaxResult, resultsRef) {
+  const s = createSheet('Payroll Tax', [40, 16, 16, 16, 16]);
+  const st = employmentTaxRates.states[state] || {};
+  const federal = employmentTaxRates.federal;
+  // SUTA applies only where both a rate and a wage base are published
+  const hasSuta = !!(st.suta_avg_rate && st.suta_wage_base);
+  const rates = {
+    sutaRate: hasSuta ? st.suta_avg_rate : 0,
+    sutaBase: hasSuta ? st.suta_wage_base : 0,
+    sdi: st.sdi_employer_rate > 0 ? st.sdi_employer_rate : 0,
+    pfml: st.pfml_employer_rate > 0 ? st.pfml_employer_rate : 0,
+  };
+
+  s.add([h(`Employer Payroll Taxes — ${state}`)]);
+  s.add(['Per-employee caps apply to the average wage per FTE in each effect.']);
+  s.add([]);
+  s.add([h('Rate'), h('Value')]);
+  const p = {};
+  for (const [key, label, value] of [
+    ['ssRate', 'FICA Social Security rate', federal.fica_ss_rate],
+    ['ssCap', 'Social Security wage cap ($ per employee)', federal.fica_ss_wage_cap],
+    ['medicare', 'FICA Medicare rate', federal.fica_medicare_rate],
+    ['futaRate', 'FUTA rate', federal.futa_rate],
+    ['futaBase', 'FUTA wage base ($ per employee)', federal.futa_wage_base],
+    ['sutaRate', 'SUTA average employer rate', rates.sutaRate],
+    ['sutaBase', 'SUTA wage base ($ per employee)', rates.sutaBase],
+    ['sdi', 'SDI employer rate', rates.sdi],
+    ['pfml', 'PFML employer rate', rates.pfml],
+  ]) p[key] = cell(1, s.add([label, value]));
+  s.add([]);
+
+  const comps = EFFECTS.map((e) => payrollComponents(results.totals.wages[e], results.totals.employment[e], rates, federal));
+  s.add([h('Component'), ...EFFECT_HEADERS.map(h)]);
+  const wages = s.add(['Wages ($M)', ...[...EFFECTS, 'total'].map((e, c) => f(resultsRef(c + 1, 'wages'), results.totals.wages[e]))]);
+  const jobs = s.add(['Jobs (FTE)', ...[...EFFECTS, 'total'].map((e, c) => f(resultsRef(c + 1, 'employment'), results.totals.employment[e]))]);
+  const row = (label, key, formula) => s.add([label, ...EFFECTS.map((_, c) => f(formula(c + 1), comps[c][key]))]);
+  const W = (c) => cell(c, wages);
+  const J = (c) => cell(c, jobs);
+  const avg = row('Average wage per FTE ($)', 'avg', (c) => `IF(${J(c)}>0,${W(c)}*1000000/${J(c)},0)`);
+  const A = (c) => cell(c, avg);
+  const first = row('FICA Social Security ($)', 'ficaSS', (c) => `MIN(${A(c)},${p.ssCap})*${p.ssRate}*${J(c)}`);
+  row('FICA Medicare ($)', 'medicare', (c) => `${W(c)}*1000000*${p.medicare}`);
+  row('FUTA ($)', 'futa', (c) => `MIN(${A(c)},${p.futaBase})*${p.futaRate}*${J(c)}`);
+  row('SUTA ($)', 'suta', (c) => `MIN(${A(c)},${p.sutaBase})*${p.sutaRate}*${J(c)}`);
+  row('SDI ($)', 'sdi', (c) => `${W(c)}*1000000*${p.sdi}`);
+  const last = row('PFML ($)', 'pfml', (c) => `${W(c)}*1000000*${p.pfml}`);
+  const total = s.rows.length + 1;
+  s.add([
+    h('Payroll taxes ($M)'),
+    ...EFFECTS.map((e, i) => {
+      const c = i + 1;
+      return f(`IF(AND(${W(c)}>0,${J(c)}>0),SUM(${cell(c, first)}:${cell(c, last)})/1000000,0)`, payrollTaxResult?.[e] || 0);
+    }),
+    f(`SUM(${cell(1, total)}:${cell(3, total)})`, payrollTaxResult?.total || 0),
+  ]);
+  return { sheet: s, total: s.ref(4, total) };
+}
+
+function householdTaxSheet(state, employmentTaxRates, results, householdTaxResult, resultsRef) {
+  const s = createSheet('Household Tax', [40, 16, 16, 16, 16]);
+  const ratio = employmentTaxRates.states[state]?.household_tax_ratio || 0;
+  s.add([h(`Household Taxes — ${state}`)]);
+  s.add(['Personal current taxes (income, vehicle and personal property) as a share of wages, from BEA state accounts.']);
+  s.add([]);
+  const r = s.add(['Personal current taxes / wages', ratio]);
+  s.add([]);
+  s.add([h('Component'), ...EFFECT_HEADERS.map(h)]);
+  const wages = s.add(['Wages ($M)', ...[...EFFECTS, 'total'].map((e, c) => f(resultsRef(c + 1, 'wages'), results.totals.wages[e]))]);
+  const row = s.rows.length + 1;
+  s.add([
+    h('Household taxes ($M)'),
+    ...EFFECTS.map((e, i) => f(`IF(${cell(i + 1, wages)}>0,${cell(i + 1, wages)}*${cell(1, r)},0)`, householdTaxResult?.[e] || 0)),
+    f(`SUM(${cell(1, row)}:${cell(3, row)})`, householdTaxResult?.total || 0),
+  ]);
+  return { sheet: s, total: s.ref(4, row) };
+}
+
+// ------------------------------------------------- sensitivity / projection
+
+function sensitivitySheet(analysis) {
+  const s = createSheet('Sensitivity & Projection', [24, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14]);
+  const METRICS = ['output', 'gdp', 'employment', 'wages', 'totalTax'];
+  const METRIC_HEADERS = ['Output ($M)', 'GDP ($M)', 'Jobs (FTE)', 'Wages ($M)', 'Total Tax ($M)'];
+  s.add([h('Sensitivity & Projection')]);
+  s.add(['Each point is a full recomputation of the model, so these are values rather than formulas.']);
+  s.add([]);
+
+  const ggr = runSensitivity(analysis, { driver: 'ggr', steps: 9 });
+  s.add([h('GGR Sweep'), h('GGR ($M)'), ...METRIC_HEADERS.map(h)]);
+  for (const p of ggr.series) s.add([p.label, p.x, ...METRICS.map((k) => p[k])]);
+  s.add([]);
+
+  const rate = runSensitivity(analysis, { driver: 'taxRate', steps: 9 });
+  s.add([h('Gaming Tax Rate Sweep'), h('Rate'), ...METRIC_HEADERS.map(h)]);
+  for (const p of rate.series) s.add([p.label, p.x, ...METRICS.map((k) => p[k])]);
+
+  const pf = runProForma(analysis);
+  if (pf.rows.length) {
+    s.add([]);
+    s.add([
+      h('Pro Forma Year'), h('Ramp (%)'), h('Revenue ($M)'), h('GGR ($M)'), h('CPI Deflator'), h('Gaming Tax Rate'),
+      ...METRIC_HEADERS.map(h), h('Gaming Tax ($M)'), h('Discount Factor'),
+    ]);
+    const first = s.rows.length + 1;
+    for (const r of pf.rows) {
+      s.add([r.year, r.rampPct, r.revenue, r.ggr, r.deflator, r.gamingTaxRate, ...METRICS.map((k) => r[k]), r.gamingTax, r.discountFactor]);
+    }
+    const last = s.rows.length;
+    // Cumulative and present-value rows stay live over the year rows
+    const sums = { 2: 'revenue', 6: 'output', 7: 'gdp', 9: 'wages', 10: 'totalTax', 11: 'gamingTax' };
+    const sumRow = (label, pv) => {
+      const row = [label];
+      for (const [c, key] of Object.entries(sums)) {
+        const range = `${cell(Number(c), first)}:${cell(Number(c), last)}`;
+        row[c] = pv
+          ? f(`SUMPRODUCT(${range},${cell(12, first)}:${cell(12, last)})`, pf.npv[key])
+          : f(`SUM(${range})`, pf.totals[key]);
+      }
+      return s.add(Array.from(row, (v) => v ?? null));
+    };
+    sumRow('Cumulative', false);
+    sumRow(`Present value @ ${pf.settings.discountRatePct}%`, true);
+  }
+  return s;
+}
+
+/**
+ * Assemble the audit workbook for one analysis.
+ *
+ * @param {object} analysis - buildAnalysis shape
+ * @param {object} bundle - computeScenario output for the analysis (live or frozen)
+ * @param {{ casinoName?: string, propertyTypeLabel?: string, includeSensitivity?: boolean }} [context]
+ * @returns {Array<{ name, rows, colWidths }>|null} sheets for buildXLSX; null without results
+ */
+export function buildResultsWorkbook(analysis, bundle, context = {}) {
+  const { results } = bundle;
+  if (!results) return null;
+  const streams = results.byRevenue.filter((r) => r.type !== 'displaced');
+
+  const inputs = inputsSheet(analysis, bundle, streams, context);
+  const mult = multipliersSheet(analysis, streams);
+  const res = resultsImpacts(streams, inputs, mult);
+  const topi = topiSheet(streams, results, inputs, mult);
+  const totals = resultsTotals(res.sheet, results, res.rowsOf, topi.totals);
+  // Column c (1 = direct … 4 = total) of an all-streams total row on Results
+  const resultsRef = (c, key) => res.sheet.ref(c, totals[key]);
+
+  const gaming = gamingTaxSheet(analysis, bundle, inputs);
+  const { employmentTaxRates } = analysisData(analysis);
+  const payroll = payrollTaxSheet(analysis.state, employmentTaxRates, results, bundle.payrollTaxResult, resultsRef);
+  const household = householdTaxSheet(analysis.state, employmentTaxRates, results, bundle.householdTaxResult, resultsRef);
+  resultsTaxes(res.sheet, bundle, {
+    ...gaming.refs, topi: topi.totals[3], payroll: payroll.total, household: household.total,
+  });
+
+  return [
+    inputs.sheet, mult.sheet, res.sheet, gaming.sheet, topi.sheet, payroll.sheet, household.sheet,
+    ...(context.includeSensitivity ? [sensitivitySheet(analysis)] : []),
+  ];
+}
@@ -0,0 +1,176 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) reader and writer on PizZip.
+ *
+ * Reading returns the first worksheet as an array of rows of plain values
+ * (strings, numbers, booleans; empty cells are null). Writing builds a
+ * workbook from `[{ name, rows }]` where each cell is a value or
+ * `{ v, f, bold }` — `f` is a formula without the leading '=', `v` its cached value.
+ */
+import PizZip from 'pizzip';
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+function unescapeXml(s) {
+  return s
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, d) => String.fromCharCode(Number(d)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Concatenated text of every <t> run in a string item. */
+function textOf(xml) {
+  let out = '';
+  for (const m of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) out += unescapeXml(m[1]);
+  return out;
+}
+
+/** 'C7' → { col: 2, row: 6 } (zero-based). */
+function parseRef(ref) {
+  const m = /^([A-Z]+)(\d+)$/.exec(ref);
+  if (!m) return null;
+  let col = 0;
+  for (const ch of m[1]) col = col * 26 + (ch.charCodeAt(0) - 64);
+  return { col: col - 1, row: Number(m[2]) - 1 };
+}
+
+/** Zero-based column index → letters (0 → 'A', 27 → 'AB'). */
+export function columnLetter(index) {
+  let s = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/** Path of the workbook's first worksheet. */
+function firstSheetPath(zip) {
+  const workbook = zip.file('xl/workbook.xml')?.asText();
+  const rels = zip.file('xl/_rels/workbook.xml.rels')?.asText();
+  const rid = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+  if (rid && rels) {
+    for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+      if (m[0].includes(`Id="${rid}"`)) {
+        const target = /Target="([^"]+)"/.exec(m[0])[1];
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first worksheet of an .xlsx file.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<Array>} rows of cell values
+ */
+export function readXLSX(buffer) {
+  const zip = new PizZip(buffer);
+  const sheet = zip.file(firstSheetPath(zip))?.asText();
+  if (!sheet) throw new Error('The workbook has no worksheet');
+  const shared = [];
+  const sst = zip.file('xl/sharedStrings.xml')?.asText();
+  if (sst) for (const m of sst.matchAll(/<si>([\s\S]*?)<\/si>/g)) shared.push(textOf(m[1]));
+
+  const rows = [];
+  for (const m of sheet.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const attrs = m[1];
+    const body = m[2] || '';
+    const ref = parseRef(/\br="([A-Z]+\d+)"/.exec(attrs)?.[1] || '');
+    if (!ref) continue;
+    const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+    const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+    let value = null;
+    if (type === 's') value = raw != null ? shared[Number(raw)] ?? null : null;
+    else if (type === 'inlineStr') value = textOf(body);
+    else if (type === 'str') value = raw != null ? unescapeXml(raw) : null;
+    else if (type === 'b') value = raw === '1';
+    else if (raw != null && raw !== '') value = Number(raw);
+    if (value === '') value = null;
+    if (value == null) continue;
+    if (!rows[ref.row]) rows[ref.row] = [];
+    rows[ref.row][ref.col] = value;
+  }
+  return Array.from(rows, (r) => Array.from(r || [], (v) => (v === undefined ? null : v)));
+}
+
+function cellXml(cell, ref) {
+  const c = cell !== null && typeof cell === 'object' ? cell : { v: cell };
+  const s = c.bold ? ' s="1"' : '';
+  if (c.f) {
+    const cached = typeof c.v === 'number' && isFinite(c.v) ? `<v>${c.v}</v>` : '';
+    return `<c r="${ref}"${s}><f>${escapeXml(c.f)}</f>${cached}</c>`;
+  }
+  if (c.v == null || c.v === '') return s ? `<c r="${ref}"${s}/>` : '';
+  if (typeof c.v === 'number') return isFinite(c.v) ? `<c r="${ref}"${s}><v>${c.v}</v></c>` : '';
+  if (typeof c.v === 'boolean') return `<c r="${ref}"${s} t="b"><v>${c.v ? 1 : 0}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(c.v)}</t></is></c>`;
+}
+
+function sheetXml(rows, colWidths) {
+  const cols = colWidths?.length
+    ? `<cols>${colWidths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const body = rows.map((row, ri) => {
+    const cells = (row || []).map((cell, ci) => cellXml(cell, `${columnLetter(ci)}${ri + 1}`)).join('');
+    return `<row r="${ri + 1}">${cells}</row>`;
+  }).join('');
+  return `${XML_HEAD}<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">${cols}<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/** Sheet names: at most 31 characters, none of []:*?/\ */
+function sheetName(name, i) {
+  return (String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31)) || `Sheet${i + 1}`;
+}
+
+/**
+ * Build an .xlsx workbook.
+ * @param {Array<{ name: string, rows: Array<Array>, colWidths?: number[] }>} sheets
+ * @returns {Blob}
+ */
+export function buildXLSX(sheets) {
+  const zip = new PizZip();
+  const names = sheets.map((s, i) => sheetName(s.name, i));
+  zip.file('[Content_Types].xml', `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + names.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>');
+  zip.file('_rels/.rels', `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>');
+  zip.file('xl/workbook.xml', `${XML_HEAD}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>`
+    + names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+    + '</sheets><calcPr fullCalcOnLoad="1"/></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}">`
+    + names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>');
+  zip.file('xl/styles.xml', `${XML_HEAD}<styleSheet xmlns="${NS_MAIN}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>');
+  sheets.forEach((s, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s.rows, s.colWidths)));
+  return zip.generate({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+export function downloadXLSX(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename.endsWith('.xlsx') ? filename : `${filename}.xlsx`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
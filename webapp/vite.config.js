@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import gemsData from './vite.dataPlugin.js'
 
 export default defineConfig({
-  plugins: [react()],
+  // gemsData writes the model data as per-state files fetched on demand
+  plugins: [react(), gemsData()],
   // Base path for deployment under /tools/economic-impact/ on gpconsulting.com
   base: '/tools/economic-impact/',
   server: {
@@ -27,5 +29,10 @@ export default defineConfig({
     chunkSizeWarningLimit: 600,
     // Disable source maps for smaller production builds
     sourcemap: false
+  },
+  test: {
+    // Unit tests run in Node against the full data files (src/test/setup.js)
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js']
   }
 })
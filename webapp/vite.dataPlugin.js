@@ -0,0 +1,62 @@
+/**
+ * Writes each data edition as static files the web app fetches on demand —
+ * model-data/<edition>/index.json and one <state>.json slice per state (see
+ * src/utils/dataSlices.js) — instead of bundling every state's coefficients.
+ * The dev server serves the same files from memory.
+ *
+ * The current edition's files are in src/data/, earlier ones in
+ * src/data/vintages/<id>/ (one directory per entry in VINTAGES).
+ */
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { CURRENT_VINTAGE, VINTAGES } from './src/utils/dataVintages'
+import { editionIndex, sliceEdition, stateFileName } from './src/utils/dataSlices'
+
+const FILES = ['multipliers', 'gamingTaxRates', 'employmentTaxRates']
+
+function readEdition(root, id) {
+  const dir = id === CURRENT_VINTAGE ? path.join(root, 'src/data') : path.join(root, 'src/data/vintages', id)
+  return Object.fromEntries(FILES.map((f) => [f, JSON.parse(readFileSync(path.join(dir, `${f}.json`), 'utf8'))]))
+}
+
+/** "model-data/<edition>/<file>" -> JSON text, for every edition. */
+function dataFiles(root) {
+  const files = new Map()
+  for (const { id } of VINTAGES) {
+    const edition = readEdition(root, id)
+    const index = editionIndex(edition)
+    files.set(`model-data/${id}/index.json`, JSON.stringify(index))
+    for (const state of index.states) {
+      files.set(`model-data/${id}/${stateFileName(state)}`, JSON.stringify(sliceEdition(edition, state)))
+    }
+  }
+  return files
+}
+
+export default function gemsData() {
+  let root
+  let files = null
+  const current = () => (files ??= dataFiles(root))
+
+  return {
+    name: 'gems-data',
+    configResolved(config) {
+      root = config.root
+    },
+    configureServer(server) {
+      server.watcher.on('change', (file) => {
+        if (file.startsWith(path.join(root, 'src/data'))) files = null
+      })
+      server.middlewares.use((req, res, next) => {
+        const match = /\/(model-data\/[^?]+)/.exec(req.url || '')
+        const body = match && current().get(match[1])
+        if (!body) return next()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(body)
+      })
+    },
+    generateBundle() {
+      for (const [fileName, source] of current()) this.emitFile({ type: 'asset', fileName, source })
+    },
+  }
+}